@@ -0,0 +1,25 @@
+// Background service worker for Lovable Add-ons
+//
+// Owns the chat search index. Content scripts can't write it themselves:
+// IndexedDB opened on lovable.dev belongs to the page, while the side panel
+// reads the extension's own database.
+
+// The shared utilities register themselves on window.LovableAddons
+self.window = self;
+importScripts('src/utils/namespace.js', 'src/utils/chat-index.js');
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== 'chatIndex:addMessages') {
+        return false;
+    }
+
+    LovableAddons.utils.chatIndex.addMessages(message.project, message.messages)
+        .then(added => sendResponse({ added }))
+        .catch(error => {
+            console.error('Error indexing chat messages:', error);
+            sendResponse({ error: error.message });
+        });
+
+    // Keep the channel open for the asynchronous response
+    return true;
+});
@@ -63,6 +63,21 @@
         LovableAddons.features.promptLibrary.addButton();
       }
 
+      // Add chat export button
+      if (LovableAddons.features.chatExport && typeof LovableAddons.features.chatExport.addButton === 'function') {
+        LovableAddons.features.chatExport.addButton();
+      }
+
+      // Add save-as-prompt actions to the user's chat messages
+      if (LovableAddons.features.chatCapture && typeof LovableAddons.features.chatCapture.decorateMessages === 'function') {
+        LovableAddons.features.chatCapture.decorateMessages();
+      }
+
+      // Capture chat messages for the side panel's chat search
+      if (LovableAddons.features.chatSearch && typeof LovableAddons.features.chatSearch.captureMessages === 'function') {
+        LovableAddons.features.chatSearch.captureMessages();
+      }
+
       // Initialize Prompt Queue feature (adds queue UI and button state machine)
       if (LovableAddons.getFeature && LovableAddons.getFeature('promptQueue')) {
         const promptQueue = LovableAddons.getFeature('promptQueue');
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Chat capture feature for Lovable Add-ons Chrome extension.
+ * Adds a "Save as prompt" hover action to the user's messages in the chat
+ * history, which opens the prompt library's create form pre-filled.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  /**
+   * Chat capture feature
+   * @namespace LovableAddons.features.chatCapture
+   */
+  const chatCaptureFeature = (function() {
+    const TARGET_CLASS = 'chat-capture-target';
+
+    /**
+     * Creates the hover button for one message
+     * @param {HTMLElement} element - User message element
+     * @returns {HTMLButtonElement} The button
+     * @private
+     */
+    function createCaptureButton(element) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chat-capture-btn';
+      // Marks the button as ours so chatLog.getText() leaves it out
+      button.dataset.lovableAddon = 'chat-capture';
+      button.title = 'Save as prompt';
+      button.setAttribute('aria-label', 'Save message as a custom prompt');
+      button.innerHTML = `
+          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
+          </svg>
+      `;
+
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const text = LovableAddons.utils.chatLog.getText(element);
+        const library = LovableAddons.getFeature('promptLibrary');
+        if (!text || !library) {
+          LovableAddons.utils.toast.showToast('Could not read this message', 'error');
+          return;
+        }
+        library.saveMessageAsPrompt(text).catch(error => {
+          console.error('Chat capture: could not open the prompt form:', error);
+        });
+      });
+
+      return button;
+    }
+
+    // Public API
+    return {
+      /**
+       * Adds the save action to user messages that don't have it yet. Called
+       * from the content script whenever the page changes.
+       * @returns {void}
+       */
+      decorateMessages: function() {
+        const chatLog = LovableAddons.utils.chatLog;
+        const log = chatLog.findLog();
+        if (!log) return;
+
+        Array.from(log.children).forEach(element => {
+          if (element.classList.contains(TARGET_CLASS) || chatLog.getRole(element) !== 'user') return;
+          element.classList.add(TARGET_CLASS);
+          element.appendChild(createCaptureButton(element));
+        });
+      },
+
+      /**
+       * Opens the prompt library's harvest view for the open conversation
+       * @returns {Promise<void>}
+       */
+      harvest: function() {
+        return LovableAddons.getFeature('promptLibrary').harvestConversation();
+      },
+
+      /**
+       * Initializes the feature
+       * @returns {void}
+       */
+      init: function() {
+        this.decorateMessages();
+      }
+    };
+  })();
+
+  // Register the chat capture feature with the LovableAddons namespace
+  LovableAddons.registerFeature('chatCapture', chatCaptureFeature);
+
+  // Initialize the feature when the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    chatCaptureFeature.init();
+  });
+
+})();
@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Chat export feature for Lovable Add-ons Chrome extension.
+ * Exports the open conversation as Markdown, JSON or a self-contained HTML
+ * page, loading the full history first.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  /**
+   * Chat export feature
+   * @namespace LovableAddons.features.chatExport
+   */
+  const chatExportFeature = (function() {
+    /**
+     * Export formats: renderer, file extension and MIME type
+     */
+    const FORMATS = {
+      markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', render: 'toMarkdown' },
+      json: { label: 'JSON', extension: 'json', mimeType: 'application/json', render: 'toJson' },
+      html: { label: 'HTML', extension: 'html', mimeType: 'text/html', render: 'toHtml' }
+    };
+
+    // Cancels the history load of the export in progress
+    let activeExport = null;
+
+    /**
+     * Saves text as a file download
+     * @param {string} filename - File name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type
+     * @returns {void}
+     * @private
+     */
+    function downloadFile(filename, content, mimeType) {
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Closes the export popup and cancels a running export
+     * @returns {void}
+     * @private
+     */
+    function closePopup() {
+      if (activeExport) {
+        activeExport.abort();
+        activeExport = null;
+      }
+      const overlay = document.querySelector('.chat-export-popup-overlay');
+      if (overlay) {
+        overlay.remove();
+      }
+      document.body.classList.remove('lovable-popup-active');
+    }
+
+    // Public API
+    return {
+      FORMATS,
+
+      /**
+       * Adds a Chat Export button to the navigation bar
+       * @returns {void}
+       */
+      addButton: function() {
+        const targetContainer = document.querySelector('div.ml-auto.flex.w-full.justify-end.md\\:ml-0');
+        if (!targetContainer) return;
+
+        // Check if our button already exists globally
+        if (document.getElementById('lovable-addon-chat-export')) return;
+
+        // Get or create the right-side container for our buttons
+        let buttonContainer = targetContainer.querySelector('.lovable-addon-buttons');
+        if (!buttonContainer) {
+          buttonContainer = document.createElement('div');
+          buttonContainer.className = 'lovable-addon-buttons flex gap-2 items-center ml-auto';
+          targetContainer.appendChild(buttonContainer);
+        }
+
+        const exportButton = document.createElement('button');
+        exportButton.id = 'lovable-addon-chat-export';
+        exportButton.className = 'whitespace-nowrap text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-ring disabled:pointer-events-none disabled:opacity-50 [&_svg]:pointer-events-none flex items-center justify-center h-fit focus-visible:ring-0 chat-export-button lovable-tooltip';
+        exportButton.style.border = 'none';
+        exportButton.style.borderRadius = '6px';
+        exportButton.style.padding = '6px';
+        exportButton.style.background = 'var(--lovable-button-bg-light, #272725)';
+        exportButton.style.zIndex = '10';
+        exportButton.style.position = 'relative';
+        exportButton.setAttribute('data-tooltip', 'Export chat transcript');
+        exportButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                <polyline points="7 10 12 15 17 10"></polyline>
+                <line x1="12" y1="15" x2="12" y2="3"></line>
+            </svg>
+        `;
+
+        exportButton.addEventListener('click', () => {
+          this.showPopup();
+        });
+
+        // Place after the Code Context button if it exists
+        const codeContextButton = buttonContainer.querySelector('#lovable-addon-code-context');
+        if (codeContextButton) {
+          buttonContainer.insertBefore(exportButton, codeContextButton.nextSibling);
+        } else {
+          buttonContainer.appendChild(exportButton);
+        }
+      },
+
+      /**
+       * Exports the open conversation
+       * @param {string} format - Key of FORMATS
+       * @param {Object} [options]
+       * @param {boolean} [options.loadHistory=true] - Scroll the chat to load older messages first
+       * @param {boolean} [options.copy=false] - Copy to the clipboard instead of downloading
+       * @param {Function} [options.onProgress] - Progress callback, see chatLog.loadAll()
+       * @param {AbortSignal} [options.signal] - Cancels the history load
+       * @returns {Promise<number>} Number of messages exported
+       */
+      exportConversation: async function(format, options = {}) {
+        const chatLog = LovableAddons.utils.chatLog;
+        const chatTranscript = LovableAddons.utils.chatTranscript;
+        const formatInfo = FORMATS[format];
+        if (!formatInfo) {
+          throw new Error(`Unknown export format "${format}"`);
+        }
+
+        const log = chatLog.findLog();
+        if (!log) {
+          throw new Error('Open a Lovable project chat to export it');
+        }
+
+        const messages = options.loadHistory === false
+          ? Array.from(log.children).map(element => chatLog.parseMessage(element)).filter(message => message.text)
+          : await chatLog.loadAll({ log, onProgress: options.onProgress, signal: options.signal });
+        if (messages.length === 0) {
+          throw new Error('No messages found in this chat');
+        }
+
+        const transcript = chatTranscript.createTranscript(messages, chatLog.getProjectInfo());
+        const content = chatTranscript[formatInfo.render](transcript);
+
+        if (options.copy) {
+          await navigator.clipboard.writeText(content);
+        } else {
+          downloadFile(chatTranscript.getFilename(transcript, formatInfo.extension), content, formatInfo.mimeType);
+        }
+        return messages.length;
+      },
+
+      /**
+       * Shows the export popup
+       * @returns {void}
+       */
+      showPopup: function() {
+        closePopup();
+
+        const self = this;
+        const overlay = document.createElement('div');
+        overlay.className = 'chat-export-popup-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(4px);
+            -webkit-backdrop-filter: blur(4px);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+            box-sizing: border-box;
+        `;
+        document.body.classList.add('lovable-popup-active');
+
+        const popup = document.createElement('div');
+        popup.className = 'chat-export-popup';
+        popup.style.cssText = `
+            padding: 16px;
+            border-radius: var(--lovable-popup-border-radius, 12px);
+            width: 420px;
+            max-width: 90vw;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            box-sizing: border-box;
+        `;
+        if (LovableAddons.utils.dom && typeof LovableAddons.utils.dom.prepareThemedPopup === 'function') {
+          LovableAddons.utils.dom.prepareThemedPopup(popup);
+        }
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding-bottom: 6px;
+            border-bottom: 1px solid #3F3F46;
+        `;
+        const title = document.createElement('h2');
+        title.textContent = 'Export Chat';
+        title.style.cssText = `
+            margin: 0;
+            font-size: 18px;
+            font-weight: 600;
+            color: var(--lovable-text-primary, #fff);
+        `;
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = '×';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.style.cssText = `
+            background: none;
+            border: none;
+            color: var(--lovable-text-secondary, #AAAAAA);
+            cursor: pointer;
+            font-size: 20px;
+            line-height: 1;
+            padding: 4px;
+        `;
+        closeButton.addEventListener('click', closePopup);
+        header.appendChild(title);
+        header.appendChild(closeButton);
+
+        const project = LovableAddons.utils.chatLog.getProjectInfo();
+        const description = document.createElement('div');
+        description.textContent = `Saves the conversation in "${project.name}" with its code blocks and timestamps.`;
+        description.style.cssText = 'font-size: 13px; color: var(--lovable-text-secondary, #A1A1AA);';
+
+        const formatRow = document.createElement('div');
+        formatRow.setAttribute('role', 'radiogroup');
+        formatRow.style.cssText = 'display: flex; gap: 16px; font-size: 14px; color: var(--lovable-text-primary, #fff);';
+        Object.keys(FORMATS).forEach((key, index) => {
+          const label = document.createElement('label');
+          label.style.cssText = 'display: flex; align-items: center; gap: 6px; cursor: pointer;';
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = 'chat-export-format';
+          radio.value = key;
+          radio.checked = index === 0;
+          label.appendChild(radio);
+          label.appendChild(document.createTextNode(FORMATS[key].label));
+          formatRow.appendChild(label);
+        });
+
+        const historyLabel = document.createElement('label');
+        historyLabel.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 13px; color: var(--lovable-text-secondary, #A1A1AA); cursor: pointer;';
+        const historyCheckbox = document.createElement('input');
+        historyCheckbox.type = 'checkbox';
+        historyCheckbox.checked = true;
+        historyLabel.appendChild(historyCheckbox);
+        historyLabel.appendChild(document.createTextNode('Load the full history first (scrolls the chat)'));
+
+        const status = document.createElement('div');
+        status.className = 'chat-export-status';
+        status.setAttribute('aria-live', 'polite');
+        status.style.cssText = 'min-height: 18px; font-size: 12px; color: var(--lovable-text-secondary, #A1A1AA);';
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px;';
+        const buttonStyle = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-button-secondary, #272725);
+            color: var(--lovable-text-primary, #fff);
+            cursor: pointer;
+            font-size: 14px;
+        `;
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.textContent = 'Copy';
+        copyButton.style.cssText = buttonStyle;
+        const downloadButton = document.createElement('button');
+        downloadButton.type = 'button';
+        downloadButton.textContent = 'Download';
+        downloadButton.style.cssText = buttonStyle;
+        buttons.appendChild(copyButton);
+        buttons.appendChild(downloadButton);
+
+        const run = async (copy) => {
+          const format = formatRow.querySelector('input:checked').value;
+          copyButton.disabled = true;
+          downloadButton.disabled = true;
+          activeExport = new AbortController();
+
+          try {
+            const count = await self.exportConversation(format, {
+              copy,
+              loadHistory: historyCheckbox.checked,
+              signal: activeExport.signal,
+              onProgress: ({ phase, count }) => {
+                status.textContent = phase === 'loading'
+                  ? `Loading older messages... (${count} loaded)`
+                  : `Collecting messages... (${count})`;
+              }
+            });
+            activeExport = null;
+            closePopup();
+            LovableAddons.utils.toast.showToast(
+              `${copy ? 'Copied' : 'Exported'} ${count} messages as ${FORMATS[format].label}`,
+              'success'
+            );
+          } catch (error) {
+            activeExport = null;
+            if (error.name === 'AbortError') return;
+            console.error('Chat export failed:', error);
+            status.textContent = error.message;
+            copyButton.disabled = false;
+            downloadButton.disabled = false;
+          }
+        };
+        copyButton.addEventListener('click', () => run(true));
+        downloadButton.addEventListener('click', () => run(false));
+
+        popup.appendChild(header);
+        popup.appendChild(description);
+        popup.appendChild(formatRow);
+        popup.appendChild(historyLabel);
+        popup.appendChild(status);
+        popup.appendChild(buttons);
+
+        overlay.addEventListener('click', (e) => {
+          if (e.target === overlay) closePopup();
+        });
+        overlay.appendChild(popup);
+        document.body.appendChild(overlay);
+
+        if (LovableAddons.utils.dom && typeof LovableAddons.utils.dom.applyThemeToPopups === 'function') {
+          LovableAddons.utils.dom.applyThemeToPopups();
+        }
+      },
+
+      /**
+       * Initializes the feature
+       * @returns {void}
+       */
+      init: function() {
+        this.addButton();
+      }
+    };
+  })();
+
+  // Register the chat export feature with the LovableAddons namespace
+  LovableAddons.registerFeature('chatExport', chatExportFeature);
+
+  // Initialize the feature when the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    chatExportFeature.init();
+  });
+
+})();
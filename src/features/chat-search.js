@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Chat search feature for Lovable Add-ons Chrome extension.
+ * Captures the messages of project chats as you browse and sends them to
+ * the background service worker for the side panel's full-text search, and
+ * scrolls to a message when a search result is opened.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  /**
+   * Chat search feature
+   * @namespace LovableAddons.features.chatSearch
+   */
+  const chatSearchFeature = (function() {
+    // Settings saved by the side panel (chrome.storage.sync): { enabled }
+    const SETTINGS_KEY = 'lovable_chat_search';
+
+    // Result opened in the side panel (chrome.storage.local): { projectId, messageId, text, requestedAt }
+    const TARGET_KEY = 'lovable_chat_search_target';
+
+    // Capture once the chat has been quiet this long, so streamed replies are complete
+    const CAPTURE_DELAY_MS = 3000;
+
+    // Longest a capture is postponed on a page that keeps changing
+    const MAX_CAPTURE_DELAY_MS = 15000;
+
+    // Results opened longer ago than this are ignored
+    const TARGET_MAX_AGE_MS = 2 * 60 * 1000;
+
+    // How long to wait for the chat of a newly opened project to render
+    const LOG_WAIT_MS = 15000;
+
+    const HIGHLIGHT_CLASS = 'chat-search-highlight';
+    const HIGHLIGHT_MS = 2500;
+
+    let enabled = true;
+    let captureTimer = null;
+    let captureRequestedAt = 0;
+    let jumping = false;
+
+    // ID last sent for each message element, so unchanged messages aren't resent
+    const indexedIds = new WeakMap();
+
+    /**
+     * Collapses whitespace for comparing message text
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     * @private
+     */
+    function normalize(text) {
+      return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Waits for the chat log to render its first messages
+     * @returns {Promise<HTMLElement|null>} The chat log, or null on timeout
+     * @private
+     */
+    async function waitForLog() {
+      const chatLog = LovableAddons.utils.chatLog;
+      for (let waited = 0; waited < LOG_WAIT_MS; waited += 500) {
+        const log = chatLog.findLog();
+        if (log && log.children.length > 0) return log;
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      return null;
+    }
+
+    // Public API
+    return {
+      /**
+       * Schedules a capture of the open chat. Called from the content script
+       * whenever the page changes; the capture runs once changes stop.
+       * @returns {void}
+       */
+      captureMessages: function() {
+        if (!enabled) return;
+        if (!captureTimer) {
+          captureRequestedAt = Date.now();
+        } else if (Date.now() - captureRequestedAt > MAX_CAPTURE_DELAY_MS) {
+          return;
+        }
+
+        clearTimeout(captureTimer);
+        captureTimer = setTimeout(() => {
+          captureTimer = null;
+          this.indexNow();
+        }, CAPTURE_DELAY_MS);
+      },
+
+      /**
+       * Sends new and changed messages of the open chat to the index
+       * @returns {number} Number of messages sent
+       */
+      indexNow: function() {
+        if (!enabled || !chrome.runtime?.id) return 0;
+
+        const chatLog = LovableAddons.utils.chatLog;
+        const chatIndex = LovableAddons.utils.chatIndex;
+        const project = chatLog.getProjectInfo();
+        const log = chatLog.findLog();
+        if (!project.id || !log) return 0;
+
+        const messages = [];
+        Array.from(log.children).forEach(element => {
+          const text = chatLog.getText(element);
+          if (!text) return;
+
+          const role = chatLog.getRole(element);
+          const id = chatIndex.getMessageId(project.id, role, text);
+          const previousId = indexedIds.get(element);
+          if (previousId === id) return;
+          indexedIds.set(element, id);
+
+          messages.push({
+            role,
+            text,
+            timestamp: chatLog.parseMessage(element).timestamp,
+            // Only the newest message changes in place, while its reply streams in
+            replaces: previousId && element === log.lastElementChild ? previousId : undefined
+          });
+        });
+        if (messages.length === 0) return 0;
+
+        chrome.runtime.sendMessage({ type: 'chatIndex:addMessages', project, messages })
+          .catch(error => {
+            console.error('Chat search: could not index messages:', error);
+          });
+        return messages.length;
+      },
+
+      /**
+       * Scrolls to a message opened from the side panel's search results and
+       * highlights it, loading older history as needed
+       * @param {{projectId: string, messageId: string, text: string, requestedAt: number}} target - Opened result
+       * @returns {Promise<boolean>} Whether the message was found
+       */
+      jumpToTarget: async function(target) {
+        const chatLog = LovableAddons.utils.chatLog;
+        const chatIndex = LovableAddons.utils.chatIndex;
+        if (jumping || !target || target.projectId !== chatLog.getProjectInfo().id) return false;
+
+        chrome.storage.local.remove(TARGET_KEY);
+        if (Date.now() - target.requestedAt > TARGET_MAX_AGE_MS) return false;
+
+        jumping = true;
+        try {
+          const log = await waitForLog();
+          const prefix = normalize(target.text || '').slice(0, 120);
+          const element = log && await chatLog.findMessage(candidate => {
+            const text = chatLog.getText(candidate);
+            return chatIndex.getMessageId(target.projectId, chatLog.getRole(candidate), text) === target.messageId ||
+              (prefix.length > 0 && normalize(text).startsWith(prefix));
+          }, { log });
+
+          if (!element) {
+            LovableAddons.utils.toast.showToast('Could not find that message in this chat', 'error');
+            return false;
+          }
+
+          element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+          element.classList.add(HIGHLIGHT_CLASS);
+          setTimeout(() => element.classList.remove(HIGHLIGHT_CLASS), HIGHLIGHT_MS);
+          return true;
+        } finally {
+          jumping = false;
+        }
+      },
+
+      /**
+       * Initializes the feature
+       * @returns {void}
+       */
+      init: function() {
+        if (!chrome.runtime?.id) return;
+
+        chrome.storage.sync.get([SETTINGS_KEY], result => {
+          enabled = !result[SETTINGS_KEY] || result[SETTINGS_KEY].enabled !== false;
+          this.captureMessages();
+        });
+
+        // A result may have been opened before this page loaded
+        chrome.storage.local.get([TARGET_KEY], result => {
+          this.jumpToTarget(result[TARGET_KEY]);
+        });
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+          if (area === 'sync' && changes[SETTINGS_KEY]) {
+            const settings = changes[SETTINGS_KEY].newValue;
+            enabled = !settings || settings.enabled !== false;
+          }
+          if (area === 'local' && changes[TARGET_KEY] && changes[TARGET_KEY].newValue) {
+            this.jumpToTarget(changes[TARGET_KEY].newValue);
+          }
+        });
+      }
+    };
+  })();
+
+  // Register the chat search feature with the LovableAddons namespace
+  LovableAddons.registerFeature('chatSearch', chatSearchFeature);
+
+  // Initialize the feature when the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    chatSearchFeature.init();
+  });
+
+})();
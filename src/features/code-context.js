@@ -75,6 +75,397 @@
       }
     }
 
+    /**
+     * How long the head commit looked up for the repository summary is reused
+     * before GitHub is asked again, so a push shows up within this time
+     * @type {number}
+     * @private
+     */
+    const SUMMARY_HEAD_TTL_MS = 60 * 1000;
+
+    /**
+     * Files left out of the repository summary besides binaries
+     * @type {string[]}
+     * @private
+     */
+    const SUMMARY_IGNORED_FILES = [
+      'bun.lockb',
+      'package-lock.json',
+      'yarn.lock',
+      'pnpm-lock.yaml',
+      '.DS_Store',
+      'Thumbs.db'
+    ];
+
+    /**
+     * Storage key (chrome.storage.sync) for the user's export ignore settings,
+     * saved from the extension popup: { rules, useRepoIgnoreFiles }
+     * @type {string}
+     * @private
+     */
+    const IGNORE_SETTINGS_KEY = 'lovable_code_context_ignore';
+
+    /**
+     * Most .gitignore and .lovablecontextignore files read from one repository
+     * @type {number}
+     * @private
+     */
+    const MAX_IGNORE_FILES = 20;
+
+    /**
+     * Files larger than this (in bytes) are exported without their content
+     * @type {number}
+     * @private
+     */
+    const MAX_EXPORT_FILE_SIZE = 1000000;
+
+    /**
+     * Commits looked at to find recently changed files
+     * @type {number}
+     * @private
+     */
+    const RECENT_COMMIT_COUNT = 10;
+
+    /**
+     * Recent commits offered in the export's ref picker
+     * @type {number}
+     * @private
+     */
+    const REF_COMMIT_COUNT = 20;
+
+    /**
+     * Most commits a diff-only export can cover with "last N commits"
+     * @type {number}
+     * @private
+     */
+    const MAX_DIFF_COMMITS = 100;
+
+    /**
+     * Most changed files the GitHub compare API lists for one comparison
+     * @type {number}
+     * @private
+     */
+    const COMPARE_FILE_LIMIT = 300;
+
+    /**
+     * Commits per page, and most pages read, when listing a comparison's commits
+     * @type {number}
+     * @private
+     */
+    const COMPARE_PAGE_SIZE = 100;
+    const MAX_COMPARE_PAGES = 10;
+
+    /**
+     * Storage key (chrome.storage.local) for the export token budget settings
+     * @type {string}
+     * @private
+     */
+    const BUDGET_STORAGE_KEY = 'codeContextBudget';
+
+    /**
+     * Storage key (chrome.storage.local) for the export file selections, by
+     * repository: { [repo]: { current, presets: { [name]: selection } } }
+     * @type {string}
+     * @private
+     */
+    const SELECTION_STORAGE_KEY = 'codeContextSelections';
+
+    /**
+     * Paths that look like route or page modules (file-based routers and route tables)
+     * @type {RegExp}
+     * @private
+     */
+    const ROUTE_FILE_PATTERN = /(^|\/)(pages|routes|app)\/.+\.(t|j)sx?$|(^|\/)(router|routes)\.(t|j)sx?$/i;
+
+    /**
+     * Reads the saved GitHub token and selected repository
+     * @returns {Promise<{token: string|undefined, repo: string|undefined}>}
+     * @private
+     */
+    function getGithubSettings() {
+      return new Promise(resolve => {
+        chrome.storage.local.get(['githubAccessToken', 'githubSelectedRepo'], result => {
+          resolve({ token: result.githubAccessToken, repo: result.githubSelectedRepo });
+        });
+      });
+    }
+
+    /**
+     * Reads the user's export ignore settings
+     * @returns {Promise<{rules: string, useRepoIgnoreFiles: boolean}>} Settings, with defaults filled in
+     * @private
+     */
+    function getIgnoreSettings() {
+      return new Promise(resolve => {
+        chrome.storage.sync.get([IGNORE_SETTINGS_KEY], result => {
+          const saved = result[IGNORE_SETTINGS_KEY] || {};
+          resolve({
+            rules: typeof saved.rules === 'string' ? saved.rules : LovableAddons.utils.ignoreRules.DEFAULT_USER_RULES,
+            useRepoIgnoreFiles: saved.useRepoIgnoreFiles !== false
+          });
+        });
+      });
+    }
+
+    /**
+     * Reads the saved export file selections
+     * @returns {Promise<Object<string, {current: Object, presets: Object<string, Object>}>>} Selections by repository
+     * @private
+     */
+    function getSavedSelections() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([SELECTION_STORAGE_KEY], result => {
+          resolve(result[SELECTION_STORAGE_KEY] || {});
+        });
+      });
+    }
+
+    /**
+     * Renders the contents of a folder in the export file picker, with a
+     * checkbox per file and folder. Closed folders aren't rendered, so large
+     * repositories stay quick.
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} folder - Folder from fileSelection.buildTree()
+     * @param {{unchecked: Set<string>, expanded: Set<string>, update: function(boolean): void}} state - Unticked
+     *   file paths, open folder paths and a callback to re-render, told whether the selection changed
+     * @param {number} [depth=0] - Nesting level
+     * @private
+     */
+    function renderPickerFolder(container, folder, state, depth = 0) {
+      const createRow = () => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 1px 6px 1px ${depth * 14 + 6}px;
+        `;
+        return row;
+      };
+
+      folder.folders.forEach(child => {
+        const open = state.expanded.has(child.path);
+        const checkedCount = child.filePaths.filter(path => !state.unchecked.has(path)).length;
+        const row = createRow();
+
+        const toggle = document.createElement('span');
+        toggle.textContent = open ? '▾' : '▸';
+        toggle.style.cssText = 'width: 10px; flex-shrink: 0; cursor: pointer;';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checkedCount === child.filePaths.length;
+        checkbox.indeterminate = checkedCount > 0 && checkedCount < child.filePaths.length;
+        checkbox.addEventListener('change', () => {
+          child.filePaths.forEach(path => {
+            if (checkbox.checked) {
+              state.unchecked.delete(path);
+            } else {
+              state.unchecked.add(path);
+            }
+          });
+          state.update(true);
+        });
+
+        const name = document.createElement('span');
+        name.textContent = `${child.name}/`;
+        name.style.cssText = 'flex-grow: 1; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+        const count = document.createElement('span');
+        count.textContent = `${checkedCount}/${child.filePaths.length}`;
+        count.style.cssText = 'flex-shrink: 0; color: #AAAAAA;';
+
+        [toggle, name].forEach(element => element.addEventListener('click', () => {
+          if (open) {
+            state.expanded.delete(child.path);
+          } else {
+            state.expanded.add(child.path);
+          }
+          state.update(false);
+        }));
+
+        row.appendChild(toggle);
+        row.appendChild(checkbox);
+        row.appendChild(name);
+        row.appendChild(count);
+        container.appendChild(row);
+
+        if (open) renderPickerFolder(container, child, state, depth + 1);
+      });
+
+      folder.files.forEach(file => {
+        const row = createRow();
+
+        const spacer = document.createElement('span');
+        spacer.style.cssText = 'width: 10px; flex-shrink: 0;';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !state.unchecked.has(file.path);
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) {
+            state.unchecked.delete(file.path);
+          } else {
+            state.unchecked.add(file.path);
+          }
+          state.update(true);
+        });
+
+        const name = document.createElement('span');
+        name.textContent = file.name;
+        name.title = file.path;
+        name.style.cssText = 'flex-grow: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+        const tokens = document.createElement('span');
+        tokens.textContent = `~${LovableAddons.utils.contextBudget.estimateFileTokens(file.path, file.size).toLocaleString()}`;
+        tokens.style.cssText = 'flex-shrink: 0; color: #AAAAAA;';
+
+        row.appendChild(spacer);
+        row.appendChild(checkbox);
+        row.appendChild(name);
+        row.appendChild(tokens);
+        container.appendChild(row);
+      });
+    }
+
+    /**
+     * Encodes a repository file path for a contents API URL, keeping its slashes
+     * @param {string} path - File path
+     * @returns {string} Path with each segment URL-encoded
+     * @private
+     */
+    function encodeRepoPath(path) {
+      return path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * Joins the patches of changed files into a unified diff. Files GitHub
+     * gave no patch for are marked as omitted rather than left empty.
+     * @param {Array<{path: string, previousPath?: string, status: string, patch?: string,
+     *   patchOmitted?: boolean, content?: string}>} files - Files from fetchRepoDiff
+     * @returns {string} Unified diff
+     * @private
+     */
+    function buildUnifiedDiff(files) {
+      return files.map(file => {
+        const oldPath = file.previousPath || file.path;
+        const lines = [`diff --git a/${oldPath} b/${file.path}`];
+        if (file.previousPath) {
+          lines.push(`rename from ${file.previousPath}`, `rename to ${file.path}`);
+        }
+        lines.push(`--- ${file.status === 'added' ? '/dev/null' : `a/${oldPath}`}`);
+        lines.push(`+++ ${file.status === 'removed' ? '/dev/null' : `b/${file.path}`}`);
+        if (file.patchOmitted) {
+          const fallback = file.content !== undefined ? ' The full file follows the diff.' : '';
+          lines.push(`Diff omitted by GitHub: the file is binary or the change is too large.${fallback}`);
+        } else {
+          lines.push(file.patch || '');
+        }
+        return lines.filter(Boolean).join('\n');
+      }).join('\n');
+    }
+
+    /**
+     * Extracts route paths and their components from a React Router source file
+     * @param {string} source - Source of App.tsx or a router module
+     * @returns {Array<{path: string, element: string}>} Routes in source order
+     * @private
+     */
+    function extractRoutes(source) {
+      const routes = [];
+      if (!source) return routes;
+
+      // JSX: <Route path="/about" element={<About />} />
+      const jsxPattern = /<Route\b/g;
+      let match;
+      while ((match = jsxPattern.exec(source)) !== null) {
+        const tag = source.slice(match.index, match.index + 300);
+        const path = tag.match(/path=\{?\s*["'`]([^"'`]+)["'`]/);
+        const element = tag.match(/element=\{\s*<\s*([A-Z][\w.]*)/);
+        if (path) routes.push({ path: path[1], element: element ? element[1] : '' });
+      }
+
+      // Object routes: { path: '/about', element: <About /> }
+      const objectPattern = /path:\s*["'`]([^"'`]+)["'`]\s*,\s*element:\s*<\s*([A-Z][\w.]*)/g;
+      while ((match = objectPattern.exec(source)) !== null) {
+        routes.push({ path: match[1], element: match[2] });
+      }
+
+      return routes;
+    }
+
+    /**
+     * Renders file paths as an indented tree, folding directories below maxDepth
+     * @param {string[]} paths - File paths
+     * @param {number} maxDepth - Deepest directory level to expand
+     * @returns {string} Tree text
+     * @private
+     */
+    function renderFileTree(paths, maxDepth) {
+      const root = { dirs: {}, files: [], count: 0 };
+      paths.forEach(path => {
+        const segments = path.split('/');
+        let node = root;
+        node.count++;
+        segments.slice(0, -1).forEach(segment => {
+          node.dirs[segment] = node.dirs[segment] || { dirs: {}, files: [], count: 0 };
+          node = node.dirs[segment];
+          node.count++;
+        });
+        node.files.push(segments[segments.length - 1]);
+      });
+
+      const lines = [];
+      const walk = (node, depth) => {
+        const indent = '  '.repeat(depth);
+        Object.keys(node.dirs).sort().forEach(name => {
+          const dir = node.dirs[name];
+          if (depth + 1 >= maxDepth) {
+            lines.push(`${indent}${name}/ (${dir.count} files)`);
+          } else {
+            lines.push(`${indent}${name}/`);
+            walk(dir, depth + 1);
+          }
+        });
+        node.files.sort().forEach(name => lines.push(`${indent}${name}`));
+      };
+      walk(root, 0);
+      return lines.join('\n');
+    }
+
+    /**
+     * Formats collected repository facts into a summary that fits a token budget.
+     * The file tree is folded level by level, then dropped, before anything else is cut.
+     * @param {Object} facts - Repository facts gathered by getRepoSummary
+     * @param {number} maxTokens - Token budget
+     * @returns {string} Summary text
+     * @private
+     */
+    function formatRepoSummary(facts, maxTokens) {
+      let head = `Repository: ${facts.repo} (${facts.ref})\n`;
+      if (facts.dependencies.length) {
+        head += `Dependencies: ${facts.dependencies.join(', ')}\n`;
+      }
+      if (facts.devDependencies.length) {
+        head += `Dev dependencies: ${facts.devDependencies.join(', ')}\n`;
+      }
+      if (facts.routes.length) {
+        head += `Routes:\n${facts.routes.map(r => `- ${r.path}${r.element ? ` -> ${r.element}` : ''}`).join('\n')}\n`;
+      }
+      if (facts.routeFiles.length) {
+        head += `Route files:\n${facts.routeFiles.map(path => `- ${path}`).join('\n')}\n`;
+      }
+
+      const maxDepth = Math.max(...facts.paths.map(path => path.split('/').length));
+      for (let depth = maxDepth; depth >= 1; depth--) {
+        const summary = `${head}File tree:\n${renderFileTree(facts.paths, depth)}`;
+        if (LovableAddons.utils.llm.estimateTokens(summary) <= maxTokens) return summary;
+      }
+
+      if (LovableAddons.utils.llm.estimateTokens(head) <= maxTokens) return head.trim();
+      return `${head.slice(0, Math.max(0, maxTokens * 4 - 20))}\n[truncated]`;
+    }
+
     // Public API
     return {
       /**
@@ -424,30 +815,70 @@
         exportRepoButton.addEventListener('mouseover', () => exportRepoButton.style.backgroundColor = 'var(--lovable-button-secondary-hover, #2167DB)');
         exportRepoButton.addEventListener('mouseout', () => exportRepoButton.style.backgroundColor = 'var(--lovable-button-secondary, #3F3F46)');
 
-        // Add event listener for export button
-        exportRepoButton.addEventListener('click', async () => {
-            const selectedRepo = repoSelect.value;
-            const token = tokenInput.value || localStorage.getItem('github_token');
-            const selectedFormat = document.querySelector('input[name="export-format"]:checked').value;
-            const fileFilter = document.getElementById('file-filter-input').value.trim();
+        // Create Insert into Chat button
+        const insertRepoButton = document.createElement('button');
+        insertRepoButton.id = 'insert-repo-button';
+        insertRepoButton.className = 'code-context-export-button';
+        insertRepoButton.textContent = 'Insert into Chat';
+        insertRepoButton.style.cssText = exportRepoButton.style.cssText;
+        insertRepoButton.addEventListener('mouseover', () => insertRepoButton.style.backgroundColor = 'var(--lovable-button-secondary-hover, #2167DB)');
+        insertRepoButton.addEventListener('mouseout', () => insertRepoButton.style.backgroundColor = 'var(--lovable-button-secondary, #3F3F46)');
+
+        const exportButtonRow = document.createElement('div');
+        exportButtonRow.style.cssText = `
+            display: flex;
+            gap: 6px;
+        `;
+        exportButtonRow.appendChild(exportRepoButton);
+        exportButtonRow.appendChild(insertRepoButton);
+
+        // 'repo' exports the whole repository, 'diff' only what changed
+        let exportMode = 'repo';
+
+        // Describes the export for buttons and toasts, e.g. "Changes as XML"
+        const getExportLabel = () => `${exportMode === 'diff' ? 'Changes' : 'Codebase'} as ${markdownRadio.checked ? 'Markdown' : 'XML'}`;
+
+        const updateExportButtons = () => {
+            exportRepoButton.textContent = `Copy ${getExportLabel()}`;
+            insertRepoButton.textContent = 'Insert into Chat';
+        };
 
-            // Parse file extensions filter
-            const fileExtensions = fileFilter ?
+        // Parses the comma-separated file extensions filter
+        const getFileExtensions = () => {
+            const fileFilter = document.getElementById('file-filter-input').value.trim();
+            return fileFilter ?
                 fileFilter.split(',').map(ext => ext.trim().toLowerCase()) :
                 [];
+        };
+
+        // Copies the export to the clipboard ('copy') or inserts it into the chat box ('insert')
+        const runExport = async (action) => {
+            const selectedRepo = repoSelect.value;
+            const token = tokenInput.value || localStorage.getItem('github_token');
+            const selectedFormat = document.querySelector('input[name="export-format"]:checked').value;
+            const fileExtensions = getFileExtensions();
+            const budget = getBudget();
+            const selection = getSelection();
+            const ref = getRef();
+            const label = getExportLabel();
+            const verb = action === 'insert' ? 'Insert' : 'Copy';
 
             if (!selectedRepo || !token) {
                 LovableAddons.utils.toast.showToast('Please select a repository and provide a valid token', 'error');
                 return;
             }
 
+            const diffOptions = exportMode === 'diff' ? getDiffOptions() : null;
+            if (exportMode === 'diff' && !diffOptions) return;
+
             try {
                 // Update UI
                 exportRepoButton.disabled = true;
-                exportRepoButton.textContent = 'Copying...';
+                insertRepoButton.disabled = true;
+                (action === 'insert' ? insertRepoButton : exportRepoButton).textContent = `${verb === 'Insert' ? 'Inserting' : 'Copying'}...`;
 
                 // Show filter status if applicable
-                const filterStatus = fileExtensions.length > 0 ?
+                const filterStatus = fileExtensions.length > 0 && !diffOptions ?
                     ` (Filtered: ${fileExtensions.join(', ')})` : '';
 
                 statusIndicator.textContent = `Copying...${filterStatus}`;
@@ -456,38 +887,322 @@
                 // Create a cancellable operation object
                 const cancelToken = { cancelled: false };
 
-                // Fetch repository data based on selected format
+                // Fetch repository data based on selected mode and format
                 let content;
-                if (selectedFormat === 'xml') {
-                    content = await self.fetchRepoAsXml(selectedRepo, token, cancelToken, fileExtensions);
+                if (diffOptions) {
+                    const options = Object.assign({}, diffOptions, { head: ref });
+                    content = selectedFormat === 'xml' ?
+                        await self.fetchDiffAsXml(selectedRepo, token, cancelToken, options) :
+                        await self.fetchDiffAsMarkdown(selectedRepo, token, cancelToken, options);
+                } else if (selectedFormat === 'xml') {
+                    content = await self.fetchRepoAsXml(selectedRepo, token, cancelToken, fileExtensions, { budget, selection, ref });
                 } else {
-                    content = await self.fetchRepoAsMarkdown(selectedRepo, token, cancelToken, fileExtensions);
+                    content = await self.fetchRepoAsMarkdown(selectedRepo, token, cancelToken, fileExtensions, { budget, selection, ref });
                 }
 
-                // Copy to clipboard
-                const success = await copyToClipboard(content);
+                // Copy to clipboard or insert into the chat box
+                const success = action === 'insert' ? self.insertIntoTextarea(content) : await copyToClipboard(content);
+                const tokens = `~${LovableAddons.utils.llm.estimateTokens(content).toLocaleString()} tokens`;
 
                 // Update UI
                 exportRepoButton.disabled = false;
-                exportRepoButton.textContent = `Copy Codebase as ${selectedFormat.toUpperCase()}`;
+                insertRepoButton.disabled = false;
+                updateExportButtons();
 
                 if (success) {
                     statusIndicator.textContent = `Connected: ${selectedRepo.split('/').pop()}`;
                     statusIndicator.style.color = '#4CAF50'; // Green
-                    LovableAddons.utils.toast.showToast(`Codebase copied as ${selectedFormat.toUpperCase()} to clipboard!`, 'success');
+                    if (action === 'insert') {
+                        LovableAddons.utils.toast.showToast(`${label} (${tokens}) inserted into the chat`, 'success');
+                        self.closePopup();
+                    } else {
+                        LovableAddons.utils.toast.showToast(`${label} (${tokens}) copied to clipboard!`, 'success');
+                    }
                 } else {
-                    statusIndicator.textContent = 'Copy failed';
+                    statusIndicator.textContent = `${verb} failed`;
                     statusIndicator.style.color = '#FF6347'; // Red
-                    LovableAddons.utils.toast.showToast('Failed to copy to clipboard', 'error');
+                    if (action !== 'insert') {
+                        LovableAddons.utils.toast.showToast('Failed to copy to clipboard', 'error');
+                    }
                 }
             } catch (error) {
-                console.error('Error copying repository:', error);
+                console.error('Error exporting repository:', error);
                 exportRepoButton.disabled = false;
-                exportRepoButton.textContent = `Copy Codebase as ${selectedFormat.toUpperCase()}`;
-                statusIndicator.textContent = 'Copy failed';
+                insertRepoButton.disabled = false;
+                updateExportButtons();
+                statusIndicator.textContent = `${verb} failed`;
                 statusIndicator.style.color = '#FF6347'; // Red
-                LovableAddons.utils.toast.showToast(`Copy failed: ${error.message}`, 'error');
+                LovableAddons.utils.toast.showToast(`${verb} failed: ${error.message}`, 'error');
+            }
+        };
+
+        // Add event listeners for export buttons
+        exportRepoButton.addEventListener('click', () => runExport('copy'));
+        insertRepoButton.addEventListener('click', () => runExport('insert'));
+
+        // Add export mode: the whole repository or only what changed
+        const modeContainer = document.createElement('div');
+        modeContainer.style.cssText = `
+            align-items: center;
+            gap: 10px;
+            margin-top: 8px;
+            font-size: 13px;
+            display: none;
+        `;
+
+        const modeLabel = document.createElement('span');
+        modeLabel.textContent = 'Export:';
+        modeLabel.style.color = '#AAAAAA';
+        modeContainer.appendChild(modeLabel);
+
+        [['repo', 'Whole repository'], ['diff', 'Changes only']].forEach(([value, text]) => {
+            const option = document.createElement('label');
+            option.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                cursor: pointer;
+            `;
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'export-mode';
+            radio.value = value;
+            radio.checked = value === exportMode;
+            radio.addEventListener('change', () => {
+                if (!radio.checked) return;
+                exportMode = value;
+                applyExportMode();
+            });
+            option.appendChild(radio);
+            option.appendChild(document.createTextNode(text));
+            modeContainer.appendChild(option);
+        });
+
+        // Add diff options: the last N commits, or everything since a base ref
+        const diffContainer = document.createElement('div');
+        diffContainer.className = 'code-context-diff-options';
+        diffContainer.style.cssText = `
+            margin-top: 8px;
+            font-size: 13px;
+            display: none;
+        `;
+
+        const diffInputStyle = `
+            padding: 4px 8px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-highlight-color, #27272A);
+            color: var(--lovable-text-primary, #E4E4E7);
+            font-size: 13px;
+            box-sizing: border-box;
+        `;
+
+        const createDiffRow = () => {
+            const row = document.createElement('label');
+            row.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-bottom: 4px;
+                cursor: pointer;
+            `;
+            diffContainer.appendChild(row);
+            return row;
+        };
+
+        const commitsRangeRadio = document.createElement('input');
+        commitsRangeRadio.type = 'radio';
+        commitsRangeRadio.name = 'diff-range';
+        commitsRangeRadio.checked = true;
+
+        const commitCountInput = document.createElement('input');
+        commitCountInput.type = 'number';
+        commitCountInput.min = '1';
+        commitCountInput.max = String(MAX_DIFF_COMMITS);
+        commitCountInput.value = '1';
+        commitCountInput.style.cssText = `${diffInputStyle} width: 64px;`;
+        commitCountInput.addEventListener('focus', () => { commitsRangeRadio.checked = true; });
+
+        const commitsRow = createDiffRow();
+        commitsRow.appendChild(commitsRangeRadio);
+        commitsRow.appendChild(document.createTextNode('Last'));
+        commitsRow.appendChild(commitCountInput);
+        commitsRow.appendChild(document.createTextNode('commits'));
+
+        const baseRangeRadio = document.createElement('input');
+        baseRangeRadio.type = 'radio';
+        baseRangeRadio.name = 'diff-range';
+
+        const baseRefInput = document.createElement('input');
+        baseRefInput.type = 'text';
+        baseRefInput.placeholder = 'Base branch, tag or commit SHA';
+        baseRefInput.setAttribute('list', 'code-context-base-refs');
+        baseRefInput.style.cssText = `${diffInputStyle} flex-grow: 1;`;
+        baseRefInput.addEventListener('focus', () => { baseRangeRadio.checked = true; });
+
+        const baseRefList = document.createElement('datalist');
+        baseRefList.id = 'code-context-base-refs';
+
+        const baseRow = createDiffRow();
+        baseRow.appendChild(baseRangeRadio);
+        baseRow.appendChild(document.createTextNode('Since'));
+        baseRow.appendChild(baseRefInput);
+        baseRow.appendChild(baseRefList);
+
+        const includeContentCheckbox = document.createElement('input');
+        includeContentCheckbox.type = 'checkbox';
+        includeContentCheckbox.checked = true;
+
+        const includeContentRow = createDiffRow();
+        includeContentRow.style.color = '#AAAAAA';
+        includeContentRow.appendChild(includeContentCheckbox);
+        includeContentRow.appendChild(document.createTextNode('Include the full content of changed files'));
+
+        const diffHint = document.createElement('div');
+        diffHint.textContent = 'Changes are taken up to the branch, tag or commit chosen above.';
+        diffHint.style.cssText = 'font-size: 12px; color: #AAAAAA;';
+        diffContainer.appendChild(diffHint);
+
+        // Reads the diff options from the form; shows an error and returns null when incomplete
+        const getDiffOptions = () => {
+            const includeContent = includeContentCheckbox.checked;
+            if (commitsRangeRadio.checked) {
+                const commitCount = parseInt(commitCountInput.value, 10);
+                if (!(commitCount >= 1)) {
+                    LovableAddons.utils.toast.showToast('Enter how many commits to include', 'error');
+                    return null;
+                }
+                return { commitCount: Math.min(commitCount, MAX_DIFF_COMMITS), includeContent };
+            }
+
+            const base = baseRefInput.value.trim();
+            if (!base) {
+                LovableAddons.utils.toast.showToast('Enter a base branch, tag or commit to compare with', 'error');
+                return null;
+            }
+            return { base, includeContent };
+        };
+
+        // Shows the options that apply to the chosen export mode
+        const applyExportMode = () => {
+            const diffMode = exportMode === 'diff';
+            filterContainer.style.display = diffMode ? 'none' : 'block';
+            selectionContainer.style.display = diffMode ? 'none' : 'block';
+            budgetContainer.style.display = diffMode ? 'none' : 'block';
+            diffContainer.style.display = diffMode ? 'block' : 'none';
+            updateExportButtons();
+        };
+
+
+        // Add ref picker: export a branch, tag or commit instead of the default branch
+        const refContainer = document.createElement('div');
+        refContainer.className = 'code-context-ref-picker';
+        refContainer.style.cssText = `
+            margin-top: 8px;
+            font-size: 13px;
+            display: none;
+        `;
+
+        const refLabel = document.createElement('label');
+        refLabel.htmlFor = 'code-context-ref-select';
+        refLabel.textContent = 'Branch, tag or commit:';
+        refLabel.style.cssText = `
+            display: block;
+            margin-bottom: 4px;
+            color: #AAAAAA;
+        `;
+
+        const refSelect = document.createElement('select');
+        refSelect.id = 'code-context-ref-select';
+        refSelect.style.cssText = `
+            width: 100%;
+            padding: 5px 8px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-highlight-color, #27272A);
+            color: var(--lovable-text-primary, #E4E4E7);
+            font-size: 13px;
+            box-sizing: border-box;
+        `;
+
+        refContainer.appendChild(refLabel);
+        refContainer.appendChild(refSelect);
+
+        // Value of the option that asks for any commit SHA or ref name
+        const OTHER_REF = '__other__';
+        let refsRepo = '';
+        let previousRef = '';
+
+        // Returns the chosen ref, or undefined for the default branch
+        const getRef = () => (refSelect.value && refSelect.value !== OTHER_REF ? refSelect.value : undefined);
+
+        const addRefOption = (parent, value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            parent.appendChild(option);
+            return option;
+        };
+
+        const addRefGroup = (label, items) => {
+            if (items.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            items.forEach(([value, text]) => addRefOption(group, value, text));
+            refSelect.appendChild(group);
+        };
+
+        // Lists the branches, tags and recent commits of a repository
+        const loadRefs = async (repo) => {
+            refsRepo = repo;
+            previousRef = '';
+            refSelect.innerHTML = '';
+            addRefOption(refSelect, '', 'Default branch');
+            refSelect.disabled = true;
+
+            try {
+                const refs = await self.fetchRepoRefs(repo, tokenInput.value);
+                if (refsRepo !== repo) return;
+                refSelect.options[0].textContent = `Default branch (${refs.defaultBranch})`;
+                baseRefList.innerHTML = '';
+                refs.branches.concat(refs.tags).forEach(name => addRefOption(baseRefList, name, name));
+                addRefGroup('Branches', refs.branches
+                    .filter(branch => branch !== refs.defaultBranch)
+                    .map(branch => [branch, branch]));
+                addRefGroup('Tags', refs.tags.map(tag => [tag, tag]));
+                addRefGroup('Recent commits', refs.commits.map(commit => {
+                    const message = commit.message.length > 50 ? `${commit.message.slice(0, 50)}…` : commit.message;
+                    const date = commit.date ? ` · ${new Date(commit.date).toLocaleDateString()}` : '';
+                    return [commit.sha, `${commit.sha.slice(0, 7)} ${message}${date}`];
+                }));
+            } catch (error) {
+                console.warn('Could not load branches and tags:', error);
+            } finally {
+                if (refsRepo === repo) {
+                    addRefOption(refSelect, OTHER_REF, 'Other commit or ref...');
+                    refSelect.disabled = false;
+                }
+            }
+        };
+
+        refSelect.addEventListener('change', () => {
+            if (refSelect.value === OTHER_REF) {
+                const ref = (prompt('Commit SHA, branch or tag:') || '').trim();
+                if (!ref) {
+                    refSelect.value = previousRef;
+                    return;
+                }
+                const existing = Array.from(refSelect.options).find(option => option.value === ref);
+                const option = existing || addRefOption(refSelect, ref, ref);
+                if (!existing) refSelect.insertBefore(option, refSelect.options[1] || null);
+                refSelect.value = ref;
             }
+
+            previousRef = refSelect.value;
+            resetPickerTree();
+            renderPicker();
+            estimateSummary.textContent = '';
+            estimateBreakdown.style.display = 'none';
         });
 
         // Add file filter option
@@ -525,18 +1240,330 @@
         filterContainer.appendChild(filterLabel);
         filterContainer.appendChild(filterInput);
 
-        // Add format selection
-        const formatSelectionContainer = document.createElement('div');
-        formatSelectionContainer.style.cssText = `
-            display: flex;
-            align-items: center;
-            gap: 10px;
+        // Add file picker: glob patterns, a checkable file tree and saved presets
+        const fileSelection = LovableAddons.utils.fileSelection;
+        const pickerState = {
+            repo: '',
+            files: null,
+            presets: {},
+            unchecked: new Set(),
+            expanded: new Set(),
+            update: (selectionChanged) => {
+                renderPicker();
+                if (selectionChanged) saveCurrentSelection();
+            }
+        };
+
+        const selectionContainer = document.createElement('div');
+        selectionContainer.className = 'code-context-file-picker';
+        selectionContainer.style.cssText = `
             margin-top: 8px;
             font-size: 13px;
             display: none;
         `;
 
-        const formatLabel = document.createElement('span');
+        const selectionHeader = document.createElement('div');
+        selectionHeader.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 4px;
+        `;
+
+        const selectionLabel = document.createElement('span');
+        selectionLabel.textContent = 'Files:';
+        selectionLabel.style.color = '#AAAAAA';
+
+        const selectionSummary = document.createElement('span');
+        selectionSummary.className = 'code-context-selection-summary';
+        selectionSummary.style.cssText = 'flex-grow: 1; color: #AAAAAA;';
+
+        const pickerButtonStyle = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-button-secondary, #3F3F46);
+            color: var(--lovable-text-primary, #fff);
+            cursor: pointer;
+            font-size: 13px;
+        `;
+
+        const chooseFilesButton = document.createElement('button');
+        chooseFilesButton.className = 'code-context-connect-button';
+        chooseFilesButton.textContent = 'Choose Files';
+        chooseFilesButton.style.cssText = pickerButtonStyle;
+
+        selectionHeader.appendChild(selectionLabel);
+        selectionHeader.appendChild(selectionSummary);
+        selectionHeader.appendChild(chooseFilesButton);
+
+        const patternInputStyle = `
+            width: 100%;
+            padding: 5px 8px;
+            border-radius: 4px;
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #E4E4E7;
+            font-size: 13px;
+            box-sizing: border-box;
+        `;
+
+        const patternRow = document.createElement('div');
+        patternRow.style.cssText = `
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 6px;
+            margin-bottom: 6px;
+        `;
+
+        const includeInput = document.createElement('input');
+        includeInput.type = 'text';
+        includeInput.placeholder = 'Include, e.g. src/**, supabase/**';
+        includeInput.title = 'Comma-separated globs. Leave empty to include everything';
+        includeInput.style.cssText = patternInputStyle;
+
+        const excludeInput = document.createElement('input');
+        excludeInput.type = 'text';
+        excludeInput.placeholder = 'Exclude, e.g. *.test.*, docs/';
+        excludeInput.title = 'Comma-separated globs';
+        excludeInput.style.cssText = patternInputStyle;
+
+        patternRow.appendChild(includeInput);
+        patternRow.appendChild(excludeInput);
+
+        const presetRow = document.createElement('div');
+        presetRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        `;
+
+        const presetSelect = document.createElement('select');
+        presetSelect.style.cssText = `
+            flex-grow: 1;
+            padding: 5px 8px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-highlight-color, #27272A);
+            color: var(--lovable-text-primary, #E4E4E7);
+            font-size: 13px;
+        `;
+
+        const savePresetButton = document.createElement('button');
+        savePresetButton.className = 'code-context-connect-button';
+        savePresetButton.textContent = 'Save Preset';
+        savePresetButton.style.cssText = pickerButtonStyle;
+
+        const deletePresetButton = document.createElement('button');
+        deletePresetButton.className = 'code-context-connect-button';
+        deletePresetButton.textContent = 'Delete';
+        deletePresetButton.style.cssText = pickerButtonStyle;
+
+        presetRow.appendChild(presetSelect);
+        presetRow.appendChild(savePresetButton);
+        presetRow.appendChild(deletePresetButton);
+
+        const pickerTree = document.createElement('div');
+        pickerTree.className = 'code-context-file-tree';
+        pickerTree.style.cssText = `
+            margin-top: 6px;
+            max-height: 240px;
+            overflow-y: auto;
+            border: 1px solid #3F3F46;
+            border-radius: 4px;
+            font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+            font-size: 12px;
+            display: none;
+        `;
+
+        selectionContainer.appendChild(selectionHeader);
+        selectionContainer.appendChild(patternRow);
+        selectionContainer.appendChild(presetRow);
+        selectionContainer.appendChild(pickerTree);
+
+        // Reads the file selection from the form
+        const getSelection = () => ({
+            include: fileSelection.parsePatterns(includeInput.value),
+            exclude: fileSelection.parsePatterns(excludeInput.value),
+            unchecked: Array.from(pickerState.unchecked)
+        });
+
+        // Fills the form from a saved selection
+        const setSelection = (selection = {}) => {
+            includeInput.value = (selection.include || []).join(', ');
+            excludeInput.value = (selection.exclude || []).join(', ');
+            pickerState.unchecked = new Set(selection.unchecked || []);
+        };
+
+        // Shows the files matching the patterns as a tree, and how many are selected
+        const renderPicker = () => {
+            const selection = getSelection();
+            if (!pickerState.files) {
+                selectionSummary.textContent = fileSelection.isEmpty(selection) ? 'All files' : 'Custom selection';
+                return;
+            }
+
+            const fileExtensions = getFileExtensions();
+            const files = fileExtensions.length > 0 ?
+                pickerState.files.filter(file => fileExtensions.includes(file.path.split('.').pop().toLowerCase())) :
+                pickerState.files;
+            const matched = files.filter(file => fileSelection.isMatched(file.path, selection));
+            const selectedCount = matched.filter(file => !pickerState.unchecked.has(file.path)).length;
+            selectionSummary.textContent = `${selectedCount} of ${files.length} files selected`;
+
+            pickerTree.innerHTML = '';
+            renderPickerFolder(pickerTree, fileSelection.buildTree(matched), pickerState);
+            if (matched.length === 0) {
+                pickerTree.textContent = 'No files match these patterns';
+                pickerTree.style.padding = '6px';
+            } else {
+                pickerTree.style.padding = '0';
+            }
+        };
+
+        // Lists the saved presets of the repository
+        const renderPresets = () => {
+            presetSelect.innerHTML = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = Object.keys(pickerState.presets).length ? 'Apply a preset...' : 'No saved presets';
+            presetSelect.appendChild(placeholder);
+            Object.keys(pickerState.presets).sort().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                presetSelect.appendChild(option);
+            });
+            deletePresetButton.disabled = true;
+        };
+
+        // Remembers the selection of the repository for the next export
+        const saveCurrentSelection = async () => {
+            if (!pickerState.repo) return;
+            const selections = await getSavedSelections();
+            selections[pickerState.repo] = Object.assign({}, selections[pickerState.repo], { current: getSelection() });
+            chrome.storage.local.set({ [SELECTION_STORAGE_KEY]: selections });
+        };
+
+        // Forgets the loaded files, e.g. when another ref is chosen
+        const resetPickerTree = () => {
+            pickerState.files = null;
+            pickerState.expanded = new Set();
+            pickerTree.style.display = 'none';
+            chooseFilesButton.textContent = 'Choose Files';
+        };
+
+        // Loads the saved selection and presets of a repository
+        const loadSelection = async (repo) => {
+            pickerState.repo = repo;
+            resetPickerTree();
+
+            const saved = (await getSavedSelections())[repo] || {};
+            if (pickerState.repo !== repo) return;
+            pickerState.presets = saved.presets || {};
+            setSelection(saved.current);
+            renderPresets();
+            renderPicker();
+        };
+
+        chooseFilesButton.addEventListener('click', async () => {
+            if (pickerTree.style.display !== 'none') {
+                pickerTree.style.display = 'none';
+                chooseFilesButton.textContent = 'Choose Files';
+                return;
+            }
+
+            const repo = repoSelect.value;
+            const token = tokenInput.value;
+            if (!repo || !token) {
+                LovableAddons.utils.toast.showToast('Please select a repository and provide a valid token', 'error');
+                return;
+            }
+
+            if (!pickerState.files) {
+                chooseFilesButton.disabled = true;
+                chooseFilesButton.textContent = 'Loading...';
+                try {
+                    const ref = getRef();
+                    const { files } = await self._listExportFiles(repo, token, [], undefined, ref);
+                    if (pickerState.repo !== repo || getRef() !== ref) return;
+                    pickerState.files = files;
+                } catch (error) {
+                    console.error('Error loading repository tree:', error);
+                    LovableAddons.utils.toast.showToast(`Could not load files: ${error.message}`, 'error');
+                    chooseFilesButton.textContent = 'Choose Files';
+                    return;
+                } finally {
+                    chooseFilesButton.disabled = false;
+                }
+            }
+
+            pickerTree.style.display = 'block';
+            chooseFilesButton.textContent = 'Hide Files';
+            renderPicker();
+        });
+
+        [includeInput, excludeInput].forEach(input => {
+            input.addEventListener('input', renderPicker);
+            input.addEventListener('change', saveCurrentSelection);
+        });
+        filterInput.addEventListener('input', renderPicker);
+
+        presetSelect.addEventListener('change', () => {
+            const preset = pickerState.presets[presetSelect.value];
+            deletePresetButton.disabled = !preset;
+            if (!preset) return;
+            setSelection(preset);
+            pickerState.update(true);
+        });
+
+        savePresetButton.addEventListener('click', async () => {
+            if (!pickerState.repo) return;
+            const name = (prompt('Preset name:', presetSelect.value) || '').trim();
+            if (!name) return;
+
+            const selections = await getSavedSelections();
+            const saved = selections[pickerState.repo] || {};
+            saved.presets = Object.assign({}, saved.presets, { [name]: getSelection() });
+            selections[pickerState.repo] = saved;
+            chrome.storage.local.set({ [SELECTION_STORAGE_KEY]: selections }, () => {
+                pickerState.presets = saved.presets;
+                renderPresets();
+                presetSelect.value = name;
+                deletePresetButton.disabled = false;
+                LovableAddons.utils.toast.showToast(`Saved preset "${name}"`, 'success');
+            });
+        });
+
+        deletePresetButton.addEventListener('click', async () => {
+            const name = presetSelect.value;
+            if (!pickerState.repo || !name) return;
+            if (!confirm(`Delete the preset "${name}"?`)) return;
+
+            const selections = await getSavedSelections();
+            const saved = selections[pickerState.repo] || {};
+            saved.presets = Object.assign({}, saved.presets);
+            delete saved.presets[name];
+            selections[pickerState.repo] = saved;
+            chrome.storage.local.set({ [SELECTION_STORAGE_KEY]: selections }, () => {
+                pickerState.presets = saved.presets;
+                renderPresets();
+                LovableAddons.utils.toast.showToast(`Deleted preset "${name}"`, 'success');
+            });
+        });
+
+        // Add format selection
+        const formatSelectionContainer = document.createElement('div');
+        formatSelectionContainer.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            margin-top: 8px;
+            font-size: 13px;
+            display: none;
+        `;
+
+        const formatLabel = document.createElement('span');
         formatLabel.textContent = 'Format:';
         formatLabel.style.color = '#AAAAAA';
 
@@ -574,21 +1601,230 @@
         formatSelectionContainer.appendChild(markdownFormatOption);
 
         // Add event listeners for format selection to update button text
-        xmlRadio.addEventListener('change', function() {
-            if (this.checked) {
-                exportRepoButton.textContent = 'Copy Codebase as XML';
+        xmlRadio.addEventListener('change', updateExportButtons);
+        markdownRadio.addEventListener('change', updateExportButtons);
+
+        // Add token budget options and the size estimate
+        const budgetContainer = document.createElement('div');
+        budgetContainer.className = 'code-context-budget';
+        budgetContainer.style.cssText = `
+            margin-top: 8px;
+            font-size: 13px;
+            display: none;
+        `;
+
+        const budgetRow = document.createElement('div');
+        budgetRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 6px;
+        `;
+
+        const budgetLabel = document.createElement('label');
+        budgetLabel.htmlFor = 'code-context-budget-input';
+        budgetLabel.textContent = 'Token budget:';
+        budgetLabel.style.color = '#AAAAAA';
+
+        const budgetInput = document.createElement('input');
+        budgetInput.id = 'code-context-budget-input';
+        budgetInput.type = 'number';
+        budgetInput.min = '1000';
+        budgetInput.step = '1000';
+        budgetInput.placeholder = 'No limit';
+        budgetInput.setAttribute('list', 'code-context-budget-presets');
+        budgetInput.style.cssText = `
+            width: 140px;
+            padding: 5px 8px;
+            border-radius: 4px;
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #E4E4E7;
+            font-size: 13px;
+            box-sizing: border-box;
+        `;
+
+        // Common context window sizes
+        const budgetPresets = document.createElement('datalist');
+        budgetPresets.id = 'code-context-budget-presets';
+        [32000, 128000, 200000, 1000000].forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            budgetPresets.appendChild(option);
+        });
+
+        const estimateButton = document.createElement('button');
+        estimateButton.className = 'code-context-connect-button';
+        estimateButton.textContent = 'Estimate Size';
+        estimateButton.style.cssText = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-button-secondary, #3F3F46);
+            color: var(--lovable-text-primary, #fff);
+            cursor: pointer;
+            font-size: 13px;
+            margin-left: auto;
+        `;
+
+        budgetRow.appendChild(budgetLabel);
+        budgetRow.appendChild(budgetInput);
+        budgetRow.appendChild(budgetPresets);
+        budgetRow.appendChild(estimateButton);
+        budgetContainer.appendChild(budgetRow);
+
+        // Strategies applied, in this order, while the export is over budget
+        const budgetStrategies = [
+            { key: 'dropTests', label: 'Drop tests first' },
+            { key: 'trimSignatures', label: 'Trim large files to signatures' },
+            { key: 'preferRecent', label: 'Prioritise recently changed files' }
+        ];
+        const strategyCheckboxes = {};
+        budgetStrategies.forEach(strategy => {
+            const strategyLabel = document.createElement('label');
+            strategyLabel.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-bottom: 2px;
+                color: #AAAAAA;
+                cursor: pointer;
+            `;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            strategyCheckboxes[strategy.key] = checkbox;
+            strategyLabel.appendChild(checkbox);
+            strategyLabel.appendChild(document.createTextNode(strategy.label));
+            budgetContainer.appendChild(strategyLabel);
+        });
+
+        const estimateSummary = document.createElement('div');
+        estimateSummary.className = 'code-context-estimate-summary';
+        estimateSummary.style.cssText = `
+            margin-top: 6px;
+            color: #AAAAAA;
+        `;
+
+        const estimateBreakdown = document.createElement('div');
+        estimateBreakdown.className = 'code-context-estimate-breakdown';
+        estimateBreakdown.style.cssText = `
+            margin-top: 6px;
+            max-height: 180px;
+            overflow-y: auto;
+            border: 1px solid #3F3F46;
+            border-radius: 4px;
+            font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+            font-size: 12px;
+            display: none;
+        `;
+
+        budgetContainer.appendChild(estimateSummary);
+        budgetContainer.appendChild(estimateBreakdown);
+
+        // Reads the budget options from the form
+        const getBudget = () => ({
+            maxTokens: parseInt(budgetInput.value, 10) || 0,
+            dropTests: strategyCheckboxes.dropTests.checked,
+            trimSignatures: strategyCheckboxes.trimSignatures.checked,
+            preferRecent: strategyCheckboxes.preferRecent.checked
+        });
+
+        // Shows the projected size and the per-file token breakdown
+        const renderEstimate = (plan) => {
+            const kept = plan.files.filter(file => file.action !== 'drop');
+            const trimmed = plan.files.filter(file => file.action === 'signatures').length;
+            let summary = `≈ ${plan.totalTokens.toLocaleString()} tokens in ${kept.length} files`;
+            if (plan.maxTokens) {
+                summary += ` (budget ${plan.maxTokens.toLocaleString()}: ${plan.fits ? 'fits' : 'over'})`;
             }
+            if (trimmed) summary += `, ${trimmed} trimmed to signatures`;
+            if (kept.length < plan.files.length) summary += `, ${plan.files.length - kept.length} left out`;
+            estimateSummary.textContent = summary;
+            estimateSummary.style.color = plan.fits ? '#4CAF50' : '#FFA500';
+
+            estimateBreakdown.innerHTML = '';
+            [...plan.files].sort((a, b) => b.fullTokens - a.fullTokens).forEach(file => {
+                const row = document.createElement('div');
+                row.style.cssText = `
+                    display: flex;
+                    gap: 8px;
+                    padding: 2px 6px;
+                    ${file.action === 'drop' ? 'opacity: 0.5; text-decoration: line-through;' : ''}
+                `;
+                const tokens = document.createElement('span');
+                tokens.textContent = file.fullTokens.toLocaleString();
+                tokens.style.cssText = 'min-width: 64px; text-align: right; flex-shrink: 0;';
+                const path = document.createElement('span');
+                path.textContent = file.path;
+                path.style.cssText = 'flex-grow: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+                path.title = file.path;
+                const note = document.createElement('span');
+                note.style.cssText = 'flex-shrink: 0; color: #AAAAAA;';
+                if (file.action === 'signatures') {
+                    note.textContent = `signatures ≈ ${file.tokens.toLocaleString()}`;
+                } else if (file.action === 'drop') {
+                    note.textContent = file.reason === 'test' ? 'test, left out' : 'left out';
+                } else if (file.recent) {
+                    note.textContent = 'recent';
+                }
+                row.appendChild(tokens);
+                row.appendChild(path);
+                row.appendChild(note);
+                estimateBreakdown.appendChild(row);
+            });
+            estimateBreakdown.style.display = plan.files.length ? 'block' : 'none';
+        };
+
+        // Save the budget options whenever they change
+        const saveBudget = () => {
+            chrome.storage.local.set({ [BUDGET_STORAGE_KEY]: getBudget() });
+        };
+        budgetInput.addEventListener('change', saveBudget);
+        Object.values(strategyCheckboxes).forEach(checkbox => checkbox.addEventListener('change', saveBudget));
+
+        chrome.storage.local.get([BUDGET_STORAGE_KEY], (result) => {
+            const saved = result[BUDGET_STORAGE_KEY];
+            if (!saved) return;
+            budgetInput.value = saved.maxTokens || '';
+            budgetStrategies.forEach(strategy => {
+                strategyCheckboxes[strategy.key].checked = saved[strategy.key] !== false;
+            });
         });
 
-        markdownRadio.addEventListener('change', function() {
-            if (this.checked) {
-                exportRepoButton.textContent = 'Copy Codebase as Markdown';
+        estimateButton.addEventListener('click', async () => {
+            const selectedRepo = repoSelect.value;
+            const token = tokenInput.value;
+            if (!selectedRepo || !token) {
+                LovableAddons.utils.toast.showToast('Please select a repository and provide a valid token', 'error');
+                return;
+            }
+
+            estimateButton.disabled = true;
+            estimateButton.textContent = 'Estimating...';
+            try {
+                renderEstimate(await self.estimateRepoContext(selectedRepo, token, getFileExtensions(), {
+                    budget: getBudget(),
+                    selection: getSelection(),
+                    ref: getRef()
+                }));
+            } catch (error) {
+                console.error('Error estimating code context size:', error);
+                LovableAddons.utils.toast.showToast(`Estimate failed: ${error.message}`, 'error');
+            } finally {
+                estimateButton.disabled = false;
+                estimateButton.textContent = 'Estimate Size';
             }
         });
 
-        githubSection.appendChild(exportRepoButton);
+        githubSection.appendChild(exportButtonRow);
+        githubSection.appendChild(modeContainer);
+        githubSection.appendChild(refContainer);
         githubSection.appendChild(filterContainer);
+        githubSection.appendChild(selectionContainer);
+        githubSection.appendChild(diffContainer);
         githubSection.appendChild(formatSelectionContainer);
+        githubSection.appendChild(budgetContainer);
 
         // Add GitHub section to content area
         contentArea.appendChild(githubSection);
@@ -597,16 +1833,6 @@
         popup.appendChild(contentArea);
 
         // Add footer with ignored files info
-        const ignoredFiles = [
-            'bun.lockb',
-            '.gitignore',
-            'package-lock.json',
-            'yarn.lock',
-            'pnpm-lock.yaml',
-            '.DS_Store',
-            'Thumbs.db'
-        ];
-
         const popupFooter = document.createElement('div');
         popupFooter.style.cssText = `
             margin-top: 12px;
@@ -616,7 +1842,7 @@
             color: #666666;
             text-align: center;
         `;
-        popupFooter.textContent = `Ignored files: ${ignoredFiles.join(', ')}`;
+        popupFooter.textContent = 'Files matched by .gitignore, .lovablecontextignore and your ignore rules in the extension settings are left out';
         popup.appendChild(popupFooter);
 
         // Add event listener for repo selection change
@@ -624,14 +1850,25 @@
             const selectedRepo = this.value;
             if (selectedRepo) {
                 exportRepoButton.style.display = 'block';
-                filterContainer.style.display = 'block';
+                insertRepoButton.style.display = 'block';
+                modeContainer.style.display = 'flex';
+                refContainer.style.display = 'block';
                 formatSelectionContainer.style.display = 'flex';
+                applyExportMode();
+                loadRefs(selectedRepo);
+                loadSelection(selectedRepo);
                 statusIndicator.textContent = `Selected: ${selectedRepo.split('/').pop()}`;
                 statusIndicator.style.color = '#64B5F6'; // Blue
             } else {
                 exportRepoButton.style.display = 'none';
+                insertRepoButton.style.display = 'none';
+                modeContainer.style.display = 'none';
+                refContainer.style.display = 'none';
                 filterContainer.style.display = 'none';
+                selectionContainer.style.display = 'none';
+                diffContainer.style.display = 'none';
                 formatSelectionContainer.style.display = 'none';
+                budgetContainer.style.display = 'none';
                 statusIndicator.textContent = 'Connected';
                 statusIndicator.style.color = '#4CAF50'; // Green
             }
@@ -685,7 +1922,10 @@
                 // Show export button if repo is selected
                 if (result.githubSelectedRepo && exportRepoButton) {
                     exportRepoButton.style.display = 'block';
+                    insertRepoButton.style.display = 'block';
+                    modeContainer.style.display = 'flex';
                     formatSelectionContainer.style.display = 'flex';
+                    applyExportMode();
                 }
             } else {
                 updateGithubUI(false);
@@ -994,222 +2234,594 @@
       _repoCache: {},
 
       /**
-       * Fetches all files from a GitHub repository and formats them as XML
+       * Fetches the name of a repository's default branch
        * @param {string} repoFullName - The full name of the repository (owner/repo)
        * @param {string} token - The GitHub access token
-       * @param {Object} [cancelToken] - Optional object with cancelled property to check for cancellation
-       * @param {string[]} [fileExtensions] - Optional array of file extensions to filter by
-       * @returns {Promise<string>} - Promise resolving to XML string
+       * @returns {Promise<string>} Branch name
        */
-      fetchRepoAsXml: async function(repoFullName, token, cancelToken = { cancelled: false }, fileExtensions = []) {
-        if (!repoFullName || !token) {
-          throw new Error('Repository name and token are required');
+      fetchDefaultBranch: async function(repoFullName, token) {
+        const cacheKey = `${repoFullName}_default_branch`;
+        if (this._repoCache[cacheKey]) {
+          return this._repoCache[cacheKey];
         }
 
-        try {
-          // Check cache first - include file extensions in cache key
-          const extensionsKey = fileExtensions.length > 0 ? `_${fileExtensions.join('_')}` : '';
-          const cacheKey = `${repoFullName}_xml${extensionsKey}`;
-          if (this._repoCache[cacheKey]) {
-            console.log('Using cached repository data for XML export');
-            // Update UI to show we're using cached data
-            const statusIndicator = document.getElementById('github-status-indicator');
-            if (statusIndicator) {
-              statusIndicator.textContent = 'Using cached data...';
-              statusIndicator.style.color = '#64B5F6'; // Blue
-            }
-            return this._repoCache[cacheKey];
+        const repoResponse = await fetch(`https://api.github.com/repos/${repoFullName}`, {
+          headers: {
+            'Authorization': `token ${token}`,
+            'Accept': 'application/vnd.github.v3+json'
           }
+        });
 
-          // First, get the default branch
-          const repoResponse = await fetch(`https://api.github.com/repos/${repoFullName}`, {
-            headers: {
-              'Authorization': `token ${token}`,
-              'Accept': 'application/vnd.github.v3+json'
-            }
-          });
+        if (!repoResponse.ok) {
+          throw new Error(`Failed to fetch repository info: ${repoResponse.status}`);
+        }
+
+        const repoData = await repoResponse.json();
+        this._repoCache[cacheKey] = repoData.default_branch;
+        return repoData.default_branch;
+      },
+
+      /**
+       * Fetches the recursive file tree of a branch, tag or commit
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} [ref] - Branch, tag or commit SHA; defaults to the default branch
+       * @returns {Promise<{ref: string, tree: {tree: Array}}>} The ref and the git tree response
+       */
+      fetchRepoTree: async function(repoFullName, token, ref) {
+        const treeRef = ref || await this.fetchDefaultBranch(repoFullName, token);
+        const cacheKey = `${repoFullName}@${treeRef}_tree`;
+        if (this._repoCache[cacheKey]) {
+          return this._repoCache[cacheKey];
+        }
 
-          if (!repoResponse.ok) {
-            throw new Error(`Failed to fetch repository info: ${repoResponse.status}`);
+        // Get the tree recursively (all files in the repo)
+        const treeResponse = await fetch(`https://api.github.com/repos/${repoFullName}/git/trees/${encodeURIComponent(treeRef)}?recursive=1`, {
+          headers: {
+            'Authorization': `token ${token}`,
+            'Accept': 'application/vnd.github.v3+json'
           }
+        });
+
+        if (!treeResponse.ok) {
+          throw new Error(`Failed to fetch repository tree for ${treeRef}: ${treeResponse.status}`);
+        }
 
-          const repoData = await repoResponse.json();
-          const defaultBranch = repoData.default_branch;
+        const result = { ref: treeRef, tree: await treeResponse.json() };
+        this._repoCache[cacheKey] = result;
+        return result;
+      },
 
-          // Get the tree recursively (all files in the repo)
-          const treeResponse = await fetch(`https://api.github.com/repos/${repoFullName}/git/trees/${defaultBranch}?recursive=1`, {
+      /**
+       * Lists the branches, tags and recent commits of a repository for the
+       * export's ref picker
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @returns {Promise<{defaultBranch: string, branches: string[], tags: string[],
+       *   commits: Array<{sha: string, message: string, date: string}>}>} Refs; commits are the
+       *   default branch's most recent, newest first
+       */
+      fetchRepoRefs: async function(repoFullName, token) {
+        const cacheKey = `${repoFullName}_refs`;
+        if (this._repoCache[cacheKey]) {
+          return this._repoCache[cacheKey];
+        }
+
+        const fetchList = async (path) => {
+          const response = await fetch(`https://api.github.com/repos/${repoFullName}/${path}`, {
             headers: {
               'Authorization': `token ${token}`,
               'Accept': 'application/vnd.github.v3+json'
             }
           });
+          if (!response.ok) {
+            throw new Error(`Failed to fetch ${path.split('?')[0]}: ${response.status}`);
+          }
+          return response.json();
+        };
+
+        const defaultBranch = await this.fetchDefaultBranch(repoFullName, token);
+        const [branches, tags, commits] = await Promise.all([
+          fetchList('branches?per_page=100'),
+          fetchList('tags?per_page=100'),
+          fetchList(`commits?sha=${encodeURIComponent(defaultBranch)}&per_page=${REF_COMMIT_COUNT}`)
+        ]);
+
+        const refs = {
+          defaultBranch,
+          branches: branches.map(branch => branch.name)
+            .sort((a, b) => (b === defaultBranch) - (a === defaultBranch) || a.localeCompare(b)),
+          tags: tags.map(tag => tag.name),
+          commits: commits.map(commit => ({
+            sha: commit.sha,
+            message: (commit.commit.message || '').split('\n')[0],
+            date: commit.commit.author ? commit.commit.author.date : ''
+          }))
+        };
+        this._repoCache[cacheKey] = refs;
+        return refs;
+      },
+
+      /**
+       * Returns the GitHub token and selected repository saved by connectToGithub
+       * @returns {Promise<{token: string|undefined, repo: string|undefined}>}
+       */
+      getGithubConnection: function() {
+        return getGithubSettings();
+      },
 
-          if (!treeResponse.ok) {
-            throw new Error(`Failed to fetch repository tree: ${treeResponse.status}`);
+      /**
+       * Fetches and decodes a single file from a repository
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} path - File path within the repository
+       * @param {string} [ref] - Branch, tag or commit to read from; defaults to the default branch
+       * @returns {Promise<string|null>} File content, or null if it can't be fetched
+       */
+      fetchFileContent: async function(repoFullName, token, path, ref) {
+        const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+        const response = await fetch(`https://api.github.com/repos/${repoFullName}/contents/${encodeRepoPath(path)}${query}`, {
+          headers: {
+            'Authorization': `token ${token}`,
+            'Accept': 'application/vnd.github.v3+json'
           }
+        });
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.content ? this._decodeBase64(data.content) : null;
+      },
 
-          const treeData = await treeResponse.json();
+      /**
+       * Looks up the commit SHA a branch points to. The answer is reused for
+       * SUMMARY_HEAD_TTL_MS.
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} branch - Branch name
+       * @returns {Promise<string>} Commit SHA
+       */
+      fetchHeadSha: async function(repoFullName, token, branch) {
+        const cacheKey = `${repoFullName}@${branch}_head`;
+        const cached = this._repoCache[cacheKey];
+        if (cached && Date.now() - cached.fetchedAt < SUMMARY_HEAD_TTL_MS) {
+          return cached.sha;
+        }
 
-          // Start building XML
-          let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
-          xml += `<repository name="${repoFullName}" exported="${new Date().toISOString()}">\n`;
-
-          // Files to ignore
-          const ignoredFiles = [
-            'bun.lockb',
-            '.gitignore',
-            'package-lock.json',
-            'yarn.lock',
-            'pnpm-lock.yaml',
-            '.DS_Store',
-            'Thumbs.db'
-          ];
-
-          // Process only blob items (files, not directories) and filter out ignored files
-          const fileItems = treeData.tree.filter(item => {
-            // Skip directories and ignored files
-            if (item.type !== 'blob') return false;
-
-            // Check if the file is in the ignore list
-            const fileName = item.path.split('/').pop();
-            if (ignoredFiles.includes(fileName)) return false;
-
-            // Apply extension filter if provided
-            if (fileExtensions.length > 0) {
-              const extension = fileName.split('.').pop().toLowerCase();
-              if (!fileExtensions.includes(extension)) return false;
+        const response = await fetch(`https://api.github.com/repos/${repoFullName}/commits/${encodeURIComponent(branch)}`, {
+          headers: {
+            'Authorization': `token ${token}`,
+            'Accept': 'application/vnd.github.sha'
+          }
+        });
+        if (!response.ok) {
+          throw new Error(`Failed to fetch the head of ${branch}: ${response.status}`);
+        }
+
+        const sha = (await response.text()).trim();
+        this._repoCache[cacheKey] = { sha, fetchedAt: Date.now() };
+        return sha;
+      },
+
+      /**
+       * Builds a compact summary of the connected repository for prompt context:
+       * package.json dependencies, React Router routes, route files and a file tree.
+       * The summary is cached per head commit of the default branch, so it is
+       * rebuilt after a push.
+       * @param {number} maxTokens - Token budget for the summary
+       * @returns {Promise<string|null>} Summary, or null when no repository is connected
+       */
+      getRepoSummary: async function(maxTokens) {
+        const { token, repo } = await getGithubSettings();
+        if (!token || !repo) return null;
+
+        const branch = await this.fetchDefaultBranch(repo, token);
+        const head = await this.fetchHeadSha(repo, token, branch);
+        const cacheKey = `${repo}@${head}_summary`;
+        let facts = this._repoCache[cacheKey];
+        if (!facts) {
+          // Read the tree and files at the commit, whose cache entries never go stale
+          const { tree } = await this.fetchRepoTree(repo, token, head);
+          const paths = tree.tree
+            .filter(item => item.type === 'blob')
+            .map(item => item.path)
+            .filter(path => !this.isBinaryPath(path) && !SUMMARY_IGNORED_FILES.includes(path.split('/').pop()));
+
+          let dependencies = [];
+          let devDependencies = [];
+          if (paths.includes('package.json')) {
+            try {
+              const pkg = JSON.parse(await this.fetchFileContent(repo, token, 'package.json', head) || '{}');
+              dependencies = Object.keys(pkg.dependencies || {});
+              devDependencies = Object.keys(pkg.devDependencies || {});
+            } catch (error) {
+              console.warn('Could not parse package.json for repository summary:', error);
             }
+          }
+
+          const appFile = paths.find(path => /^src\/App\.(t|j)sx?$/.test(path));
+          const routes = appFile ? extractRoutes(await this.fetchFileContent(repo, token, appFile, head)) : [];
+
+          facts = {
+            repo,
+            ref: branch,
+            paths,
+            dependencies,
+            devDependencies,
+            routes,
+            routeFiles: paths.filter(path => ROUTE_FILE_PATTERN.test(path))
+          };
+          this._repoCache[cacheKey] = facts;
+        }
+
+        return formatRepoSummary(facts, maxTokens);
+      },
 
-            return true;
+      /**
+       * Loads the ignore rules for exports of a repository: the user's rules
+       * from settings, then each .gitignore and .lovablecontextignore in the
+       * tree, parent folders before the folders inside them
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} [ref] - Branch, tag or commit SHA; defaults to the default branch
+       * @returns {Promise<Array<Object>>} Rules from ignoreRules.parse(), lowest precedence first
+       */
+      getExportIgnoreRules: async function(repoFullName, token, ref) {
+        const ignoreRules = LovableAddons.utils.ignoreRules;
+        const settings = await getIgnoreSettings();
+        const userRules = ignoreRules.parse(settings.rules);
+        if (!settings.useRepoIgnoreFiles) return userRules;
+
+        const { ref: treeRef, tree } = await this.fetchRepoTree(repoFullName, token, ref);
+        const cacheKey = `${repoFullName}@${treeRef}_ignore`;
+        if (!this._repoCache[cacheKey]) {
+          const depth = path => path.split('/').length;
+          const ignoreFiles = tree.tree
+            .filter(item => item.type === 'blob' && ignoreRules.FILE_NAMES.includes(item.path.split('/').pop()))
+            .sort((a, b) => depth(a.path) - depth(b.path) ||
+              ignoreRules.FILE_NAMES.indexOf(a.path.split('/').pop()) - ignoreRules.FILE_NAMES.indexOf(b.path.split('/').pop()) ||
+              a.path.localeCompare(b.path))
+            .slice(0, MAX_IGNORE_FILES);
+
+          const contents = await Promise.all(ignoreFiles.map(file => this.fetchFileContent(repoFullName, token, file.path, treeRef)));
+          this._repoCache[cacheKey] = ignoreFiles.flatMap((file, index) => {
+            const folder = file.path.includes('/') ? file.path.slice(0, file.path.lastIndexOf('/')) : '';
+            return ignoreRules.parse(contents[index], folder);
           });
+        }
 
-          // Sort files by path for better organization
-          fileItems.sort((a, b) => a.path.localeCompare(b.path));
+        return userRules.concat(this._repoCache[cacheKey]);
+      },
+
+      /**
+       * Lists the files a code export covers: blobs that the ignore rules
+       * don't exclude and that match the extension filter and file selection,
+       * sorted by path
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string[]} [fileExtensions] - Optional array of file extensions to filter by
+       * @param {Object} [selection] - Optional file selection, see fileSelection.apply()
+       * @param {string} [ref] - Branch, tag or commit SHA; defaults to the default branch
+       * @returns {Promise<{ref: string, files: Array<{path: string, size: number}>}>} The ref and its tree items
+       * @private
+       */
+      _listExportFiles: async function(repoFullName, token, fileExtensions = [], selection, ref) {
+        const { ref: treeRef, tree } = await this.fetchRepoTree(repoFullName, token, ref);
+        const rules = await this.getExportIgnoreRules(repoFullName, token, treeRef);
+
+        const fileItems = tree.tree.filter(item => {
+          // Skip directories
+          if (item.type !== 'blob') return false;
+
+          // Apply extension filter if provided
+          if (fileExtensions.length > 0) {
+            const extension = item.path.split('/').pop().split('.').pop().toLowerCase();
+            if (!fileExtensions.includes(extension)) return false;
+          }
 
-          // Track progress
-          let processedFiles = 0;
-          const totalFiles = fileItems.length;
-          let lastProgressUpdate = Date.now();
+          return true;
+        });
 
-          // Create a progress bar in the UI
-          const statusIndicator = document.getElementById('github-status-indicator');
-          if (statusIndicator) {
-            statusIndicator.innerHTML = `
-              <div style="display: flex; flex-direction: column; gap: 4px; width: 100%;">
-                <div>Copying: 0% (0/${totalFiles})</div>
-                <div style="width: 100%; background: #333; height: 4px; border-radius: 2px;">
-                  <div id="progress-bar" style="width: 0%; background: #4CAF50; height: 100%; border-radius: 2px; transition: width 0.3s;"></div>
-                </div>
+        // Sort files by path for better organization
+        fileItems.sort((a, b) => a.path.localeCompare(b.path));
+        const files = LovableAddons.utils.ignoreRules.filter(fileItems, rules);
+        return { ref: treeRef, files: LovableAddons.utils.fileSelection.apply(files, selection) };
+      },
+
+      /**
+       * Tells whether an export lists a file without its content
+       * @param {{path: string, size: number}} file - Tree item
+       * @returns {boolean} True for binaries and very large files
+       * @private
+       */
+      _isContentSkipped: function(file) {
+        return this.isBinaryPath(file.path) || file.size > MAX_EXPORT_FILE_SIZE;
+      },
+
+      /**
+       * Fetches the content of files for an export in batches, showing progress
+       * in the popup's status indicator
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} ref - Branch, tag or commit to read from
+       * @param {Array<{path: string, size: number}>} fileItems - Files to fetch
+       * @param {Object} cancelToken - Object with cancelled property to check for cancellation
+       * @returns {Promise<Array<{path: string, size: number, content?: string, binary?: boolean, error?: string}>>}
+       *   One result per file, in order; content has empty lines removed
+       * @private
+       */
+      _fetchExportContents: async function(repoFullName, token, ref, fileItems, cancelToken) {
+        // Track progress
+        let processedFiles = 0;
+        const totalFiles = fileItems.length;
+        let lastProgressUpdate = Date.now();
+
+        // Create a progress bar in the UI
+        const statusIndicator = document.getElementById('github-status-indicator');
+        if (statusIndicator) {
+          statusIndicator.innerHTML = `
+            <div style="display: flex; flex-direction: column; gap: 4px; width: 100%;">
+              <div>Copying: 0% (0/${totalFiles})</div>
+              <div style="width: 100%; background: #333; height: 4px; border-radius: 2px;">
+                <div id="progress-bar" style="width: 0%; background: #4CAF50; height: 100%; border-radius: 2px; transition: width 0.3s;"></div>
               </div>
-            `;
+            </div>
+          `;
+        }
+
+        // Use adaptive batch sizing based on repository size
+        // Larger repos use larger batches for better performance
+        const batchSize = totalFiles > 500 ? 15 : (totalFiles > 200 ? 10 : 5);
+        const results = [];
+
+        // Process files in batches to avoid rate limiting
+        for (let i = 0; i < fileItems.length; i += batchSize) {
+          // Check for cancellation between batches
+          if (cancelToken.cancelled) {
+            console.log('Code export operation cancelled');
+            throw new Error('Operation cancelled by user');
           }
 
-          // Use adaptive batch sizing based on repository size
-          // Larger repos use larger batches for better performance
-          const batchSize = totalFiles > 500 ? 15 : (totalFiles > 200 ? 10 : 5);
+          const batch = fileItems.slice(i, i + batchSize);
 
-          // Store all file contents for faster processing
-          const fileContents = {};
+          // Process batch in parallel
+          const batchResults = await Promise.all(batch.map(async (file) => {
+            const result = { path: file.path, size: file.size };
+            try {
+              // Skip binary files and very large files
+              if (this._isContentSkipped(file)) {
+                result.binary = true;
+                return result;
+              }
 
-          // Process files in batches to avoid rate limiting
-          for (let i = 0; i < fileItems.length; i += batchSize) {
-            // Check for cancellation between batches
-            if (cancelToken.cancelled) {
-              console.log('XML export operation cancelled');
-              throw new Error('Operation cancelled by user');
-            }
+              // Fetch file content
+              const contentResponse = await fetch(`https://api.github.com/repos/${repoFullName}/contents/${encodeRepoPath(file.path)}?ref=${encodeURIComponent(ref)}`, {
+                headers: {
+                  'Authorization': `token ${token}`,
+                  'Accept': 'application/vnd.github.v3+json'
+                }
+              });
 
-            const batch = fileItems.slice(i, i + batchSize);
+              if (!contentResponse.ok) {
+                result.error = 'Failed to fetch content';
+                return result;
+              }
 
-            // Process batch in parallel
-            const batchResults = await Promise.all(batch.map(async (file) => {
-              try {
-                // Skip binary files and very large files
-                if (this.isBinaryPath(file.path) || file.size > 1000000) {
-                  processedFiles++;
-                  return `  <file path="${this.escapeXml(file.path)}" type="binary" size="${file.size}" />\n`;
-                }
+              const contentData = await contentResponse.json();
 
-                // Fetch file content
-                const contentResponse = await fetch(`https://api.github.com/repos/${repoFullName}/contents/${file.path}?ref=${defaultBranch}`, {
-                  headers: {
-                    'Authorization': `token ${token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                  }
-                });
-
-                if (!contentResponse.ok) {
-                  processedFiles++;
-                  return `  <file path="${this.escapeXml(file.path)}" error="Failed to fetch content" />\n`;
+              // GitHub API returns content as base64
+              result.content = this._removeEmptyLines(this._decodeBase64(contentData.content));
+              return result;
+            } catch (error) {
+              console.error(`Error processing file ${file.path}:`, error);
+              result.error = error.message;
+              return result;
+            } finally {
+              processedFiles++;
+
+              // Update progress in UI less frequently to improve performance
+              const now = Date.now();
+              if (statusIndicator && (now - lastProgressUpdate > 200 || processedFiles === totalFiles)) {
+                lastProgressUpdate = now;
+                const progressPercent = Math.round((processedFiles / totalFiles) * 100);
+                const progressText = statusIndicator.querySelector('div');
+                if (progressText) {
+                  progressText.textContent = `Copying: ${progressPercent}% (${processedFiles}/${totalFiles})`;
+                }
+                const progressBar = document.getElementById('progress-bar');
+                if (progressBar) {
+                  progressBar.style.width = `${progressPercent}%`;
                 }
+              }
+            }
+          }));
 
-                const contentData = await contentResponse.json();
+          results.push(...batchResults);
+        }
 
-                // GitHub API returns content as base64
-                // Use a more efficient base64 decoding approach
-                const content = this._decodeBase64(contentData.content);
+        return results;
+      },
 
-                // Store content for potential reuse
-                fileContents[file.path] = content;
+      /**
+       * Lists the files changed by a branch's most recent commits
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} ref - Branch, tag or commit whose history to read
+       * @param {number} [commitCount=10] - Number of commits to look at
+       * @returns {Promise<string[]>} Changed paths, most recently changed first
+       */
+      fetchRecentlyChangedFiles: async function(repoFullName, token, ref, commitCount = RECENT_COMMIT_COUNT) {
+        const cacheKey = `${repoFullName}_recent_${ref}_${commitCount}`;
+        if (this._repoCache[cacheKey]) {
+          return this._repoCache[cacheKey];
+        }
 
-                // More efficient empty line removal
-                const cleanedContent = this._removeEmptyLines(content);
+        const headers = {
+          'Authorization': `token ${token}`,
+          'Accept': 'application/vnd.github.v3+json'
+        };
+        const commitsResponse = await fetch(`https://api.github.com/repos/${repoFullName}/commits?sha=${encodeURIComponent(ref)}&per_page=${commitCount}`, { headers });
+        if (!commitsResponse.ok) {
+          throw new Error(`Failed to fetch recent commits: ${commitsResponse.status}`);
+        }
 
-                processedFiles++;
+        // The commit list has no file names, so each commit is fetched on its own
+        const commits = await commitsResponse.json();
+        const details = await Promise.all(commits.map(async (commit) => {
+          const response = await fetch(`https://api.github.com/repos/${repoFullName}/commits/${commit.sha}`, { headers });
+          return response.ok ? response.json() : { files: [] };
+        }));
+
+        const paths = [];
+        details.forEach(detail => {
+          (detail.files || []).forEach(file => {
+            if (!paths.includes(file.filename)) paths.push(file.filename);
+          });
+        });
 
-                // Update progress in UI less frequently to improve performance
-                const now = Date.now();
-                if (now - lastProgressUpdate > 200 || processedFiles === totalFiles) {
-                  lastProgressUpdate = now;
-                  const progressPercent = Math.round((processedFiles / totalFiles) * 100);
+        this._repoCache[cacheKey] = paths;
+        return paths;
+      },
 
-                  if (statusIndicator) {
-                    statusIndicator.querySelector('div').textContent = `Copying: ${progressPercent}% (${processedFiles}/${totalFiles})`;
-                    const progressBar = document.getElementById('progress-bar');
-                    if (progressBar) {
-                      progressBar.style.width = `${progressPercent}%`;
-                    }
-                  }
-                }
+      /**
+       * Plans which files of an export fit a token budget, from the sizes in
+       * the git tree. Nothing but the tree (and recent commits, with
+       * preferRecent) is fetched, so this is quick enough to run before copying.
+       * @param {Array<{path: string, size: number}>} fileItems - Files from _listExportFiles
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} ref - Branch, tag or commit being exported
+       * @param {Object} [budget] - Budget options, see contextBudget.plan()
+       * @returns {Promise<Object>} Plan from contextBudget.plan()
+       * @private
+       */
+      _planExport: async function(fileItems, repoFullName, token, ref, budget = {}) {
+        const contextBudget = LovableAddons.utils.contextBudget;
+        let recentFiles = [];
+        if (budget.maxTokens && budget.preferRecent) {
+          try {
+            recentFiles = await this.fetchRecentlyChangedFiles(repoFullName, token, ref);
+          } catch (error) {
+            console.warn('Could not load recently changed files:', error);
+          }
+        }
 
-                return `  <file path="${this.escapeXml(file.path)}">\n    <![CDATA[${cleanedContent}]]>\n  </file>\n`;
-              } catch (error) {
-                console.error(`Error processing file ${file.path}:`, error);
-                return `  <file path="${this.escapeXml(file.path)}" error="${this.escapeXml(error.message)}" />\n`;
-              }
-            }));
+        const files = fileItems.map(file => ({
+          path: file.path,
+          tokens: contextBudget.estimateFileTokens(file.path, file.size, !this._isContentSkipped(file))
+        }));
+        return contextBudget.plan(files, Object.assign({}, budget, { recentFiles }));
+      },
 
-            // Add batch results to XML
-            xml += batchResults.join('');
-          }
+      /**
+       * Estimates the size of a code export before copying it
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string[]} [fileExtensions] - Optional array of file extensions to filter by
+       * @param {Object} [options]
+       * @param {Object} [options.budget] - Token budget to fit, see contextBudget.plan()
+       * @param {Object} [options.selection] - Files to export, see fileSelection.apply()
+       * @param {string} [options.ref] - Branch, tag or commit SHA; defaults to the default branch
+       * @returns {Promise<Object>} Plan from contextBudget.plan(), with per-file tokens and actions
+       */
+      estimateRepoContext: async function(repoFullName, token, fileExtensions = [], options = {}) {
+        const { ref, files } = await this._listExportFiles(repoFullName, token, fileExtensions, options.selection, options.ref);
+        return this._planExport(files, repoFullName, token, ref, options.budget);
+      },
 
-          xml += `</repository>`;
-          return xml;
-        } catch (error) {
-          console.error('Error fetching repository as XML:', error);
-          throw error;
+      /**
+       * Fetches the files of an export and fits them to the token budget. Files
+       * the size-based plan leaves out aren't fetched; once the real contents are
+       * known, the plan is made again to trim or drop anything still over.
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {string} ref - Branch, tag or commit to read from
+       * @param {Array<{path: string, size: number}>} fileItems - Files from _listExportFiles
+       * @param {Object} cancelToken - Object with cancelled property to check for cancellation
+       * @param {Object} [budget] - Budget options, see contextBudget.plan()
+       * @returns {Promise<{files: Array<Object>, omitted: Array<{path: string, tokens: number, reason: string}>}>}
+       *   Files from _fetchExportContents, with `trimmed` set on those cut to signatures, and the files left out
+       * @private
+       */
+      _collectExportFiles: async function(repoFullName, token, ref, fileItems, cancelToken, budget = {}) {
+        if (!budget.maxTokens) {
+          return { files: await this._fetchExportContents(repoFullName, token, ref, fileItems, cancelToken), omitted: [] };
         }
+
+        const contextBudget = LovableAddons.utils.contextBudget;
+        const estimate = await this._planExport(fileItems, repoFullName, token, ref, budget);
+        const omitted = estimate.files.filter(file => file.action === 'drop');
+        const fetchPaths = new Set(estimate.files.filter(file => file.action !== 'drop').map(file => file.path));
+        const fetched = await this._fetchExportContents(repoFullName, token, ref, fileItems.filter(file => fetchPaths.has(file.path)), cancelToken);
+
+        // Plan again with the real sizes
+        const signatures = {};
+        const plan = contextBudget.plan(fetched.map(file => {
+          const measured = {
+            path: file.path,
+            tokens: contextBudget.estimateFileTokens(file.path, 0) + contextBudget.estimateTokens(file.content || '')
+          };
+          if (file.content && contextBudget.canTrim(file.path)) {
+            signatures[file.path] = contextBudget.extractSignatures(file.content, file.path);
+            measured.signatureTokens = contextBudget.estimateFileTokens(file.path, 0) + contextBudget.estimateTokens(signatures[file.path]);
+          }
+          return measured;
+        }), Object.assign({}, budget, { recentFiles: estimate.files.filter(file => file.recent).map(file => file.path) }));
+
+        const files = [];
+        plan.files.forEach((entry, index) => {
+          const file = fetched[index];
+          if (entry.action === 'drop') {
+            omitted.push({ path: entry.path, tokens: entry.fullTokens, reason: entry.reason });
+          } else if (entry.action === 'signatures') {
+            files.push(Object.assign({}, file, { content: signatures[file.path], trimmed: true }));
+          } else {
+            files.push(file);
+          }
+        });
+
+        return {
+          files,
+          omitted: omitted
+            .map(({ path, tokens, fullTokens, reason }) => ({ path, tokens: fullTokens || tokens, reason }))
+            .sort((a, b) => a.path.localeCompare(b.path))
+        };
       },
 
       /**
-       * Fetches all files from a GitHub repository and formats them as Markdown
+       * Builds the cache key part for budget options
+       * @param {Object} [budget] - Budget options
+       * @returns {string} Key suffix, empty without a budget
+       * @private
+       */
+      _budgetCacheKey: function(budget = {}) {
+        if (!budget.maxTokens) return '';
+        return `_budget${budget.maxTokens}${budget.dropTests ? 't' : ''}${budget.trimSignatures ? 's' : ''}${budget.preferRecent ? 'r' : ''}`;
+      },
+
+      /**
+       * Fetches all files from a GitHub repository and formats them as XML
        * @param {string} repoFullName - The full name of the repository (owner/repo)
        * @param {string} token - The GitHub access token
        * @param {Object} [cancelToken] - Optional object with cancelled property to check for cancellation
        * @param {string[]} [fileExtensions] - Optional array of file extensions to filter by
-       * @returns {Promise<string>} - Promise resolving to Markdown string
+       * @param {Object} [options]
+       * @param {Object} [options.budget] - Token budget to fit, see contextBudget.plan()
+       * @param {Object} [options.selection] - Files to export, see fileSelection.apply()
+       * @param {string} [options.ref] - Branch, tag or commit SHA; defaults to the default branch
+       * @returns {Promise<string>} - Promise resolving to XML string
        */
-      fetchRepoAsMarkdown: async function(repoFullName, token, cancelToken = { cancelled: false }, fileExtensions = []) {
+      fetchRepoAsXml: async function(repoFullName, token, cancelToken = { cancelled: false }, fileExtensions = [], options = {}) {
         if (!repoFullName || !token) {
           throw new Error('Repository name and token are required');
         }
 
         try {
-          // Check cache first - include file extensions in cache key
+          // Check cache first - include the ref, file extensions, selection and budget in cache key
           const extensionsKey = fileExtensions.length > 0 ? `_${fileExtensions.join('_')}` : '';
-          const cacheKey = `${repoFullName}_markdown${extensionsKey}`;
+          const selectionKey = LovableAddons.utils.fileSelection.getKey(options.selection);
+          const ref = options.ref || await this.fetchDefaultBranch(repoFullName, token);
+          const cacheKey = `${repoFullName}@${ref}_xml${extensionsKey}${selectionKey ? `_${selectionKey}` : ''}${this._budgetCacheKey(options.budget)}`;
           if (this._repoCache[cacheKey]) {
-            console.log('Using cached repository data for Markdown export');
+            console.log('Using cached repository data for XML export');
             // Update UI to show we're using cached data
             const statusIndicator = document.getElementById('github-status-indicator');
             if (statusIndicator) {
@@ -1219,187 +2831,350 @@
             return this._repoCache[cacheKey];
           }
 
-          // First, get the default branch
-          const repoResponse = await fetch(`https://api.github.com/repos/${repoFullName}`, {
-            headers: {
-              'Authorization': `token ${token}`,
-              'Accept': 'application/vnd.github.v3+json'
+          // Get the files to export from the ref's tree
+          const { files: fileItems } = await this._listExportFiles(repoFullName, token, fileExtensions, options.selection, ref);
+          const { files, omitted } = await this._collectExportFiles(repoFullName, token, ref, fileItems, cancelToken, options.budget);
+
+          // Start building XML
+          let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+          xml += `<repository name="${repoFullName}" ref="${this.escapeXml(ref)}" exported="${new Date().toISOString()}">\n`;
+
+          files.forEach(file => {
+            const path = this.escapeXml(file.path);
+            if (file.binary) {
+              xml += `  <file path="${path}" type="binary" size="${file.size}" />\n`;
+            } else if (file.error) {
+              xml += `  <file path="${path}" error="${this.escapeXml(file.error)}" />\n`;
+            } else {
+              xml += `  <file path="${path}"${file.trimmed ? ' content="signatures"' : ''}>\n    <![CDATA[${file.content}]]>\n  </file>\n`;
             }
           });
 
-          if (!repoResponse.ok) {
-            throw new Error(`Failed to fetch repository info: ${repoResponse.status}`);
+          if (omitted.length > 0) {
+            xml += `  <omitted budget="${options.budget.maxTokens}">\n`;
+            omitted.forEach(file => {
+              xml += `    <file path="${this.escapeXml(file.path)}" tokens="${file.tokens}" reason="${file.reason}" />\n`;
+            });
+            xml += `  </omitted>\n`;
           }
 
-          const repoData = await repoResponse.json();
-          const defaultBranch = repoData.default_branch;
+          xml += `</repository>`;
+          return xml;
+        } catch (error) {
+          console.error('Error fetching repository as XML:', error);
+          throw error;
+        }
+      },
 
-          // Get the tree recursively (all files in the repo)
-          const treeResponse = await fetch(`https://api.github.com/repos/${repoFullName}/git/trees/${defaultBranch}?recursive=1`, {
-            headers: {
-              'Authorization': `token ${token}`,
-              'Accept': 'application/vnd.github.v3+json'
-            }
-          });
+      /**
+       * Fetches all files from a GitHub repository and formats them as Markdown
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {Object} [cancelToken] - Optional object with cancelled property to check for cancellation
+       * @param {string[]} [fileExtensions] - Optional array of file extensions to filter by
+       * @param {Object} [options]
+       * @param {Object} [options.budget] - Token budget to fit, see contextBudget.plan()
+       * @param {Object} [options.selection] - Files to export, see fileSelection.apply()
+       * @param {string} [options.ref] - Branch, tag or commit SHA; defaults to the default branch
+       * @returns {Promise<string>} - Promise resolving to Markdown string
+       */
+      fetchRepoAsMarkdown: async function(repoFullName, token, cancelToken = { cancelled: false }, fileExtensions = [], options = {}) {
+        if (!repoFullName || !token) {
+          throw new Error('Repository name and token are required');
+        }
 
-          if (!treeResponse.ok) {
-            throw new Error(`Failed to fetch repository tree: ${treeResponse.status}`);
+        try {
+          // Check cache first - include the ref, file extensions, selection and budget in cache key
+          const extensionsKey = fileExtensions.length > 0 ? `_${fileExtensions.join('_')}` : '';
+          const selectionKey = LovableAddons.utils.fileSelection.getKey(options.selection);
+          const ref = options.ref || await this.fetchDefaultBranch(repoFullName, token);
+          const cacheKey = `${repoFullName}@${ref}_markdown${extensionsKey}${selectionKey ? `_${selectionKey}` : ''}${this._budgetCacheKey(options.budget)}`;
+          if (this._repoCache[cacheKey]) {
+            console.log('Using cached repository data for Markdown export');
+            // Update UI to show we're using cached data
+            const statusIndicator = document.getElementById('github-status-indicator');
+            if (statusIndicator) {
+              statusIndicator.textContent = 'Using cached data...';
+              statusIndicator.style.color = '#64B5F6'; // Blue
+            }
+            return this._repoCache[cacheKey];
           }
 
-          const treeData = await treeResponse.json();
+          // Get the files to export from the ref's tree
+          const { files: fileItems } = await this._listExportFiles(repoFullName, token, fileExtensions, options.selection, ref);
+          const { files, omitted } = await this._collectExportFiles(repoFullName, token, ref, fileItems, cancelToken, options.budget);
 
           // Start building Markdown
-          let markdown = `# ${repoFullName}\n\n`;
-
-          // Files to ignore
-          const ignoredFiles = [
-            'bun.lockb',
-            '.gitignore',
-            'package-lock.json',
-            'yarn.lock',
-            'pnpm-lock.yaml',
-            '.DS_Store',
-            'Thumbs.db'
-          ];
-
-          // Process only blob items (files, not directories) and filter out ignored files
-          const fileItems = treeData.tree.filter(item => {
-            // Skip directories and ignored files
-            if (item.type !== 'blob') return false;
-
-            // Check if the file is in the ignore list
-            const fileName = item.path.split('/').pop();
-            if (ignoredFiles.includes(fileName)) return false;
-
-            // Apply extension filter if provided
-            if (fileExtensions.length > 0) {
-              const extension = fileName.split('.').pop().toLowerCase();
-              if (!fileExtensions.includes(extension)) return false;
+          let markdown = `# ${repoFullName}\n\nRef: \`${ref}\`\n\n`;
+
+          files.forEach(file => {
+            const heading = `### ${this.escapeMarkdown(file.path)}`;
+            if (file.binary) {
+              markdown += `${heading}\n*Binary file (${file.size} bytes)*\n\n`;
+            } else if (file.error) {
+              markdown += `${heading}\n*Error: ${this.escapeMarkdown(file.error)}*\n\n`;
+            } else {
+              markdown += `${heading}${file.trimmed ? ' (signatures only)' : ''}\n\`\`\`${this.getLanguageFromPath(file.path)}\n${file.content}\n\`\`\`\n\n`;
             }
-
-            return true;
           });
 
-          // Sort files by path for better organization
-          fileItems.sort((a, b) => a.path.localeCompare(b.path));
-
-          // Track progress
-          let processedFiles = 0;
-          const totalFiles = fileItems.length;
-          let lastProgressUpdate = Date.now();
-
-          // Create a progress bar in the UI
-          const statusIndicator = document.getElementById('github-status-indicator');
-          if (statusIndicator) {
-            statusIndicator.innerHTML = `
-              <div style="display: flex; flex-direction: column; gap: 4px; width: 100%;">
-                <div>Copying: 0% (0/${totalFiles})</div>
-                <div style="width: 100%; background: #333; height: 4px; border-radius: 2px;">
-                  <div id="progress-bar" style="width: 0%; background: #4CAF50; height: 100%; border-radius: 2px; transition: width 0.3s;"></div>
-                </div>
-              </div>
-            `;
+          if (omitted.length > 0) {
+            markdown += `## Omitted to fit ${options.budget.maxTokens} tokens\n\n`;
+            omitted.forEach(file => {
+              markdown += `- ${this.escapeMarkdown(file.path)} (~${file.tokens} tokens, ${file.reason})\n`;
+            });
+            markdown += '\n';
           }
 
-          // Use adaptive batch sizing based on repository size
-          // Larger repos use larger batches for better performance
-          const batchSize = totalFiles > 500 ? 15 : (totalFiles > 200 ? 10 : 5);
+          // Cache the result
+          this._repoCache[cacheKey] = markdown;
 
-          // Store all file contents for faster processing
-          const fileContents = {};
+          return markdown;
+        } catch (error) {
+          console.error('Error fetching repository as Markdown:', error);
+          throw error;
+        }
+      },
 
-          // Process files in batches to avoid rate limiting
-          for (let i = 0; i < fileItems.length; i += batchSize) {
-            // Check for cancellation between batches
-            if (cancelToken.cancelled) {
-              console.log('Markdown export operation cancelled');
-              throw new Error('Operation cancelled by user');
-            }
+      /**
+       * Fetches what changed between two refs, or in the last commits of a ref,
+       * from the GitHub compare API, with the full content of the changed files.
+       * Changed files are filtered by the export ignore rules. GitHub lists at
+       * most 300 changed files and leaves out the patch of binary files and
+       * large changes; files without a patch are marked `patchOmitted` and
+       * their content is fetched even when includeContent is false.
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {Object} [options]
+       * @param {string} [options.base] - Ref to compare from; required without commitCount
+       * @param {string} [options.head] - Ref to compare to; defaults to the default branch
+       * @param {number} [options.commitCount] - Compare the last N commits of head instead of a base
+       * @param {boolean} [options.includeContent=true] - Fetch the content of changed files at head
+       * @param {Object} [cancelToken] - Optional object with cancelled property to check for cancellation
+       * @returns {Promise<{base: string, head: string, commits: Array<{sha: string, message: string, author: string, date: string}>,
+       *   totalCommits: number, filesTruncated: boolean, files: Array<{path: string, previousPath?: string, status: string,
+       *   additions: number, deletions: number, patch?: string, patchOmitted: boolean, content?: string, binary?: boolean,
+       *   error?: string}>}>} The comparison; `totalCommits` above `commits.length` or `filesTruncated` mean it is incomplete
+       */
+      fetchRepoDiff: async function(repoFullName, token, options = {}, cancelToken = { cancelled: false }) {
+        if (!repoFullName || !token) {
+          throw new Error('Repository name and token are required');
+        }
 
-            const batch = fileItems.slice(i, i + batchSize);
+        const headers = {
+          'Authorization': `token ${token}`,
+          'Accept': 'application/vnd.github.v3+json'
+        };
+        const head = options.head || await this.fetchDefaultBranch(repoFullName, token);
+        let base = options.base;
+
+        // The last N commits are compared from the parent of the oldest one
+        if (options.commitCount) {
+          const commitsResponse = await fetch(`https://api.github.com/repos/${repoFullName}/commits?sha=${encodeURIComponent(head)}&per_page=${options.commitCount}`, { headers });
+          if (!commitsResponse.ok) {
+            throw new Error(`Failed to fetch recent commits: ${commitsResponse.status}`);
+          }
+          const commits = await commitsResponse.json();
+          const oldest = commits[commits.length - 1];
+          if (!oldest || oldest.parents.length === 0) {
+            throw new Error(`${head} has no commit before its last ${commits.length} to compare with`);
+          }
+          base = oldest.parents[0].sha;
+        }
 
-            // Process batch in parallel
-            const batchResults = await Promise.all(batch.map(async (file) => {
-              // Check for cancellation within batch processing
-              if (cancelToken.cancelled) {
-                return '';
-              }
+        if (!base) {
+          throw new Error('A base ref or a number of commits is required');
+        }
 
-              try {
-                // Skip binary files and very large files
-                if (this.isBinaryPath(file.path) || file.size > 1000000) {
-                  processedFiles++;
-                  return `### ${this.escapeMarkdown(file.path)}\n*Binary file (${file.size} bytes)*\n\n`;
-                }
+        // Files come with the first page only; later pages add the remaining commits
+        const compareUrl = `https://api.github.com/repos/${repoFullName}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`;
+        let comparison = null;
+        let compareCommits = [];
+        for (let page = 1; page <= MAX_COMPARE_PAGES; page++) {
+          if (cancelToken.cancelled) throw new Error('Operation cancelled');
+          const compareResponse = await fetch(`${compareUrl}?per_page=${COMPARE_PAGE_SIZE}&page=${page}`, { headers });
+          if (!compareResponse.ok) {
+            throw new Error(`Failed to compare ${base}...${head}: ${compareResponse.status}`);
+          }
+          const result = await compareResponse.json();
+          comparison = comparison || result;
+          compareCommits = compareCommits.concat(result.commits || []);
+          if (!result.commits || result.commits.length < COMPARE_PAGE_SIZE || compareCommits.length >= (comparison.total_commits || 0)) break;
+        }
 
-                // Fetch file content
-                const contentResponse = await fetch(`https://api.github.com/repos/${repoFullName}/contents/${file.path}?ref=${defaultBranch}`, {
-                  headers: {
-                    'Authorization': `token ${token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                  }
-                });
-
-                if (!contentResponse.ok) {
-                  processedFiles++;
-                  return `### ${this.escapeMarkdown(file.path)}\n*Failed to fetch content*\n\n`;
-                }
+        const changedFiles = comparison.files || [];
+        const rules = await this.getExportIgnoreRules(repoFullName, token, head);
+        const files = LovableAddons.utils.ignoreRules.filter(changedFiles.map(file => ({
+          path: file.filename,
+          previousPath: file.previous_filename,
+          status: file.status,
+          additions: file.additions,
+          deletions: file.deletions,
+          patch: file.patch,
+          // A pure rename has no patch because nothing in the file changed
+          patchOmitted: !file.patch && !(file.status === 'renamed' && !file.changes)
+        })), rules);
+
+        // Without a patch, the content is the only record of the change
+        const present = files.filter(file => file.status !== 'removed' &&
+          (options.includeContent !== false || file.patchOmitted));
+        if (present.length > 0) {
+          const contents = await this._fetchExportContents(repoFullName, token, head, present, cancelToken);
+          contents.forEach((result, index) => {
+            Object.assign(present[index], { content: result.content, binary: result.binary, error: result.error });
+          });
+        }
 
-                const contentData = await contentResponse.json();
+        return {
+          base,
+          head,
+          commits: compareCommits.map(commit => ({
+            sha: commit.sha,
+            message: commit.commit.message || '',
+            author: commit.commit.author ? commit.commit.author.name : '',
+            date: commit.commit.author ? commit.commit.author.date : ''
+          })),
+          totalCommits: Math.max(comparison.total_commits || 0, compareCommits.length),
+          filesTruncated: changedFiles.length >= COMPARE_FILE_LIMIT,
+          files
+        };
+      },
 
-                // Check if we already have this file's content from a previous XML export
-                let content;
-                if (fileContents[file.path]) {
-                  content = fileContents[file.path];
-                } else {
-                  // GitHub API returns content as base64
-                  content = this._decodeBase64(contentData.content);
+      /**
+       * Fetches the changes between two refs or in the last commits of a ref
+       * and formats them as XML: the commits, a unified diff and the changed files
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {Object} [cancelToken] - Optional object with cancelled property to check for cancellation
+       * @param {Object} [options] - Comparison options, see fetchRepoDiff()
+       * @returns {Promise<string>} - Promise resolving to XML string
+       */
+      fetchDiffAsXml: async function(repoFullName, token, cancelToken = { cancelled: false }, options = {}) {
+        try {
+          const diff = await this.fetchRepoDiff(repoFullName, token, options, cancelToken);
 
-                  // Store for potential reuse
-                  fileContents[file.path] = content;
-                }
+          let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+          xml += `<changes repository="${repoFullName}" base="${this.escapeXml(diff.base)}" head="${this.escapeXml(diff.head)}" exported="${new Date().toISOString()}">\n`;
 
-                // More efficient empty line removal
-                const cleanedContent = this._removeEmptyLines(content);
+          const totalAttribute = diff.totalCommits > diff.commits.length ? ` total="${diff.totalCommits}"` : '';
+          xml += `  <commits count="${diff.commits.length}"${totalAttribute}>\n`;
+          diff.commits.forEach(commit => {
+            xml += `    <commit sha="${commit.sha}" author="${this.escapeXml(commit.author)}" date="${commit.date}">${this.escapeXml(commit.message.split('\n')[0])}</commit>\n`;
+          });
+          xml += `  </commits>\n`;
 
-                processedFiles++;
+          if (diff.filesTruncated) {
+            xml += `  <!-- GitHub lists at most ${COMPARE_FILE_LIMIT} changed files, so this comparison is incomplete. Compare fewer commits to see every change. -->\n`;
+          }
+          xml += `  <diff files="${diff.files.length}"${diff.filesTruncated ? ' truncated="true"' : ''}>\n    <![CDATA[${buildUnifiedDiff(diff.files)}]]>\n  </diff>\n`;
+
+          diff.files.forEach(file => {
+            const attributes = `path="${this.escapeXml(file.path)}" status="${file.status}"` +
+              (file.previousPath ? ` previous="${this.escapeXml(file.previousPath)}"` : '') +
+              (file.patchOmitted ? ' diff="omitted"' : '');
+            if (file.status === 'removed' || (file.content === undefined && !file.binary && !file.error)) {
+              xml += `  <file ${attributes} />\n`;
+            } else if (file.binary) {
+              xml += `  <file ${attributes} type="binary" />\n`;
+            } else if (file.error) {
+              xml += `  <file ${attributes} error="${this.escapeXml(file.error)}" />\n`;
+            } else {
+              xml += `  <file ${attributes}>\n    <![CDATA[${file.content}]]>\n  </file>\n`;
+            }
+          });
 
-                // Update progress in UI less frequently to improve performance
-                const now = Date.now();
-                if (now - lastProgressUpdate > 200 || processedFiles === totalFiles) {
-                  lastProgressUpdate = now;
-                  const progressPercent = Math.round((processedFiles / totalFiles) * 100);
+          xml += `</changes>`;
+          return xml;
+        } catch (error) {
+          console.error('Error fetching changes as XML:', error);
+          throw error;
+        }
+      },
 
-                  if (statusIndicator) {
-                    statusIndicator.querySelector('div').textContent = `Copying: ${progressPercent}% (${processedFiles}/${totalFiles})`;
-                    const progressBar = document.getElementById('progress-bar');
-                    if (progressBar) {
-                      progressBar.style.width = `${progressPercent}%`;
-                    }
-                  }
-                }
+      /**
+       * Fetches the changes between two refs or in the last commits of a ref
+       * and formats them as Markdown: the commits, a unified diff and the changed files
+       * @param {string} repoFullName - The full name of the repository (owner/repo)
+       * @param {string} token - The GitHub access token
+       * @param {Object} [cancelToken] - Optional object with cancelled property to check for cancellation
+       * @param {Object} [options] - Comparison options, see fetchRepoDiff()
+       * @returns {Promise<string>} - Promise resolving to Markdown string
+       */
+      fetchDiffAsMarkdown: async function(repoFullName, token, cancelToken = { cancelled: false }, options = {}) {
+        try {
+          const diff = await this.fetchRepoDiff(repoFullName, token, options, cancelToken);
+          const shortRef = ref => (/^[0-9a-f]{40}$/.test(ref) ? ref.slice(0, 7) : ref);
 
-                return `### ${this.escapeMarkdown(file.path)}\n\`\`\`${this.getLanguageFromPath(file.path)}\n${cleanedContent}\n\`\`\`\n\n`;
-              } catch (error) {
-                console.error(`Error processing file ${file.path}:`, error);
-                return `### ${this.escapeMarkdown(file.path)}\n*Error: ${this.escapeMarkdown(error.message)}*\n\n`;
-              }
-            }));
+          let markdown = `# ${repoFullName}\n\n`;
+          markdown += `Changes from \`${shortRef(diff.base)}\` to \`${shortRef(diff.head)}\`: ${diff.totalCommits} ${diff.totalCommits === 1 ? 'commit' : 'commits'}, ${diff.files.length} ${diff.files.length === 1 ? 'file' : 'files'} changed\n\n`;
 
-            // Add batch results to Markdown
-            markdown += batchResults.join('');
+          if (diff.totalCommits > diff.commits.length) {
+            markdown += `> Only the first ${diff.commits.length} of ${diff.totalCommits} commits are listed.\n\n`;
+          }
+          if (diff.filesTruncated) {
+            markdown += `> GitHub lists at most ${COMPARE_FILE_LIMIT} changed files, so this comparison is incomplete. Compare fewer commits to see every change.\n\n`;
           }
 
-          // Cache the result
-          this._repoCache[cacheKey] = markdown;
+          markdown += `## Commits\n\n`;
+          diff.commits.forEach(commit => {
+            const date = commit.date ? `, ${commit.date.slice(0, 10)}` : '';
+            markdown += `- \`${commit.sha.slice(0, 7)}\` ${this.escapeMarkdown(commit.message.split('\n')[0])} (${this.escapeMarkdown(commit.author)}${date})\n`;
+          });
+
+          markdown += `\n## Diff\n\n\`\`\`diff\n${buildUnifiedDiff(diff.files)}\n\`\`\`\n\n`;
+
+          markdown += `## Changed files\n\n`;
+          diff.files.forEach(file => {
+            const renamed = file.previousPath ? ` from ${this.escapeMarkdown(file.previousPath)}` : '';
+            const omitted = file.patchOmitted ? ', diff omitted' : '';
+            const heading = `### ${this.escapeMarkdown(file.path)} (${file.status}${renamed}, +${file.additions} -${file.deletions}${omitted})`;
+            if (file.status === 'removed') {
+              markdown += `${heading}\n*Removed*\n\n`;
+            } else if (file.binary) {
+              markdown += `${heading}\n*Binary file*\n\n`;
+            } else if (file.error) {
+              markdown += `${heading}\n*Error: ${this.escapeMarkdown(file.error)}*\n\n`;
+            } else if (file.content !== undefined) {
+              markdown += `${heading}\n\`\`\`${this.getLanguageFromPath(file.path)}\n${file.content}\n\`\`\`\n\n`;
+            } else {
+              markdown += `${heading}\n\n`;
+            }
+          });
 
           return markdown;
         } catch (error) {
-          console.error('Error fetching repository as Markdown:', error);
+          console.error('Error fetching changes as Markdown:', error);
           throw error;
         }
       },
 
+      /**
+       * Inserts text into the chat textarea at the cursor, after any text
+       * already there, without submitting
+       * @param {string} content - Text to insert
+       * @returns {boolean} Whether the text was inserted
+       */
+      insertIntoTextarea: function(content) {
+        const textArea = document.querySelector('textarea');
+        if (!textArea) {
+          LovableAddons.utils.toast.showToast('Chat textarea not found', 'error');
+          return false;
+        }
+
+        const before = textArea.value.slice(0, textArea.selectionStart);
+        const after = textArea.value.slice(textArea.selectionEnd);
+        const separator = before && !before.endsWith('\n\n') ? (before.endsWith('\n') ? '\n' : '\n\n') : '';
+        textArea.value = before + separator + content + after;
+
+        // Trigger input event to update any listeners
+        textArea.dispatchEvent(new Event('input', { bubbles: true }));
+
+        textArea.focus();
+        const caret = before.length + separator.length + content.length;
+        textArea.setSelectionRange(caret, caret);
+        return true;
+      },
+
       /**
        * Checks if a file path is likely to be a binary file
        * @param {string} path - File path
@@ -1542,6 +3317,13 @@
 
         // Start observing the document body for DOM changes
         observer.observe(document.body, { childList: true, subtree: true });
+
+        // Exports made with the old ignore settings are out of date
+        chrome.storage.onChanged.addListener((changes, area) => {
+          if (area === 'sync' && changes[IGNORE_SETTINGS_KEY]) {
+            this._repoCache = {};
+          }
+        });
       }
     };
   })();
@@ -1,6 +1,6 @@
 /**
  * @fileoverview Prompt enhancement feature for Lovable Add-ons Chrome extension.
- * This file provides functionality to enhance user prompts using the Groq API.
+ * This file provides functionality to enhance user prompts using the configured LLM provider.
  */
 
 (function() {
@@ -12,18 +12,248 @@
     return;
   }
 
+  // Storage keys
+  const STORAGE_KEYS = {
+    CUSTOM_MODES: 'lovable_enhance_custom_modes',
+    SELECTED_MODE: 'lovable_enhance_mode',
+    PROJECT_CONTEXT: 'lovable_enhance_project_context'
+  };
+
+  // Upper bound for the repository summary, even on very large context windows
+  const MAX_PROJECT_CONTEXT_TOKENS = 6000;
+
+  // Below this many spare tokens a repository summary isn't worth sending
+  const MIN_PROJECT_CONTEXT_TOKENS = 200;
+
+  // Headroom for message framing and tokenizer differences
+  const TOKEN_SAFETY_MARGIN = 512;
+
+  // Used when config/prompts.json can't be read
+  const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant that improves prompts to be more effective, clear, and detailed. Focus on enhancing clarity, specificity, and context while maintaining the original intent.';
+
+  // Lead-in for the user message of every mode except the default one
+  const MODE_INSTRUCTION = 'Rewrite the following prompt as instructed:';
+
+  /**
+   * Built-in enhancement modes. System prompts live in config/prompts.json
+   * under `systemPrompts[promptType]`.
+   * @type {Array<{id: string, label: string, promptType: string, instruction?: string}>}
+   */
+  const BUILT_IN_MODES = [
+    {
+      id: 'default',
+      label: 'Improve',
+      promptType: 'enhance',
+      instruction: 'Please enhance this prompt to be more effective and detailed while maintaining its core meaning:'
+    },
+    { id: 'specific', label: 'Make specific', promptType: 'enhanceSpecific' },
+    { id: 'steps', label: 'Break into steps', promptType: 'enhanceSteps' },
+    { id: 'acceptance-criteria', label: 'Add acceptance criteria', promptType: 'enhanceAcceptanceCriteria' },
+    { id: 'shorten', label: 'Shorten', promptType: 'enhanceShorten' },
+    { id: 'bug-report', label: 'Convert to bug report', promptType: 'enhanceBugReport' }
+  ];
+
+  /**
+   * Gets user-authored enhancement modes from storage
+   * @returns {Promise<Array>} Array of custom modes
+   */
+  function getCustomModes() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([STORAGE_KEYS.CUSTOM_MODES], result => {
+        resolve(result[STORAGE_KEYS.CUSTOM_MODES] || []);
+      });
+    });
+  }
+
+  /**
+   * Saves user-authored enhancement modes
+   * @param {Array} modes - Custom modes to store
+   * @returns {Promise<void>}
+   */
+  function saveCustomModes(modes) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_MODES]: modes }, resolve);
+    });
+  }
+
+  /**
+   * Gets the ID of the mode selected from the Enhance dropdown
+   * @returns {Promise<string>} Mode ID
+   */
+  function getSelectedModeId() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([STORAGE_KEYS.SELECTED_MODE], result => {
+        resolve(result[STORAGE_KEYS.SELECTED_MODE] || 'default');
+      });
+    });
+  }
+
+  /**
+   * Stores the selected mode ID
+   * @param {string} modeId - Mode ID
+   * @returns {Promise<void>}
+   */
+  function setSelectedModeId(modeId) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [STORAGE_KEYS.SELECTED_MODE]: modeId }, resolve);
+    });
+  }
+
+  /**
+   * Whether enhancement should attach a summary of the connected GitHub repo
+   * @returns {Promise<boolean>}
+   */
+  function getProjectContextEnabled() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([STORAGE_KEYS.PROJECT_CONTEXT], result => {
+        resolve(result[STORAGE_KEYS.PROJECT_CONTEXT] === true);
+      });
+    });
+  }
+
+  /**
+   * Stores the project context toggle
+   * @param {boolean} enabled - Whether to attach repository context
+   * @returns {Promise<void>}
+   */
+  function setProjectContextEnabled(enabled) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [STORAGE_KEYS.PROJECT_CONTEXT]: enabled }, resolve);
+    });
+  }
+
+  /**
+   * Removes reasoning blocks some models emit, including an unterminated
+   * block that is still streaming
+   * @param {string} text - Raw model output
+   * @returns {string} Text without <think> sections
+   */
+  function stripThinking(text) {
+    return text.replace(/<think>[\s\S]*?(<\/think>|$)/g, '');
+  }
+
+  /**
+   * Builds the final text from diff segments and per-hunk choices
+   * @param {Array<Object>} segments - Output of textDiff.diffWords
+   * @param {Set<number>} rejected - Indexes of change hunks to keep as original
+   * @returns {string} Merged prompt
+   */
+  function mergeSegments(segments, rejected) {
+    return segments.map((segment, index) => {
+      if (segment.type === 'equal') return segment.text;
+      return rejected.has(index) ? segment.original : segment.enhanced;
+    }).join('');
+  }
+
   /**
    * Prompt enhancement feature
    * @namespace LovableAddons.features.enhancePrompt
    */
   const enhancePromptFeature = {
     /**
-     * Enhances a prompt using the Groq API
+     * Lists built-in and user-authored enhancement modes
+     * @returns {Promise<Array<Object>>} Modes in display order
+     */
+    getModes: async function() {
+      const customModes = await getCustomModes();
+      return [...BUILT_IN_MODES, ...customModes];
+    },
+
+    /**
+     * Resolves a mode and its system prompt, falling back to the default mode
+     * @param {string} [modeId] - Mode ID; the stored selection when omitted
+     * @returns {Promise<{mode: Object, systemPrompt: string}>}
+     */
+    resolveMode: async function(modeId) {
+      const id = modeId || await getSelectedModeId();
+      const modes = await this.getModes();
+      const mode = modes.find(m => m.id === id) || BUILT_IN_MODES[0];
+
+      let systemPrompt = mode.systemPrompt;
+      if (!systemPrompt && LovableAddons.utils.promptLoader) {
+        systemPrompt = await LovableAddons.utils.promptLoader.getPrompt(mode.promptType);
+      }
+      if (!systemPrompt) {
+        if (mode.id !== 'default') {
+          console.warn(`No system prompt found for enhancement mode '${mode.id}', using default`);
+          return { mode: BUILT_IN_MODES[0], systemPrompt: DEFAULT_SYSTEM_PROMPT };
+        }
+        systemPrompt = DEFAULT_SYSTEM_PROMPT;
+      }
+      return { mode, systemPrompt };
+    },
+
+    /**
+     * Creates a user-authored enhancement mode
+     * @param {string} label - Name shown in the dropdown
+     * @param {string} systemPrompt - System prompt sent to the model
+     * @returns {Promise<Object>} The new mode
+     */
+    addCustomMode: async function(label, systemPrompt) {
+      const modes = await getCustomModes();
+      const mode = {
+        id: `custom-mode-${Date.now()}`,
+        label,
+        systemPrompt,
+        isCustom: true
+      };
+      modes.push(mode);
+      await saveCustomModes(modes);
+      return mode;
+    },
+
+    /**
+     * Deletes a user-authored enhancement mode
+     * @param {string} modeId - Mode ID
+     * @returns {Promise<void>}
+     */
+    removeCustomMode: async function(modeId) {
+      const modes = await getCustomModes();
+      await saveCustomModes(modes.filter(m => m.id !== modeId));
+      if (await getSelectedModeId() === modeId) {
+        await setSelectedModeId('default');
+      }
+    },
+
+    /**
+     * Builds the repository summary that fits next to the prompt in the model's
+     * context window, leaving room for the completion
+     * @param {Object} modelConfig - Active model config (contextWindow, max_completion_tokens)
+     * @param {string} messagesText - System and user message text already being sent
+     * @returns {Promise<string|null>} Summary, or null when unavailable or out of budget
+     */
+    buildProjectContext: async function(modelConfig, messagesText) {
+      const codeContext = LovableAddons.getFeature('codeContext');
+      if (!codeContext || typeof codeContext.getRepoSummary !== 'function') return null;
+
+      const llm = LovableAddons.utils.llm;
+      const available = modelConfig.contextWindow - modelConfig.max_completion_tokens -
+        llm.estimateTokens(messagesText) - TOKEN_SAFETY_MARGIN;
+      const budget = Math.min(MAX_PROJECT_CONTEXT_TOKENS, available);
+      if (budget < MIN_PROJECT_CONTEXT_TOKENS) {
+        console.warn(`Skipping project context: only ${available} tokens left in the model's context window`);
+        return null;
+      }
+
+      try {
+        return await codeContext.getRepoSummary(budget);
+      } catch (error) {
+        console.error('Error building project context:', error);
+        return null;
+      }
+    },
+
+    /**
+     * Enhances a prompt using the configured LLM provider
      * @param {string} prompt - The prompt to enhance
      * @param {HTMLElement} [button] - Optional button element to show loading state
+     * @param {Object} [options] - Enhancement options
+     * @param {string} [options.modeId] - Enhancement mode; the dropdown selection when omitted
+     * @param {boolean} [options.includeProjectContext] - Attach the repo summary; the dropdown toggle when omitted
+     * @param {Function} [options.onDelta] - Called with the visible text so far as tokens arrive
      * @returns {Promise<string>} The enhanced prompt
      */
-    enhance: async function(prompt, button) {
+    enhance: async function(prompt, button, options = {}) {
       // Validate extension context first
       if (!chrome.runtime?.id) {
         throw new Error('Extension context invalidated. Please refresh the page.');
@@ -49,19 +279,30 @@
           button.classList.add('processing');
         }
         
-        // Get the API key from storage with context validation
-        let apiKey;
-        let model;
+        // Resolve the selected provider, key and model with context validation
+        let config;
         try {
-          const result = await chrome.storage.sync.get(['groqApiKey', 'groqModel']);
-          apiKey = result.groqApiKey;
-          model = result.groqModel || 'deepseek-r1-distill-llama-70b'; // Default to DeepSeek if not set
+          config = await LovableAddons.utils.llm.getActiveConfig();
         } catch (storageError) {
           throw new Error('Extension context lost. Please refresh the page.');
         }
-        
-        if (!apiKey) {
-          throw new Error('GroqAI API key not found. Please set it in the extension settings.');
+
+        const { mode, systemPrompt: modePrompt } = await this.resolveMode(options.modeId);
+        const userContent = mode.instruction
+          ? `${mode.instruction} ${prompt}`
+          : `${MODE_INSTRUCTION}\n\n${prompt}`;
+
+        let systemPrompt = modePrompt;
+        const includeProjectContext = options.includeProjectContext !== undefined
+          ? options.includeProjectContext
+          : await getProjectContextEnabled();
+        if (includeProjectContext) {
+          const projectContext = await this.buildProjectContext(config.modelConfig, modePrompt + userContent);
+          if (projectContext) {
+            systemPrompt += `\n\nThe prompt is for this project. Refer to its real files, components, routes and libraries where relevant, and don't invent ones that aren't listed.\n\n${projectContext}`;
+          } else {
+            LovableAddons.utils.toast.showToast('Project context unavailable, enhancing without it', 'warning');
+          }
         }
 
         // Add timeout to the fetch request
@@ -69,78 +310,21 @@
         const timeout = setTimeout(() => controller.abort(), 30000); // 30 second timeout
   
         try {
-          // Make API call to GroqAI with streaming support
-          const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              model: model,
-              messages: [
-                {
-                  role: 'system',
-                  content: 'You are a helpful assistant that improves prompts to be more effective, clear, and detailed. Focus on enhancing clarity, specificity, and context while maintaining the original intent.'
-                },
-                {
-                  role: 'user',
-                  content: `Please enhance this prompt to be more effective and detailed while maintaining its core meaning: ${prompt}`
-                }
-              ],
-              temperature: 0.6,
-              max_completion_tokens: 4096,
-              top_p: 0.95,
-              stream: true
-            }),
-            signal: controller.signal
-          });
-
-          clearTimeout(timeout);
-    
-          if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            if (response.status === 429) {
-              throw new Error('Rate limit exceeded. Please wait a moment before trying again.');
-            } else if (response.status === 401) {
-              throw new Error('Invalid API key. Please check your API key in the extension settings.');
-            } else {
-              throw new Error(errorData.error?.message || `GroqAI API error: ${response.status} - ${response.statusText}`);
-            }
-          }
-
-          const reader = response.body.getReader();
-          let enhancedPrompt = '';
-
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = new TextDecoder().decode(value);
-            const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                try {
-                  const jsonStr = line.slice(6).trim();
-                  if (jsonStr === '[DONE]') continue;
-                  const data = JSON.parse(jsonStr);
-                  const content = data.choices[0]?.delta?.content || '';
-                  enhancedPrompt += content;
-                } catch (jsonError) {
-                  console.error('Error parsing JSON chunk:', jsonError);
-                  continue;
-                }
+          let enhancedPrompt = await LovableAddons.utils.llm.streamChat(config, [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userContent }
+          ], {
+            signal: controller.signal,
+            onResponse: () => clearTimeout(timeout),
+            onDelta: (delta, text) => {
+              if (typeof options.onDelta === 'function') {
+                options.onDelta(stripThinking(text).trimStart(), text);
               }
             }
-          }
-
-          if (!enhancedPrompt) {
-            throw new Error('Received empty response from GroqAI');
-          }
+          });
           
           // Remove thinking tags and their contents
-          enhancedPrompt = enhancedPrompt.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+          enhancedPrompt = stripThinking(enhancedPrompt).trim();
           
           return enhancedPrompt;
         } catch (fetchError) {
@@ -148,6 +332,8 @@
             throw new Error('Request timed out. Please try again.');
           }
           throw fetchError;
+        } finally {
+          clearTimeout(timeout);
         }
   
       } catch (error) {
@@ -167,6 +353,333 @@
       }
     },
 
+    /**
+     * Opens the review overlay above the composer. The overlay shows the
+     * enhanced text while it streams, then a word-level diff against the
+     * original where each changed hunk can be toggled before accepting.
+     * @param {string} original - The prompt being enhanced
+     * @returns {{update: Function, complete: Function, close: Function, result: Promise<string|null>}}
+     *   Controller; `result` resolves to the text to apply, or null when rejected
+     */
+    openReview: function(original) {
+      this.closeReview();
+
+      const overlay = document.createElement('div');
+      overlay.className = 'lovable-enhance-review';
+      overlay.setAttribute('role', 'dialog');
+      overlay.setAttribute('aria-label', 'Review enhanced prompt');
+      overlay.innerHTML = `
+        <div class="lovable-enhance-review-header">
+          <span class="lovable-enhance-review-title">Enhanced prompt</span>
+          <span class="lovable-enhance-review-status">Waiting for response...</span>
+        </div>
+        <div class="lovable-enhance-review-body"></div>
+        <div class="lovable-enhance-review-actions">
+          <span class="lovable-enhance-review-hint"></span>
+          <button type="button" data-action="reject">Reject</button>
+          <button type="button" data-action="partial" disabled>Accept selected</button>
+          <button type="button" data-action="accept" class="primary" disabled>Accept</button>
+        </div>
+      `;
+      document.body.appendChild(overlay);
+
+      const status = overlay.querySelector('.lovable-enhance-review-status');
+      const body = overlay.querySelector('.lovable-enhance-review-body');
+      const hint = overlay.querySelector('.lovable-enhance-review-hint');
+      const acceptBtn = overlay.querySelector('[data-action="accept"]');
+      const partialBtn = overlay.querySelector('[data-action="partial"]');
+      const rejectBtn = overlay.querySelector('[data-action="reject"]');
+
+      const position = () => {
+        const composer = document.querySelector('form.p-2.flex.flex-col') ||
+                         document.querySelector('textarea');
+        if (!composer) return;
+        const rect = composer.getBoundingClientRect();
+        overlay.style.left = `${Math.max(8, rect.left)}px`;
+        overlay.style.width = `${Math.min(rect.width, window.innerWidth - 16)}px`;
+        overlay.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+        overlay.style.maxHeight = `${Math.max(160, rect.top - 24)}px`;
+      };
+      position();
+
+      let segments = [];
+      let enhanced = '';
+      const rejected = new Set();
+      let settle;
+      const result = new Promise(resolve => { settle = resolve; });
+
+      let settled = false;
+      const finish = (value) => {
+        if (settled) return;
+        settled = true;
+        window.removeEventListener('resize', position);
+        document.removeEventListener('keydown', onKeyDown, true);
+        overlay.remove();
+        if (this._review === controller) this._review = null;
+        settle(value);
+      };
+
+      const onKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey) && !acceptBtn.disabled) {
+          e.preventDefault();
+          finish(mergeSegments(segments, rejected));
+        }
+      };
+
+      const updateHint = () => {
+        const hunks = segments.filter(segment => segment.type === 'change').length;
+        hint.textContent = hunks
+          ? `${hunks - rejected.size} of ${hunks} changes kept. Click a change to toggle it.`
+          : 'No changes.';
+        partialBtn.disabled = rejected.size === 0;
+      };
+
+      const renderDiff = () => {
+        body.textContent = '';
+        segments.forEach((segment, index) => {
+          if (segment.type === 'equal') {
+            body.appendChild(document.createTextNode(segment.text));
+            return;
+          }
+          const hunk = document.createElement('span');
+          hunk.className = 'lovable-diff-hunk';
+          hunk.tabIndex = 0;
+          hunk.title = 'Click to keep or drop this change';
+          if (segment.original) {
+            const del = document.createElement('del');
+            del.textContent = segment.original;
+            hunk.appendChild(del);
+          }
+          if (segment.enhanced) {
+            const ins = document.createElement('ins');
+            ins.textContent = segment.enhanced;
+            hunk.appendChild(ins);
+          }
+          const toggle = () => {
+            if (rejected.has(index)) {
+              rejected.delete(index);
+            } else {
+              rejected.add(index);
+            }
+            hunk.classList.toggle('rejected', rejected.has(index));
+            updateHint();
+          };
+          hunk.addEventListener('click', toggle);
+          hunk.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              toggle();
+            }
+          });
+          body.appendChild(hunk);
+        });
+        updateHint();
+      };
+
+      acceptBtn.addEventListener('click', () => finish(enhanced));
+      partialBtn.addEventListener('click', () => finish(mergeSegments(segments, rejected)));
+      rejectBtn.addEventListener('click', () => finish(null));
+      window.addEventListener('resize', position);
+      document.addEventListener('keydown', onKeyDown, true);
+
+      const controller = {
+        result,
+        update: (text) => {
+          status.textContent = text ? 'Writing...' : 'Thinking...';
+          body.textContent = text;
+          body.scrollTop = body.scrollHeight;
+        },
+        complete: (text) => {
+          enhanced = text;
+          segments = LovableAddons.utils.textDiff.diffWords(original, text);
+          status.textContent = 'Review changes';
+          acceptBtn.disabled = false;
+          renderDiff();
+          acceptBtn.focus();
+        },
+        close: () => finish(null)
+      };
+
+      this._review = controller;
+      return controller;
+    },
+
+    /**
+     * Closes the review overlay if one is open, treating it as rejected
+     * @returns {void}
+     */
+    closeReview: function() {
+      if (this._review) {
+        this._review.close();
+      }
+    },
+
+    /**
+     * Updates the Enhance button tooltip with the selected mode
+     * @param {HTMLElement} enhanceButton - The Enhance button
+     * @returns {Promise<void>}
+     */
+    updateModeLabel: async function(enhanceButton) {
+      const { mode } = await this.resolveMode();
+      enhanceButton.title = `Enhance Prompt (AI): ${mode.label}`;
+    },
+
+    /**
+     * Opens the mode dropdown above the toggle button
+     * @param {HTMLElement} anchor - The dropdown toggle button
+     * @param {HTMLElement} enhanceButton - The Enhance button whose tooltip tracks the mode
+     * @returns {Promise<void>}
+     */
+    showModeMenu: async function(anchor, enhanceButton) {
+      if (this.closeModeMenu()) return;
+
+      const [modes, selectedId, projectContextEnabled] = await Promise.all([
+        this.getModes(),
+        getSelectedModeId(),
+        getProjectContextEnabled()
+      ]);
+
+      const menu = document.createElement('div');
+      menu.className = 'enhance-mode-menu';
+      menu.setAttribute('role', 'menu');
+
+      const renderOptions = () => {
+        menu.textContent = '';
+        modes.forEach(mode => {
+          const row = document.createElement('div');
+          row.className = 'enhance-mode-option' + (mode.id === selectedId ? ' selected' : '');
+          row.setAttribute('role', 'menuitemradio');
+          row.setAttribute('aria-checked', String(mode.id === selectedId));
+          row.tabIndex = 0;
+
+          const label = document.createElement('span');
+          label.textContent = mode.label;
+          row.appendChild(label);
+
+          if (mode.isCustom) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'enhance-mode-remove';
+            remove.title = 'Delete mode';
+            remove.textContent = '×';
+            remove.addEventListener('click', async (e) => {
+              e.stopPropagation();
+              await this.removeCustomMode(mode.id);
+              this.closeModeMenu();
+              await this.updateModeLabel(enhanceButton);
+              LovableAddons.utils.toast.showToast(`Deleted mode "${mode.label}"`, 'info');
+            });
+            row.appendChild(remove);
+          }
+
+          const select = async () => {
+            await setSelectedModeId(mode.id);
+            this.closeModeMenu();
+            await this.updateModeLabel(enhanceButton);
+          };
+          row.addEventListener('click', select);
+          row.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              select();
+            }
+          });
+          menu.appendChild(row);
+        });
+
+        const contextRow = document.createElement('label');
+        contextRow.className = 'enhance-mode-option enhance-mode-context';
+        contextRow.title = 'Attach a summary of the GitHub repository connected in Code Context';
+        const contextCheckbox = document.createElement('input');
+        contextCheckbox.type = 'checkbox';
+        contextCheckbox.checked = projectContextEnabled;
+        contextCheckbox.addEventListener('change', () => setProjectContextEnabled(contextCheckbox.checked));
+        const contextLabel = document.createElement('span');
+        contextLabel.textContent = 'Include project context';
+        contextRow.appendChild(contextLabel);
+        contextRow.appendChild(contextCheckbox);
+        menu.appendChild(contextRow);
+
+        const addRow = document.createElement('div');
+        addRow.className = 'enhance-mode-option enhance-mode-add';
+        addRow.tabIndex = 0;
+        addRow.textContent = '+ New mode...';
+        addRow.addEventListener('click', renderForm);
+        menu.appendChild(addRow);
+      };
+
+      const renderForm = () => {
+        menu.textContent = '';
+        const form = document.createElement('form');
+        form.className = 'enhance-mode-form';
+        form.innerHTML = `
+          <input type="text" name="label" placeholder="Mode name" maxlength="40" required>
+          <textarea name="systemPrompt" rows="5" placeholder="System prompt, e.g. Rewrite the prompt as a user story..." required></textarea>
+          <div class="enhance-mode-form-actions">
+            <button type="button" data-action="cancel">Cancel</button>
+            <button type="submit" class="primary">Save</button>
+          </div>
+        `;
+        form.querySelector('[data-action="cancel"]').addEventListener('click', renderOptions);
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const label = form.elements.label.value.trim();
+          const systemPrompt = form.elements.systemPrompt.value.trim();
+          if (!label || !systemPrompt) return;
+          const mode = await this.addCustomMode(label, systemPrompt);
+          await setSelectedModeId(mode.id);
+          this.closeModeMenu();
+          await this.updateModeLabel(enhanceButton);
+          LovableAddons.utils.toast.showToast(`Mode "${label}" saved`, 'success');
+        });
+        // Keep Lovable's composer shortcuts from reacting while typing here
+        form.addEventListener('keydown', (e) => e.stopPropagation());
+        menu.appendChild(form);
+        form.elements.label.focus();
+      };
+
+      renderOptions();
+      document.body.appendChild(menu);
+
+      const rect = anchor.getBoundingClientRect();
+      menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8))}px`;
+      menu.style.bottom = `${window.innerHeight - rect.top + 6}px`;
+
+      const onDocumentClick = (e) => {
+        if (!menu.contains(e.target) && !anchor.contains(e.target)) {
+          this.closeModeMenu();
+        }
+      };
+      const onKeyDown = (e) => {
+        if (e.key === 'Escape') this.closeModeMenu();
+      };
+      document.addEventListener('mousedown', onDocumentClick, true);
+      document.addEventListener('keydown', onKeyDown, true);
+
+      this._modeMenu = {
+        element: menu,
+        cleanup: () => {
+          document.removeEventListener('mousedown', onDocumentClick, true);
+          document.removeEventListener('keydown', onKeyDown, true);
+        }
+      };
+    },
+
+    /**
+     * Closes the mode dropdown if it is open
+     * @returns {boolean} True if a menu was closed
+     */
+    closeModeMenu: function() {
+      if (!this._modeMenu) return false;
+      this._modeMenu.cleanup();
+      this._modeMenu.element.remove();
+      this._modeMenu = null;
+      return true;
+    },
+
     /**
      * Adds an enhance button to the chat interface
      * @returns {void}
@@ -222,16 +735,29 @@
             <span>Loading...</span>
         `;
         
+        const review = this.openReview(currentPrompt);
+
         try {
-          const enhancedPrompt = await this.enhance(currentPrompt, enhanceButton);
-          if (enhancedPrompt && enhancedPrompt !== currentPrompt) {
-            textArea.value = enhancedPrompt;
+          const enhancedPrompt = await this.enhance(currentPrompt, enhanceButton, {
+            onDelta: (text) => review.update(text)
+          });
+          if (!enhancedPrompt || enhancedPrompt === currentPrompt) {
+            review.close();
+            return;
+          }
+
+          review.complete(enhancedPrompt);
+          enhanceButton.querySelector('span').textContent = 'Reviewing...';
+          const acceptedPrompt = await review.result;
+          if (acceptedPrompt !== null && acceptedPrompt !== currentPrompt) {
+            textArea.value = acceptedPrompt;
             textArea.dispatchEvent(new Event('input', { bubbles: true }));
             textArea.style.height = 'auto';
             textArea.style.height = textArea.scrollHeight + 'px';
             LovableAddons.utils.toast.showToast('Prompt enhanced', 'success');
           }
         } catch (error) {
+          review.close();
           console.error('Error in enhance button click:', error);
           LovableAddons.utils.toast.showToast(error.message, 'error');
         } finally {
@@ -243,7 +769,28 @@
         }
       });
 
-      flexContainer.prepend(enhanceButton);
+      // Caret that opens the enhancement mode dropdown
+      const modeToggle = document.createElement('button');
+      modeToggle.type = 'button';
+      modeToggle.className = 'whitespace-nowrap text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-0 disabled:pointer-events-none disabled:opacity-50 hover:bg-accent hover:text-accent-foreground rounded-md flex items-center justify-center px-1 py-1 h-fit enhance-mode-toggle';
+      modeToggle.title = 'Choose enhancement mode';
+      modeToggle.setAttribute('aria-haspopup', 'menu');
+      modeToggle.innerHTML = `
+      <svg class="enhance-icon" viewBox="0 0 24 24">
+          <path d="M6 9L12 15L18 9" fill="none" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />
+      </svg>`;
+      modeToggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.showModeMenu(modeToggle, enhanceButton);
+      });
+
+      const buttonGroup = document.createElement('div');
+      buttonGroup.className = 'enhance-button-group';
+      buttonGroup.appendChild(enhanceButton);
+      buttonGroup.appendChild(modeToggle);
+
+      flexContainer.prepend(buttonGroup);
+      this.updateModeLabel(enhanceButton);
     },
 
     /**
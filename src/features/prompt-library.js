@@ -21,12 +21,56 @@
     const STORAGE_KEYS = {
       FAVORITES: 'lovable_prompt_favorites',
       RECENT: 'lovable_prompt_recent',
-      CUSTOM_PROMPTS: 'lovable_custom_prompts'
+      CUSTOM_PROMPTS: 'lovable_custom_prompts',
+      PLAYBOOKS: 'lovable_prompt_playbooks',
+      HISTORY: 'lovable_prompt_history',
+      USAGE: 'lovable_prompt_usage',
+      FOLDERS: 'lovable_prompt_folders',
+      FOLDER_NAV_COLLAPSED: 'lovable_prompt_folder_nav_collapsed',
+      PROJECTS: 'lovable_prompt_projects'
     };
 
     // Maximum number of recent templates to store
     const MAX_RECENT_TEMPLATES = 5;
 
+    // Earlier versions kept per custom prompt
+    const MAX_HISTORY_VERSIONS = 20;
+
+    // Distinct projects remembered per prompt in usage stats
+    const MAX_USAGE_PROJECTS = 10;
+
+    // Choices for how long a custom prompt goes unused before it counts as stale
+    const STALE_AFTER_DAYS = [30, 60, 90, 180];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Last loaded usage stats, so renderTemplates can stay synchronous
+    let usageStats = {};
+
+    // Separator between folder names in a custom prompt's category path
+    const FOLDER_SEPARATOR = '/';
+
+    // Folder for custom prompts saved without a category
+    const DEFAULT_FOLDER_NAME = 'Uncategorized';
+
+    // Folder for prompts captured from the chat that match no existing category
+    const CAPTURE_FOLDER_NAME = 'Captured';
+
+    // Longest name suggested for a captured prompt
+    const MAX_CAPTURED_NAME_LENGTH = 60;
+
+    // Shorter chat messages ("ok", "thanks") aren't offered when harvesting
+    const MIN_HARVEST_LENGTH = 20;
+
+    // Last loaded folders, so renderTemplates can stay synchronous
+    let folderCache = [];
+
+    // Last loaded per-project pins and variable defaults, keyed by project ID
+    let projectSettings = {};
+
+    // Drag data type for custom prompt cards dropped onto folders
+    const PROMPT_DRAG_TYPE = 'application/x-lovable-prompt-id';
+
     /**
      * Loads prompt templates from the config file
      * @returns {Promise<Array>} Array of prompt templates
@@ -40,7 +84,7 @@
           throw new Error(`Failed to load templates: ${response.status} ${response.statusText}`);
         }
         const data = await response.json();
-        return data.templates || [];
+        return [...(data.templates || []), ...await loadPackTemplates()];
       } catch (error) {
         console.error('Error loading prompt templates:', error);
         LovableAddons.utils.toast.showToast('Error loading templates', 'error');
@@ -48,6 +92,22 @@
       }
     }
 
+    /**
+     * Loads cached templates from subscribed prompt packs
+     * @returns {Promise<Array>} Read-only pack templates
+     * @private
+     */
+    async function loadPackTemplates() {
+      const promptPacks = LovableAddons.getFeature('promptPacks');
+      if (!promptPacks) return [];
+      try {
+        return await promptPacks.getTemplates();
+      } catch (error) {
+        console.error('Error loading prompt packs:', error);
+        return [];
+      }
+    }
+
     /**
      * Loads categories from the config file
      * @returns {Promise<Array>} Array of categories
@@ -168,11 +228,17 @@
      * @private
      */
     async function addCustomPrompt(prompt) {
+      await assignFolder(prompt);
       const customPrompts = await getCustomPrompts();
 
-      // Generate a unique ID for the custom prompt
-      prompt.id = `custom-${Date.now()}`;
+      // Generate a unique ID for the custom prompt; bulk saves can land in the same millisecond
+      let createdAt = Date.now();
+      while (customPrompts.some(existing => existing.id === `custom-${createdAt}`)) {
+        createdAt++;
+      }
+      prompt.id = `custom-${createdAt}`;
       prompt.isCustom = true;
+      prompt.createdAt = createdAt;
 
       // Add the prompt to the list
       customPrompts.push(prompt);
@@ -192,13 +258,23 @@
       const customPrompts = await getCustomPrompts();
       const updatedPrompts = customPrompts.filter(prompt => prompt.id !== promptId);
 
+      const history = await getPromptHistory();
+      delete history[promptId];
+      const usage = await getUsageStats();
+      delete usage[promptId];
+
       return new Promise(resolve => {
-        chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_PROMPTS]: updatedPrompts }, resolve);
+        chrome.storage.local.set({
+          [STORAGE_KEYS.CUSTOM_PROMPTS]: updatedPrompts,
+          [STORAGE_KEYS.HISTORY]: history,
+          [STORAGE_KEYS.USAGE]: usage
+        }, resolve);
       });
     }
 
     /**
-     * Updates a custom prompt in storage
+     * Updates a custom prompt in storage. The version being replaced is kept
+     * in the prompt's edit history.
      * @param {Object} updatedPrompt - The updated custom prompt
      * @returns {Promise<void>}
      * @private
@@ -208,9 +284,23 @@
       const index = customPrompts.findIndex(prompt => prompt.id === updatedPrompt.id);
 
       if (index !== -1) {
-        customPrompts[index] = updatedPrompt;
+        await assignFolder(updatedPrompt);
+        const previous = customPrompts[index];
+        const changes = {};
+        let updatedAt = previous.updatedAt;
+        if (!isSameVersion(previous, updatedPrompt)) {
+          const history = await getPromptHistory();
+          const versions = history[previous.id] || [];
+          versions.unshift(toVersion(previous));
+          history[previous.id] = versions.slice(0, MAX_HISTORY_VERSIONS);
+          changes[STORAGE_KEYS.HISTORY] = history;
+          updatedAt = Date.now();
+        }
+
+        customPrompts[index] = Object.assign({ createdAt: previous.createdAt }, updatedPrompt, { updatedAt });
+        changes[STORAGE_KEYS.CUSTOM_PROMPTS] = customPrompts;
         return new Promise(resolve => {
-          chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_PROMPTS]: customPrompts }, resolve);
+          chrome.storage.local.set(changes, resolve);
         });
       }
 
@@ -218,231 +308,3119 @@
     }
 
     /**
-     * Helper function to re-attach event listeners
-     * @param {HTMLElement} popupForm - The popup form element
-     * @param {Array} templates - The templates array
-     * @param {Array} customPrompts - The custom prompts array
-     * @param {Object} self - The this context
-     * @returns {void}
+     * Snapshots the editable fields of a custom prompt
+     * @param {Object} prompt - Custom prompt
+     * @returns {Object} `{ name, category, content, tags, savedAt }`, where savedAt is when this version was written
      * @private
      */
-    function reattachEventListeners(popupForm, templates, customPrompts, self) {
-      // Re-attach event listeners for category filtering
-      const categoryButtons = document.querySelectorAll('.category-filter-btn');
-      categoryButtons.forEach(button => {
-        button.addEventListener('click', function() {
-          // Remove active class from all buttons
-          categoryButtons.forEach(btn => {
-            btn.classList.remove('active');
-            btn.style.background = 'transparent';
-            btn.style.color = 'var(--lovable-text-primary, #fff)';
-            btn.style.borderColor = 'var(--lovable-border-color, #3F3F46)';
-          });
-
-          // Add active class to clicked button
-          button.classList.add('active');
-          button.style.background = 'var(--lovable-button-secondary, #3F3F46)';
-          button.style.color = 'var(--lovable-text-primary, #fff)';
+    function toVersion(prompt) {
+      return {
+        name: prompt.name,
+        category: prompt.category,
+        content: prompt.content,
+        tags: prompt.tags || [],
+        savedAt: prompt.updatedAt || getCreatedAt(prompt) || Date.now()
+      };
+    }
 
-          // Render templates with selected category
-          const searchInput = document.querySelector('input[type="text"][placeholder="Search templates..."]');
-          const searchValue = searchInput ? searchInput.value : '';
-          const templatesList = document.querySelector('.prompt-templates-list');
+    /**
+     * Whether two versions of a prompt have the same editable fields
+     * @param {Object} a - A prompt or version
+     * @param {Object} b - A prompt or version
+     * @returns {boolean}
+     * @private
+     */
+    function isSameVersion(a, b) {
+      return a.name === b.name && a.category === b.category && a.content === b.content &&
+        (a.tags || []).join(',') === (b.tags || []).join(',');
+    }
 
-          // Get favorites and recent templates
-          getFavorites().then(favs => {
-            getRecentTemplates().then(recent => {
-              self.renderTemplates(
-                templatesList,
-                [...templates, ...customPrompts],
-                favs,
-                recent,
-                customPrompts,
-                searchValue,
-                button.dataset.category
-              );
-            });
-          });
+    /**
+     * Gets the edit history of all custom prompts
+     * @returns {Promise<Object>} Map of prompt ID to versions, newest first
+     * @private
+     */
+    async function getPromptHistory() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.HISTORY], result => {
+          resolve(result[STORAGE_KEYS.HISTORY] || {});
         });
       });
+    }
 
-      // Re-attach event listener for search input
-      const searchInput = document.querySelector('input[type="text"][placeholder="Search templates..."]');
-      if (searchInput) {
-        searchInput.addEventListener('input', function() {
-          const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
-          const activeCategory = activeCategoryBtn ? activeCategoryBtn.dataset.category : 'all';
-          const templatesList = document.querySelector('.prompt-templates-list');
-
-          // Get favorites and recent templates
-          getFavorites().then(favs => {
-            getRecentTemplates().then(recent => {
-              self.renderTemplates(
-                templatesList,
-                [...templates, ...customPrompts],
-                favs,
-                recent,
-                customPrompts,
-                searchInput.value,
-                activeCategory
-              );
-            });
-          });
+    /**
+     * Gets usage stats and refreshes the cached copy used while rendering
+     * @returns {Promise<Object>} Map of template ID to `{ count, lastUsed, projects }`
+     * @private
+     */
+    async function getUsageStats() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.USAGE], result => {
+          usageStats = result[STORAGE_KEYS.USAGE] || {};
+          resolve(usageStats);
         });
-      }
+      });
     }
 
-    // Public API
-    return {
-      /**
-       * Adds a Prompt Library button to the navigation bar
-       * @returns {void}
-       */
-      addButton: function() {
-        // Check if our button already exists globally
-        if (document.getElementById('lovable-addon-prompt-library')) return;
+    /**
+     * Records that a template, custom prompt or playbook was used in the
+     * current project
+     * @param {string} templateId - The ID of the item used
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function recordUsage(templateId) {
+      const usage = await getUsageStats();
+      const stats = usage[templateId] || { count: 0, lastUsed: null, projects: [] };
+      const projectId = getCurrentProjectId();
+
+      stats.count++;
+      stats.lastUsed = Date.now();
+      if (projectId) {
+        stats.projects = [projectId, ...stats.projects.filter(id => id !== projectId)].slice(0, MAX_USAGE_PROJECTS);
+      }
+      usage[templateId] = stats;
 
-        // Find the target container with the specified class
-        const targetContainer = document.querySelector('div.ml-auto.flex.w-full.justify-end.md\\:ml-0');
-        if (!targetContainer) return;
+      return new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.USAGE]: usage }, resolve);
+      });
+    }
 
-        // Get or create the right-side container for our buttons
-        let buttonContainer = targetContainer.querySelector('.lovable-addon-buttons');
-        if (!buttonContainer) {
-          // Create a container for our addon buttons if it doesn't exist
-          buttonContainer = document.createElement('div');
-          buttonContainer.className = 'lovable-addon-buttons flex gap-2 items-center ml-auto';
-          targetContainer.appendChild(buttonContainer);
-        }
+    /**
+     * Gets the ID of the open Lovable project
+     * @returns {string|null} Project ID, or null outside a project
+     * @private
+     */
+    function getCurrentProjectId() {
+      const match = window.location.pathname.match(/\/projects\/([^/?#]+)/);
+      return match ? match[1] : null;
+    }
 
-        // Create Prompt Library button
-        const promptLibraryButton = document.createElement('button');
-        promptLibraryButton.id = 'lovable-addon-prompt-library';
-        promptLibraryButton.className = 'whitespace-nowrap text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-ring disabled:pointer-events-none disabled:opacity-50 [&_svg]:pointer-events-none flex items-center justify-center h-fit focus-visible:ring-0 prompt-library-button lovable-tooltip';
-        promptLibraryButton.style.border = 'none';
-        promptLibraryButton.style.borderRadius = '6px';
-        promptLibraryButton.style.gap = '6px';
-        promptLibraryButton.style.padding = '6px';
-        promptLibraryButton.style.background = 'var(--lovable-button-bg-light, #272725)';
-        promptLibraryButton.style.zIndex = '10'; // Ensure button is above other elements
-        promptLibraryButton.style.position = 'relative'; // Enable z-index
-        promptLibraryButton.setAttribute('data-tooltip', 'Save and manage your favorite prompts');
+    /**
+     * Gets per-project settings and refreshes the cached copy used while rendering
+     * @returns {Promise<Object>} Map of project ID to `{ pinned, variables }`
+     * @private
+     */
+    async function getProjectSettings() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.PROJECTS], result => {
+          projectSettings = result[STORAGE_KEYS.PROJECTS] || {};
+          resolve(projectSettings);
+        });
+      });
+    }
 
-        // Add hover styles for the button
-        if (!document.querySelector('#prompt-library-button-style')) {
-          const style = document.createElement('style');
-          style.id = 'prompt-library-button-style';
-          style.textContent = `
-              .prompt-library-button:hover {
-                  background-color: var(--lovable-button-tertiary-hover, #5F5F5E) !important;
-              }
-          `;
-          document.head.appendChild(style);
-        }
+    /**
+     * Updates the settings of the open project
+     * @param {Function} update - Called with the project's `{ pinned, variables }` to change in place
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function updateProjectSettings(update) {
+      const projectId = getCurrentProjectId();
+      if (!projectId) return;
+
+      const settings = await getProjectSettings();
+      const entry = settings[projectId] || { pinned: [], variables: {} };
+      update(entry);
+      settings[projectId] = entry;
+      return new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.PROJECTS]: settings }, resolve);
+      });
+    }
 
-        promptLibraryButton.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 18 18"><title>wand-sparkle</title><g fill="currentColor"><rect x="1.168" y="7.414" width="15.653" height="3.182" rx="1" ry="1" transform="translate(-3.733 8.998) rotate(-45)" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></rect><line x1="10.387" y1="5.363" x2="12.637" y2="7.613" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></line><path d="M7.243,3.492l-.946-.315-.316-.947c-.102-.306-.609-.306-.711,0l-.316,.947-.946,.315c-.153,.051-.257,.194-.257,.356s.104,.305,.257,.356l.946,.315,.316,.947c.051,.153,.194,.256,.355,.256s.305-.104,.355-.256l.316-.947,.946-.315c.153-.051,.257-.194,.257-.356s-.104-.305-.257-.356Z" fill="currentColor" data-stroke="none" stroke="none"></path><path d="M16.658,11.99l-1.263-.421-.421-1.263c-.137-.408-.812-.408-.949,0l-.421,1.263-1.263,.421c-.204,.068-.342,.259-.342,.474s.138,.406,.342,.474l1.263,.421,.421,1.263c.068,.204,.26,.342,.475,.342s.406-.138,.475-.342l.421-1.263,1.263-.421c.204-.068,.342-.259,.342-.474s-.138-.406-.342-.474Z" fill="currentColor" data-stroke="none" stroke="none"></path><circle cx="9.25" cy="1.75" r=".75" fill="currentColor" data-stroke="none" stroke="none"></circle></g></svg>
-        `;
-        // Remove title attribute to prevent double tooltips
-        // promptLibraryButton.title = 'Save and manage your favorite prompts';
+    /**
+     * Gets the cached settings of the open project
+     * @returns {{pinned: Array<string>, variables: Object}} Pins and variable defaults; empty outside a project
+     * @private
+     */
+    function getCurrentProjectSettings() {
+      const projectId = getCurrentProjectId();
+      return (projectId && projectSettings[projectId]) || { pinned: [], variables: {} };
+    }
 
-        // Add click handler for Prompt Library
-        promptLibraryButton.addEventListener('click', () => {
-          this.showPopup();
-        });
+    /**
+     * Whether an item should be listed: global prompts always, project
+     * prompts only while their project is open
+     * @param {Object} item - Template, custom prompt or playbook
+     * @returns {boolean}
+     * @private
+     */
+    function isVisibleInProject(item) {
+      return !item.projectId || item.projectId === getCurrentProjectId();
+    }
 
-        // Add button to container
-        // Place before SEO button if it exists
-        const seoButton = buttonContainer.querySelector('#lovable-addon-seo-button');
-        if (seoButton) {
-          buttonContainer.insertBefore(promptLibraryButton, seoButton);
-        } else {
-          buttonContainer.appendChild(promptLibraryButton);
-        }
-      },
+    /**
+     * Moves project pins to the front, then prompts scoped to the open
+     * project, keeping the order within each group
+     * @param {Array} items - Templates and custom prompts
+     * @returns {Array} Reordered items
+     * @private
+     */
+    function sortProjectFirst(items) {
+      const projectId = getCurrentProjectId();
+      if (!projectId) return items;
+      const { pinned } = getCurrentProjectSettings();
+      const rank = item => {
+        const pinIndex = pinned.indexOf(item.id);
+        if (pinIndex !== -1) return pinIndex;
+        return item.projectId === projectId ? pinned.length : pinned.length + 1;
+      };
+      return items
+        .map((item, order) => ({ item, order, rank: rank(item) }))
+        .sort((a, b) => a.rank - b.rank || a.order - b.order)
+        .map(entry => entry.item);
+    }
 
-      /**
-       * Shows the Prompt Library popup
-       * @returns {void}
-       */
-      showPopup: async function() {
-        // Create popup container
-        const popupContainer = document.createElement('div');
-        popupContainer.className = 'prompt-library-popup-overlay';
-        popupContainer.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100vw;
-            height: 100vh;
-            background: rgba(0, 0, 0, 0.7);
-            backdrop-filter: blur(4px);
-            -webkit-backdrop-filter: blur(4px);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 10000;
-            transition: all 0.2s ease-in-out;
-            box-sizing: border-box;
-            overflow: hidden;
-            margin: 0;
-            padding: 0;
-        `;
+    /**
+     * Uses the open project's saved variable values as the defaults
+     * @param {Array<Object>} definitions - Variable definitions from promptVariables.parse()
+     * @returns {Promise<Array<Object>>} Definitions with project defaults applied
+     * @private
+     */
+    async function applyProjectDefaults(definitions) {
+      if (!getCurrentProjectId()) return definitions;
+      await getProjectSettings();
+      const { variables } = getCurrentProjectSettings();
+
+      return definitions.map(definition => {
+        const value = variables[definition.name];
+        if (value === undefined) return definition;
+        if (definition.type === 'select' && !definition.options.includes(value)) return definition;
+        return Object.assign({}, definition, { defaultValue: value });
+      });
+    }
 
-        // Add class to body to prevent scrolling
-        document.body.classList.add('lovable-popup-active');
+    /**
+     * Scopes a custom prompt to a project, or makes it global
+     * @param {string} promptId - Custom prompt ID
+     * @param {string|null} projectId - Project ID, or null for global
+     * @returns {Promise<Object|null>} The updated prompt, or null if not found
+     * @private
+     */
+    async function setPromptProject(promptId, projectId) {
+      const customPrompts = await getCustomPrompts();
+      const prompt = customPrompts.find(item => item.id === promptId);
+      if (!prompt) return null;
 
-        // Ensure no scrollbars on the page
-        const styleElement = document.createElement('style');
-        styleElement.id = 'prompt-library-scrollbar-fix';
-        styleElement.textContent = `
-          body.lovable-popup-active {
-            overflow: hidden !important;
-            padding-right: 0 !important;
-            margin-right: 0 !important;
-          }
+      if (projectId) {
+        prompt.projectId = projectId;
+      } else {
+        delete prompt.projectId;
+      }
+      await new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_PROMPTS]: customPrompts }, resolve);
+      });
+      return prompt;
+    }
+
+    /**
+     * Gets when a custom prompt was created. Prompts saved before `createdAt`
+     * existed fall back to the timestamp in their `custom-<ms>` ID.
+     * @param {Object} prompt - Custom prompt
+     * @returns {number|null} Timestamp in ms
+     * @private
+     */
+    function getCreatedAt(prompt) {
+      if (prompt.createdAt) return prompt.createdAt;
+      const match = /^custom-(\d+)/.exec(prompt.id || '');
+      return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Formats a timestamp as a rough age
+     * @param {number} timestamp - Time in ms
+     * @returns {string} e.g. "today", "3 days ago", "2 months ago"
+     * @private
+     */
+    function formatAge(timestamp) {
+      const days = Math.floor((Date.now() - timestamp) / DAY_MS);
+      if (days < 1) return 'today';
+      if (days === 1) return 'yesterday';
+      if (days < 60) return `${days} days ago`;
+      return `${Math.round(days / 30)} months ago`;
+    }
+
+    /**
+     * Summarizes usage stats for a card
+     * @param {Object} stats - `{ count, lastUsed, projects }`
+     * @returns {string} e.g. "Used 4× · last used 2 days ago · 2 projects"
+     * @private
+     */
+    function describeUsage(stats) {
+      const parts = [`Used ${stats.count}×`, `last used ${formatAge(stats.lastUsed)}`];
+      if (stats.projects.length > 0) {
+        parts.push(stats.projects.length === 1 ? '1 project' : `${stats.projects.length} projects`);
+      }
+      return parts.join(' · ');
+    }
+
+    /**
+     * Gets prompt folders from storage
+     * @returns {Promise<Array|undefined>} Folders `{ id, name, parentId, favorite, collapsed }`,
+     *   or undefined if folders were never set up
+     * @private
+     */
+    async function getFolders() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.FOLDERS], result => {
+          resolve(result[STORAGE_KEYS.FOLDERS]);
+        });
+      });
+    }
+
+    /**
+     * Saves prompt folders and refreshes the cached copy used while rendering
+     * @param {Array} folders - Folders to save
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function saveFolders(folders) {
+      folderCache = folders;
+      return new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.FOLDERS]: folders }, resolve);
+      });
+    }
+
+    /**
+     * Splits a category path such as "Frontend / Forms" into folder names
+     * @param {string} path - Category path
+     * @returns {Array<string>} Folder names, outermost first
+     * @private
+     */
+    function splitFolderPath(path) {
+      return (path || '').split(FOLDER_SEPARATOR).map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Builds the category path of a folder
+     * @param {string} folderId - Folder ID
+     * @param {Array} folders - All folders
+     * @returns {string} e.g. "Frontend/Forms"
+     * @private
+     */
+    function getFolderPath(folderId, folders) {
+      const names = [];
+      let folder = folders.find(item => item.id === folderId);
+      while (folder) {
+        names.unshift(folder.name);
+        const parentId = folder.parentId;
+        folder = parentId ? folders.find(item => item.id === parentId) : null;
+      }
+      return names.join(FOLDER_SEPARATOR);
+    }
+
+    /**
+     * Gets the IDs of a folder and all folders nested in it
+     * @param {string} folderId - Folder ID
+     * @param {Array} folders - All folders
+     * @returns {Set<string>} Folder IDs
+     * @private
+     */
+    function getFolderSubtree(folderId, folders) {
+      const ids = new Set([folderId]);
+      let added = true;
+      while (added) {
+        added = false;
+        folders.forEach(folder => {
+          if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+            ids.add(folder.id);
+            added = true;
+          }
+        });
+      }
+      return ids;
+    }
+
+    /**
+     * Finds the folder for a category path, creating any missing folders
+     * @param {string} path - Category path, e.g. "Frontend/Forms"
+     * @param {Array} folders - All folders; new folders are pushed onto it
+     * @returns {string} ID of the innermost folder
+     * @private
+     */
+    function ensureFolderPath(path, folders) {
+      const names = splitFolderPath(path);
+      if (names.length === 0) names.push(DEFAULT_FOLDER_NAME);
+
+      let parentId = null;
+      names.forEach(name => {
+        let folder = folders.find(item =>
+          item.parentId === parentId && item.name.toLowerCase() === name.toLowerCase());
+        if (!folder) {
+          folder = {
+            id: `folder-${Date.now()}-${folders.length}`,
+            name,
+            parentId,
+            favorite: false,
+            collapsed: false
+          };
+          folders.push(folder);
+        }
+        parentId = folder.id;
+      });
+      return parentId;
+    }
+
+    /**
+     * Files a custom prompt into the folder named by its category, creating
+     * folders as needed, and normalizes its category to the folder path
+     * @param {Object} prompt - Custom prompt; `folderId` and `category` are updated in place
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function assignFolder(prompt) {
+      const folders = (await getFolders()) || [];
+      const count = folders.length;
+      prompt.folderId = ensureFolderPath(prompt.category, folders);
+      prompt.category = getFolderPath(prompt.folderId, folders);
+      if (folders.length !== count) {
+        await saveFolders(folders);
+      } else {
+        folderCache = folders;
+      }
+    }
+
+    /**
+     * Makes sure every custom prompt sits in an existing folder and that its
+     * category matches the folder path. The first run migrates the old flat
+     * categories into folders; later runs file imported prompts and pick up
+     * folder renames.
+     * @returns {Promise<Array>} The folders
+     * @private
+     */
+    async function syncFolders() {
+      const stored = await getFolders();
+      const folders = stored || [];
+      const customPrompts = await getCustomPrompts();
+      let promptsChanged = false;
+      const count = folders.length;
+
+      customPrompts.forEach(prompt => {
+        if (!prompt.folderId || !folders.some(folder => folder.id === prompt.folderId)) {
+          prompt.folderId = ensureFolderPath(prompt.category, folders);
+          promptsChanged = true;
+        }
+        const path = getFolderPath(prompt.folderId, folders);
+        if (prompt.category !== path) {
+          prompt.category = path;
+          promptsChanged = true;
+        }
+      });
+
+      if (!stored || folders.length !== count) {
+        await saveFolders(folders);
+      } else {
+        folderCache = folders;
+      }
+      if (promptsChanged) {
+        await new Promise(resolve => {
+          chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_PROMPTS]: customPrompts }, resolve);
+        });
+      }
+      return folders;
+    }
+
+    /**
+     * Moves a custom prompt into a folder. Moving is not an edit, so it
+     * doesn't add a history version.
+     * @param {string} promptId - Custom prompt ID
+     * @param {string} folderId - Target folder ID
+     * @returns {Promise<Object|null>} The moved prompt, or null if not found
+     * @private
+     */
+    async function moveCustomPrompt(promptId, folderId) {
+      const customPrompts = await getCustomPrompts();
+      const prompt = customPrompts.find(item => item.id === promptId);
+      if (!prompt) return null;
+
+      prompt.folderId = folderId;
+      prompt.category = getFolderPath(folderId, folderCache);
+      await new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.CUSTOM_PROMPTS]: customPrompts }, resolve);
+      });
+      return prompt;
+    }
+
+    /**
+     * Gets whether the folder navigation is collapsed
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async function getFolderNavCollapsed() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.FOLDER_NAV_COLLAPSED], result => {
+          resolve(!!result[STORAGE_KEYS.FOLDER_NAV_COLLAPSED]);
+        });
+      });
+    }
+
+    /**
+     * Gets playbooks (saved multi-step prompt sequences) from storage
+     * @returns {Promise<Array>} Array of playbooks
+     * @private
+     */
+    async function getPlaybooks() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.PLAYBOOKS], result => {
+          resolve(result[STORAGE_KEYS.PLAYBOOKS] || []);
+        });
+      });
+    }
+
+    /**
+     * Adds or replaces a playbook in storage
+     * @param {Object} playbook - Playbook with name and steps; a new ID is generated if missing
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function savePlaybook(playbook) {
+      const playbooks = await getPlaybooks();
+
+      if (!playbook.id) {
+        playbook.id = `playbook-${Date.now()}`;
+      }
+      playbook.isPlaybook = true;
+
+      const index = playbooks.findIndex(item => item.id === playbook.id);
+      if (index !== -1) {
+        playbooks[index] = playbook;
+      } else {
+        playbooks.push(playbook);
+      }
+
+      return new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.PLAYBOOKS]: playbooks }, resolve);
+      });
+    }
+
+    /**
+     * Removes a playbook from storage
+     * @param {string} playbookId - The ID of the playbook to remove
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function removePlaybook(playbookId) {
+      const playbooks = await getPlaybooks();
+      const updatedPlaybooks = playbooks.filter(playbook => playbook.id !== playbookId);
+
+      return new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.PLAYBOOKS]: updatedPlaybooks }, resolve);
+      });
+    }
+
+    /**
+     * Reads everything a library export contains
+     * @returns {Promise<Object>} `{ customPrompts, playbooks, favorites, recent, categories, folders }`
+     * @private
+     */
+    async function getLibraryData() {
+      return {
+        customPrompts: await getCustomPrompts(),
+        playbooks: await getPlaybooks(),
+        favorites: await getFavorites(),
+        recent: await getRecentTemplates(),
+        categories: await loadCategories(),
+        folders: await syncFolders()
+      };
+    }
+
+    /**
+     * Writes an imported library back to storage, then files any prompt
+     * without a known folder by its category
+     * @param {Object} library - `{ customPrompts, playbooks, favorites, recent, folders }`
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function saveLibraryData(library) {
+      if (library.folders) {
+        await saveFolders(library.folders);
+      }
+      await new Promise(resolve => {
+        chrome.storage.local.set({
+          [STORAGE_KEYS.CUSTOM_PROMPTS]: library.customPrompts,
+          [STORAGE_KEYS.PLAYBOOKS]: library.playbooks
+        }, resolve);
+      });
+      await new Promise(resolve => {
+        chrome.storage.sync.set({
+          [STORAGE_KEYS.FAVORITES]: library.favorites,
+          [STORAGE_KEYS.RECENT]: library.recent
+        }, resolve);
+      });
+      await syncFolders();
+    }
+
+    /**
+     * Saves text as a file through a temporary download link
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type of the file
+     * @returns {void}
+     * @private
+     */
+    function downloadFile(filename, content, mimeType) {
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Closes the Prompt Library popup and restores page scrolling
+     * @returns {void}
+     * @private
+     */
+    function closePopup() {
+      const popupContainer = document.querySelector('.prompt-library-popup-overlay');
+      if (popupContainer) {
+        popupContainer.remove();
+      }
+      document.body.classList.remove('lovable-popup-active');
+      const styleElement = document.getElementById('prompt-library-scrollbar-fix');
+      if (styleElement) {
+        styleElement.remove();
+      }
+    }
+
+    /**
+     * Returns the open popup form, or opens an empty themed popup to host a
+     * form view (used when a template is applied from outside the library)
+     * @returns {HTMLElement} The popup form element
+     * @private
+     */
+    function getFormPopup() {
+      const existingForm = document.querySelector('.prompt-library-popup-form');
+      if (existingForm) {
+        return existingForm;
+      }
+
+      const popupContainer = document.createElement('div');
+      popupContainer.className = 'prompt-library-popup-overlay';
+      popupContainer.style.cssText = `
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100vw;
+          height: 100vh;
+          background: rgba(0, 0, 0, 0.7);
+          backdrop-filter: blur(4px);
+          -webkit-backdrop-filter: blur(4px);
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          z-index: 10000;
+          box-sizing: border-box;
+      `;
+
+      const popupForm = document.createElement('div');
+      popupForm.className = 'prompt-library-popup-form';
+      if (LovableAddons.utils.dom && typeof LovableAddons.utils.dom.prepareThemedPopup === 'function') {
+        LovableAddons.utils.dom.prepareThemedPopup(popupForm);
+      }
+      popupForm.style.cssText = `
+          padding: 16px;
+          border-radius: var(--lovable-popup-border-radius, 12px);
+          min-width: 500px;
+          max-width: 700px;
+          max-height: 80vh;
+          overflow-y: auto;
+          display: flex;
+          flex-direction: column;
+          box-sizing: border-box;
+      `;
+
+      popupContainer.appendChild(popupForm);
+      document.body.appendChild(popupContainer);
+      document.body.classList.add('lovable-popup-active');
+
+      if (LovableAddons.utils.dom && typeof LovableAddons.utils.dom.applyThemeToPopups === 'function') {
+        LovableAddons.utils.dom.applyThemeToPopups();
+      }
+
+      popupContainer.addEventListener('click', (e) => {
+        if (e.target === popupContainer) {
+          closePopup();
+        }
+      });
+      document.addEventListener('keydown', function escHandler(e) {
+        if (e.key === 'Escape' || !popupContainer.isConnected) {
+          document.removeEventListener('keydown', escHandler);
+          if (popupContainer.isConnected) {
+            closePopup();
+          }
+        }
+      });
+
+      return popupForm;
+    }
+
+    // Shared input styling for the library's form views
+    const FIELD_STYLE = `
+        padding: 8px 12px;
+        border-radius: 6px;
+        border: 1px solid #3F3F46;
+        background: #27272A;
+        color: #fff;
+        font-size: 14px;
+    `;
+
+    /**
+     * Creates a form view header with a back button
+     * @param {string} titleText - Header title
+     * @param {Function} onBack - Back button handler
+     * @returns {HTMLElement} The header element
+     * @private
+     */
+    function createFormHeader(titleText, onBack) {
+      const header = document.createElement('div');
+      header.style.cssText = `
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+          padding-bottom: 8px;
+          border-bottom: 1px solid #3F3F46;
+      `;
+
+      const backButton = document.createElement('button');
+      backButton.type = 'button';
+      backButton.className = 'prompt-library-back-btn';
+      backButton.style.cssText = `
+          background: transparent;
+          border: none;
+          color: var(--lovable-text-primary, #fff);
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          font-size: 14px;
+          padding: 4px 8px;
+          border-radius: 4px;
+      `;
+      backButton.innerHTML = `
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <line x1="19" y1="12" x2="5" y2="12"></line>
+              <polyline points="12 19 5 12 12 5"></polyline>
+          </svg>
+          Back
+      `;
+      backButton.addEventListener('click', onBack);
+
+      const title = document.createElement('h2');
+      title.textContent = titleText;
+      title.style.cssText = `
+          margin: 0;
+          font-size: 18px;
+          font-weight: 600;
+          color: var(--lovable-text-primary, #fff);
+      `;
+
+      header.appendChild(backButton);
+      header.appendChild(title);
+      return header;
+    }
+
+    /**
+     * Creates a labelled form field group
+     * @param {string} labelText - Label text
+     * @returns {HTMLElement} The group element; append the input to it
+     * @private
+     */
+    function createFieldGroup(labelText) {
+      const group = document.createElement('div');
+      group.style.cssText = `
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+      `;
+
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      label.style.cssText = `
+          font-size: 14px;
+          font-weight: 500;
+          color: #fff;
+      `;
+
+      group.appendChild(label);
+      return group;
+    }
+
+    /**
+     * Creates the "Only show in this project" checkbox for the prompt forms
+     * @param {boolean} checked - Initial state
+     * @returns {{group: HTMLElement, checkbox: HTMLInputElement}|null} The row, or null outside a project
+     * @private
+     */
+    function createProjectScopeField(checked) {
+      if (!getCurrentProjectId()) return null;
+
+      const group = document.createElement('label');
+      group.style.cssText = `
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+          color: #A1A1AA;
+          cursor: pointer;
+      `;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = checked;
+      group.appendChild(checkbox);
+      group.appendChild(document.createTextNode('Only show in this project'));
+      return { group, checkbox };
+    }
+
+    /**
+     * Creates the Cancel / submit button row for a form view
+     * @param {string} submitText - Submit button label
+     * @param {Function} onCancel - Cancel button handler
+     * @returns {HTMLElement} The button row
+     * @private
+     */
+    function createFormButtons(submitText, onCancel) {
+      const formButtons = document.createElement('div');
+      formButtons.style.cssText = `
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+          margin-top: 16px;
+      `;
+
+      const cancelFormButton = document.createElement('button');
+      cancelFormButton.type = 'button';
+      cancelFormButton.textContent = 'Cancel';
+      cancelFormButton.className = 'prompt-library-form-btn';
+      cancelFormButton.style.cssText = `
+          padding: 6px 12px;
+          border-radius: 6px;
+          border: 1px solid #3F3F46;
+          background: transparent;
+          color: #fff;
+          cursor: pointer;
+          font-size: 14px;
+      `;
+      cancelFormButton.addEventListener('click', onCancel);
+
+      const submitButton = document.createElement('button');
+      submitButton.type = 'submit';
+      submitButton.textContent = submitText;
+      submitButton.className = 'prompt-library-form-btn';
+      submitButton.style.cssText = `
+          padding: 6px 12px;
+          border-radius: 6px;
+          border: 1px solid #3F3F46;
+          background: #272725;
+          color: #fff;
+          cursor: pointer;
+          font-size: 14px;
+      `;
+
+      formButtons.appendChild(cancelFormButton);
+      formButtons.appendChild(submitButton);
+      return formButtons;
+    }
+
+    /**
+     * Adds a line under a prompt textarea that explains the variable syntax
+     * and lists the variables detected as the user types
+     * @param {HTMLElement} group - Field group to append the hint to
+     * @param {HTMLTextAreaElement} textarea - The prompt content textarea
+     * @returns {void}
+     * @private
+     */
+    function attachVariableHint(group, textarea) {
+      const hint = document.createElement('div');
+      hint.className = 'prompt-variable-hint';
+      hint.style.cssText = `
+          font-size: 12px;
+          color: #A1A1AA;
+      `;
+
+      const update = () => {
+        const variables = LovableAddons.utils.promptVariables;
+        const problems = variables.validate(textarea.value);
+        const definitions = variables.parse(textarea.value);
+
+        if (problems.length > 0) {
+          hint.textContent = problems[0];
+          hint.style.color = '#F87171';
+        } else if (definitions.length > 0) {
+          hint.textContent = 'Variables: ' + definitions
+            .map(definition => definition.type === 'text' ? definition.name : `${definition.name} (${definition.type})`)
+            .join(', ');
+          hint.style.color = '#A1A1AA';
+        } else {
+          hint.textContent = 'Add variables with {{name}}, {{name=default}}, {{name:textarea}} or {{name:select:a,b}}';
+          hint.style.color = '#A1A1AA';
+        }
+      };
+
+      textarea.addEventListener('input', update);
+      update();
+      group.appendChild(hint);
+    }
+
+    /**
+     * Suggests existing folder paths in a folder input. Typing a path that
+     * doesn't exist yet creates its folders on save.
+     * @param {HTMLElement} group - Field group to add the suggestion list to
+     * @param {HTMLInputElement} input - Folder input
+     * @returns {void}
+     * @private
+     */
+    function attachFolderSuggestions(group, input) {
+      const datalist = document.createElement('datalist');
+      datalist.id = `prompt-folder-suggestions-${Date.now()}`;
+      folderCache
+        .map(folder => getFolderPath(folder.id, folderCache))
+        .sort((a, b) => a.localeCompare(b))
+        .forEach(path => {
+          const option = document.createElement('option');
+          option.value = path;
+          datalist.appendChild(option);
+        });
+      input.setAttribute('list', datalist.id);
+      group.appendChild(datalist);
+    }
+
+    /**
+     * Splits a comma-separated tags field into unique, lower-case tags
+     * @param {string} value - Raw input value
+     * @returns {Array<string>} Tags
+     * @private
+     */
+    function parseTags(value) {
+      return [...new Set(value.split(',')
+        .map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean))];
+    }
+
+    /**
+     * Creates a row of suggested variables for a prompt textarea. Clicking one
+     * turns its value into a placeholder everywhere in the text.
+     * @param {HTMLTextAreaElement} textarea - Prompt content field
+     * @param {Array<Object>} suggestions - Suggestions from promptVariables.suggest()
+     * @returns {HTMLElement} The suggestions row
+     * @private
+     */
+    function createVariableSuggestions(textarea, suggestions) {
+      const variables = LovableAddons.utils.promptVariables;
+      const row = document.createElement('div');
+      row.className = 'prompt-variable-suggestions';
+
+      const label = document.createElement('span');
+      label.textContent = 'Suggested variables:';
+      row.appendChild(label);
+
+      let remaining = [...suggestions];
+      const apply = (applied) => {
+        textarea.value = variables.applySuggestions(textarea.value, applied);
+        textarea.dispatchEvent(new Event('input'));
+        remaining = remaining.filter(suggestion => !applied.includes(suggestion));
+        if (remaining.length === 0) {
+          row.remove();
+        }
+      };
+
+      suggestions.forEach(suggestion => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'prompt-variable-suggestion';
+        chip.textContent = `{{${suggestion.name}}}`;
+        chip.title = `Replace "${suggestion.value.length > 60 ? suggestion.value.slice(0, 57) + '...' : suggestion.value}" with ${suggestion.placeholder}`;
+        chip.addEventListener('click', () => {
+          chip.remove();
+          apply([suggestion]);
+        });
+        row.appendChild(chip);
+      });
+
+      if (suggestions.length > 1) {
+        const allButton = document.createElement('button');
+        allButton.type = 'button';
+        allButton.className = 'prompt-variable-suggestion use-all';
+        allButton.textContent = 'Use all';
+        allButton.addEventListener('click', () => apply(remaining));
+        row.appendChild(allButton);
+      }
+
+      return row;
+    }
+
+    /**
+     * Suggests a name from the first sentence of a prompt
+     * @param {string} text - Prompt text
+     * @returns {string} Name of at most MAX_CAPTURED_NAME_LENGTH characters
+     * @private
+     */
+    function suggestPromptName(text) {
+      const firstLine = text.replace(/```[\s\S]*?```/g, ' ')
+        .split('\n')
+        .map(line => line.replace(/^\s*(?:#+|[-*>]|\d+\.)\s*/, '').trim())
+        .find(Boolean) || 'Captured prompt';
+      const sentence = firstLine.split(/(?<=[.!?])\s/)[0].replace(/[.!?:]+$/, '');
+      if (sentence.length <= MAX_CAPTURED_NAME_LENGTH) return sentence;
+
+      const cut = sentence.slice(0, MAX_CAPTURED_NAME_LENGTH - 3);
+      return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : cut.length)}...`;
+    }
+
+    /**
+     * Suggests the fields of a new custom prompt for text captured from the
+     * chat. The folder is the existing category whose name words and tags
+     * appear most in the text, and the matching tags are pre-filled.
+     * @param {string} text - Message text
+     * @param {Array} library - Bundled, pack and custom templates to learn categories from
+     * @returns {{name: string, category: string, tags: Array<string>, content: string, suggestions: Array}} Prefill
+     * @private
+     */
+    function suggestPromptFields(text, library) {
+      const words = new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+      const keywordsByCategory = {};
+      const knownTags = new Set();
+      library.forEach(item => {
+        if (!item.category) return;
+        const keywords = keywordsByCategory[item.category] = keywordsByCategory[item.category] || new Set();
+        (item.category.toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => keywords.add(word));
+        (item.tags || []).forEach(tag => {
+          keywords.add(tag.toLowerCase());
+          knownTags.add(tag.toLowerCase());
+        });
+      });
+
+      let best = { category: CAPTURE_FOLDER_NAME, matched: [] };
+      Object.keys(keywordsByCategory).forEach(category => {
+        const matched = [...keywordsByCategory[category]].filter(keyword => keyword.length > 2 && words.has(keyword));
+        if (matched.length > best.matched.length) {
+          best = { category, matched };
+        }
+      });
+
+      return {
+        name: suggestPromptName(text),
+        category: best.category,
+        tags: best.matched.filter(keyword => knownTags.has(keyword)).slice(0, 3),
+        content: text,
+        suggestions: LovableAddons.utils.promptVariables.suggest(text)
+      };
+    }
+
+    /**
+     * Lets ↑/↓ move a selection through the rendered cards while the search
+     * input keeps focus, and Enter apply the selected (or first) card
+     * @param {HTMLInputElement} searchInput - The library search input
+     * @returns {void}
+     * @private
+     */
+    function attachSearchKeyboard(searchInput) {
+      searchInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp' && e.key !== 'Enter') return;
+
+        const popupForm = searchInput.closest('.prompt-library-popup-form');
+        const templatesList = popupForm && popupForm.querySelector('.prompt-templates-list');
+        const items = templatesList ? Array.from(templatesList.querySelectorAll('.prompt-template-item')) : [];
+        if (items.length === 0) return;
+
+        e.preventDefault();
+        let index = items.findIndex(item => item.classList.contains('keyboard-active'));
+
+        if (e.key === 'Enter') {
+          items[Math.max(0, index)].click();
+          return;
+        }
+
+        index = e.key === 'ArrowDown'
+          ? Math.min(items.length - 1, index + 1)
+          : Math.max(0, index - 1);
+        items.forEach(item => item.classList.remove('keyboard-active'));
+        items[index].classList.add('keyboard-active');
+        items[index].scrollIntoView({ block: 'nearest' });
+      });
+    }
+
+    /**
+     * Restores the main library view after a form view and re-renders the list
+     * so its cards get their click handlers back
+     * @param {HTMLElement} popupForm - The popup form element
+     * @param {string} originalContent - The main view HTML saved before the form was shown
+     * @param {Object} self - The this context
+     * @param {string} [searchValue=''] - Search text to put back before re-rendering
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function restoreMainView(popupForm, originalContent, self, searchValue = '') {
+      popupForm.innerHTML = originalContent;
+
+      await syncFolders();
+      const freshTemplates = await loadTemplates();
+      const freshCustomPrompts = await getCustomPrompts();
+      reattachEventListeners(popupForm, freshTemplates, freshCustomPrompts, self);
+
+      const searchInput = popupForm.querySelector('input[type="text"][placeholder="Search templates..."]');
+      if (searchInput) {
+        searchInput.value = searchValue;
+      }
+
+      const activeCategoryBtn = popupForm.querySelector('.category-filter-btn.active');
+      if (activeCategoryBtn) {
+        activeCategoryBtn.click();
+      }
+    }
+
+    /**
+     * Reloads the main view in place with fresh data, keeping the active
+     * filter and search text. Used after changes that move prompts.
+     * @param {HTMLElement} popupForm - The popup form element
+     * @param {Object} self - The this context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function refreshMainView(popupForm, self) {
+      const searchInput = popupForm.querySelector('input[type="text"][placeholder="Search templates..."]');
+      await restoreMainView(popupForm, popupForm.innerHTML, self, searchInput ? searchInput.value : '');
+    }
+
+    /**
+     * Renders the collapsible folder tree into the popup's folder navigation.
+     * Selecting a folder goes through the hidden `folder:` category button so
+     * the existing filter handling applies; custom prompt cards can be dropped
+     * onto a folder to move them.
+     * @param {HTMLElement} popupForm - The popup form element
+     * @param {Object} self - The this context
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function renderFolderNav(popupForm, self) {
+      const nav = popupForm.querySelector('.prompt-folder-nav');
+      if (!nav) return;
+
+      const folders = (await getFolders()) || [];
+      folderCache = folders;
+      const customPrompts = await getCustomPrompts();
+      const navCollapsed = await getFolderNavCollapsed();
+      const folderFilterBtn = popupForm.querySelector('.prompt-folder-filter');
+      const activeCategoryBtn = popupForm.querySelector('.category-filter-btn.active');
+      const activeCategory = activeCategoryBtn ? activeCategoryBtn.dataset.category : 'all';
+
+      nav.innerHTML = '';
+
+      // Header: collapse toggle and New Folder
+      const header = document.createElement('div');
+      header.className = 'prompt-folder-nav-header';
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'prompt-folder-nav-toggle';
+      toggle.textContent = `${navCollapsed ? '▸' : '▾'} Folders`;
+      toggle.setAttribute('aria-expanded', String(!navCollapsed));
+      toggle.addEventListener('click', async () => {
+        await new Promise(resolve => {
+          chrome.storage.local.set({ [STORAGE_KEYS.FOLDER_NAV_COLLAPSED]: !navCollapsed }, resolve);
+        });
+        renderFolderNav(popupForm, self);
+      });
+
+      const addButton = document.createElement('button');
+      addButton.type = 'button';
+      addButton.className = 'prompt-folder-action';
+      addButton.textContent = '+ New Folder';
+      addButton.addEventListener('click', () => createFolder(null));
+
+      header.appendChild(toggle);
+      header.appendChild(addButton);
+      nav.appendChild(header);
+
+      if (navCollapsed) return;
+
+      const tree = document.createElement('div');
+      tree.className = 'prompt-folder-tree';
+      tree.setAttribute('role', 'tree');
+      nav.appendChild(tree);
+
+      if (folders.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'prompt-folder-empty';
+        empty.textContent = 'No folders yet. Custom prompts are filed by their category.';
+        tree.appendChild(empty);
+        return;
+      }
+
+      // Counts show what is listed here; deleting checks prompts of every project
+      const countIn = (folderId, visibleOnly = true) => {
+        const ids = getFolderSubtree(folderId, folders);
+        return customPrompts.filter(prompt =>
+          ids.has(prompt.folderId) && (!visibleOnly || isVisibleInProject(prompt))).length;
+      };
+
+      async function createFolder(parentId) {
+        const name = (window.prompt(parentId ? 'New subfolder name:' : 'New folder name:') || '').trim();
+        if (!name) return;
+        if (name.includes(FOLDER_SEPARATOR)) {
+          LovableAddons.utils.toast.showToast(`Folder names can't contain "${FOLDER_SEPARATOR}"`, 'error');
+          return;
+        }
+        const latest = (await getFolders()) || [];
+        const parentPath = parentId ? getFolderPath(parentId, latest) + FOLDER_SEPARATOR : '';
+        ensureFolderPath(parentPath + name, latest);
+        await saveFolders(latest);
+        renderFolderNav(popupForm, self);
+      }
+
+      async function updateFolder(folderId, changes) {
+        const latest = (await getFolders()) || [];
+        const folder = latest.find(item => item.id === folderId);
+        if (!folder) return;
+        Object.assign(folder, changes);
+        await saveFolders(latest);
+      }
+
+      const renderLevel = (parentId, container, depth) => {
+        const children = folders
+          .filter(folder => (folder.parentId || null) === parentId)
+          .sort((a, b) => (b.favorite ? 1 : 0) - (a.favorite ? 1 : 0) || a.name.localeCompare(b.name));
+
+        children.forEach(folder => {
+          const hasChildren = folders.some(item => item.parentId === folder.id);
+
+          const row = document.createElement('div');
+          row.className = 'prompt-folder-row' + (activeCategory === `folder:${folder.id}` ? ' selected' : '');
+          row.dataset.folderId = folder.id;
+          row.tabIndex = 0;
+          row.setAttribute('role', 'treeitem');
+          row.style.paddingLeft = `${6 + depth * 14}px`;
+          if (hasChildren) row.setAttribute('aria-expanded', String(!folder.collapsed));
+
+          const caret = document.createElement('span');
+          caret.className = 'prompt-folder-caret';
+          caret.textContent = hasChildren ? (folder.collapsed ? '▸' : '▾') : '';
+
+          const name = document.createElement('span');
+          name.className = 'prompt-folder-name';
+          name.textContent = folder.name;
+
+          const count = document.createElement('span');
+          count.className = 'prompt-folder-count';
+          count.textContent = String(countIn(folder.id));
+
+          const actions = document.createElement('span');
+          actions.className = 'prompt-folder-actions';
+
+          const makeAction = (label, title, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'prompt-folder-action';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+              e.stopPropagation(); // Don't select the folder
+              onClick();
+            });
+            return button;
+          };
+
+          const star = makeAction(folder.favorite ? '★' : '☆', folder.favorite ? 'Remove folder from favorites' : 'Add folder to favorites', async () => {
+            await updateFolder(folder.id, { favorite: !folder.favorite });
+            renderFolderNav(popupForm, self);
+          });
+          star.classList.toggle('favorite', !!folder.favorite);
+
+          actions.appendChild(star);
+          actions.appendChild(makeAction('+', 'New subfolder', () => createFolder(folder.id)));
+          actions.appendChild(makeAction('✎', 'Rename folder', async () => {
+            const newName = (window.prompt('Rename folder:', folder.name) || '').trim();
+            if (!newName || newName === folder.name) return;
+            if (newName.includes(FOLDER_SEPARATOR)) {
+              LovableAddons.utils.toast.showToast(`Folder names can't contain "${FOLDER_SEPARATOR}"`, 'error');
+              return;
+            }
+            await updateFolder(folder.id, { name: newName });
+            // syncFolders updates the category paths of the prompts inside
+            await refreshMainView(popupForm, self);
+          }));
+          actions.appendChild(makeAction('×', 'Delete folder', async () => {
+            if (countIn(folder.id, false) > 0) {
+              LovableAddons.utils.toast.showToast('Move or delete the prompts in this folder first', 'info');
+              return;
+            }
+            if (!confirm(`Delete the folder "${folder.name}"${hasChildren ? ' and its empty subfolders' : ''}?`)) return;
+            const latest = (await getFolders()) || [];
+            const removed = getFolderSubtree(folder.id, latest);
+            await saveFolders(latest.filter(item => !removed.has(item.id)));
+            if (activeCategory === `folder:${folder.id}`) {
+              const allButton = popupForm.querySelector('.category-filter-btn[data-category="all"]');
+              if (allButton) allButton.click();
+            }
+            renderFolderNav(popupForm, self);
+          }));
+
+          row.appendChild(caret);
+          row.appendChild(name);
+          row.appendChild(count);
+          row.appendChild(actions);
+          container.appendChild(row);
+
+          const childContainer = document.createElement('div');
+          childContainer.className = 'prompt-folder-children';
+          childContainer.setAttribute('role', 'group');
+          childContainer.hidden = !!folder.collapsed;
+          container.appendChild(childContainer);
+          if (hasChildren) {
+            renderLevel(folder.id, childContainer, depth + 1);
+          }
+
+          const toggleCollapsed = async () => {
+            folder.collapsed = !folder.collapsed;
+            childContainer.hidden = folder.collapsed;
+            caret.textContent = folder.collapsed ? '▸' : '▾';
+            row.setAttribute('aria-expanded', String(!folder.collapsed));
+            await updateFolder(folder.id, { collapsed: folder.collapsed });
+          };
+
+          caret.addEventListener('click', (e) => {
+            if (!hasChildren) return;
+            e.stopPropagation(); // Don't select the folder
+            toggleCollapsed();
+          });
+
+          // Select the folder through the hidden folder filter button
+          const select = () => {
+            if (!folderFilterBtn) return;
+            folderFilterBtn.dataset.category = `folder:${folder.id}`;
+            folderFilterBtn.click();
+          };
+          row.addEventListener('click', select);
+          row.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              select();
+            } else if (hasChildren && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') &&
+                       folder.collapsed === (e.key === 'ArrowRight')) {
+              e.preventDefault();
+              toggleCollapsed();
+            }
+          });
+
+          // Drop custom prompt cards onto a folder to move them
+          row.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(PROMPT_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            row.classList.add('drag-over');
+          });
+          row.addEventListener('dragleave', () => row.classList.remove('drag-over'));
+          row.addEventListener('drop', async (e) => {
+            row.classList.remove('drag-over');
+            const promptId = e.dataTransfer.getData(PROMPT_DRAG_TYPE);
+            if (!promptId) return;
+            e.preventDefault();
+            const moved = await moveCustomPrompt(promptId, folder.id);
+            if (moved) {
+              LovableAddons.utils.toast.showToast(`Moved ${moved.name} to ${moved.category}`, 'success');
+              await refreshMainView(popupForm, self);
+            }
+          });
+        });
+      };
+
+      renderLevel(null, tree, 0);
+    }
+
+    /**
+     * Helper function to re-attach event listeners
+     * @param {HTMLElement} popupForm - The popup form element
+     * @param {Array} templates - The templates array
+     * @param {Array} customPrompts - The custom prompts array
+     * @param {Object} self - The this context
+     * @returns {void}
+     * @private
+     */
+    function reattachEventListeners(popupForm, templates, customPrompts, self) {
+      // Folder rows are rebuilt rather than rebound
+      renderFolderNav(popupForm, self);
+
+      // Re-attach event listeners for category filtering
+      const categoryButtons = document.querySelectorAll('.category-filter-btn');
+      categoryButtons.forEach(button => {
+        button.addEventListener('click', function() {
+          // Remove active class from all buttons
+          categoryButtons.forEach(btn => {
+            btn.classList.remove('active');
+            btn.style.background = 'transparent';
+            btn.style.color = 'var(--lovable-text-primary, #fff)';
+            btn.style.borderColor = 'var(--lovable-border-color, #3F3F46)';
+          });
+
+          // Add active class to clicked button
+          button.classList.add('active');
+          button.style.background = 'var(--lovable-button-secondary, #3F3F46)';
+          button.style.color = 'var(--lovable-text-primary, #fff)';
+
+          // Render templates with selected category
+          const searchInput = document.querySelector('input[type="text"][placeholder="Search templates..."]');
+          const searchValue = searchInput ? searchInput.value : '';
+          const templatesList = document.querySelector('.prompt-templates-list');
+
+          // Get favorites and recent templates
+          getFavorites().then(favs => {
+            getRecentTemplates().then(recent => {
+              self.renderTemplates(
+                templatesList,
+                [...templates, ...customPrompts],
+                favs,
+                recent,
+                customPrompts,
+                searchValue,
+                button.dataset.category
+              );
+            });
+          });
+        });
+      });
+
+      // Re-attach event listener for search input
+      const searchInput = document.querySelector('input[type="text"][placeholder="Search templates..."]');
+      if (searchInput) {
+        attachSearchKeyboard(searchInput);
+        searchInput.addEventListener('input', function() {
+          const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
+          const activeCategory = activeCategoryBtn ? activeCategoryBtn.dataset.category : 'all';
+          const templatesList = document.querySelector('.prompt-templates-list');
+
+          // Get favorites and recent templates
+          getFavorites().then(favs => {
+            getRecentTemplates().then(recent => {
+              self.renderTemplates(
+                templatesList,
+                [...templates, ...customPrompts],
+                favs,
+                recent,
+                customPrompts,
+                searchInput.value,
+                activeCategory
+              );
+            });
+          });
+        });
+      }
+
+      // Re-attach footer button listeners (innerHTML restore drops them)
+      const popupContainer = popupForm.closest('.prompt-library-popup-overlay');
+      const createPromptButton = popupForm.querySelector('.create-custom-prompt-btn');
+      if (createPromptButton) {
+        createPromptButton.addEventListener('click', () => {
+          self.showCustomPromptForm(popupForm, popupContainer, templates, customPrompts);
+        });
+      }
+      const createPlaybookButton = popupForm.querySelector('.create-playbook-btn');
+      if (createPlaybookButton) {
+        createPlaybookButton.addEventListener('click', () => {
+          self.showPlaybookForm(popupForm, popupContainer, templates, customPrompts);
+        });
+      }
+      const importExportButton = popupForm.querySelector('.import-export-btn');
+      if (importExportButton) {
+        importExportButton.addEventListener('click', () => {
+          self.showImportExportView(popupForm, popupContainer);
+        });
+      }
+      const harvestButton = popupForm.querySelector('.harvest-chat-btn');
+      if (harvestButton) {
+        harvestButton.addEventListener('click', () => {
+          self.showHarvestView(popupForm, popupContainer);
+        });
+      }
+      const cancelButton = popupForm.querySelector('.prompt-library-cancel-btn');
+      if (cancelButton) {
+        cancelButton.addEventListener('click', closePopup);
+      }
+    }
+
+    // Public API
+    return {
+      /**
+       * Adds a Prompt Library button to the navigation bar
+       * @returns {void}
+       */
+      addButton: function() {
+        // Check if our button already exists globally
+        if (document.getElementById('lovable-addon-prompt-library')) return;
+
+        // Find the target container with the specified class
+        const targetContainer = document.querySelector('div.ml-auto.flex.w-full.justify-end.md\\:ml-0');
+        if (!targetContainer) return;
+
+        // Get or create the right-side container for our buttons
+        let buttonContainer = targetContainer.querySelector('.lovable-addon-buttons');
+        if (!buttonContainer) {
+          // Create a container for our addon buttons if it doesn't exist
+          buttonContainer = document.createElement('div');
+          buttonContainer.className = 'lovable-addon-buttons flex gap-2 items-center ml-auto';
+          targetContainer.appendChild(buttonContainer);
+        }
+
+        // Create Prompt Library button
+        const promptLibraryButton = document.createElement('button');
+        promptLibraryButton.id = 'lovable-addon-prompt-library';
+        promptLibraryButton.className = 'whitespace-nowrap text-sm font-medium transition-colors focus-visible:outline-none focus-visible:ring-ring disabled:pointer-events-none disabled:opacity-50 [&_svg]:pointer-events-none flex items-center justify-center h-fit focus-visible:ring-0 prompt-library-button lovable-tooltip';
+        promptLibraryButton.style.border = 'none';
+        promptLibraryButton.style.borderRadius = '6px';
+        promptLibraryButton.style.gap = '6px';
+        promptLibraryButton.style.padding = '6px';
+        promptLibraryButton.style.background = 'var(--lovable-button-bg-light, #272725)';
+        promptLibraryButton.style.zIndex = '10'; // Ensure button is above other elements
+        promptLibraryButton.style.position = 'relative'; // Enable z-index
+        promptLibraryButton.setAttribute('data-tooltip', 'Save and manage your favorite prompts');
+
+        // Add hover styles for the button
+        if (!document.querySelector('#prompt-library-button-style')) {
+          const style = document.createElement('style');
+          style.id = 'prompt-library-button-style';
+          style.textContent = `
+              .prompt-library-button:hover {
+                  background-color: var(--lovable-button-tertiary-hover, #5F5F5E) !important;
+              }
+          `;
+          document.head.appendChild(style);
+        }
+
+        promptLibraryButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 18 18"><title>wand-sparkle</title><g fill="currentColor"><rect x="1.168" y="7.414" width="15.653" height="3.182" rx="1" ry="1" transform="translate(-3.733 8.998) rotate(-45)" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></rect><line x1="10.387" y1="5.363" x2="12.637" y2="7.613" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"></line><path d="M7.243,3.492l-.946-.315-.316-.947c-.102-.306-.609-.306-.711,0l-.316,.947-.946,.315c-.153,.051-.257,.194-.257,.356s.104,.305,.257,.356l.946,.315,.316,.947c.051,.153,.194,.256,.355,.256s.305-.104,.355-.256l.316-.947,.946-.315c.153-.051,.257-.194,.257-.356s-.104-.305-.257-.356Z" fill="currentColor" data-stroke="none" stroke="none"></path><path d="M16.658,11.99l-1.263-.421-.421-1.263c-.137-.408-.812-.408-.949,0l-.421,1.263-1.263,.421c-.204,.068-.342,.259-.342,.474s.138,.406,.342,.474l1.263,.421,.421,1.263c.068,.204,.26,.342,.475,.342s.406-.138,.475-.342l.421-1.263,1.263-.421c.204-.068,.342-.259,.342-.474s-.138-.406-.342-.474Z" fill="currentColor" data-stroke="none" stroke="none"></path><circle cx="9.25" cy="1.75" r=".75" fill="currentColor" data-stroke="none" stroke="none"></circle></g></svg>
+        `;
+        // Remove title attribute to prevent double tooltips
+        // promptLibraryButton.title = 'Save and manage your favorite prompts';
+
+        // Add click handler for Prompt Library
+        promptLibraryButton.addEventListener('click', () => {
+          this.showPopup();
+        });
+
+        // Add button to container
+        // Place before SEO button if it exists
+        const seoButton = buttonContainer.querySelector('#lovable-addon-seo-button');
+        if (seoButton) {
+          buttonContainer.insertBefore(promptLibraryButton, seoButton);
+        } else {
+          buttonContainer.appendChild(promptLibraryButton);
+        }
+      },
+
+      /**
+       * Shows the Prompt Library popup
+       * @returns {void}
+       */
+      showPopup: async function() {
+        // Create popup container
+        const popupContainer = document.createElement('div');
+        popupContainer.className = 'prompt-library-popup-overlay';
+        popupContainer.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(4px);
+            -webkit-backdrop-filter: blur(4px);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+            transition: all 0.2s ease-in-out;
+            box-sizing: border-box;
+            overflow: hidden;
+            margin: 0;
+            padding: 0;
+        `;
+
+        // Add class to body to prevent scrolling
+        document.body.classList.add('lovable-popup-active');
+
+        // Ensure no scrollbars on the page
+        const styleElement = document.createElement('style');
+        styleElement.id = 'prompt-library-scrollbar-fix';
+        styleElement.textContent = `
+          body.lovable-popup-active {
+            overflow: hidden !important;
+            padding-right: 0 !important;
+            margin-right: 0 !important;
+          }
 
           .prompt-library-popup-overlay {
             overflow: hidden !important;
           }
         `;
-        document.head.appendChild(styleElement);
+        document.head.appendChild(styleElement);
+
+        // Create popup form
+        const popupForm = document.createElement('div');
+        popupForm.className = 'prompt-library-popup-form';
+
+        // Apply theme to popup
+        if (LovableAddons.utils && LovableAddons.utils.dom &&
+            typeof LovableAddons.utils.dom.prepareThemedPopup === 'function') {
+          LovableAddons.utils.dom.prepareThemedPopup(popupForm);
+        }
+
+        popupForm.style.cssText = `
+            padding: 16px;
+            border-radius: var(--lovable-popup-border-radius, 12px);
+            min-width: 500px;
+            max-width: 700px;
+            max-height: 80vh;
+            overflow-y: auto;
+            overflow-x: hidden;
+            border: none;
+            display: flex;
+            flex-direction: column;
+            box-sizing: border-box;
+        `;
+
+        // Load templates and categories
+        const templates = await loadTemplates();
+        const categories = await loadCategories();
+        const favorites = await getFavorites();
+        const recentTemplates = await getRecentTemplates();
+        await getUsageStats();
+        await getProjectSettings();
+        await syncFolders();
+        const customPrompts = await getCustomPrompts();
+
+        if (templates.length === 0) {
+          LovableAddons.utils.toast.showToast('No templates found', 'warning');
+          return;
+        }
+
+        // Create header
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 16px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #3F3F46;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Prompt Library';
+        title.style.cssText = `
+            margin: 0;
+            font-size: 18px;
+            font-weight: 600;
+            color: var(--lovable-text-primary, #fff);
+        `;
+
+        header.appendChild(title);
+        popupForm.appendChild(header);
+
+        // Create search and filter section
+        const searchContainer = document.createElement('div');
+        searchContainer.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            margin-bottom: 16px;
+        `;
+
+        // Search input
+        const searchInput = document.createElement('input');
+        searchInput.type = 'text';
+        searchInput.placeholder = 'Search templates...';
+        searchInput.style.cssText = `
+            padding: 8px 12px;
+            border-radius: 6px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-highlight-color, #27272A);
+            color: var(--lovable-text-primary, #fff);
+            font-size: 14px;
+            width: 100%;
+        `;
+
+        // Category filter
+        const categoryFilter = document.createElement('div');
+        categoryFilter.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 8px;
+        `;
+
+        // Add 'All' category
+        const allCategoryBtn = document.createElement('button');
+        allCategoryBtn.textContent = 'All';
+        allCategoryBtn.dataset.category = 'all';
+        allCategoryBtn.className = 'category-filter-btn active';
+        allCategoryBtn.style.cssText = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-button-secondary, #3F3F46);
+            color: var(--lovable-text-primary, #fff);
+            font-size: 12px;
+            cursor: pointer;
+        `;
+
+        categoryFilter.appendChild(allCategoryBtn);
+
+        // Add 'This Project' category on project pages
+        if (getCurrentProjectId()) {
+          const projectCategoryBtn = document.createElement('button');
+          projectCategoryBtn.textContent = 'This Project';
+          projectCategoryBtn.dataset.category = 'project';
+          projectCategoryBtn.className = 'category-filter-btn';
+          projectCategoryBtn.title = 'Prompts saved for this project and prompts pinned here';
+          projectCategoryBtn.style.cssText = `
+              padding: 4px 10px;
+              border-radius: 4px;
+              border: 1px solid var(--lovable-border-color, #3F3F46);
+              background: transparent;
+              color: var(--lovable-text-primary, #fff);
+              font-size: 12px;
+              cursor: pointer;
+          `;
+
+          categoryFilter.appendChild(projectCategoryBtn);
+        }
+
+        // Add 'Favorites' category
+        const favoritesCategoryBtn = document.createElement('button');
+        favoritesCategoryBtn.textContent = 'Favorites';
+        favoritesCategoryBtn.dataset.category = 'favorites';
+        favoritesCategoryBtn.className = 'category-filter-btn';
+        favoritesCategoryBtn.style.cssText = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: transparent;
+            color: var(--lovable-text-primary, #fff);
+            font-size: 12px;
+            cursor: pointer;
+        `;
+
+        categoryFilter.appendChild(favoritesCategoryBtn);
+
+        // Add 'Recent' category
+        const recentCategoryBtn = document.createElement('button');
+        recentCategoryBtn.textContent = 'Recent';
+        recentCategoryBtn.dataset.category = 'recent';
+        recentCategoryBtn.className = 'category-filter-btn';
+        recentCategoryBtn.style.cssText = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: transparent;
+            color: var(--lovable-text-primary, #fff);
+            font-size: 12px;
+            cursor: pointer;
+        `;
+
+        categoryFilter.appendChild(recentCategoryBtn);
+
+        // Add 'Most Used' category
+        const mostUsedCategoryBtn = document.createElement('button');
+        mostUsedCategoryBtn.textContent = 'Most Used';
+        mostUsedCategoryBtn.dataset.category = 'most-used';
+        mostUsedCategoryBtn.className = 'category-filter-btn';
+        mostUsedCategoryBtn.style.cssText = recentCategoryBtn.style.cssText;
+
+        categoryFilter.appendChild(mostUsedCategoryBtn);
+
+        // Add 'Custom Prompts' category
+        const customCategoryBtn = document.createElement('button');
+        customCategoryBtn.textContent = 'Custom Prompts';
+        customCategoryBtn.dataset.category = 'custom';
+        customCategoryBtn.className = 'category-filter-btn';
+        customCategoryBtn.style.cssText = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: transparent;
+            color: var(--lovable-text-primary, #fff);
+            font-size: 12px;
+            cursor: pointer;
+        `;
+
+        categoryFilter.appendChild(customCategoryBtn);
+
+        // Add 'Playbooks' category
+        const playbooksCategoryBtn = document.createElement('button');
+        playbooksCategoryBtn.textContent = 'Playbooks';
+        playbooksCategoryBtn.dataset.category = 'playbooks';
+        playbooksCategoryBtn.className = 'category-filter-btn';
+        playbooksCategoryBtn.style.cssText = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: transparent;
+            color: var(--lovable-text-primary, #fff);
+            font-size: 12px;
+            cursor: pointer;
+        `;
+
+        categoryFilter.appendChild(playbooksCategoryBtn);
+
+        // Add 'Packs' category
+        const packsCategoryBtn = document.createElement('button');
+        packsCategoryBtn.textContent = 'Packs';
+        packsCategoryBtn.dataset.category = 'packs';
+        packsCategoryBtn.className = 'category-filter-btn';
+        packsCategoryBtn.style.cssText = playbooksCategoryBtn.style.cssText;
+
+        categoryFilter.appendChild(packsCategoryBtn);
+
+        // Hidden filter button the folder tree selects through (data-category="folder:<id>")
+        const folderFilterBtn = document.createElement('button');
+        folderFilterBtn.className = 'category-filter-btn prompt-folder-filter';
+        folderFilterBtn.dataset.category = 'folder:';
+        folderFilterBtn.hidden = true;
+
+        categoryFilter.appendChild(folderFilterBtn);
+
+        // Add other categories
+        categories.forEach(category => {
+          const categoryBtn = document.createElement('button');
+          categoryBtn.textContent = category;
+          categoryBtn.dataset.category = category;
+          categoryBtn.className = 'category-filter-btn';
+          categoryBtn.style.cssText = `
+              padding: 4px 10px;
+              border-radius: 4px;
+              border: 1px solid var(--lovable-border-color, #3F3F46);
+              background: transparent;
+              color: var(--lovable-text-primary, #fff);
+              font-size: 12px;
+              cursor: pointer;
+          `;
+
+          categoryFilter.appendChild(categoryBtn);
+        });
+
+        // Search syntax hint
+        const searchHint = document.createElement('div');
+        searchHint.className = 'prompt-search-hint';
+        searchHint.textContent = 'Fuzzy search by name, content and tags. Filter with tag:auth or category:Security; ↑/↓ to select, Enter to apply.';
+        searchHint.style.cssText = `
+            font-size: 11px;
+            color: var(--lovable-text-secondary, #A1A1AA);
+        `;
+
+        searchContainer.appendChild(searchInput);
+        searchContainer.appendChild(searchHint);
+        searchContainer.appendChild(categoryFilter);
+
+        // Collapsible folder tree, filled in by renderFolderNav once the popup is in the DOM
+        const folderNav = document.createElement('div');
+        folderNav.className = 'prompt-folder-nav';
+        searchContainer.appendChild(folderNav);
+
+        popupForm.appendChild(searchContainer);
+        attachSearchKeyboard(searchInput);
+
+        // Create templates list
+        const templatesList = document.createElement('div');
+        templatesList.className = 'prompt-templates-list';
+        templatesList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            margin-bottom: 16px;
+            flex-grow: 1;
+            overflow-y: auto;
+            max-height: 400px;
+            padding-right: 8px;
+        `;
+
+        // Initial render of all templates
+        this.renderTemplates(templatesList, [...templates, ...customPrompts], favorites, recentTemplates, customPrompts);
+
+        // Add event listener for search input
+        searchInput.addEventListener('input', () => {
+          const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
+          const activeCategory = activeCategoryBtn ? activeCategoryBtn.dataset.category : 'all';
+          this.renderTemplates(templatesList, [...templates, ...customPrompts], favorites, recentTemplates, customPrompts, searchInput.value, activeCategory);
+        });
+
+        popupForm.appendChild(templatesList);
+
+        // Create footer with buttons
+        const footer = document.createElement('div');
+        footer.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            gap: 8px;
+            margin-top: auto;
+            padding-top: 16px;
+            border-top: 1px solid #3F3F46;
+        `;
+
+        // Create Custom Prompt button
+        const createPromptButton = document.createElement('button');
+        createPromptButton.textContent = 'Create Custom Prompt';
+        createPromptButton.className = 'create-custom-prompt-btn';
+        createPromptButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: var(--lovable-button-secondary, #272725);
+            color: var(--lovable-text-primary, #fff);
+            cursor: pointer;
+            font-size: 14px;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        `;
+
+        // Add plus icon
+        createPromptButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="12" y1="5" x2="12" y2="19"></line>
+                <line x1="5" y1="12" x2="19" y2="12"></line>
+            </svg>
+            Create Custom Prompt
+        `;
+
+        createPromptButton.addEventListener('click', () => {
+          // Hide the templates list and show the custom prompt form
+          this.showCustomPromptForm(popupForm, popupContainer, templates, customPrompts);
+        });
+
+        // Create Playbook button
+        const createPlaybookButton = document.createElement('button');
+        createPlaybookButton.className = 'create-playbook-btn';
+        createPlaybookButton.style.cssText = createPromptButton.style.cssText;
+        createPlaybookButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="8" y1="6" x2="21" y2="6"></line>
+                <line x1="8" y1="12" x2="21" y2="12"></line>
+                <line x1="8" y1="18" x2="21" y2="18"></line>
+                <line x1="3" y1="6" x2="3.01" y2="6"></line>
+                <line x1="3" y1="12" x2="3.01" y2="12"></line>
+                <line x1="3" y1="18" x2="3.01" y2="18"></line>
+            </svg>
+            Create Playbook
+        `;
+
+        createPlaybookButton.addEventListener('click', () => {
+          this.showPlaybookForm(popupForm, popupContainer, templates, customPrompts);
+        });
+
+        const createButtons = document.createElement('div');
+        createButtons.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+        `;
+        createButtons.appendChild(createPromptButton);
+        createButtons.appendChild(createPlaybookButton);
+
+        // Import / Export button
+        const importExportButton = document.createElement('button');
+        importExportButton.className = 'import-export-btn';
+        importExportButton.textContent = 'Import / Export';
+        importExportButton.style.cssText = createPromptButton.style.cssText;
+        importExportButton.addEventListener('click', () => {
+          this.showImportExportView(popupForm, popupContainer);
+        });
+        createButtons.appendChild(importExportButton);
+
+        // Harvest Chat button, for saving prompts from the open conversation
+        if (getCurrentProjectId()) {
+          const harvestButton = document.createElement('button');
+          harvestButton.className = 'harvest-chat-btn';
+          harvestButton.textContent = 'Harvest Chat';
+          harvestButton.title = 'Save your messages in this conversation as custom prompts';
+          harvestButton.style.cssText = createPromptButton.style.cssText;
+          harvestButton.addEventListener('click', () => {
+            this.showHarvestView(popupForm, popupContainer);
+          });
+          createButtons.appendChild(harvestButton);
+        }
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.className = 'prompt-library-cancel-btn';
+        cancelButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid var(--lovable-border-color, #3F3F46);
+            background: transparent;
+            color: var(--lovable-text-primary, #fff);
+            cursor: pointer;
+            font-size: 14px;
+        `;
+
+        cancelButton.addEventListener('click', () => {
+          document.body.removeChild(popupContainer);
+          // Remove the class that prevents scrolling
+          document.body.classList.remove('lovable-popup-active');
+          // Remove the style element
+          const styleElement = document.getElementById('prompt-library-scrollbar-fix');
+          if (styleElement) {
+            styleElement.remove();
+          }
+        });
+
+        footer.appendChild(createButtons);
+        footer.appendChild(cancelButton);
+        popupForm.appendChild(footer);
+
+        // Add hover styles for buttons inside the popup
+        const popupButtonsStyle = document.createElement('style');
+        popupButtonsStyle.textContent = `
+            .prompt-library-popup-form button:hover:not(.active) {
+                background-color: var(--lovable-button-secondary-hover, #2167DB) !important;
+            }
+            .category-filter-btn:hover:not(.active) {
+                background-color: var(--lovable-button-secondary-hover, #2167DB) !important;
+            }
+            .delete-btn:hover, .favorite-btn:hover, .edit-btn:hover {
+                color: var(--lovable-button-secondary-hover, #2167DB) !important;
+                transform: scale(1.1) !important;
+                transition: color 0.2s ease-in-out, transform 0.2s ease-in-out !important;
+            }
+            
+            .delete-btn:active, .favorite-btn:active, .edit-btn:active {
+                transform: scale(0.95) !important;
+            }
+
+            /* Light theme specific styles for category filter buttons */
+            [data-lovable-theme="light"] .category-filter-btn {
+                color: var(--lovable-text-primary, rgba(0, 0, 0, 0.9)) !important;
+                border-color: var(--lovable-border-color, rgba(0, 0, 0, 0.15)) !important;
+            }
+
+            [data-lovable-theme="light"] .category-filter-btn.active {
+                background-color: var(--lovable-button-secondary, #EBEBEB) !important;
+                color: var(--lovable-text-primary, rgba(0, 0, 0, 0.9)) !important;
+            }
+
+            [data-lovable-theme="light"] .category-filter-btn:hover:not(.active) {
+                background-color: var(--lovable-button-secondary-hover, #C6E4FF) !important;
+            }
+
+            /* Override inline styles for active category buttons */
+            .category-filter-btn.active {
+                background-color: var(--lovable-button-secondary, #3F3F46) !important;
+            }
+
+            /* Search match highlighting and keyboard selection */
+            .prompt-search-match {
+                background: rgba(250, 204, 21, 0.35);
+                color: inherit;
+                border-radius: 2px;
+                padding: 0;
+            }
+
+            .prompt-template-item.keyboard-active {
+                background-color: var(--lovable-highlight-color, #27272A) !important;
+                border-color: var(--lovable-button-secondary-hover, #2167DB) !important;
+            }
+        `;
+        document.head.appendChild(popupButtonsStyle);
+
+        // Add popup to DOM
+        popupContainer.appendChild(popupForm);
+        document.body.appendChild(popupContainer);
+
+        // Apply theme to popup
+        if (LovableAddons.utils && LovableAddons.utils.dom &&
+            typeof LovableAddons.utils.dom.applyThemeToPopups === 'function') {
+          LovableAddons.utils.dom.applyThemeToPopups();
+        }
+
+        // Now that buttons are in the DOM, add event listeners for category filtering
+        const categoryButtons = document.querySelectorAll('.category-filter-btn');
+        categoryButtons.forEach(button => {
+          button.addEventListener('click', () => {
+            // Remove active class from all buttons
+            categoryButtons.forEach(btn => {
+              btn.classList.remove('active');
+              btn.style.background = 'transparent';
+              // Ensure text color is properly set for inactive buttons
+              btn.style.color = 'var(--lovable-text-primary, #fff)';
+              // Ensure border color is properly set for inactive buttons
+              btn.style.borderColor = 'var(--lovable-border-color, #3F3F46)';
+            });
+
+            // Add active class to clicked button
+            button.classList.add('active');
+            button.style.background = 'var(--lovable-button-secondary, #3F3F46)';
+            button.style.color = 'var(--lovable-text-primary, #fff)';
+
+            // Render templates with selected category
+            this.renderTemplates(templatesList, [...templates, ...customPrompts], favorites, recentTemplates, customPrompts, searchInput.value, button.dataset.category);
+          });
+        });
+
+        renderFolderNav(popupForm, this);
+
+        // Close on escape key
+        document.addEventListener('keydown', function escHandler(e) {
+          if (e.key === 'Escape') {
+            document.removeEventListener('keydown', escHandler);
+            // The popup may already have been closed by applying a template
+            if (popupContainer.isConnected) {
+              closePopup();
+            }
+          }
+        });
+
+        // Close on outside click
+        popupContainer.addEventListener('click', (e) => {
+          if (e.target === popupContainer) {
+            document.body.removeChild(popupContainer);
+            // Remove the class that prevents scrolling
+            document.body.classList.remove('lovable-popup-active');
+            // Remove the style element
+            const styleElement = document.getElementById('prompt-library-scrollbar-fix');
+            if (styleElement) {
+              styleElement.remove();
+            }
+          }
+        });
+      },
+
+      /**
+       * Renders templates based on filters
+       * @param {HTMLElement} templatesList - The templates list element
+       * @param {Array} templatesArray - The templates array
+       * @param {Array} favorites - The favorites array
+       * @param {Array} recentTemplates - The recent templates array
+       * @param {Array} customPrompts - The custom prompts array
+       * @param {string} searchTerm - The search term
+       * @param {string} categoryFilter - The category filter
+       * @returns {void}
+       */
+      renderTemplates: function(templatesList, templatesArray, favorites, recentTemplates, customPrompts, searchTerm = '', categoryFilter = 'all') {
+        // Clear existing templates
+        templatesList.innerHTML = '';
+
+        // Highlight the selected folder in the folder tree
+        const popupForm = templatesList.closest('.prompt-library-popup-form');
+        if (popupForm) {
+          popupForm.querySelectorAll('.prompt-folder-row').forEach(row => {
+            row.classList.toggle('selected', categoryFilter === `folder:${row.dataset.folderId}`);
+          });
+        }
+
+        // Playbooks are stored separately and rendered as their own cards
+        if (categoryFilter === 'playbooks') {
+          this.renderPlaybooks(templatesList, searchTerm);
+          return;
+        }
+
+        // Prompts saved for another project stay hidden
+        templatesArray = templatesArray.filter(isVisibleInProject);
+        customPrompts = customPrompts.filter(isVisibleInProject);
+
+        // Filter templates based on search term and category
+        let filteredTemplates = templatesArray;
+
+        // Filter by category
+        if (categoryFilter === 'project') {
+          const { pinned } = getCurrentProjectSettings();
+          filteredTemplates = templatesArray.filter(template =>
+            template.projectId || pinned.includes(template.id));
+        } else if (categoryFilter === 'favorites') {
+          // Favorite prompts plus everything in favorite folders
+          const favoriteFolderIds = new Set();
+          folderCache.filter(folder => folder.favorite).forEach(folder => {
+            getFolderSubtree(folder.id, folderCache).forEach(id => favoriteFolderIds.add(id));
+          });
+          filteredTemplates = templatesArray.filter(template =>
+            favorites.includes(template.id) || (template.isCustom && favoriteFolderIds.has(template.folderId)));
+        } else if (categoryFilter.startsWith('folder:')) {
+          const folderIds = getFolderSubtree(categoryFilter.slice('folder:'.length), folderCache);
+          filteredTemplates = customPrompts.filter(prompt => folderIds.has(prompt.folderId));
+        } else if (categoryFilter === 'recent') {
+          filteredTemplates = recentTemplates
+            .map(id => templatesArray.find(template => template.id === id))
+            .filter(Boolean); // Remove undefined entries
+        } else if (categoryFilter === 'most-used') {
+          filteredTemplates = templatesArray
+            .filter(template => usageStats[template.id])
+            .sort((a, b) => usageStats[b.id].count - usageStats[a.id].count ||
+              usageStats[b.id].lastUsed - usageStats[a.id].lastUsed);
+        } else if (categoryFilter === 'custom') {
+          filteredTemplates = customPrompts;
+        } else if (categoryFilter === 'packs') {
+          filteredTemplates = templatesArray.filter(template => template.isPack);
+        } else if (categoryFilter !== 'all') {
+          filteredTemplates = templatesArray.filter(template => template.category === categoryFilter);
+        }
+
+        // Pinned and project prompts come first when browsing on a project page
+        if (!searchTerm && categoryFilter !== 'recent' && categoryFilter !== 'most-used') {
+          filteredTemplates = sortProjectFirst(filteredTemplates);
+        }
+
+        // Rank by search query (fuzzy terms plus tag: and category: filters)
+        const searchMatches = {};
+        if (searchTerm) {
+          filteredTemplates = LovableAddons.utils.promptSearch
+            .search(filteredTemplates, searchTerm, { favorites, recent: recentTemplates })
+            .map(result => {
+              searchMatches[result.item.id] = result.matches;
+              return result.item;
+            });
+        }
+
+        // Pack subscriptions are managed from the Packs view
+        if (categoryFilter === 'packs') {
+          const manageBar = document.createElement('div');
+          manageBar.style.cssText = `
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              font-size: 13px;
+              color: var(--lovable-text-secondary, #A1A1AA);
+          `;
+          manageBar.textContent = 'Read-only templates shared from a URL or GitHub repository.';
+
+          const manageButton = document.createElement('button');
+          manageButton.textContent = 'Manage Packs';
+          manageButton.style.cssText = `
+              padding: 4px 10px;
+              border-radius: 4px;
+              border: 1px solid var(--lovable-border-color, #3F3F46);
+              background: transparent;
+              color: var(--lovable-text-primary, #fff);
+              font-size: 12px;
+              cursor: pointer;
+              flex-shrink: 0;
+          `;
+          manageButton.addEventListener('click', () => {
+            this.showPackManager(
+              manageButton.closest('.prompt-library-popup-form'),
+              manageButton.closest('.prompt-library-popup-overlay')
+            );
+          });
+
+          manageBar.appendChild(manageButton);
+          templatesList.appendChild(manageBar);
+        }
+
+        // Default variable values are edited from the project view
+        if (categoryFilter === 'project') {
+          const projectBar = document.createElement('div');
+          projectBar.style.cssText = `
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              font-size: 13px;
+              color: var(--lovable-text-secondary, #A1A1AA);
+          `;
+          projectBar.textContent = 'Prompts saved for this project and prompts pinned here.';
+
+          const variablesButton = document.createElement('button');
+          variablesButton.textContent = 'Project Variables';
+          variablesButton.style.cssText = `
+              padding: 4px 10px;
+              border-radius: 4px;
+              border: 1px solid var(--lovable-border-color, #3F3F46);
+              background: transparent;
+              color: var(--lovable-text-primary, #fff);
+              font-size: 12px;
+              cursor: pointer;
+              flex-shrink: 0;
+          `;
+          variablesButton.addEventListener('click', () => {
+            this.showProjectVariables(
+              variablesButton.closest('.prompt-library-popup-form'),
+              variablesButton.closest('.prompt-library-popup-overlay')
+            );
+          });
+
+          projectBar.appendChild(variablesButton);
+          templatesList.appendChild(projectBar);
+        }
+
+        // Unused custom prompts are cleaned up from the Most Used view
+        if (categoryFilter === 'most-used') {
+          const cleanupBar = document.createElement('div');
+          cleanupBar.style.cssText = `
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              font-size: 13px;
+              color: var(--lovable-text-secondary, #A1A1AA);
+          `;
+          cleanupBar.textContent = 'Ranked by how often you have used them.';
+
+          const cleanupButton = document.createElement('button');
+          cleanupButton.textContent = 'Clean Up Stale Prompts';
+          cleanupButton.style.cssText = `
+              padding: 4px 10px;
+              border-radius: 4px;
+              border: 1px solid var(--lovable-border-color, #3F3F46);
+              background: transparent;
+              color: var(--lovable-text-primary, #fff);
+              font-size: 12px;
+              cursor: pointer;
+              flex-shrink: 0;
+          `;
+          cleanupButton.addEventListener('click', () => {
+            this.showStalePrompts(
+              cleanupButton.closest('.prompt-library-popup-form'),
+              cleanupButton.closest('.prompt-library-popup-overlay')
+            );
+          });
+
+          cleanupBar.appendChild(cleanupButton);
+          templatesList.appendChild(cleanupBar);
+        }
+
+        // Show message if no templates match filters
+        if (filteredTemplates.length === 0) {
+          const noResults = document.createElement('div');
+          noResults.textContent = 'No templates match your filters';
+          noResults.style.cssText = `
+              text-align: center;
+              padding: 20px;
+              color: var(--lovable-text-secondary, #A1A1AA);
+          `;
+          templatesList.appendChild(noResults);
+          return;
+        }
+
+        // Render filtered templates
+        filteredTemplates.forEach((template) => {
+          const templateItem = document.createElement('div');
+          templateItem.className = 'prompt-template-item';
+          templateItem.style.cssText = `
+              padding: 12px;
+              border-radius: 6px;
+              border: 1px solid var(--lovable-border-color, #3F3F46);
+              cursor: pointer;
+              transition: background-color 0.2s;
+              position: relative;
+          `;
+
+          // Add hover effect
+          templateItem.addEventListener('mouseover', () => {
+            templateItem.style.backgroundColor = 'var(--lovable-highlight-color, #27272A)';
+          });
+
+          templateItem.addEventListener('mouseout', () => {
+            templateItem.style.backgroundColor = 'transparent';
+          });
+
+          // Custom prompts can be dragged onto a folder in the folder tree
+          if (template.isCustom) {
+            templateItem.draggable = true;
+            templateItem.addEventListener('dragstart', (e) => {
+              e.dataTransfer.setData(PROMPT_DRAG_TYPE, template.id);
+              e.dataTransfer.effectAllowed = 'move';
+              templateItem.classList.add('dragging');
+            });
+            templateItem.addEventListener('dragend', () => {
+              templateItem.classList.remove('dragging');
+            });
+          }
+
+          // Template header with name and favorite button
+          const templateHeader = document.createElement('div');
+          templateHeader.style.cssText = `
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              margin-bottom: 4px;
+          `;
+
+          const templateName = document.createElement('div');
+          templateName.className = 'prompt-template-name';
+          const matches = searchMatches[template.id];
+          if (matches && matches.name.length > 0) {
+            templateName.appendChild(LovableAddons.utils.promptSearch.highlight(template.name, matches.name));
+          } else {
+            templateName.textContent = template.name;
+          }
+          templateName.style.cssText = `
+              font-weight: 500;
+              color: var(--lovable-text-primary, #fff);
+          `;
+
+          // Category badge
+          const categoryBadge = document.createElement('span');
+          categoryBadge.textContent = template.category;
+          categoryBadge.style.cssText = `
+              font-size: 11px;
+              padding: 2px 6px;
+              border-radius: 4px;
+              background: var(--lovable-button-secondary, #3F3F46);
+              color: var(--lovable-text-primary, #fff);
+              margin-left: 8px;
+          `;
+          templateName.appendChild(categoryBadge);
+
+          // Source badge for read-only pack templates
+          if (template.isPack) {
+            const sourceBadge = document.createElement('span');
+            sourceBadge.className = 'prompt-pack-badge';
+            sourceBadge.textContent = template.packName;
+            sourceBadge.title = `From prompt pack: ${template.packSource} (read-only)`;
+            sourceBadge.style.cssText = `
+                font-size: 11px;
+                padding: 1px 6px;
+                border-radius: 4px;
+                border: 1px solid var(--lovable-border-color, #3F3F46);
+                color: var(--lovable-text-secondary, #A1A1AA);
+                margin-left: 6px;
+            `;
+            templateName.appendChild(sourceBadge);
+          }
+
+          // Badge for prompts saved for this project only
+          if (template.projectId) {
+            const projectBadge = document.createElement('span');
+            projectBadge.className = 'prompt-project-badge';
+            projectBadge.textContent = 'This project';
+            projectBadge.title = 'Only shown while this project is open';
+            projectBadge.style.cssText = `
+                font-size: 11px;
+                padding: 1px 6px;
+                border-radius: 4px;
+                border: 1px solid var(--lovable-border-color, #3F3F46);
+                color: var(--lovable-text-secondary, #A1A1AA);
+                margin-left: 6px;
+            `;
+            templateName.appendChild(projectBadge);
+          }
+
+          // Actions container
+          const actionsContainer = document.createElement('div');
+          actionsContainer.style.cssText = `
+              display: flex;
+              align-items: center;
+              gap: 8px;
+          `;
+
+          // Edit button for custom prompts
+          if (template.isCustom) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'edit-btn';
+            editBtn.style.cssText = `
+                background: transparent;
+                border: none;
+                color: var(--lovable-text-secondary, #A1A1AA);
+                cursor: pointer;
+                font-size: 16px;
+                padding: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
+            `;
+            editBtn.innerHTML = `
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                </svg>
+            `;
+            editBtn.title = 'Edit custom prompt';
+
+            // Add click handler for edit button
+            const self = this;
+            editBtn.addEventListener('click', async (e) => {
+              e.stopPropagation(); // Prevent template from being applied
+
+              // Always fetch the freshest custom prompts so we edit latest version
+              const latestCustomPrompts = await getCustomPrompts();
+              
+              // Also fetch the latest templates
+              const latestTemplates = await loadTemplates();
+
+              // Ensure we edit the most up-to-date object instance by ID
+              const latestTemplate = latestCustomPrompts.find(p => p.id === template.id) || template;
+
+              // Resolve popup form and container from DOM
+              const resolvedPopupForm = editBtn.closest('.prompt-library-popup-form');
+              const popupContainer = editBtn.closest('.prompt-library-popup-overlay');
+
+              if (!resolvedPopupForm || !popupContainer) {
+                console.error('Prompt Library: popup elements not found for edit action');
+                LovableAddons.utils.toast.showToast('Unable to open editor. Please try reopening the Prompt Library.', 'error');
+                return;
+              }
+
+              // Show the edit custom prompt form with the latest data
+              self.showEditCustomPromptForm(resolvedPopupForm, popupContainer, latestTemplate, latestTemplates, latestCustomPrompts);
+            });
+
+            actionsContainer.appendChild(editBtn);
+
+            // History button
+            const historyBtn = document.createElement('button');
+            historyBtn.className = 'history-btn';
+            historyBtn.style.cssText = editBtn.style.cssText;
+            historyBtn.innerHTML = `
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <circle cx="12" cy="12" r="10"></circle>
+                    <polyline points="12 6 12 12 16 14"></polyline>
+                </svg>
+            `;
+            historyBtn.title = 'Edit history';
+            historyBtn.addEventListener('click', (e) => {
+              e.stopPropagation(); // Prevent template from being applied
+              self.showPromptHistory(
+                historyBtn.closest('.prompt-library-popup-form'),
+                historyBtn.closest('.prompt-library-popup-overlay'),
+                template.id
+              );
+            });
+
+            actionsContainer.appendChild(historyBtn);
+          }
+
+          // Promote a project prompt to a global one
+          if (template.isCustom && template.projectId) {
+            const promoteBtn = document.createElement('button');
+            promoteBtn.className = 'promote-btn';
+            promoteBtn.style.cssText = `
+                background: transparent;
+                border: none;
+                color: var(--lovable-text-secondary, #A1A1AA);
+                cursor: pointer;
+                font-size: 16px;
+                padding: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
+            `;
+            promoteBtn.innerHTML = `
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <circle cx="12" cy="12" r="10"></circle>
+                    <line x1="2" y1="12" x2="22" y2="12"></line>
+                    <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
+                </svg>
+            `;
+            promoteBtn.title = 'Make available in all projects';
+            promoteBtn.addEventListener('click', async (e) => {
+              e.stopPropagation(); // Prevent template from being applied
+
+              await setPromptProject(template.id, null);
+              LovableAddons.utils.toast.showToast(`"${template.name}" is now available in all projects`, 'success');
+              await refreshMainView(promoteBtn.closest('.prompt-library-popup-form'), this);
+            });
+
+            actionsContainer.appendChild(promoteBtn);
+          }
+
+          // Delete button for custom prompts
+          if (template.isCustom) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.style.cssText = `
+                background: transparent;
+                border: none;
+                color: var(--lovable-text-secondary, #A1A1AA);
+                cursor: pointer;
+                font-size: 16px;
+                padding: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
+            `;
+            deleteBtn.innerHTML = `
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polyline points="3 6 5 6 21 6"></polyline>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                </svg>
+            `;
+            deleteBtn.title = 'Delete custom prompt';
+
+            // Add click handler for delete button
+            deleteBtn.addEventListener('click', async (e) => {
+              e.stopPropagation(); // Prevent template from being applied
+
+              if (confirm(`Are you sure you want to delete the custom prompt "${template.name}"?`)) {
+                try {
+                  await removeCustomPrompt(template.id);
+
+                  // Get the updated list of custom prompts
+                  const updatedCustomPrompts = await getCustomPrompts();
+
+                  // Show success message
+                  LovableAddons.utils.toast.showToast(`Deleted custom prompt: ${template.name}`, 'success');
+
+                  // Re-render the templates with the updated custom prompts list
+                  const searchInput = document.querySelector('input[type="text"][placeholder="Search templates..."]');
+                  const searchValue = searchInput ? searchInput.value : '';
+                  const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
+                  const categoryFilter = activeCategoryBtn ? activeCategoryBtn.dataset.category : 'all';
+
+                  // Get current favorites and recent templates
+                  const currentFavorites = await getFavorites();
+                  const currentRecentTemplates = await getRecentTemplates();
+
+                  // Re-render templates with updated data
+                  this.renderTemplates(
+                    templatesList,
+                    templatesArray,
+                    currentFavorites,
+                    currentRecentTemplates,
+                    updatedCustomPrompts,
+                    searchValue,
+                    categoryFilter
+                  );
+                } catch (error) {
+                  console.error('Error deleting custom prompt:', error);
+                  LovableAddons.utils.toast.showToast('Error deleting custom prompt', 'error');
+                }
+              }
+            });
+
+            actionsContainer.appendChild(deleteBtn);
+          }
+
+          // Pin button: pinned prompts are listed first in this project
+          if (getCurrentProjectId()) {
+            const isPinned = getCurrentProjectSettings().pinned.includes(template.id);
+            const pinBtn = document.createElement('button');
+            pinBtn.className = 'pin-btn';
+            pinBtn.style.cssText = `
+                background: transparent;
+                border: none;
+                color: ${isPinned ? 'var(--lovable-text-primary, #fff)' : 'var(--lovable-text-secondary, #A1A1AA)'};
+                cursor: pointer;
+                font-size: 16px;
+                padding: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
+            `;
+            pinBtn.innerHTML = `
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="${isPinned ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <line x1="12" y1="17" x2="12" y2="22"></line>
+                    <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"></path>
+                </svg>
+            `;
+            pinBtn.title = isPinned ? 'Unpin from this project' : 'Pin to this project';
+            pinBtn.addEventListener('click', async (e) => {
+              e.stopPropagation(); // Prevent template from being applied
+
+              await updateProjectSettings(entry => {
+                entry.pinned = isPinned
+                  ? entry.pinned.filter(id => id !== template.id)
+                  : [...entry.pinned, template.id];
+              });
+              LovableAddons.utils.toast.showToast(
+                isPinned ? `Unpinned "${template.name}"` : `Pinned "${template.name}" to this project`,
+                isPinned ? 'info' : 'success'
+              );
+              await refreshMainView(pinBtn.closest('.prompt-library-popup-form'), this);
+            });
+
+            actionsContainer.appendChild(pinBtn);
+          }
+
+          // Favorite button
+          const favoriteBtn = document.createElement('button');
+          favoriteBtn.className = 'favorite-btn';
+          favoriteBtn.style.cssText = `
+              background: transparent;
+              border: none;
+              color: ${favorites.includes(template.id) ? '#FFD700' : 'var(--lovable-text-secondary, #A1A1AA)'};
+              cursor: pointer;
+              font-size: 16px;
+              padding: 0;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
+          `;
+          favoriteBtn.innerHTML = `
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="${favorites.includes(template.id) ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+              </svg>
+          `;
+          favoriteBtn.title = favorites.includes(template.id) ? 'Remove from favorites' : 'Add to favorites';
+
+          // Add click handler for favorite button
+          const self = this;
+          favoriteBtn.addEventListener('click', async function(e) {
+            e.stopPropagation(); // Prevent template from being applied
+
+            if (favorites.includes(template.id)) {
+              await removeFromFavorites(template.id);
+              favoriteBtn.style.color = 'var(--lovable-text-secondary, #A1A1AA)';
+              favoriteBtn.innerHTML = `
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                      <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+                  </svg>
+              `;
+              favoriteBtn.title = 'Add to favorites';
+              LovableAddons.utils.toast.showToast(`Removed "${template.name}" from favorites`, 'info');
+            } else {
+              await addToFavorites(template.id);
+              favoriteBtn.style.color = '#FFD700';
+              favoriteBtn.innerHTML = `
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                      <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+                  </svg>
+              `;
+              favoriteBtn.title = 'Remove from favorites';
+              LovableAddons.utils.toast.showToast(`Added "${template.name}" to favorites`, 'success');
+            }
+
+            // Update favorites list
+            const updatedFavorites = await getFavorites();
+            // If we're in favorites view, re-render the templates
+            const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
+            if (activeCategoryBtn && activeCategoryBtn.dataset.category === 'favorites') {
+              self.renderTemplates(templatesList, templatesArray, updatedFavorites, recentTemplates, customPrompts, searchTerm, 'favorites');
+            }
+          });
+
+          actionsContainer.appendChild(favoriteBtn);
+          templateHeader.appendChild(templateName);
+          templateHeader.appendChild(actionsContainer);
+
+          const templatePreview = document.createElement('div');
+          templatePreview.className = 'prompt-template-preview';
+          if (matches && matches.content.length > 0) {
+            // Show the part of the content that matched
+            const snippet = LovableAddons.utils.promptSearch.snippet(template.content, matches.content);
+            templatePreview.appendChild(LovableAddons.utils.promptSearch.highlight(snippet.text, snippet.ranges));
+          } else {
+            templatePreview.textContent = template.content.length > 100
+              ? template.content.substring(0, 100) + '...'
+              : template.content;
+          }
+          templatePreview.style.cssText = `
+              font-size: 13px;
+              color: var(--lovable-text-secondary, #A1A1AA);
+              white-space: pre-wrap;
+          `;
+
+          templateItem.appendChild(templateHeader);
+          templateItem.appendChild(templatePreview);
+
+          // Tags
+          if (template.tags && template.tags.length > 0) {
+            const tagsRow = document.createElement('div');
+            tagsRow.className = 'prompt-template-tags';
+            tagsRow.textContent = template.tags.map(tag => `#${tag}`).join(' ');
+            tagsRow.style.cssText = `
+                font-size: 11px;
+                margin-top: 4px;
+                color: var(--lovable-text-secondary, #A1A1AA);
+            `;
+            templateItem.appendChild(tagsRow);
+          }
+
+          // Usage stats
+          const stats = usageStats[template.id];
+          if (stats) {
+            const usageRow = document.createElement('div');
+            usageRow.className = 'prompt-template-usage';
+            usageRow.textContent = describeUsage(stats);
+            if (stats.projects.length > 0) {
+              usageRow.title = `Projects: ${stats.projects.join(', ')}`;
+            }
+            usageRow.style.cssText = `
+                font-size: 11px;
+                margin-top: 4px;
+                color: var(--lovable-text-tertiary, #71717A);
+            `;
+            templateItem.appendChild(usageRow);
+          }
+
+          // Add click handler to apply template
+          const that = this;
+          templateItem.addEventListener('click', async function() {
+            // Templates with variables stay open on their fill-in form
+            if (await that.applyTemplate(template)) {
+              closePopup();
+            }
+          });
+
+          templatesList.appendChild(templateItem);
+        });
+
+        // Enter applies the best match while searching
+        const firstItem = templatesList.querySelector('.prompt-template-item');
+        if (searchTerm && firstItem) {
+          firstItem.classList.add('keyboard-active');
+        }
+      },
+
+      /**
+       * Shows the custom prompt form
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {HTMLElement} popupContainer - The popup container element
+       * @param {Array} templates - The templates array
+       * @param {Array} customPrompts - The custom prompts array
+       * @param {Object} [prefill] - Initial `{ name, category, tags, content, suggestions }`,
+       *   e.g. for a prompt captured from the chat; suggestions are offered as variables
+       * @returns {void}
+       * @private
+       */
+      showCustomPromptForm: function(popupForm, popupContainer, templates, customPrompts, prefill) {
+        // Save the original content to restore later if needed
+        const originalContent = popupForm.innerHTML;
+
+        // Clear the popup form
+        popupForm.innerHTML = '';
+
+        // Create header
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 16px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #3F3F46;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Create Custom Prompt';
+        title.style.cssText = `
+            margin: 0;
+            font-size: 18px;
+            font-weight: 600;
+            color: var(--lovable-text-primary, #fff);
+        `;
+
+        // Back button
+        const backButton = document.createElement('button');
+        backButton.className = 'prompt-library-back-btn';
+        backButton.style.cssText = `
+            background: transparent;
+            border: none;
+            color: var(--lovable-text-primary, #fff);
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            font-size: 14px;
+            padding: 4px 8px;
+            border-radius: 4px;
+        `;
+        backButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="19" y1="12" x2="5" y2="12"></line>
+                <polyline points="12 19 5 12 12 5"></polyline>
+            </svg>
+            Back
+        `;
+
+        const self = this;
+        backButton.addEventListener('click', function() {
+          // Restore the original content
+          popupForm.innerHTML = originalContent;
+
+          // Re-attach event listeners using helper function
+          reattachEventListeners(popupForm, templates, customPrompts, self);
+        });
+
+        header.appendChild(backButton);
+        header.appendChild(title);
+        popupForm.appendChild(header);
+
+        // Create form
+        const form = document.createElement('form');
+        form.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+        `;
+
+        // Prompt name input
+        const nameGroup = document.createElement('div');
+        nameGroup.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        `;
+
+        const nameLabel = document.createElement('label');
+        nameLabel.textContent = 'Prompt Name';
+        nameLabel.style.cssText = `
+            font-size: 14px;
+            font-weight: 500;
+            color: #fff;
+        `;
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'Enter a name for your prompt';
+        nameInput.required = true;
+        nameInput.style.cssText = `
+            padding: 8px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #fff;
+            font-size: 14px;
+        `;
+
+        nameGroup.appendChild(nameLabel);
+        nameGroup.appendChild(nameInput);
+
+        // Category input
+        const categoryGroup = document.createElement('div');
+        categoryGroup.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        `;
+
+        const categoryLabel = document.createElement('label');
+        categoryLabel.textContent = 'Folder';
+        categoryLabel.style.cssText = `
+            font-size: 14px;
+            font-weight: 500;
+            color: #fff;
+        `;
+
+        const categoryInput = document.createElement('input');
+        categoryInput.type = 'text';
+        categoryInput.placeholder = `Folder path, e.g. Frontend${FOLDER_SEPARATOR}Forms`;
+        categoryInput.required = true;
+        categoryInput.style.cssText = `
+            padding: 8px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #fff;
+            font-size: 14px;
+        `;
+
+        categoryGroup.appendChild(categoryLabel);
+        categoryGroup.appendChild(categoryInput);
+        attachFolderSuggestions(categoryGroup, categoryInput);
+
+        // Tags input
+        const tagsGroup = createFieldGroup('Tags');
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.placeholder = 'Comma-separated, e.g. auth, supabase';
+        tagsInput.style.cssText = FIELD_STYLE;
+        tagsGroup.appendChild(tagsInput);
+
+        // Prompt content textarea
+        const contentGroup = document.createElement('div');
+        contentGroup.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        `;
+
+        const contentLabel = document.createElement('label');
+        contentLabel.textContent = 'Prompt Content';
+        contentLabel.style.cssText = `
+            font-size: 14px;
+            font-weight: 500;
+            color: #fff;
+        `;
+
+        const contentTextarea = document.createElement('textarea');
+        contentTextarea.placeholder = 'Enter your prompt content';
+        contentTextarea.required = true;
+        contentTextarea.rows = 8;
+        contentTextarea.style.cssText = `
+            padding: 8px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #fff;
+            font-size: 14px;
+            resize: vertical;
+            font-family: inherit;
+        `;
+
+        contentGroup.appendChild(contentLabel);
+        contentGroup.appendChild(contentTextarea);
+        attachVariableHint(contentGroup, contentTextarea);
+
+        if (prefill) {
+          nameInput.value = prefill.name || '';
+          categoryInput.value = prefill.category || '';
+          tagsInput.value = (prefill.tags || []).join(', ');
+          contentTextarea.value = prefill.content || '';
+          contentTextarea.dispatchEvent(new Event('input'));
+
+          if (prefill.suggestions && prefill.suggestions.length > 0) {
+            contentGroup.appendChild(createVariableSuggestions(contentTextarea, prefill.suggestions));
+          }
+        }
+
+        // Form buttons
+        const formButtons = document.createElement('div');
+        formButtons.style.cssText = `
+            display: flex;
+            justify-content: flex-end;
+            gap: 8px;
+            margin-top: 16px;
+        `;
+
+        const cancelFormButton = document.createElement('button');
+        cancelFormButton.type = 'button';
+        cancelFormButton.textContent = 'Cancel';
+        cancelFormButton.className = 'prompt-library-form-btn';
+        cancelFormButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: transparent;
+            color: #fff;
+            cursor: pointer;
+            font-size: 14px;
+        `;
+
+        cancelFormButton.addEventListener('click', function() {
+          // Restore the original content
+          popupForm.innerHTML = originalContent;
+
+          // Re-attach event listeners using helper function
+          reattachEventListeners(popupForm, templates, customPrompts, self);
+        });
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = 'Save Prompt';
+        saveButton.className = 'prompt-library-form-btn';
+        saveButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #272725;
+            color: #fff;
+            cursor: pointer;
+            font-size: 14px;
+        `;
 
-        // Create popup form
-        const popupForm = document.createElement('div');
-        popupForm.className = 'prompt-library-popup-form';
+        formButtons.appendChild(cancelFormButton);
+        formButtons.appendChild(saveButton);
 
-        // Apply theme to popup
-        if (LovableAddons.utils && LovableAddons.utils.dom &&
-            typeof LovableAddons.utils.dom.prepareThemedPopup === 'function') {
-          LovableAddons.utils.dom.prepareThemedPopup(popupForm);
+        // Add form elements
+        form.appendChild(nameGroup);
+        form.appendChild(categoryGroup);
+        form.appendChild(tagsGroup);
+        form.appendChild(contentGroup);
+        const projectScope = createProjectScopeField(false);
+        if (projectScope) {
+          form.appendChild(projectScope.group);
         }
+        form.appendChild(formButtons);
 
-        popupForm.style.cssText = `
-            padding: 16px;
-            border-radius: var(--lovable-popup-border-radius, 12px);
-            min-width: 500px;
-            max-width: 700px;
-            max-height: 80vh;
-            overflow-y: auto;
-            overflow-x: hidden;
-            border: none;
-            display: flex;
-            flex-direction: column;
-            box-sizing: border-box;
-        `;
+        // Add form submission handler
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
 
-        // Load templates and categories
-        const templates = await loadTemplates();
-        const categories = await loadCategories();
-        const favorites = await getFavorites();
-        const recentTemplates = await getRecentTemplates();
-        const customPrompts = await getCustomPrompts();
+          // Get form values
+          const name = nameInput.value.trim();
+          const category = categoryInput.value.trim();
+          const tags = parseTags(tagsInput.value);
+          const content = contentTextarea.value.trim();
 
-        if (templates.length === 0) {
-          LovableAddons.utils.toast.showToast('No templates found', 'warning');
+          // Validate form
+          if (!name || !category || !content) {
+            LovableAddons.utils.toast.showToast('Please fill in all fields', 'error');
+            return;
+          }
+
+          // Reject malformed {{variables}} so they don't reach the fill-in form
+          const variableProblems = LovableAddons.utils.promptVariables.validate(content);
+          if (variableProblems.length > 0) {
+            LovableAddons.utils.toast.showToast(variableProblems[0], 'error');
+            return;
+          }
+
+          // Create custom prompt object
+          const customPrompt = {
+            name,
+            category,
+            content,
+            tags
+          };
+          if (projectScope && projectScope.checkbox.checked) {
+            customPrompt.projectId = getCurrentProjectId();
+          }
+
+          try {
+            // Add custom prompt to storage
+            await addCustomPrompt(customPrompt);
+
+            // Show success message
+            LovableAddons.utils.toast.showToast('Custom prompt saved successfully', 'success');
+
+            // Restore the original content (return to main view)
+            popupForm.innerHTML = originalContent;
+
+            // Get the updated list of custom prompts
+            const updatedCustomPrompts = await getCustomPrompts();
+
+            // Re-attach event listeners using helper function
+            reattachEventListeners(popupForm, templates, updatedCustomPrompts, self);
+
+            // Force re-render to reflect the new item immediately in any category
+            const templatesList = document.querySelector('.prompt-templates-list');
+            const favoritesNow = await getFavorites();
+            const recentNow = await getRecentTemplates();
+            const searchInputNow = document.querySelector('input[type="text"][placeholder="Search templates..."]');
+            const activeCategoryBtnNow = document.querySelector('.category-filter-btn.active');
+            const activeCategoryNow = activeCategoryBtnNow ? activeCategoryBtnNow.dataset.category : 'all';
+            this.renderTemplates(
+              templatesList,
+              [...templates, ...updatedCustomPrompts],
+              favoritesNow,
+              recentNow,
+              updatedCustomPrompts,
+              searchInputNow ? searchInputNow.value : '',
+              activeCategoryNow
+            );
+
+            // Select the 'Custom Prompts' category to show the newly added prompt
+            const customPromptsButton = document.querySelector('.category-filter-btn[data-category="custom"]');
+            if (customPromptsButton) {
+              customPromptsButton.click();
+            }
+          } catch (error) {
+            console.error('Error saving custom prompt:', error);
+            LovableAddons.utils.toast.showToast('Error saving custom prompt', 'error');
+          }
+        });
+
+        popupForm.appendChild(form);
+      },
+
+      /**
+       * Shows the edit custom prompt form
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {HTMLElement} popupContainer - The popup container element
+       * @param {Object} template - The template to edit
+       * @param {Array} templates - The templates array
+       * @param {Array} customPrompts - The custom prompts array
+       * @returns {void}
+       * @private
+       */
+      showEditCustomPromptForm: function(popupForm, popupContainer, template, templates, customPrompts) {
+        // Make sure we have valid elements
+        if (!popupForm || !popupContainer) {
+          console.error('Invalid popup elements provided to showEditCustomPromptForm');
+          LovableAddons.utils.toast.showToast('Unable to open editor', 'error');
           return;
         }
+        
+        // Save the original content to restore later if needed
+        const originalContent = popupForm.innerHTML;
+
+        // Clear the popup form
+        popupForm.innerHTML = '';
 
         // Create header
         const header = document.createElement('div');
@@ -456,7 +3434,7 @@
         `;
 
         const title = document.createElement('h2');
-        title.textContent = 'Prompt Library';
+        title.textContent = 'Edit Custom Prompt';
         title.style.cssText = `
             margin: 0;
             font-size: 18px;
@@ -464,734 +3442,1089 @@
             color: var(--lovable-text-primary, #fff);
         `;
 
+        // Back button
+        const backButton = document.createElement('button');
+        backButton.className = 'prompt-library-back-btn';
+        backButton.style.cssText = `
+            background: transparent;
+            border: none;
+            color: var(--lovable-text-primary, #fff);
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            font-size: 14px;
+            padding: 4px 8px;
+            border-radius: 4px;
+        `;
+        backButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="19" y1="12" x2="5" y2="12"></line>
+                <polyline points="12 19 5 12 12 5"></polyline>
+            </svg>
+            Back
+        `;
+
+        const self = this;
+        backButton.addEventListener('click', async function() {
+          // Restore the original content
+          popupForm.innerHTML = originalContent;
+
+          // Get fresh data
+          const freshCustomPrompts = await getCustomPrompts();
+          const freshTemplates = await loadTemplates();
+          
+          // Re-attach event listeners using helper function with fresh data
+          reattachEventListeners(popupForm, freshTemplates, freshCustomPrompts, self);
+        });
+
+        header.appendChild(backButton);
         header.appendChild(title);
         popupForm.appendChild(header);
 
-        // Create search and filter section
-        const searchContainer = document.createElement('div');
-        searchContainer.style.cssText = `
+        // Create form
+        const form = document.createElement('form');
+        form.style.cssText = `
             display: flex;
             flex-direction: column;
-            gap: 8px;
-            margin-bottom: 16px;
+            gap: 16px;
+        `;
+
+        // Prompt name input
+        const nameGroup = document.createElement('div');
+        nameGroup.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        `;
+
+        const nameLabel = document.createElement('label');
+        nameLabel.textContent = 'Prompt Name';
+        nameLabel.style.cssText = `
+            font-size: 14px;
+            font-weight: 500;
+            color: #fff;
+        `;
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'Enter a name for your prompt';
+        nameInput.required = true;
+        nameInput.value = template.name; // Pre-populate with existing name
+        nameInput.style.cssText = `
+            padding: 8px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #fff;
+            font-size: 14px;
+        `;
+
+        nameGroup.appendChild(nameLabel);
+        nameGroup.appendChild(nameInput);
+
+        // Category input
+        const categoryGroup = document.createElement('div');
+        categoryGroup.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        `;
+
+        const categoryLabel = document.createElement('label');
+        categoryLabel.textContent = 'Folder';
+        categoryLabel.style.cssText = `
+            font-size: 14px;
+            font-weight: 500;
+            color: #fff;
+        `;
+
+        const categoryInput = document.createElement('input');
+        categoryInput.type = 'text';
+        categoryInput.placeholder = `Folder path, e.g. Frontend${FOLDER_SEPARATOR}Forms`;
+        categoryInput.required = true;
+        categoryInput.value = template.category; // Pre-populate with existing category
+        categoryInput.style.cssText = `
+            padding: 8px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #fff;
+            font-size: 14px;
+        `;
+
+        categoryGroup.appendChild(categoryLabel);
+        categoryGroup.appendChild(categoryInput);
+        attachFolderSuggestions(categoryGroup, categoryInput);
+
+        // Tags input
+        const tagsGroup = createFieldGroup('Tags');
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.placeholder = 'Comma-separated, e.g. auth, supabase';
+        tagsInput.style.cssText = FIELD_STYLE;
+        tagsInput.value = (template.tags || []).join(', '); // Pre-populate with existing tags
+        tagsGroup.appendChild(tagsInput);
+
+        // Prompt content textarea
+        const contentGroup = document.createElement('div');
+        contentGroup.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        `;
+
+        const contentLabel = document.createElement('label');
+        contentLabel.textContent = 'Prompt Content';
+        contentLabel.style.cssText = `
+            font-size: 14px;
+            font-weight: 500;
+            color: #fff;
         `;
 
-        // Search input
-        const searchInput = document.createElement('input');
-        searchInput.type = 'text';
-        searchInput.placeholder = 'Search templates...';
-        searchInput.style.cssText = `
+        const contentTextarea = document.createElement('textarea');
+        contentTextarea.placeholder = 'Enter your prompt content';
+        contentTextarea.required = true;
+        contentTextarea.rows = 8;
+        contentTextarea.value = template.content; // Pre-populate with existing content
+        contentTextarea.style.cssText = `
             padding: 8px 12px;
             border-radius: 6px;
-            border: 1px solid var(--lovable-border-color, #3F3F46);
-            background: var(--lovable-highlight-color, #27272A);
-            color: var(--lovable-text-primary, #fff);
+            border: 1px solid #3F3F46;
+            background: #27272A;
+            color: #fff;
             font-size: 14px;
-            width: 100%;
+            resize: vertical;
+            font-family: inherit;
         `;
 
-        // Category filter
-        const categoryFilter = document.createElement('div');
-        categoryFilter.style.cssText = `
+        contentGroup.appendChild(contentLabel);
+        contentGroup.appendChild(contentTextarea);
+        attachVariableHint(contentGroup, contentTextarea);
+
+        // Form buttons
+        const formButtons = document.createElement('div');
+        formButtons.style.cssText = `
             display: flex;
-            flex-wrap: wrap;
+            justify-content: flex-end;
             gap: 8px;
-            margin-bottom: 8px;
+            margin-top: 16px;
         `;
 
-        // Add 'All' category
-        const allCategoryBtn = document.createElement('button');
-        allCategoryBtn.textContent = 'All';
-        allCategoryBtn.dataset.category = 'all';
-        allCategoryBtn.className = 'category-filter-btn active';
-        allCategoryBtn.style.cssText = `
-            padding: 4px 10px;
-            border-radius: 4px;
-            border: 1px solid var(--lovable-border-color, #3F3F46);
-            background: var(--lovable-button-secondary, #3F3F46);
-            color: var(--lovable-text-primary, #fff);
-            font-size: 12px;
+        const cancelFormButton = document.createElement('button');
+        cancelFormButton.type = 'button';
+        cancelFormButton.textContent = 'Cancel';
+        cancelFormButton.className = 'prompt-library-form-btn';
+        cancelFormButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: transparent;
+            color: #fff;
             cursor: pointer;
+            font-size: 14px;
         `;
 
-        categoryFilter.appendChild(allCategoryBtn);
+        cancelFormButton.addEventListener('click', async function() {
+          // Restore the original content
+          popupForm.innerHTML = originalContent;
 
-        // Add 'Favorites' category
-        const favoritesCategoryBtn = document.createElement('button');
-        favoritesCategoryBtn.textContent = 'Favorites';
-        favoritesCategoryBtn.dataset.category = 'favorites';
-        favoritesCategoryBtn.className = 'category-filter-btn';
-        favoritesCategoryBtn.style.cssText = `
-            padding: 4px 10px;
-            border-radius: 4px;
-            border: 1px solid var(--lovable-border-color, #3F3F46);
-            background: transparent;
-            color: var(--lovable-text-primary, #fff);
-            font-size: 12px;
+          // Get fresh data
+          const freshCustomPrompts = await getCustomPrompts();
+          const freshTemplates = await loadTemplates();
+          
+          // Re-attach event listeners using helper function with fresh data
+          reattachEventListeners(popupForm, freshTemplates, freshCustomPrompts, self);
+        });
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = 'Update Prompt';
+        saveButton.className = 'prompt-library-form-btn';
+        saveButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #272725;
+            color: #fff;
             cursor: pointer;
+            font-size: 14px;
         `;
 
-        categoryFilter.appendChild(favoritesCategoryBtn);
+        formButtons.appendChild(cancelFormButton);
+        formButtons.appendChild(saveButton);
 
-        // Add 'Recent' category
-        const recentCategoryBtn = document.createElement('button');
-        recentCategoryBtn.textContent = 'Recent';
-        recentCategoryBtn.dataset.category = 'recent';
-        recentCategoryBtn.className = 'category-filter-btn';
-        recentCategoryBtn.style.cssText = `
-            padding: 4px 10px;
-            border-radius: 4px;
-            border: 1px solid var(--lovable-border-color, #3F3F46);
-            background: transparent;
-            color: var(--lovable-text-primary, #fff);
-            font-size: 12px;
-            cursor: pointer;
-        `;
+        // Add form elements
+        form.appendChild(nameGroup);
+        form.appendChild(categoryGroup);
+        form.appendChild(tagsGroup);
+        form.appendChild(contentGroup);
+        // Unchecking promotes a project prompt to a global one
+        const projectScope = createProjectScopeField(!!template.projectId);
+        if (projectScope) {
+          form.appendChild(projectScope.group);
+        }
+        form.appendChild(formButtons);
 
-        categoryFilter.appendChild(recentCategoryBtn);
+        // Add form submission handler
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
 
-        // Add 'Custom Prompts' category
-        const customCategoryBtn = document.createElement('button');
-        customCategoryBtn.textContent = 'Custom Prompts';
-        customCategoryBtn.dataset.category = 'custom';
-        customCategoryBtn.className = 'category-filter-btn';
-        customCategoryBtn.style.cssText = `
-            padding: 4px 10px;
-            border-radius: 4px;
-            border: 1px solid var(--lovable-border-color, #3F3F46);
-            background: transparent;
-            color: var(--lovable-text-primary, #fff);
-            font-size: 12px;
-            cursor: pointer;
-        `;
+          // Get form values
+          const name = nameInput.value.trim();
+          const category = categoryInput.value.trim();
+          const tags = parseTags(tagsInput.value);
+          const content = contentTextarea.value.trim();
+
+          // Validate form
+          if (!name || !category || !content) {
+            LovableAddons.utils.toast.showToast('Please fill in all fields', 'error');
+            return;
+          }
+
+          // Reject malformed {{variables}} so they don't reach the fill-in form
+          const variableProblems = LovableAddons.utils.promptVariables.validate(content);
+          if (variableProblems.length > 0) {
+            LovableAddons.utils.toast.showToast(variableProblems[0], 'error');
+            return;
+          }
+
+          // Create updated custom prompt object
+          const updatedPrompt = {
+            id: template.id, // Keep the original ID
+            name,
+            category,
+            content,
+            tags,
+            isCustom: true // Ensure it remains marked as custom
+          };
+          if (projectScope ? projectScope.checkbox.checked : template.projectId) {
+            updatedPrompt.projectId = template.projectId || getCurrentProjectId();
+          }
+
+          try {
+            // Update custom prompt in storage
+            await updateCustomPrompt(updatedPrompt);
+
+            // Show success message
+            LovableAddons.utils.toast.showToast('Custom prompt updated successfully', 'success');
+
+            // Restore the original content (return to main view)
+            popupForm.innerHTML = originalContent;
+
+            // Get the updated list of custom prompts and fresh templates
+            const updatedCustomPrompts = await getCustomPrompts();
+            const freshTemplates = await loadTemplates();
+
+            // Re-attach event listeners using helper function with fresh data
+            reattachEventListeners(popupForm, freshTemplates, updatedCustomPrompts, self);
+
+            // Force re-render to reflect edits while staying in popup
+            const templatesList = document.querySelector('.prompt-templates-list');
+            const favoritesNow = await getFavorites();
+            const recentNow = await getRecentTemplates();
+            const searchInputNow = document.querySelector('input[type="text"][placeholder="Search templates..."]');
+            const activeCategoryBtnNow = document.querySelector('.category-filter-btn.active');
+            const activeCategoryNow = activeCategoryBtnNow ? activeCategoryBtnNow.dataset.category : 'all';
+            this.renderTemplates(
+              templatesList,
+              [...templates, ...updatedCustomPrompts],
+              favoritesNow,
+              recentNow,
+              updatedCustomPrompts,
+              searchInputNow ? searchInputNow.value : '',
+              activeCategoryNow
+            );
+
+            // Select the 'Custom Prompts' category to show the updated prompt
+            const customPromptsButton = document.querySelector('.category-filter-btn[data-category="custom"]');
+            if (customPromptsButton) {
+              customPromptsButton.click();
+            }
+          } catch (error) {
+            console.error('Error updating custom prompt:', error);
+            LovableAddons.utils.toast.showToast('Error updating custom prompt', 'error');
+          }
+        });
+
+        popupForm.appendChild(form);
+      },
+
+      /**
+       * Renders saved playbooks into the templates list
+       * @param {HTMLElement} templatesList - The templates list element
+       * @param {string} searchTerm - The search term
+       * @returns {Promise<void>}
+       */
+      renderPlaybooks: async function(templatesList, searchTerm = '') {
+        let playbooks = await getPlaybooks();
+
+        if (searchTerm) {
+          playbooks = LovableAddons.utils.promptSearch
+            .search(playbooks, searchTerm)
+            .map(result => result.item);
+        }
+
+        // Rendering is async, so clear again in case another render ran meanwhile
+        templatesList.innerHTML = '';
+
+        if (playbooks.length === 0) {
+          const noResults = document.createElement('div');
+          noResults.textContent = searchTerm
+            ? 'No playbooks match your search'
+            : 'No playbooks yet. Use "Create Playbook" to save a sequence of prompts.';
+          noResults.style.cssText = `
+              text-align: center;
+              padding: 20px;
+              color: var(--lovable-text-secondary, #A1A1AA);
+          `;
+          templatesList.appendChild(noResults);
+          return;
+        }
+
+        const self = this;
+        playbooks.forEach(playbook => {
+          const playbookItem = document.createElement('div');
+          playbookItem.className = 'prompt-template-item playbook-item';
+          playbookItem.style.cssText = `
+              padding: 12px;
+              border-radius: 6px;
+              border: 1px solid var(--lovable-border-color, #3F3F46);
+              cursor: pointer;
+              transition: background-color 0.2s;
+              position: relative;
+          `;
+          playbookItem.title = 'Add all steps to the prompt queue';
+
+          playbookItem.addEventListener('mouseover', () => {
+            playbookItem.style.backgroundColor = 'var(--lovable-highlight-color, #27272A)';
+          });
+
+          playbookItem.addEventListener('mouseout', () => {
+            playbookItem.style.backgroundColor = 'transparent';
+          });
+
+          const playbookHeader = document.createElement('div');
+          playbookHeader.style.cssText = `
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              margin-bottom: 4px;
+          `;
+
+          const playbookName = document.createElement('div');
+          playbookName.className = 'prompt-template-name';
+          playbookName.textContent = playbook.name;
+          playbookName.style.cssText = `
+              font-weight: 500;
+              color: var(--lovable-text-primary, #fff);
+          `;
+
+          const stepsBadge = document.createElement('span');
+          stepsBadge.textContent = `${playbook.steps.length} step${playbook.steps.length === 1 ? '' : 's'}`;
+          stepsBadge.style.cssText = `
+              font-size: 11px;
+              padding: 2px 6px;
+              border-radius: 4px;
+              background: var(--lovable-button-secondary, #3F3F46);
+              color: var(--lovable-text-primary, #fff);
+              margin-left: 8px;
+          `;
+          playbookName.appendChild(stepsBadge);
 
-        categoryFilter.appendChild(customCategoryBtn);
+          const actionsContainer = document.createElement('div');
+          actionsContainer.style.cssText = `
+              display: flex;
+              align-items: center;
+              gap: 8px;
+          `;
 
-        // Add other categories
-        categories.forEach(category => {
-          const categoryBtn = document.createElement('button');
-          categoryBtn.textContent = category;
-          categoryBtn.dataset.category = category;
-          categoryBtn.className = 'category-filter-btn';
-          categoryBtn.style.cssText = `
-              padding: 4px 10px;
-              border-radius: 4px;
-              border: 1px solid var(--lovable-border-color, #3F3F46);
+          const actionStyle = `
               background: transparent;
-              color: var(--lovable-text-primary, #fff);
-              font-size: 12px;
+              border: none;
+              color: var(--lovable-text-secondary, #A1A1AA);
               cursor: pointer;
+              font-size: 16px;
+              padding: 0;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
           `;
 
-          categoryFilter.appendChild(categoryBtn);
-        });
-
-        searchContainer.appendChild(searchInput);
-        searchContainer.appendChild(categoryFilter);
-        popupForm.appendChild(searchContainer);
+          const editBtn = document.createElement('button');
+          editBtn.className = 'edit-btn';
+          editBtn.style.cssText = actionStyle;
+          editBtn.innerHTML = `
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                  <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+              </svg>
+          `;
+          editBtn.title = 'Edit playbook';
+          editBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const popupForm = editBtn.closest('.prompt-library-popup-form');
+            const popupContainer = editBtn.closest('.prompt-library-popup-overlay');
+            const latestTemplates = await loadTemplates();
+            const latestCustomPrompts = await getCustomPrompts();
+            self.showPlaybookForm(popupForm, popupContainer, latestTemplates, latestCustomPrompts, playbook);
+          });
 
-        // Create templates list
-        const templatesList = document.createElement('div');
-        templatesList.className = 'prompt-templates-list';
-        templatesList.style.cssText = `
-            display: flex;
-            flex-direction: column;
-            gap: 8px;
-            margin-bottom: 16px;
-            flex-grow: 1;
-            overflow-y: auto;
-            max-height: 400px;
-            padding-right: 8px;
-        `;
+          const deleteBtn = document.createElement('button');
+          deleteBtn.className = 'delete-btn';
+          deleteBtn.style.cssText = actionStyle;
+          deleteBtn.innerHTML = `
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <polyline points="3 6 5 6 21 6"></polyline>
+                  <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+              </svg>
+          `;
+          deleteBtn.title = 'Delete playbook';
+          deleteBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (confirm(`Are you sure you want to delete the playbook "${playbook.name}"?`)) {
+              await removePlaybook(playbook.id);
+              LovableAddons.utils.toast.showToast(`Deleted playbook: ${playbook.name}`, 'success');
+              self.renderPlaybooks(templatesList, searchTerm);
+            }
+          });
 
-        // Initial render of all templates
-        this.renderTemplates(templatesList, [...templates, ...customPrompts], favorites, recentTemplates, customPrompts);
+          actionsContainer.appendChild(editBtn);
+          actionsContainer.appendChild(deleteBtn);
+          playbookHeader.appendChild(playbookName);
+          playbookHeader.appendChild(actionsContainer);
+
+          const stepsPreview = document.createElement('div');
+          stepsPreview.className = 'prompt-template-preview';
+          stepsPreview.textContent = playbook.steps
+            .map((step, index) => `${index + 1}. ${step.text.length > 60 ? step.text.substring(0, 60) + '...' : step.text}`)
+            .join('\n');
+          stepsPreview.style.cssText = `
+              font-size: 13px;
+              color: var(--lovable-text-secondary, #A1A1AA);
+              white-space: pre-wrap;
+          `;
 
-        // Add event listener for search input
-        searchInput.addEventListener('input', () => {
-          const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
-          const activeCategory = activeCategoryBtn ? activeCategoryBtn.dataset.category : 'all';
-          this.renderTemplates(templatesList, [...templates, ...customPrompts], favorites, recentTemplates, customPrompts, searchInput.value, activeCategory);
-        });
+          playbookItem.appendChild(playbookHeader);
+          playbookItem.appendChild(stepsPreview);
 
-        popupForm.appendChild(templatesList);
+          playbookItem.addEventListener('click', () => {
+            self.runPlaybook(playbook);
+          });
 
-        // Create footer with buttons
-        const footer = document.createElement('div');
-        footer.style.cssText = `
-            display: flex;
-            justify-content: space-between;
-            gap: 8px;
-            margin-top: auto;
-            padding-top: 16px;
-            border-top: 1px solid #3F3F46;
-        `;
+          templatesList.appendChild(playbookItem);
+        });
 
-        // Create Custom Prompt button
-        const createPromptButton = document.createElement('button');
-        createPromptButton.textContent = 'Create Custom Prompt';
-        createPromptButton.style.cssText = `
-            padding: 6px 12px;
-            border-radius: 6px;
-            border: 1px solid var(--lovable-border-color, #3F3F46);
-            background: var(--lovable-button-secondary, #272725);
-            color: var(--lovable-text-primary, #fff);
-            cursor: pointer;
-            font-size: 14px;
-            display: flex;
-            align-items: center;
-            gap: 6px;
-        `;
+        if (searchTerm) {
+          templatesList.querySelector('.playbook-item').classList.add('keyboard-active');
+        }
+      },
 
-        // Add plus icon
-        createPromptButton.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <line x1="12" y1="5" x2="12" y2="19"></line>
-                <line x1="5" y1="12" x2="19" y2="12"></line>
-            </svg>
-            Create Custom Prompt
-        `;
+      /**
+       * Enqueues every step of a playbook into the prompt queue.
+       * Asks for {{variable}} values first when the steps contain any.
+       * @param {Object} playbook - The playbook to run
+       * @param {Object} [values] - Variable values; prompts for them when omitted
+       * @returns {Promise<boolean>} Whether the steps were queued
+       */
+      runPlaybook: async function(playbook, values) {
+        const variables = LovableAddons.utils.promptVariables;
+        const definitions = variables.parse(playbook.steps.map(step => step.text));
+
+        if (definitions.length > 0 && !values) {
+          const withDefaults = await applyProjectDefaults(definitions);
+          this.showVariablesForm(getFormPopup(), playbook.name, withDefaults, filled => this.runPlaybook(playbook, filled));
+          return false;
+        }
 
-        createPromptButton.addEventListener('click', () => {
-          // Hide the templates list and show the custom prompt form
-          this.showCustomPromptForm(popupForm, popupContainer, templates, customPrompts);
-        });
+        const queueFeature = LovableAddons.getFeature('promptQueue');
+        const queue = queueFeature && queueFeature.getInstance();
+        if (!queue || !/\/projects\//.test(window.location.pathname)) {
+          LovableAddons.utils.toast.showToast('Open a Lovable project to run a playbook', 'error');
+          return false;
+        }
 
-        const cancelButton = document.createElement('button');
-        cancelButton.textContent = 'Cancel';
-        cancelButton.style.cssText = `
-            padding: 6px 12px;
-            border-radius: 6px;
-            border: 1px solid var(--lovable-border-color, #3F3F46);
-            background: transparent;
-            color: var(--lovable-text-primary, #fff);
-            cursor: pointer;
-            font-size: 14px;
-        `;
+        const stepTexts = playbook.steps.map(step => variables.fill(step.text, values || {}));
+        const unfilled = variables.findUnfilled(stepTexts);
+        if (unfilled.length > 0) {
+          LovableAddons.utils.toast.showToast(`Unfilled variables: ${unfilled.join(', ')}`, 'error');
+          return false;
+        }
 
-        cancelButton.addEventListener('click', () => {
-          document.body.removeChild(popupContainer);
-          // Remove the class that prevents scrolling
-          document.body.classList.remove('lovable-popup-active');
-          // Remove the style element
-          const styleElement = document.getElementById('prompt-library-scrollbar-fix');
-          if (styleElement) {
-            styleElement.remove();
-          }
+        playbook.steps.forEach((step, index) => {
+          queue.enqueue(stepTexts[index], step.options);
         });
+        await recordUsage(playbook.id);
 
-        footer.appendChild(createPromptButton);
-        footer.appendChild(cancelButton);
-        popupForm.appendChild(footer);
-
-        // Add hover styles for buttons inside the popup
-        const popupButtonsStyle = document.createElement('style');
-        popupButtonsStyle.textContent = `
-            .prompt-library-popup-form button:hover:not(.active) {
-                background-color: var(--lovable-button-secondary-hover, #2167DB) !important;
-            }
-            .category-filter-btn:hover:not(.active) {
-                background-color: var(--lovable-button-secondary-hover, #2167DB) !important;
-            }
-            .delete-btn:hover, .favorite-btn:hover, .edit-btn:hover {
-                color: var(--lovable-button-secondary-hover, #2167DB) !important;
-                transform: scale(1.1) !important;
-                transition: color 0.2s ease-in-out, transform 0.2s ease-in-out !important;
-            }
-            
-            .delete-btn:active, .favorite-btn:active, .edit-btn:active {
-                transform: scale(0.95) !important;
-            }
-
-            /* Light theme specific styles for category filter buttons */
-            [data-lovable-theme="light"] .category-filter-btn {
-                color: var(--lovable-text-primary, rgba(0, 0, 0, 0.9)) !important;
-                border-color: var(--lovable-border-color, rgba(0, 0, 0, 0.15)) !important;
-            }
+        closePopup();
+        LovableAddons.utils.toast.showToast(`Queued ${playbook.steps.length} steps from "${playbook.name}"`, 'success');
+        return true;
+      },
 
-            [data-lovable-theme="light"] .category-filter-btn.active {
-                background-color: var(--lovable-button-secondary, #EBEBEB) !important;
-                color: var(--lovable-text-primary, rgba(0, 0, 0, 0.9)) !important;
-            }
+      /**
+       * Shows a fill-in form for template variables, with a field per variable
+       * type (text, textarea, number, select) pre-filled with its default.
+       * On a project page the values can be remembered as that project's defaults.
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {string} name - Name of the template or playbook being filled in
+       * @param {Array<Object>} definitions - Variable definitions from promptVariables.parse()
+       * @param {Function} onSubmit - Called with a map of variable name to value
+       * @returns {void}
+       */
+      showVariablesForm: function(popupForm, name, definitions, onSubmit) {
+        const originalContent = popupForm.innerHTML;
+        const self = this;
+        // Opened on its own (e.g. outside the library) there is no main view to go back to
+        const restore = popupForm.querySelector('.prompt-templates-list')
+          ? () => restoreMainView(popupForm, originalContent, self)
+          : closePopup;
 
-            [data-lovable-theme="light"] .category-filter-btn:hover:not(.active) {
-                background-color: var(--lovable-button-secondary-hover, #C6E4FF) !important;
-            }
+        popupForm.innerHTML = '';
+        popupForm.appendChild(createFormHeader(`Fill in: ${name}`, restore));
 
-            /* Override inline styles for active category buttons */
-            .category-filter-btn.active {
-                background-color: var(--lovable-button-secondary, #3F3F46) !important;
-            }
+        const form = document.createElement('form');
+        form.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
         `;
-        document.head.appendChild(popupButtonsStyle);
-
-        // Add popup to DOM
-        popupContainer.appendChild(popupForm);
-        document.body.appendChild(popupContainer);
-
-        // Apply theme to popup
-        if (LovableAddons.utils && LovableAddons.utils.dom &&
-            typeof LovableAddons.utils.dom.applyThemeToPopups === 'function') {
-          LovableAddons.utils.dom.applyThemeToPopups();
-        }
 
-        // Now that buttons are in the DOM, add event listeners for category filtering
-        const categoryButtons = document.querySelectorAll('.category-filter-btn');
-        categoryButtons.forEach(button => {
-          button.addEventListener('click', () => {
-            // Remove active class from all buttons
-            categoryButtons.forEach(btn => {
-              btn.classList.remove('active');
-              btn.style.background = 'transparent';
-              // Ensure text color is properly set for inactive buttons
-              btn.style.color = 'var(--lovable-text-primary, #fff)';
-              // Ensure border color is properly set for inactive buttons
-              btn.style.borderColor = 'var(--lovable-border-color, #3F3F46)';
+        const inputs = {};
+        definitions.forEach((definition, index) => {
+          const group = createFieldGroup(definition.name);
+          let input;
+
+          if (definition.type === 'select') {
+            input = document.createElement('select');
+            definition.options.forEach(optionValue => {
+              const option = document.createElement('option');
+              option.value = optionValue;
+              option.textContent = optionValue;
+              input.appendChild(option);
             });
+            if (definition.defaultValue) {
+              input.value = definition.defaultValue;
+            }
+            input.style.cssText = FIELD_STYLE;
+          } else if (definition.type === 'textarea') {
+            input = document.createElement('textarea');
+            input.rows = 5;
+            input.value = definition.defaultValue;
+            input.style.cssText = FIELD_STYLE + `
+                resize: vertical;
+                font-family: inherit;
+            `;
+          } else {
+            input = document.createElement('input');
+            input.type = definition.type === 'number' ? 'number' : 'text';
+            input.value = definition.defaultValue;
+            input.style.cssText = FIELD_STYLE;
+          }
 
-            // Add active class to clicked button
-            button.classList.add('active');
-            button.style.background = 'var(--lovable-button-secondary, #3F3F46)';
-            button.style.color = 'var(--lovable-text-primary, #fff)';
+          input.required = true;
+          input.dataset.variable = definition.name;
+          if (definition.type !== 'select') {
+            input.placeholder = `Value for {{${definition.name}}}`;
+          }
+          if (index === 0) {
+            setTimeout(() => input.focus(), 0);
+          }
 
-            // Render templates with selected category
-            this.renderTemplates(templatesList, [...templates, ...customPrompts], favorites, recentTemplates, customPrompts, searchInput.value, button.dataset.category);
-          });
+          inputs[definition.name] = input;
+          group.appendChild(input);
+          form.appendChild(group);
         });
 
-        // Close on escape key
-        document.addEventListener('keydown', function escHandler(e) {
-          if (e.key === 'Escape') {
-            document.body.removeChild(popupContainer);
-            document.removeEventListener('keydown', escHandler);
-            // Remove the class that prevents scrolling
-            document.body.classList.remove('lovable-popup-active');
-            // Remove the style element
-            const styleElement = document.getElementById('prompt-library-scrollbar-fix');
-            if (styleElement) {
-              styleElement.remove();
-            }
-          }
-        });
+        let rememberCheckbox = null;
+        if (getCurrentProjectId()) {
+          const rememberLabel = document.createElement('label');
+          rememberLabel.style.cssText = `
+              display: flex;
+              align-items: center;
+              gap: 6px;
+              font-size: 13px;
+              color: #A1A1AA;
+              cursor: pointer;
+          `;
+          rememberCheckbox = document.createElement('input');
+          rememberCheckbox.type = 'checkbox';
+          rememberLabel.appendChild(rememberCheckbox);
+          rememberLabel.appendChild(document.createTextNode('Remember these values for this project'));
+          form.appendChild(rememberLabel);
+        }
 
-        // Close on outside click
-        popupContainer.addEventListener('click', (e) => {
-          if (e.target === popupContainer) {
-            document.body.removeChild(popupContainer);
-            // Remove the class that prevents scrolling
-            document.body.classList.remove('lovable-popup-active');
-            // Remove the style element
-            const styleElement = document.getElementById('prompt-library-scrollbar-fix');
-            if (styleElement) {
-              styleElement.remove();
-            }
+        form.appendChild(createFormButtons('Continue', restore));
+
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const values = {};
+          const missing = definitions.filter(definition => {
+            values[definition.name] = inputs[definition.name].value.trim();
+            return !values[definition.name];
+          });
+
+          if (missing.length > 0) {
+            LovableAddons.utils.toast.showToast(`Please fill in: ${missing.map(definition => definition.name).join(', ')}`, 'error');
+            return;
+          }
+
+          if (rememberCheckbox && rememberCheckbox.checked) {
+            await updateProjectSettings(entry => {
+              Object.assign(entry.variables, values);
+            });
           }
+
+          onSubmit(values);
         });
+
+        popupForm.appendChild(form);
       },
 
       /**
-       * Renders templates based on filters
-       * @param {HTMLElement} templatesList - The templates list element
-       * @param {Array} templatesArray - The templates array
-       * @param {Array} favorites - The favorites array
-       * @param {Array} recentTemplates - The recent templates array
+       * Shows the create/edit playbook form
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {HTMLElement} popupContainer - The popup container element
+       * @param {Array} templates - The templates array
        * @param {Array} customPrompts - The custom prompts array
-       * @param {string} searchTerm - The search term
-       * @param {string} categoryFilter - The category filter
+       * @param {Object} [playbook] - Playbook to edit; creates a new one when omitted
        * @returns {void}
        */
-      renderTemplates: function(templatesList, templatesArray, favorites, recentTemplates, customPrompts, searchTerm = '', categoryFilter = 'all') {
-        // Clear existing templates
-        templatesList.innerHTML = '';
+      showPlaybookForm: function(popupForm, popupContainer, templates, customPrompts, playbook) {
+        if (!popupForm || !popupContainer) {
+          console.error('Invalid popup elements provided to showPlaybookForm');
+          LovableAddons.utils.toast.showToast('Unable to open editor', 'error');
+          return;
+        }
 
-        // Filter templates based on search term and category
-        let filteredTemplates = templatesArray;
+        const originalContent = popupForm.innerHTML;
+        const self = this;
+        const restore = () => restoreMainView(popupForm, originalContent, self);
 
-        // Filter by category
-        if (categoryFilter === 'favorites') {
-          filteredTemplates = templatesArray.filter(template => favorites.includes(template.id));
-        } else if (categoryFilter === 'recent') {
-          filteredTemplates = recentTemplates
-            .map(id => templatesArray.find(template => template.id === id))
-            .filter(Boolean); // Remove undefined entries
-        } else if (categoryFilter === 'custom') {
-          filteredTemplates = customPrompts;
-        } else if (categoryFilter !== 'all') {
-          filteredTemplates = templatesArray.filter(template => template.category === categoryFilter);
-        }
+        popupForm.innerHTML = '';
+        popupForm.appendChild(createFormHeader(playbook ? 'Edit Playbook' : 'Create Playbook', restore));
 
-        // Filter by search term
-        if (searchTerm) {
-          const term = searchTerm.toLowerCase();
-          filteredTemplates = filteredTemplates.filter(template =>
-            template.name.toLowerCase().includes(term) ||
-            template.content.toLowerCase().includes(term)
-          );
-        }
+        const form = document.createElement('form');
+        form.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+        `;
 
-        // Show message if no templates match filters
-        if (filteredTemplates.length === 0) {
-          const noResults = document.createElement('div');
-          noResults.textContent = 'No templates match your filters';
-          noResults.style.cssText = `
-              text-align: center;
-              padding: 20px;
-              color: var(--lovable-text-secondary, #A1A1AA);
-          `;
-          templatesList.appendChild(noResults);
-          return;
-        }
+        // Playbook name
+        const nameGroup = createFieldGroup('Playbook Name');
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'e.g., Add auth, profile page and tests';
+        nameInput.required = true;
+        nameInput.value = playbook ? playbook.name : '';
+        nameInput.style.cssText = FIELD_STYLE;
+        nameGroup.appendChild(nameInput);
 
-        // Render filtered templates
-        filteredTemplates.forEach((template) => {
-          const templateItem = document.createElement('div');
-          templateItem.className = 'prompt-template-item';
-          templateItem.style.cssText = `
-              padding: 12px;
-              border-radius: 6px;
-              border: 1px solid var(--lovable-border-color, #3F3F46);
-              cursor: pointer;
-              transition: background-color 0.2s;
-              position: relative;
-          `;
+        const hint = document.createElement('div');
+        hint.textContent = 'Steps are queued in order. Use {{name}}, {{name=default}} or {{name:select:a,b}} for values you fill in when running the playbook.';
+        hint.style.cssText = `
+            font-size: 12px;
+            color: #A1A1AA;
+        `;
 
-          // Add hover effect
-          templateItem.addEventListener('mouseover', () => {
-            templateItem.style.backgroundColor = 'var(--lovable-highlight-color, #27272A)';
-          });
+        // Steps
+        const stepsContainer = document.createElement('div');
+        stepsContainer.className = 'playbook-steps';
+        stepsContainer.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+        `;
 
-          templateItem.addEventListener('mouseout', () => {
-            templateItem.style.backgroundColor = 'transparent';
+        const renumberSteps = () => {
+          stepsContainer.querySelectorAll('.playbook-step-label').forEach((label, index) => {
+            label.textContent = `Step ${index + 1}`;
           });
+        };
 
-          // Template header with name and favorite button
-          const templateHeader = document.createElement('div');
-          templateHeader.style.cssText = `
+        const addStepRow = (step = { text: '', options: {} }) => {
+          const options = step.options || {};
+          const row = document.createElement('div');
+          row.className = 'playbook-step';
+          row.style.cssText = `
+              display: flex;
+              flex-direction: column;
+              gap: 6px;
+              padding: 8px;
+              border-radius: 6px;
+              border: 1px solid #3F3F46;
+          `;
+
+          const rowHeader = document.createElement('div');
+          rowHeader.style.cssText = `
               display: flex;
               justify-content: space-between;
               align-items: center;
-              margin-bottom: 4px;
           `;
 
-          const templateName = document.createElement('div');
-          templateName.className = 'prompt-template-name';
-          templateName.textContent = template.name;
-          templateName.style.cssText = `
+          const label = document.createElement('span');
+          label.className = 'playbook-step-label';
+          label.style.cssText = `
+              font-size: 13px;
               font-weight: 500;
-              color: var(--lovable-text-primary, #fff);
+              color: #fff;
           `;
 
-          // Category badge
-          const categoryBadge = document.createElement('span');
-          categoryBadge.textContent = template.category;
-          categoryBadge.style.cssText = `
-              font-size: 11px;
-              padding: 2px 6px;
-              border-radius: 4px;
-              background: var(--lovable-button-secondary, #3F3F46);
-              color: var(--lovable-text-primary, #fff);
-              margin-left: 8px;
+          const removeButton = document.createElement('button');
+          removeButton.type = 'button';
+          removeButton.className = 'delete-btn';
+          removeButton.textContent = '×';
+          removeButton.title = 'Remove step';
+          removeButton.style.cssText = `
+              background: transparent;
+              border: none;
+              color: #A1A1AA;
+              cursor: pointer;
+              font-size: 16px;
+              padding: 0 4px;
           `;
-          templateName.appendChild(categoryBadge);
+          removeButton.addEventListener('click', () => {
+            row.remove();
+            renumberSteps();
+          });
 
-          // Actions container
-          const actionsContainer = document.createElement('div');
-          actionsContainer.style.cssText = `
+          rowHeader.appendChild(label);
+          rowHeader.appendChild(removeButton);
+
+          const textarea = document.createElement('textarea');
+          textarea.className = 'playbook-step-text';
+          textarea.rows = 3;
+          textarea.placeholder = 'Prompt to send for this step';
+          textarea.value = step.text;
+          textarea.style.cssText = FIELD_STYLE + `
+              resize: vertical;
+              font-family: inherit;
+          `;
+
+          // Step options map onto PromptQueue item options
+          const optionsRow = document.createElement('div');
+          optionsRow.style.cssText = `
               display: flex;
+              flex-wrap: wrap;
               align-items: center;
-              gap: 8px;
+              gap: 12px;
+              font-size: 12px;
+              color: #A1A1AA;
           `;
 
-          // Edit button for custom prompts
-          if (template.isCustom) {
-            const editBtn = document.createElement('button');
-            editBtn.className = 'edit-btn';
-            editBtn.style.cssText = `
-                background: transparent;
-                border: none;
-                color: var(--lovable-text-secondary, #A1A1AA);
-                cursor: pointer;
-                font-size: 16px;
-                padding: 0;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
-            `;
-            editBtn.innerHTML = `
-                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                </svg>
-            `;
-            editBtn.title = 'Edit custom prompt';
+          const createCheckbox = (key, text) => {
+            const wrapper = document.createElement('label');
+            wrapper.style.cssText = 'display: flex; align-items: center; gap: 4px; cursor: pointer;';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.option = key;
+            checkbox.checked = !!options[key];
+            wrapper.appendChild(checkbox);
+            wrapper.appendChild(document.createTextNode(text));
+            return wrapper;
+          };
 
-            // Add click handler for edit button
-            const self = this;
-            editBtn.addEventListener('click', async (e) => {
-              e.stopPropagation(); // Prevent template from being applied
+          const waitLabel = document.createElement('label');
+          waitLabel.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+          const waitInput = document.createElement('input');
+          waitInput.type = 'number';
+          waitInput.min = '0';
+          waitInput.max = '240';
+          waitInput.dataset.option = 'waitMinutes';
+          waitInput.value = options.waitMinutes || 0;
+          waitInput.style.cssText = 'width: 52px; padding: 2px 4px; border-radius: 4px; border: 1px solid #3F3F46; background: #27272A; color: #fff;';
+          waitLabel.appendChild(document.createTextNode('Wait'));
+          waitLabel.appendChild(waitInput);
+          waitLabel.appendChild(document.createTextNode('min'));
+
+          optionsRow.appendChild(createCheckbox('pauseAfter', 'Pause for review'));
+          optionsRow.appendChild(createCheckbox('stopOnError', 'Stop on error'));
+          optionsRow.appendChild(waitLabel);
+
+          row.appendChild(rowHeader);
+          row.appendChild(textarea);
+          row.appendChild(optionsRow);
+          stepsContainer.appendChild(row);
+          renumberSteps();
+          return textarea;
+        };
+
+        const steps = playbook && playbook.steps.length ? playbook.steps : [{ text: '', options: {} }];
+        steps.forEach(step => addStepRow(step));
+
+        // Add step controls
+        const stepControls = document.createElement('div');
+        stepControls.style.cssText = `
+            display: flex;
+            gap: 8px;
+        `;
 
-              // Always fetch the freshest custom prompts so we edit latest version
-              const latestCustomPrompts = await getCustomPrompts();
-              
-              // Also fetch the latest templates
-              const latestTemplates = await loadTemplates();
+        const addStepButton = document.createElement('button');
+        addStepButton.type = 'button';
+        addStepButton.textContent = '+ Add Step';
+        addStepButton.className = 'prompt-library-form-btn';
+        addStepButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: transparent;
+            color: #fff;
+            cursor: pointer;
+            font-size: 14px;
+        `;
+        addStepButton.addEventListener('click', () => addStepRow().focus());
+
+        // Start a step from an existing template or custom prompt
+        const savedPromptSelect = document.createElement('select');
+        savedPromptSelect.style.cssText = FIELD_STYLE + 'flex: 1; min-width: 0;';
+        const placeholderOption = document.createElement('option');
+        placeholderOption.value = '';
+        placeholderOption.textContent = 'Add step from a saved prompt...';
+        savedPromptSelect.appendChild(placeholderOption);
+        [...templates, ...customPrompts].forEach(template => {
+          const option = document.createElement('option');
+          option.value = template.id;
+          option.textContent = `${template.name} (${template.category})`;
+          savedPromptSelect.appendChild(option);
+        });
+        savedPromptSelect.addEventListener('change', () => {
+          const template = [...templates, ...customPrompts].find(item => item.id === savedPromptSelect.value);
+          if (template) {
+            addStepRow({ text: template.content, options: {} });
+          }
+          savedPromptSelect.value = '';
+        });
 
-              // Ensure we edit the most up-to-date object instance by ID
-              const latestTemplate = latestCustomPrompts.find(p => p.id === template.id) || template;
+        stepControls.appendChild(addStepButton);
+        stepControls.appendChild(savedPromptSelect);
 
-              // Resolve popup form and container from DOM
-              const resolvedPopupForm = editBtn.closest('.prompt-library-popup-form');
-              const popupContainer = editBtn.closest('.prompt-library-popup-overlay');
+        form.appendChild(nameGroup);
+        form.appendChild(hint);
+        form.appendChild(stepsContainer);
+        form.appendChild(stepControls);
+        form.appendChild(createFormButtons(playbook ? 'Update Playbook' : 'Save Playbook', restore));
 
-              if (!resolvedPopupForm || !popupContainer) {
-                console.error('Prompt Library: popup elements not found for edit action');
-                LovableAddons.utils.toast.showToast('Unable to open editor. Please try reopening the Prompt Library.', 'error');
-                return;
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const name = nameInput.value.trim();
+          const playbookSteps = Array.from(stepsContainer.querySelectorAll('.playbook-step'))
+            .map(row => ({
+              text: row.querySelector('.playbook-step-text').value.trim(),
+              options: {
+                pauseAfter: row.querySelector('[data-option="pauseAfter"]').checked,
+                stopOnError: row.querySelector('[data-option="stopOnError"]').checked,
+                waitMinutes: Math.max(0, Number(row.querySelector('[data-option="waitMinutes"]').value) || 0)
               }
+            }))
+            .filter(step => step.text);
 
-              // Show the edit custom prompt form with the latest data
-              self.showEditCustomPromptForm(resolvedPopupForm, popupContainer, latestTemplate, latestTemplates, latestCustomPrompts);
-            });
+          if (!name || playbookSteps.length === 0) {
+            LovableAddons.utils.toast.showToast('Please enter a name and at least one step', 'error');
+            return;
+          }
 
-            actionsContainer.appendChild(editBtn);
+          const variableProblems = LovableAddons.utils.promptVariables.validate(playbookSteps.map(step => step.text).join('\n'));
+          if (variableProblems.length > 0) {
+            LovableAddons.utils.toast.showToast(variableProblems[0], 'error');
+            return;
           }
 
-          // Delete button for custom prompts
-          if (template.isCustom) {
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'delete-btn';
-            deleteBtn.style.cssText = `
-                background: transparent;
-                border: none;
-                color: var(--lovable-text-secondary, #A1A1AA);
-                cursor: pointer;
-                font-size: 16px;
-                padding: 0;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
-            `;
-            deleteBtn.innerHTML = `
-                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <polyline points="3 6 5 6 21 6"></polyline>
-                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                </svg>
-            `;
-            deleteBtn.title = 'Delete custom prompt';
+          try {
+            await savePlaybook({
+              id: playbook ? playbook.id : undefined,
+              name,
+              category: 'Playbooks',
+              steps: playbookSteps
+            });
+            LovableAddons.utils.toast.showToast(playbook ? 'Playbook updated successfully' : 'Playbook saved successfully', 'success');
+            await restore();
 
-            // Add click handler for delete button
-            deleteBtn.addEventListener('click', async (e) => {
-              e.stopPropagation(); // Prevent template from being applied
+            const playbooksButton = popupForm.querySelector('.category-filter-btn[data-category="playbooks"]');
+            if (playbooksButton) {
+              playbooksButton.click();
+            }
+          } catch (error) {
+            console.error('Error saving playbook:', error);
+            LovableAddons.utils.toast.showToast('Error saving playbook', 'error');
+          }
+        });
 
-              if (confirm(`Are you sure you want to delete the custom prompt "${template.name}"?`)) {
-                try {
-                  await removeCustomPrompt(template.id);
+        popupForm.appendChild(form);
+        nameInput.focus();
+      },
 
-                  // Get the updated list of custom prompts
-                  const updatedCustomPrompts = await getCustomPrompts();
+      /**
+       * Shows the edit history of a custom prompt, with a word diff of each
+       * version against the one that replaced it and a restore action
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {HTMLElement} popupContainer - The popup container element
+       * @param {string} promptId - ID of the custom prompt
+       * @returns {Promise<void>}
+       */
+      showPromptHistory: async function(popupForm, popupContainer, promptId) {
+        if (!popupForm || !popupContainer) {
+          console.error('Prompt Library: popup elements not found for history view');
+          return;
+        }
 
-                  // Show success message
-                  LovableAddons.utils.toast.showToast(`Deleted custom prompt: ${template.name}`, 'success');
+        const originalContent = popupForm.innerHTML;
+        const self = this;
+        const restore = () => restoreMainView(popupForm, originalContent, self);
 
-                  // Re-render the templates with the updated custom prompts list
-                  const searchInput = document.querySelector('input[type="text"][placeholder="Search templates..."]');
-                  const searchValue = searchInput ? searchInput.value : '';
-                  const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
-                  const categoryFilter = activeCategoryBtn ? activeCategoryBtn.dataset.category : 'all';
+        const smallButtonStyle = `
+            padding: 4px 10px;
+            border-radius: 4px;
+            border: 1px solid #3F3F46;
+            background: transparent;
+            color: #fff;
+            font-size: 12px;
+            cursor: pointer;
+            flex-shrink: 0;
+        `;
 
-                  // Get current favorites and recent templates
-                  const currentFavorites = await getFavorites();
-                  const currentRecentTemplates = await getRecentTemplates();
+        const render = async () => {
+          const prompt = (await getCustomPrompts()).find(item => item.id === promptId);
+          const versions = (await getPromptHistory())[promptId] || [];
 
-                  // Re-render templates with updated data
-                  this.renderTemplates(
-                    templatesList,
-                    templatesArray,
-                    currentFavorites,
-                    currentRecentTemplates,
-                    updatedCustomPrompts,
-                    searchValue,
-                    categoryFilter
-                  );
-                } catch (error) {
-                  console.error('Error deleting custom prompt:', error);
-                  LovableAddons.utils.toast.showToast('Error deleting custom prompt', 'error');
-                }
-              }
-            });
+          popupForm.innerHTML = '';
+          popupForm.appendChild(createFormHeader(prompt ? `History: ${prompt.name}` : 'History', restore));
 
-            actionsContainer.appendChild(deleteBtn);
+          if (!prompt) {
+            const missing = document.createElement('div');
+            missing.textContent = 'This prompt no longer exists.';
+            missing.style.cssText = 'font-size: 13px; color: #A1A1AA;';
+            popupForm.appendChild(missing);
+            return;
           }
 
-          // Favorite button
-          const favoriteBtn = document.createElement('button');
-          favoriteBtn.className = 'favorite-btn';
-          favoriteBtn.style.cssText = `
-              background: transparent;
-              border: none;
-              color: ${favorites.includes(template.id) ? '#FFD700' : 'var(--lovable-text-secondary, #A1A1AA)'};
-              cursor: pointer;
-              font-size: 16px;
-              padding: 0;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-              transition: color 0.2s ease-in-out, background-color 0.2s ease-in-out;
-          `;
-          favoriteBtn.innerHTML = `
-              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="${favorites.includes(template.id) ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                  <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
-              </svg>
-          `;
-          favoriteBtn.title = favorites.includes(template.id) ? 'Remove from favorites' : 'Add to favorites';
+          const stats = usageStats[promptId];
+          const summary = document.createElement('div');
+          summary.textContent = [
+            `${versions.length} earlier ${versions.length === 1 ? 'version' : 'versions'}`,
+            stats ? describeUsage(stats) : 'Never used'
+          ].join(' · ');
+          summary.style.cssText = 'font-size: 13px; color: #A1A1AA; margin-bottom: 12px;';
+          popupForm.appendChild(summary);
+
+          if (versions.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No earlier versions yet. Each save keeps the version it replaces.';
+            empty.style.cssText = 'font-size: 13px; color: #A1A1AA;';
+            popupForm.appendChild(empty);
+            return;
+          }
 
-          // Add click handler for favorite button
-          const self = this;
-          favoriteBtn.addEventListener('click', async function(e) {
-            e.stopPropagation(); // Prevent template from being applied
+          const list = document.createElement('div');
+          list.style.cssText = 'display: flex; flex-direction: column; gap: 10px;';
 
-            if (favorites.includes(template.id)) {
-              await removeFromFavorites(template.id);
-              favoriteBtn.style.color = 'var(--lovable-text-secondary, #A1A1AA)';
-              favoriteBtn.innerHTML = `
-                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                      <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
-                  </svg>
-              `;
-              favoriteBtn.title = 'Add to favorites';
-              LovableAddons.utils.toast.showToast(`Removed "${template.name}" from favorites`, 'info');
-            } else {
-              await addToFavorites(template.id);
-              favoriteBtn.style.color = '#FFD700';
-              favoriteBtn.innerHTML = `
-                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                      <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
-                  </svg>
-              `;
-              favoriteBtn.title = 'Remove from favorites';
-              LovableAddons.utils.toast.showToast(`Added "${template.name}" to favorites`, 'success');
-            }
+          versions.forEach((version, index) => {
+            // Diff from this version to the one that replaced it
+            const newer = index === 0 ? prompt : versions[index - 1];
 
-            // Update favorites list
-            const updatedFavorites = await getFavorites();
-            // If we're in favorites view, re-render the templates
-            const activeCategoryBtn = document.querySelector('.category-filter-btn.active');
-            if (activeCategoryBtn && activeCategoryBtn.dataset.category === 'favorites') {
-              self.renderTemplates(templatesList, templatesArray, updatedFavorites, recentTemplates, customPrompts, searchTerm, 'favorites');
-            }
-          });
+            const entry = document.createElement('div');
+            entry.className = 'prompt-history-entry';
+            entry.style.cssText = `
+                padding: 10px 12px;
+                border-radius: 6px;
+                border: 1px solid #3F3F46;
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+            `;
 
-          actionsContainer.appendChild(favoriteBtn);
-          templateHeader.appendChild(templateName);
-          templateHeader.appendChild(actionsContainer);
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 8px;';
+
+            const title = document.createElement('div');
+            title.textContent = `${new Date(version.savedAt).toLocaleString()} · ${formatAge(version.savedAt)}`;
+            title.style.cssText = 'font-size: 12px; color: #A1A1AA;';
+
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.textContent = 'Restore';
+            restoreButton.title = 'Make this the current version; the current one is kept in history';
+            restoreButton.style.cssText = smallButtonStyle;
+            restoreButton.addEventListener('click', async () => {
+              if (!confirm(`Restore "${version.name}" from ${new Date(version.savedAt).toLocaleString()}?`)) return;
+              try {
+                await updateCustomPrompt(Object.assign({}, prompt, {
+                  name: version.name,
+                  category: version.category,
+                  content: version.content,
+                  tags: version.tags || []
+                }));
+                LovableAddons.utils.toast.showToast(`Restored an earlier version of ${version.name}`, 'success');
+                await render();
+              } catch (error) {
+                console.error('Error restoring prompt version:', error);
+                LovableAddons.utils.toast.showToast('Error restoring prompt version', 'error');
+              }
+            });
 
-          const templatePreview = document.createElement('div');
-          templatePreview.className = 'prompt-template-preview';
-          templatePreview.textContent = template.content.length > 100
-            ? template.content.substring(0, 100) + '...'
-            : template.content;
-          templatePreview.style.cssText = `
-              font-size: 13px;
-              color: var(--lovable-text-secondary, #A1A1AA);
-              white-space: pre-wrap;
-          `;
+            header.appendChild(title);
+            header.appendChild(restoreButton);
+            entry.appendChild(header);
 
-          templateItem.appendChild(templateHeader);
-          templateItem.appendChild(templatePreview);
+            // Field changes other than the content
+            const fieldChanges = ['name', 'category']
+              .filter(field => version[field] !== newer[field])
+              .map(field => `${field}: "${version[field]}" → "${newer[field]}"`);
+            if ((version.tags || []).join(',') !== (newer.tags || []).join(',')) {
+              fieldChanges.push(`tags: ${(version.tags || []).join(', ') || 'none'} → ${(newer.tags || []).join(', ') || 'none'}`);
+            }
+            if (fieldChanges.length > 0) {
+              const fields = document.createElement('div');
+              fields.textContent = fieldChanges.join('; ');
+              fields.style.cssText = 'font-size: 12px; color: #fff;';
+              entry.appendChild(fields);
+            }
 
-          // Add click handler to apply template
-          const that = this;
-          templateItem.addEventListener('click', function() {
-            that.applyTemplate(template);
-            document.body.removeChild(document.querySelector('.prompt-library-popup-overlay'));
-            // Remove the class that prevents scrolling
-            document.body.classList.remove('lovable-popup-active');
-            // Remove the style element
-            const styleElement = document.getElementById('prompt-library-scrollbar-fix');
-            if (styleElement) {
-              styleElement.remove();
+            const diff = document.createElement('div');
+            diff.className = 'prompt-history-diff';
+            if (version.content === newer.content) {
+              diff.textContent = 'Content unchanged';
+            } else {
+              const textDiff = LovableAddons.utils.textDiff;
+              diff.appendChild(textDiff.toFragment(textDiff.diffWords(version.content, newer.content)));
             }
+            entry.appendChild(diff);
+
+            list.appendChild(entry);
           });
 
-          templatesList.appendChild(templateItem);
-        });
+          popupForm.appendChild(list);
+        };
+
+        await getUsageStats();
+        await render();
       },
 
       /**
-       * Shows the custom prompt form
+       * Shows the open project's default variable values as editable
+       * `name=value` lines
        * @param {HTMLElement} popupForm - The popup form element
        * @param {HTMLElement} popupContainer - The popup container element
-       * @param {Array} templates - The templates array
-       * @param {Array} customPrompts - The custom prompts array
-       * @returns {void}
-       * @private
+       * @returns {Promise<void>}
        */
-      showCustomPromptForm: function(popupForm, popupContainer, templates, customPrompts) {
-        // Save the original content to restore later if needed
-        const originalContent = popupForm.innerHTML;
-
-        // Clear the popup form
-        popupForm.innerHTML = '';
-
-        // Create header
-        const header = document.createElement('div');
-        header.style.cssText = `
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 16px;
-            padding-bottom: 8px;
-            border-bottom: 1px solid #3F3F46;
-        `;
-
-        const title = document.createElement('h2');
-        title.textContent = 'Create Custom Prompt';
-        title.style.cssText = `
-            margin: 0;
-            font-size: 18px;
-            font-weight: 600;
-            color: var(--lovable-text-primary, #fff);
-        `;
-
-        // Back button
-        const backButton = document.createElement('button');
-        backButton.className = 'prompt-library-back-btn';
-        backButton.style.cssText = `
-            background: transparent;
-            border: none;
-            color: var(--lovable-text-primary, #fff);
-            cursor: pointer;
-            display: flex;
-            align-items: center;
-            gap: 4px;
-            font-size: 14px;
-            padding: 4px 8px;
-            border-radius: 4px;
-        `;
-        backButton.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <line x1="19" y1="12" x2="5" y2="12"></line>
-                <polyline points="12 19 5 12 12 5"></polyline>
-            </svg>
-            Back
-        `;
+      showProjectVariables: async function(popupForm, popupContainer) {
+        if (!popupForm || !popupContainer || !getCurrentProjectId()) {
+          console.error('Prompt Library: popup elements or project not found for project variables');
+          return;
+        }
 
+        const originalContent = popupForm.innerHTML;
         const self = this;
-        backButton.addEventListener('click', function() {
-          // Restore the original content
-          popupForm.innerHTML = originalContent;
+        const restore = () => restoreMainView(popupForm, originalContent, self);
 
-          // Re-attach event listeners using helper function
-          reattachEventListeners(popupForm, templates, customPrompts, self);
-        });
+        await getProjectSettings();
+        const { variables } = getCurrentProjectSettings();
 
-        header.appendChild(backButton);
-        header.appendChild(title);
-        popupForm.appendChild(header);
+        popupForm.innerHTML = '';
+        popupForm.appendChild(createFormHeader('Project Variables', restore));
 
-        // Create form
         const form = document.createElement('form');
         form.style.cssText = `
             display: flex;
@@ -1199,140 +4532,110 @@
             gap: 16px;
         `;
 
-        // Prompt name input
-        const nameGroup = document.createElement('div');
-        nameGroup.style.cssText = `
-            display: flex;
-            flex-direction: column;
-            gap: 4px;
-        `;
-
-        const nameLabel = document.createElement('label');
-        nameLabel.textContent = 'Prompt Name';
-        nameLabel.style.cssText = `
-            font-size: 14px;
-            font-weight: 500;
-            color: #fff;
+        const hint = document.createElement('div');
+        hint.textContent = 'One name=value per line. These pre-fill {{name}} variables when a prompt or playbook is used in this project.';
+        hint.style.cssText = `
+            font-size: 12px;
+            color: #A1A1AA;
         `;
 
-        const nameInput = document.createElement('input');
-        nameInput.type = 'text';
-        nameInput.placeholder = 'Enter a name for your prompt';
-        nameInput.required = true;
-        nameInput.style.cssText = `
-            padding: 8px 12px;
-            border-radius: 6px;
-            border: 1px solid #3F3F46;
-            background: #27272A;
-            color: #fff;
-            font-size: 14px;
+        const group = createFieldGroup('Default Values');
+        const textarea = document.createElement('textarea');
+        textarea.rows = 8;
+        textarea.placeholder = 'table=profiles\nframework=React';
+        textarea.value = Object.keys(variables).map(name => `${name}=${variables[name]}`).join('\n');
+        textarea.style.cssText = FIELD_STYLE + `
+            resize: vertical;
+            font-family: monospace;
         `;
+        group.appendChild(textarea);
 
-        nameGroup.appendChild(nameLabel);
-        nameGroup.appendChild(nameInput);
+        form.appendChild(hint);
+        form.appendChild(group);
+        form.appendChild(createFormButtons('Save Variables', restore));
 
-        // Category input
-        const categoryGroup = document.createElement('div');
-        categoryGroup.style.cssText = `
-            display: flex;
-            flex-direction: column;
-            gap: 4px;
-        `;
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
 
-        const categoryLabel = document.createElement('label');
-        categoryLabel.textContent = 'Category';
-        categoryLabel.style.cssText = `
-            font-size: 14px;
-            font-weight: 500;
-            color: #fff;
-        `;
+          const parsed = {};
+          const invalid = [];
+          textarea.value.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            const index = line.indexOf('=');
+            const name = index === -1 ? '' : line.slice(0, index).trim();
+            if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+              invalid.push(line.trim());
+              return;
+            }
+            parsed[name] = line.slice(index + 1).trim();
+          });
 
-        const categoryInput = document.createElement('input');
-        categoryInput.type = 'text';
-        categoryInput.placeholder = 'Enter a category (e.g., Coding, Writing, etc.)';
-        categoryInput.required = true;
-        categoryInput.style.cssText = `
-            padding: 8px 12px;
-            border-radius: 6px;
-            border: 1px solid #3F3F46;
-            background: #27272A;
-            color: #fff;
-            font-size: 14px;
-        `;
+          if (invalid.length > 0) {
+            LovableAddons.utils.toast.showToast(`Expected name=value: ${invalid[0]}`, 'error');
+            return;
+          }
 
-        categoryGroup.appendChild(categoryLabel);
-        categoryGroup.appendChild(categoryInput);
+          await updateProjectSettings(entry => {
+            entry.variables = parsed;
+          });
+          LovableAddons.utils.toast.showToast('Project variables saved', 'success');
+          await restore();
+        });
 
-        // Prompt content textarea
-        const contentGroup = document.createElement('div');
-        contentGroup.style.cssText = `
-            display: flex;
-            flex-direction: column;
-            gap: 4px;
-        `;
+        popupForm.appendChild(form);
+      },
 
-        const contentLabel = document.createElement('label');
-        contentLabel.textContent = 'Prompt Content';
-        contentLabel.style.cssText = `
-            font-size: 14px;
-            font-weight: 500;
-            color: #fff;
-        `;
+      /**
+       * Shows custom prompts that haven't been used for a while, for bulk deletion
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {HTMLElement} popupContainer - The popup container element
+       * @returns {Promise<void>}
+       */
+      showStalePrompts: async function(popupForm, popupContainer) {
+        if (!popupForm || !popupContainer) {
+          console.error('Prompt Library: popup elements not found for cleanup view');
+          return;
+        }
 
-        const contentTextarea = document.createElement('textarea');
-        contentTextarea.placeholder = 'Enter your prompt content';
-        contentTextarea.required = true;
-        contentTextarea.rows = 8;
-        contentTextarea.style.cssText = `
-            padding: 8px 12px;
-            border-radius: 6px;
-            border: 1px solid #3F3F46;
-            background: #27272A;
-            color: #fff;
-            font-size: 14px;
-            resize: vertical;
-            font-family: inherit;
-        `;
+        const originalContent = popupForm.innerHTML;
+        const self = this;
+        const restore = () => restoreMainView(popupForm, originalContent, self);
 
-        contentGroup.appendChild(contentLabel);
-        contentGroup.appendChild(contentTextarea);
+        popupForm.innerHTML = '';
+        popupForm.appendChild(createFormHeader('Stale Prompts', restore));
 
-        // Form buttons
-        const formButtons = document.createElement('div');
-        formButtons.style.cssText = `
+        const controls = document.createElement('div');
+        controls.style.cssText = `
             display: flex;
-            justify-content: flex-end;
+            align-items: center;
             gap: 8px;
-            margin-top: 16px;
+            margin-bottom: 12px;
+            font-size: 13px;
+            color: #A1A1AA;
         `;
 
-        const cancelFormButton = document.createElement('button');
-        cancelFormButton.type = 'button';
-        cancelFormButton.textContent = 'Cancel';
-        cancelFormButton.className = 'prompt-library-form-btn';
-        cancelFormButton.style.cssText = `
-            padding: 6px 12px;
-            border-radius: 6px;
-            border: 1px solid #3F3F46;
-            background: transparent;
-            color: #fff;
-            cursor: pointer;
-            font-size: 14px;
-        `;
-
-        cancelFormButton.addEventListener('click', function() {
-          // Restore the original content
-          popupForm.innerHTML = originalContent;
+        const thresholdLabel = document.createElement('label');
+        thresholdLabel.textContent = 'Not used in the last';
 
-          // Re-attach event listeners using helper function
-          reattachEventListeners(popupForm, templates, customPrompts, self);
+        const thresholdSelect = document.createElement('select');
+        thresholdSelect.style.cssText = FIELD_STYLE + 'padding: 4px 8px;';
+        STALE_AFTER_DAYS.forEach(days => {
+          const option = document.createElement('option');
+          option.value = String(days);
+          option.textContent = `${days} days`;
+          thresholdSelect.appendChild(option);
         });
+        thresholdLabel.appendChild(thresholdSelect);
+        thresholdLabel.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        controls.appendChild(thresholdLabel);
 
-        const saveButton = document.createElement('button');
-        saveButton.type = 'submit';
-        saveButton.textContent = 'Save Prompt';
-        saveButton.className = 'prompt-library-form-btn';
-        saveButton.style.cssText = `
+        const list = document.createElement('div');
+        list.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'prompt-library-form-btn';
+        deleteButton.style.cssText = `
             padding: 6px 12px;
             border-radius: 6px;
             border: 1px solid #3F3F46;
@@ -1340,319 +4643,607 @@
             color: #fff;
             cursor: pointer;
             font-size: 14px;
+            align-self: flex-end;
+            margin-top: 12px;
         `;
 
-        formButtons.appendChild(cancelFormButton);
-        formButtons.appendChild(saveButton);
-
-        // Add form elements
-        form.appendChild(nameGroup);
-        form.appendChild(categoryGroup);
-        form.appendChild(contentGroup);
-        form.appendChild(formButtons);
-
-        // Add form submission handler
-        form.addEventListener('submit', async (e) => {
-          e.preventDefault();
-
-          // Get form values
-          const name = nameInput.value.trim();
-          const category = categoryInput.value.trim();
-          const content = contentTextarea.value.trim();
-
-          // Validate form
-          if (!name || !category || !content) {
-            LovableAddons.utils.toast.showToast('Please fill in all fields', 'error');
+        const selected = new Set();
+        const updateDeleteButton = () => {
+          deleteButton.textContent = `Delete Selected (${selected.size})`;
+          deleteButton.disabled = selected.size === 0;
+        };
+
+        const render = async () => {
+          const [customPrompts, usage] = await Promise.all([getCustomPrompts(), getUsageStats()]);
+          const cutoff = Date.now() - Number(thresholdSelect.value) * DAY_MS;
+
+          // A prompt that was never used counts from when it was created
+          const stale = customPrompts
+            .map(prompt => ({ prompt, stats: usage[prompt.id], since: usage[prompt.id] ? usage[prompt.id].lastUsed : getCreatedAt(prompt) }))
+            .filter(entry => entry.since !== null && entry.since < cutoff)
+            .sort((a, b) => a.since - b.since);
+
+          selected.clear();
+          list.innerHTML = '';
+          updateDeleteButton();
+
+          if (stale.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No stale custom prompts.';
+            empty.style.cssText = 'font-size: 13px; color: #A1A1AA;';
+            list.appendChild(empty);
             return;
           }
 
-          // Create custom prompt object
-          const customPrompt = {
-            name,
-            category,
-            content
-          };
-
-          try {
-            // Add custom prompt to storage
-            await addCustomPrompt(customPrompt);
-
-            // Show success message
-            LovableAddons.utils.toast.showToast('Custom prompt saved successfully', 'success');
-
-            // Restore the original content (return to main view)
-            popupForm.innerHTML = originalContent;
+          stale.forEach(({ prompt, stats }) => {
+            const row = document.createElement('label');
+            row.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 8px 12px;
+                border-radius: 6px;
+                border: 1px solid #3F3F46;
+                cursor: pointer;
+            `;
 
-            // Get the updated list of custom prompts
-            const updatedCustomPrompts = await getCustomPrompts();
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => {
+              if (checkbox.checked) {
+                selected.add(prompt.id);
+              } else {
+                selected.delete(prompt.id);
+              }
+              updateDeleteButton();
+            });
 
-            // Re-attach event listeners using helper function
-            reattachEventListeners(popupForm, templates, updatedCustomPrompts, self);
+            const info = document.createElement('div');
+            info.style.cssText = 'min-width: 0; display: flex; flex-direction: column; gap: 2px;';
+
+            const name = document.createElement('div');
+            name.textContent = `${prompt.name} · ${prompt.category}`;
+            name.style.cssText = 'font-weight: 500; color: #fff;';
+
+            const details = document.createElement('div');
+            const createdAt = getCreatedAt(prompt);
+            details.textContent = stats
+              ? describeUsage(stats)
+              : `Never used · created ${createdAt ? formatAge(createdAt) : 'a while ago'}`;
+            details.style.cssText = 'font-size: 12px; color: #A1A1AA;';
+
+            info.appendChild(name);
+            info.appendChild(details);
+            row.appendChild(checkbox);
+            row.appendChild(info);
+            list.appendChild(row);
+          });
+        };
 
-            // Force re-render to reflect the new item immediately in any category
-            const templatesList = document.querySelector('.prompt-templates-list');
-            const favoritesNow = await getFavorites();
-            const recentNow = await getRecentTemplates();
-            const searchInputNow = document.querySelector('input[type="text"][placeholder="Search templates..."]');
-            const activeCategoryBtnNow = document.querySelector('.category-filter-btn.active');
-            const activeCategoryNow = activeCategoryBtnNow ? activeCategoryBtnNow.dataset.category : 'all';
-            this.renderTemplates(
-              templatesList,
-              [...templates, ...updatedCustomPrompts],
-              favoritesNow,
-              recentNow,
-              updatedCustomPrompts,
-              searchInputNow ? searchInputNow.value : '',
-              activeCategoryNow
-            );
+        deleteButton.addEventListener('click', async () => {
+          if (selected.size === 0) return;
+          if (!confirm(`Delete ${selected.size} custom ${selected.size === 1 ? 'prompt' : 'prompts'}? Their history and usage stats are deleted too.`)) return;
 
-            // Select the 'Custom Prompts' category to show the newly added prompt
-            const customPromptsButton = document.querySelector('.category-filter-btn[data-category="custom"]');
-            if (customPromptsButton) {
-              customPromptsButton.click();
+          try {
+            const count = selected.size;
+            for (const promptId of selected) {
+              await removeCustomPrompt(promptId);
             }
+            LovableAddons.utils.toast.showToast(`Deleted ${count} stale ${count === 1 ? 'prompt' : 'prompts'}`, 'success');
+            await render();
           } catch (error) {
-            console.error('Error saving custom prompt:', error);
-            LovableAddons.utils.toast.showToast('Error saving custom prompt', 'error');
+            console.error('Error deleting stale prompts:', error);
+            LovableAddons.utils.toast.showToast('Error deleting stale prompts', 'error');
           }
         });
 
-        popupForm.appendChild(form);
+        thresholdSelect.addEventListener('change', render);
+
+        popupForm.appendChild(controls);
+        popupForm.appendChild(list);
+        popupForm.appendChild(deleteButton);
+        await render();
       },
 
       /**
-       * Shows the edit custom prompt form
+       * Shows the user's messages in the open conversation with suggested
+       * names, folders and variables, to save several as custom prompts at once
        * @param {HTMLElement} popupForm - The popup form element
        * @param {HTMLElement} popupContainer - The popup container element
-       * @param {Object} template - The template to edit
-       * @param {Array} templates - The templates array
-       * @param {Array} customPrompts - The custom prompts array
-       * @returns {void}
-       * @private
+       * @returns {Promise<void>}
        */
-      showEditCustomPromptForm: function(popupForm, popupContainer, template, templates, customPrompts) {
-        // Make sure we have valid elements
+      showHarvestView: async function(popupForm, popupContainer) {
         if (!popupForm || !popupContainer) {
-          console.error('Invalid popup elements provided to showEditCustomPromptForm');
-          LovableAddons.utils.toast.showToast('Unable to open editor', 'error');
+          console.error('Prompt Library: popup elements not found for harvest view');
           return;
         }
-        
-        // Save the original content to restore later if needed
+
         const originalContent = popupForm.innerHTML;
+        const self = this;
+        const restore = () => restoreMainView(popupForm, originalContent, self);
+        const variables = LovableAddons.utils.promptVariables;
 
-        // Clear the popup form
         popupForm.innerHTML = '';
+        popupForm.appendChild(createFormHeader('Harvest Conversation', restore));
+
+        const [templates, customPrompts] = await Promise.all([loadTemplates(), getCustomPrompts()]);
+        const savedContents = new Set(customPrompts.map(prompt => prompt.content.trim()));
+        const messages = LovableAddons.utils.chatLog.getMessages()
+          .filter(message => message.role === 'user' && message.text.length >= MIN_HARVEST_LENGTH);
+
+        if (messages.length === 0) {
+          const empty = document.createElement('div');
+          empty.textContent = 'No messages of yours found in this conversation. Scroll up to load older messages, then try again.';
+          empty.style.cssText = 'font-size: 13px; color: #A1A1AA;';
+          popupForm.appendChild(empty);
+          return;
+        }
 
-        // Create header
-        const header = document.createElement('div');
-        header.style.cssText = `
+        const controls = document.createElement('label');
+        controls.style.cssText = `
             display: flex;
-            justify-content: space-between;
             align-items: center;
-            margin-bottom: 16px;
-            padding-bottom: 8px;
-            border-bottom: 1px solid #3F3F46;
+            gap: 6px;
+            margin-bottom: 12px;
+            font-size: 13px;
+            color: #A1A1AA;
+            cursor: pointer;
         `;
+        const useVariablesCheckbox = document.createElement('input');
+        useVariablesCheckbox.type = 'checkbox';
+        useVariablesCheckbox.checked = true;
+        controls.appendChild(useVariablesCheckbox);
+        controls.appendChild(document.createTextNode('Turn suggested values (files, routes, components, code) into variables'));
 
-        const title = document.createElement('h2');
-        title.textContent = 'Edit Custom Prompt';
-        title.style.cssText = `
-            margin: 0;
-            font-size: 18px;
-            font-weight: 600;
-            color: var(--lovable-text-primary, #fff);
-        `;
+        const list = document.createElement('div');
+        list.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
 
-        // Back button
-        const backButton = document.createElement('button');
-        backButton.className = 'prompt-library-back-btn';
-        backButton.style.cssText = `
-            background: transparent;
-            border: none;
-            color: var(--lovable-text-primary, #fff);
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'prompt-library-form-btn';
+        saveButton.style.cssText = `
+            padding: 6px 12px;
+            border-radius: 6px;
+            border: 1px solid #3F3F46;
+            background: #272725;
+            color: #fff;
             cursor: pointer;
-            display: flex;
-            align-items: center;
-            gap: 4px;
             font-size: 14px;
-            padding: 4px 8px;
-            border-radius: 4px;
-        `;
-        backButton.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <line x1="19" y1="12" x2="5" y2="12"></line>
-                <polyline points="12 19 5 12 12 5"></polyline>
-            </svg>
-            Back
+            align-self: flex-end;
+            margin-top: 12px;
         `;
 
-        const self = this;
-        backButton.addEventListener('click', async function() {
-          // Restore the original content
-          popupForm.innerHTML = originalContent;
+        const rows = [];
+        const updateSaveButton = () => {
+          const count = rows.filter(row => row.checkbox.checked).length;
+          saveButton.textContent = `Save Selected (${count})`;
+          saveButton.disabled = count === 0;
+        };
+
+        const library = [...templates, ...customPrompts];
+        messages.forEach(message => {
+          const fields = suggestPromptFields(message.text, library);
+          // Saved before, either verbatim or with the suggested variables
+          const alreadySaved = savedContents.has(message.text) ||
+            savedContents.has(variables.applySuggestions(message.text, fields.suggestions));
+
+          const row = document.createElement('div');
+          row.className = 'prompt-harvest-row' + (alreadySaved ? ' saved' : '');
+
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.checked = !alreadySaved;
+          checkbox.addEventListener('change', updateSaveButton);
+
+          const fieldsContainer = document.createElement('div');
+          fieldsContainer.className = 'prompt-harvest-fields';
+
+          const nameInput = document.createElement('input');
+          nameInput.type = 'text';
+          nameInput.value = fields.name;
+          nameInput.setAttribute('aria-label', 'Prompt name');
+          nameInput.style.cssText = FIELD_STYLE + 'padding: 4px 8px;';
+
+          const categoryInput = document.createElement('input');
+          categoryInput.type = 'text';
+          categoryInput.value = fields.category;
+          categoryInput.setAttribute('aria-label', 'Folder');
+          categoryInput.style.cssText = FIELD_STYLE + 'padding: 4px 8px;';
+
+          const preview = document.createElement('div');
+          preview.className = 'prompt-harvest-preview';
+          preview.textContent = message.text;
+
+          const details = document.createElement('div');
+          details.style.cssText = 'font-size: 12px; color: #A1A1AA;';
+          details.textContent = alreadySaved
+            ? 'Already in your library'
+            : fields.suggestions.length > 0
+              ? `Suggested variables: ${fields.suggestions.map(suggestion => suggestion.name).join(', ')}`
+              : 'No variables suggested';
+
+          fieldsContainer.appendChild(nameInput);
+          fieldsContainer.appendChild(categoryInput);
+          fieldsContainer.appendChild(preview);
+          fieldsContainer.appendChild(details);
+          row.appendChild(checkbox);
+          row.appendChild(fieldsContainer);
+          list.appendChild(row);
+
+          rows.push({ checkbox, nameInput, categoryInput, fields });
+        });
+        // One folder datalist shared by every row
+        attachFolderSuggestions(list, rows[0].categoryInput);
+        rows.forEach(row => row.categoryInput.setAttribute('list', rows[0].categoryInput.getAttribute('list')));
+
+        saveButton.addEventListener('click', async () => {
+          const selected = rows.filter(row => row.checkbox.checked);
+          const incomplete = selected.find(row => !row.nameInput.value.trim() || !row.categoryInput.value.trim());
+          if (incomplete) {
+            LovableAddons.utils.toast.showToast('Every selected prompt needs a name and a folder', 'error');
+            incomplete.nameInput.focus();
+            return;
+          }
 
-          // Get fresh data
-          const freshCustomPrompts = await getCustomPrompts();
-          const freshTemplates = await loadTemplates();
-          
-          // Re-attach event listeners using helper function with fresh data
-          reattachEventListeners(popupForm, freshTemplates, freshCustomPrompts, self);
+          try {
+            let saved = 0;
+            const skipped = [];
+            for (const row of selected) {
+              const content = useVariablesCheckbox.checked
+                ? variables.applySuggestions(row.fields.content, row.fields.suggestions)
+                : row.fields.content;
+              // Messages that happen to contain broken {{...}} can't be saved as-is
+              if (variables.validate(content).length > 0) {
+                skipped.push(row.nameInput.value.trim());
+                continue;
+              }
+              await addCustomPrompt({
+                name: row.nameInput.value.trim(),
+                category: row.categoryInput.value.trim(),
+                content,
+                tags: row.fields.tags
+              });
+              saved++;
+            }
+
+            if (skipped.length > 0) {
+              LovableAddons.utils.toast.showToast(`Skipped ${skipped.length} with invalid {{variables}}: ${skipped.join(', ')}`, 'warning');
+            }
+            if (saved > 0) {
+              LovableAddons.utils.toast.showToast(`Saved ${saved} ${saved === 1 ? 'prompt' : 'prompts'} from this conversation`, 'success');
+            }
+            await restore();
+          } catch (error) {
+            console.error('Error saving harvested prompts:', error);
+            LovableAddons.utils.toast.showToast('Error saving prompts', 'error');
+          }
         });
 
-        header.appendChild(backButton);
-        header.appendChild(title);
-        popupForm.appendChild(header);
+        popupForm.appendChild(controls);
+        popupForm.appendChild(list);
+        popupForm.appendChild(saveButton);
+        updateSaveButton();
+      },
 
-        // Create form
-        const form = document.createElement('form');
-        form.style.cssText = `
-            display: flex;
-            flex-direction: column;
-            gap: 16px;
-        `;
+      /**
+       * Shows the prompt pack subscriptions view
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {HTMLElement} popupContainer - The popup container element
+       * @returns {Promise<void>}
+       */
+      showPackManager: async function(popupForm, popupContainer) {
+        const promptPacks = LovableAddons.getFeature('promptPacks');
+        if (!popupForm || !popupContainer || !promptPacks) {
+          console.error('Prompt packs are not available');
+          return;
+        }
 
-        // Prompt name input
-        const nameGroup = document.createElement('div');
-        nameGroup.style.cssText = `
-            display: flex;
-            flex-direction: column;
-            gap: 4px;
-        `;
+        const originalContent = popupForm.innerHTML;
+        const self = this;
+        const restore = () => restoreMainView(popupForm, originalContent, self);
 
-        const nameLabel = document.createElement('label');
-        nameLabel.textContent = 'Prompt Name';
-        nameLabel.style.cssText = `
-            font-size: 14px;
-            font-weight: 500;
-            color: #fff;
-        `;
+        popupForm.innerHTML = '';
+        popupForm.appendChild(createFormHeader('Prompt Packs', restore));
 
-        const nameInput = document.createElement('input');
-        nameInput.type = 'text';
-        nameInput.placeholder = 'Enter a name for your prompt';
-        nameInput.required = true;
-        nameInput.value = template.name; // Pre-populate with existing name
-        nameInput.style.cssText = `
-            padding: 8px 12px;
-            border-radius: 6px;
+        const smallButtonStyle = `
+            padding: 4px 10px;
+            border-radius: 4px;
             border: 1px solid #3F3F46;
-            background: #27272A;
+            background: transparent;
             color: #fff;
-            font-size: 14px;
+            font-size: 12px;
+            cursor: pointer;
         `;
 
-        nameGroup.appendChild(nameLabel);
-        nameGroup.appendChild(nameInput);
-
-        // Category input
-        const categoryGroup = document.createElement('div');
-        categoryGroup.style.cssText = `
+        // Subscriptions
+        const subscriptionsList = document.createElement('div');
+        subscriptionsList.className = 'prompt-pack-subscriptions';
+        subscriptionsList.style.cssText = `
             display: flex;
             flex-direction: column;
-            gap: 4px;
+            gap: 8px;
+            margin-bottom: 20px;
         `;
 
-        const categoryLabel = document.createElement('label');
-        categoryLabel.textContent = 'Category';
-        categoryLabel.style.cssText = `
-            font-size: 14px;
-            font-weight: 500;
-            color: #fff;
-        `;
+        const formatAge = timestamp => {
+          if (!timestamp) return 'never';
+          const minutes = Math.round((Date.now() - timestamp) / 60000);
+          if (minutes < 1) return 'just now';
+          if (minutes < 60) return `${minutes} min ago`;
+          if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+          return `${Math.round(minutes / 1440)} days ago`;
+        };
+
+        const renderSubscriptions = async () => {
+          const subscriptions = await promptPacks.getSubscriptions();
+          subscriptionsList.innerHTML = '';
+
+          if (subscriptions.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No packs yet. Subscribe to one below.';
+            empty.style.cssText = 'font-size: 13px; color: #A1A1AA;';
+            subscriptionsList.appendChild(empty);
+            return;
+          }
 
-        const categoryInput = document.createElement('input');
-        categoryInput.type = 'text';
-        categoryInput.placeholder = 'Enter a category (e.g., Coding, Writing, etc.)';
-        categoryInput.required = true;
-        categoryInput.value = template.category; // Pre-populate with existing category
-        categoryInput.style.cssText = `
-            padding: 8px 12px;
-            border-radius: 6px;
-            border: 1px solid #3F3F46;
-            background: #27272A;
-            color: #fff;
-            font-size: 14px;
-        `;
+          subscriptions.forEach(subscription => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 12px;
+                border-radius: 6px;
+                border: 1px solid #3F3F46;
+            `;
 
-        categoryGroup.appendChild(categoryLabel);
-        categoryGroup.appendChild(categoryInput);
+            const info = document.createElement('div');
+            info.style.cssText = 'min-width: 0; display: flex; flex-direction: column; gap: 2px;';
 
-        // Prompt content textarea
-        const contentGroup = document.createElement('div');
-        contentGroup.style.cssText = `
-            display: flex;
-            flex-direction: column;
-            gap: 4px;
-        `;
+            const name = document.createElement('div');
+            name.textContent = `${subscription.name} · ${subscription.templateCount} templates`;
+            name.style.cssText = 'font-weight: 500; color: #fff;';
 
-        const contentLabel = document.createElement('label');
-        contentLabel.textContent = 'Prompt Content';
-        contentLabel.style.cssText = `
-            font-size: 14px;
-            font-weight: 500;
-            color: #fff;
-        `;
+            const details = document.createElement('div');
+            details.textContent = `${subscription.sourceLabel} · refreshed ${formatAge(subscription.lastFetched)} · every ${subscription.refreshHours} h`;
+            details.title = subscription.sourceLabel;
+            details.style.cssText = 'font-size: 12px; color: #A1A1AA; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
 
-        const contentTextarea = document.createElement('textarea');
-        contentTextarea.placeholder = 'Enter your prompt content';
-        contentTextarea.required = true;
-        contentTextarea.rows = 8;
-        contentTextarea.value = template.content; // Pre-populate with existing content
-        contentTextarea.style.cssText = `
-            padding: 8px 12px;
-            border-radius: 6px;
-            border: 1px solid #3F3F46;
-            background: #27272A;
-            color: #fff;
-            font-size: 14px;
-            resize: vertical;
-            font-family: inherit;
-        `;
+            info.appendChild(name);
+            info.appendChild(details);
 
-        contentGroup.appendChild(contentLabel);
-        contentGroup.appendChild(contentTextarea);
+            if (subscription.lastError) {
+              const error = document.createElement('div');
+              error.textContent = `Last refresh failed: ${subscription.lastError}`;
+              error.style.cssText = 'font-size: 12px; color: #F87171;';
+              info.appendChild(error);
+            }
 
-        // Form buttons
-        const formButtons = document.createElement('div');
-        formButtons.style.cssText = `
+            const actions = document.createElement('div');
+            actions.style.cssText = 'display: flex; gap: 6px; flex-shrink: 0;';
+
+            const refreshButton = document.createElement('button');
+            refreshButton.type = 'button';
+            refreshButton.textContent = 'Refresh';
+            refreshButton.style.cssText = smallButtonStyle;
+            refreshButton.addEventListener('click', async () => {
+              refreshButton.disabled = true;
+              refreshButton.textContent = 'Refreshing...';
+              const result = await promptPacks.refresh({ id: subscription.id, force: true });
+              LovableAddons.utils.toast.showToast(
+                result.failed ? `Could not refresh ${subscription.name}` : `Refreshed ${subscription.name}`,
+                result.failed ? 'error' : 'success'
+              );
+              renderSubscriptions();
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = 'Remove';
+            removeButton.style.cssText = smallButtonStyle;
+            removeButton.addEventListener('click', async () => {
+              if (confirm(`Unsubscribe from "${subscription.name}"? Its templates will be removed from the library.`)) {
+                await promptPacks.unsubscribe(subscription.id);
+                renderSubscriptions();
+              }
+            });
+
+            actions.appendChild(refreshButton);
+            actions.appendChild(removeButton);
+            row.appendChild(info);
+            row.appendChild(actions);
+            subscriptionsList.appendChild(row);
+          });
+        };
+
+        // Subscribe form
+        const form = document.createElement('form');
+        form.style.cssText = `
             display: flex;
-            justify-content: flex-end;
-            gap: 8px;
-            margin-top: 16px;
+            flex-direction: column;
+            gap: 12px;
         `;
 
-        const cancelFormButton = document.createElement('button');
-        cancelFormButton.type = 'button';
-        cancelFormButton.textContent = 'Cancel';
-        cancelFormButton.className = 'prompt-library-form-btn';
-        cancelFormButton.style.cssText = `
+        const formTitle = document.createElement('h3');
+        formTitle.textContent = 'Subscribe to a Pack';
+        formTitle.style.cssText = 'margin: 0; font-size: 14px; font-weight: 600; color: #fff;';
+
+        const sourceGroup = createFieldGroup('Source');
+        const sourceSelect = document.createElement('select');
+        sourceSelect.style.cssText = FIELD_STYLE;
+        [['url', 'URL'], ['github', 'File in a GitHub repository']].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          sourceSelect.appendChild(option);
+        });
+        sourceGroup.appendChild(sourceSelect);
+
+        const urlGroup = createFieldGroup('Pack URL');
+        const urlInput = document.createElement('input');
+        urlInput.type = 'url';
+        urlInput.placeholder = 'https://raw.githubusercontent.com/team/prompts/main/pack.json';
+        urlInput.style.cssText = FIELD_STYLE;
+        urlGroup.appendChild(urlInput);
+
+        const githubGroup = document.createElement('div');
+        githubGroup.style.cssText = 'display: none; gap: 8px;';
+        const repoGroup = createFieldGroup('Repository');
+        repoGroup.style.flex = '2';
+        const repoInput = document.createElement('input');
+        repoInput.type = 'text';
+        repoInput.placeholder = 'owner/repo';
+        repoInput.style.cssText = FIELD_STYLE;
+        repoGroup.appendChild(repoInput);
+        const pathGroup = createFieldGroup('Path');
+        pathGroup.style.flex = '2';
+        const pathInput = document.createElement('input');
+        pathInput.type = 'text';
+        pathInput.placeholder = 'prompts/pack.json';
+        pathInput.style.cssText = FIELD_STYLE;
+        pathGroup.appendChild(pathInput);
+        const refGroup = createFieldGroup('Branch (optional)');
+        refGroup.style.flex = '1';
+        const refInput = document.createElement('input');
+        refInput.type = 'text';
+        refInput.placeholder = 'default';
+        refInput.style.cssText = FIELD_STYLE;
+        refGroup.appendChild(refInput);
+        githubGroup.appendChild(repoGroup);
+        githubGroup.appendChild(pathGroup);
+        githubGroup.appendChild(refGroup);
+
+        // Default to the repository connected in Code Context
+        const codeContext = LovableAddons.getFeature('codeContext');
+        if (codeContext) {
+          codeContext.getGithubConnection().then(({ repo }) => {
+            if (repo && !repoInput.value) repoInput.value = repo;
+          });
+        }
+
+        sourceSelect.addEventListener('change', () => {
+          const isGithub = sourceSelect.value === 'github';
+          urlGroup.style.display = isGithub ? 'none' : 'flex';
+          githubGroup.style.display = isGithub ? 'flex' : 'none';
+        });
+
+        const intervalGroup = createFieldGroup('Refresh');
+        const intervalSelect = document.createElement('select');
+        intervalSelect.style.cssText = FIELD_STYLE;
+        promptPacks.REFRESH_INTERVALS.forEach(hours => {
+          const option = document.createElement('option');
+          option.value = hours;
+          option.textContent = hours === 1 ? 'Every hour' : hours < 168 ? `Every ${hours} hours` : 'Weekly';
+          intervalSelect.appendChild(option);
+        });
+        intervalSelect.value = '24';
+        intervalGroup.appendChild(intervalSelect);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'A pack is a JSON file with a "templates" list in the same format as the built-in templates, plus an optional "name". URLs must allow cross-origin requests (raw GitHub and Gist URLs do). Repository files use your Code Context GitHub token.';
+        hint.style.cssText = 'font-size: 12px; color: #A1A1AA;';
+
+        const subscribeButton = document.createElement('button');
+        subscribeButton.type = 'submit';
+        subscribeButton.textContent = 'Subscribe';
+        subscribeButton.className = 'prompt-library-form-btn';
+        subscribeButton.style.cssText = `
             padding: 6px 12px;
             border-radius: 6px;
             border: 1px solid #3F3F46;
-            background: transparent;
+            background: #272725;
             color: #fff;
             cursor: pointer;
             font-size: 14px;
+            align-self: flex-end;
         `;
 
-        cancelFormButton.addEventListener('click', async function() {
-          // Restore the original content
-          popupForm.innerHTML = originalContent;
+        form.appendChild(formTitle);
+        form.appendChild(sourceGroup);
+        form.appendChild(urlGroup);
+        form.appendChild(githubGroup);
+        form.appendChild(intervalGroup);
+        form.appendChild(hint);
+        form.appendChild(subscribeButton);
 
-          // Get fresh data
-          const freshCustomPrompts = await getCustomPrompts();
-          const freshTemplates = await loadTemplates();
-          
-          // Re-attach event listeners using helper function with fresh data
-          reattachEventListeners(popupForm, freshTemplates, freshCustomPrompts, self);
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          let source;
+          if (sourceSelect.value === 'github') {
+            const repo = repoInput.value.trim();
+            const path = pathInput.value.trim().replace(/^\/+/, '');
+            if (!/^[\w.-]+\/[\w.-]+$/.test(repo) || !path) {
+              LovableAddons.utils.toast.showToast('Enter a repository as owner/repo and a file path', 'error');
+              return;
+            }
+            source = { type: 'github', repo, path, ref: refInput.value.trim() || null };
+          } else {
+            const url = urlInput.value.trim();
+            if (!/^https?:\/\//.test(url)) {
+              LovableAddons.utils.toast.showToast('Enter an http(s) URL', 'error');
+              return;
+            }
+            source = { type: 'url', url };
+          }
+
+          subscribeButton.disabled = true;
+          subscribeButton.textContent = 'Loading...';
+          try {
+            const subscription = await promptPacks.subscribe(source, Number(intervalSelect.value));
+            LovableAddons.utils.toast.showToast(`Subscribed to ${subscription.name}`, 'success');
+            form.reset();
+            intervalSelect.value = '24';
+            sourceSelect.dispatchEvent(new Event('change'));
+            renderSubscriptions();
+          } catch (error) {
+            console.error('Error subscribing to prompt pack:', error);
+            LovableAddons.utils.toast.showToast(error.message || 'Error loading prompt pack', 'error');
+          } finally {
+            subscribeButton.disabled = false;
+            subscribeButton.textContent = 'Subscribe';
+          }
         });
 
-        const saveButton = document.createElement('button');
-        saveButton.type = 'submit';
-        saveButton.textContent = 'Update Prompt';
-        saveButton.className = 'prompt-library-form-btn';
-        saveButton.style.cssText = `
+        popupForm.appendChild(subscriptionsList);
+        popupForm.appendChild(form);
+        await renderSubscriptions();
+      },
+
+      /**
+       * Shows the import/export view for moving the library between browsers
+       * @param {HTMLElement} popupForm - The popup form element
+       * @param {HTMLElement} popupContainer - The popup container element
+       * @returns {Promise<void>}
+       */
+      showImportExportView: async function(popupForm, popupContainer) {
+        if (!popupForm || !popupContainer) {
+          console.error('Invalid popup elements provided to showImportExportView');
+          return;
+        }
+
+        const bundleUtils = LovableAddons.utils.promptBundle;
+        const originalContent = popupForm.innerHTML;
+        const self = this;
+        const restore = () => restoreMainView(popupForm, originalContent, self);
+        const library = await getLibraryData();
+
+        popupForm.innerHTML = '';
+        popupForm.appendChild(createFormHeader('Import / Export', restore));
+
+        const sectionTitleStyle = `
+            margin: 0 0 8px;
+            font-size: 14px;
+            font-weight: 600;
+            color: #fff;
+        `;
+        const textStyle = `
+            font-size: 13px;
+            color: #A1A1AA;
+            margin-bottom: 8px;
+        `;
+        const buttonStyle = `
             padding: 6px 12px;
             border-radius: 6px;
             border: 1px solid #3F3F46;
@@ -1662,101 +5253,342 @@
             font-size: 14px;
         `;
 
-        formButtons.appendChild(cancelFormButton);
-        formButtons.appendChild(saveButton);
+        // Export
+        const exportSection = document.createElement('div');
+        exportSection.style.cssText = 'margin-bottom: 20px;';
+
+        const exportTitle = document.createElement('h3');
+        exportTitle.textContent = 'Export';
+        exportTitle.style.cssText = sectionTitleStyle;
+
+        const exportText = document.createElement('div');
+        exportText.textContent = `${library.customPrompts.length} custom prompts, ${library.playbooks.length} playbooks, ` +
+          `${library.favorites.length} favorites and ${library.recent.length} recent templates.`;
+        exportText.style.cssText = textStyle;
+
+        const exportButtons = document.createElement('div');
+        exportButtons.style.cssText = 'display: flex; gap: 8px;';
+
+        const date = new Date().toISOString().slice(0, 10);
+        const exportJsonButton = document.createElement('button');
+        exportJsonButton.type = 'button';
+        exportJsonButton.textContent = 'Export JSON';
+        exportJsonButton.style.cssText = buttonStyle;
+        exportJsonButton.addEventListener('click', () => {
+          const bundle = bundleUtils.createBundle(library);
+          downloadFile(`lovable-prompt-library-${date}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+          LovableAddons.utils.toast.showToast('Prompt library exported', 'success');
+        });
 
-        // Add form elements
-        form.appendChild(nameGroup);
-        form.appendChild(categoryGroup);
-        form.appendChild(contentGroup);
-        form.appendChild(formButtons);
+        const exportMarkdownButton = document.createElement('button');
+        exportMarkdownButton.type = 'button';
+        exportMarkdownButton.textContent = 'Export Markdown';
+        exportMarkdownButton.style.cssText = buttonStyle;
+        exportMarkdownButton.addEventListener('click', () => {
+          const bundle = bundleUtils.createBundle(library);
+          downloadFile(`lovable-prompt-library-${date}.md`, bundleUtils.toMarkdown(bundle), 'text/markdown');
+          LovableAddons.utils.toast.showToast('Prompt library exported', 'success');
+        });
 
-        // Add form submission handler
-        form.addEventListener('submit', async (e) => {
-          e.preventDefault();
+        exportButtons.appendChild(exportJsonButton);
+        exportButtons.appendChild(exportMarkdownButton);
+        exportSection.appendChild(exportTitle);
+        exportSection.appendChild(exportText);
+        exportSection.appendChild(exportButtons);
+
+        // Import
+        const importSection = document.createElement('div');
+
+        const importTitle = document.createElement('h3');
+        importTitle.textContent = 'Import';
+        importTitle.style.cssText = sectionTitleStyle;
+
+        const importText = document.createElement('div');
+        importText.textContent = 'Choose a JSON bundle exported from the Prompt Library. You can review the changes before anything is saved.';
+        importText.style.cssText = textStyle;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+
+        const chooseFileButton = document.createElement('button');
+        chooseFileButton.type = 'button';
+        chooseFileButton.textContent = 'Choose File...';
+        chooseFileButton.style.cssText = buttonStyle;
+        chooseFileButton.addEventListener('click', () => fileInput.click());
+
+        const preview = document.createElement('div');
+        preview.className = 'prompt-import-preview';
+        preview.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            margin-top: 12px;
+            font-size: 13px;
+            color: #fff;
+        `;
 
-          // Get form values
-          const name = nameInput.value.trim();
-          const category = categoryInput.value.trim();
-          const content = contentTextarea.value.trim();
+        fileInput.addEventListener('change', async () => {
+          const file = fileInput.files[0];
+          fileInput.value = '';
+          if (!file) return;
 
-          // Validate form
-          if (!name || !category || !content) {
-            LovableAddons.utils.toast.showToast('Please fill in all fields', 'error');
+          preview.innerHTML = '';
+          let data;
+          try {
+            data = JSON.parse(await file.text());
+          } catch (error) {
+            preview.appendChild(createMessage(`${file.name} is not valid JSON: ${error.message}`, true));
             return;
           }
 
-          // Create updated custom prompt object
-          const updatedPrompt = {
-            id: template.id, // Keep the original ID
-            name,
-            category,
-            content,
-            isCustom: true // Ensure it remains marked as custom
-          };
+          const result = bundleUtils.validate(data);
+          if (!result.valid) {
+            preview.appendChild(createMessage(`${file.name} can't be imported:`, true));
+            result.errors.slice(0, 10).forEach(message => preview.appendChild(createMessage(`• ${message}`, true)));
+            if (result.errors.length > 10) {
+              preview.appendChild(createMessage(`…and ${result.errors.length - 10} more`, true));
+            }
+            return;
+          }
 
-          try {
-            // Update custom prompt in storage
-            await updateCustomPrompt(updatedPrompt);
+          renderPreview(file.name, result.bundle, await getLibraryData());
+        });
 
-            // Show success message
-            LovableAddons.utils.toast.showToast('Custom prompt updated successfully', 'success');
+        /**
+         * @param {string} text - Message text
+         * @param {boolean} isError - Whether to style it as an error
+         * @returns {HTMLElement} The message element
+         */
+        function createMessage(text, isError) {
+          const message = document.createElement('div');
+          message.textContent = text;
+          message.style.color = isError ? '#F87171' : '#A1A1AA';
+          return message;
+        }
 
-            // Restore the original content (return to main view)
-            popupForm.innerHTML = originalContent;
+        /**
+         * Shows what the import would change, with a resolution per ID collision
+         * @param {string} fileName - Imported file name
+         * @param {Object} bundle - Validated bundle
+         * @param {Object} current - Current library data
+         */
+        function renderPreview(fileName, bundle, current) {
+          const plan = bundleUtils.planImport(bundle, current);
+          const resolutions = {};
+
+          preview.appendChild(createMessage(
+            `${fileName}: ${plan.added.length} new, ${plan.conflicts.length} conflicting, ${plan.unchanged.length} unchanged; ` +
+            `${bundle.favorites.length} favorites and ${bundle.recent.length} recent templates will be merged.`,
+            false
+          ));
+
+          plan.added.forEach(({ kind, incoming }) => {
+            preview.appendChild(createMessage(`+ ${incoming.name} (${kind === 'playbook' ? 'playbook' : incoming.category})`, false));
+          });
 
-            // Get the updated list of custom prompts and fresh templates
-            const updatedCustomPrompts = await getCustomPrompts();
-            const freshTemplates = await loadTemplates();
+          if (plan.conflicts.length > 0) {
+            const resolutionOptions = [
+              ['skip', 'Skip'],
+              ['overwrite', 'Overwrite'],
+              ['duplicate', 'Keep both']
+            ];
+            const createResolutionSelect = () => {
+              const select = document.createElement('select');
+              select.style.cssText = 'padding: 2px 4px; border-radius: 4px; border: 1px solid #3F3F46; background: #27272A; color: #fff;';
+              resolutionOptions.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+              });
+              return select;
+            };
+
+            const allRow = document.createElement('label');
+            allRow.style.cssText = 'display: flex; align-items: center; gap: 8px; font-weight: 500; margin-top: 4px;';
+            const allSelect = createResolutionSelect();
+            allRow.appendChild(document.createTextNode('Same ID already exists — for all conflicts:'));
+            allRow.appendChild(allSelect);
+            preview.appendChild(allRow);
+
+            const rowSelects = [];
+            plan.conflicts.forEach(({ kind, existing, incoming }) => {
+              resolutions[incoming.id] = 'skip';
+
+              const row = document.createElement('div');
+              row.style.cssText = `
+                  display: flex;
+                  justify-content: space-between;
+                  align-items: center;
+                  gap: 8px;
+                  padding: 6px 8px;
+                  border-radius: 6px;
+                  border: 1px solid #3F3F46;
+              `;
 
-            // Re-attach event listeners using helper function with fresh data
-            reattachEventListeners(popupForm, freshTemplates, updatedCustomPrompts, self);
+              const description = document.createElement('div');
+              description.style.cssText = 'min-width: 0; overflow: hidden; text-overflow: ellipsis;';
+              description.textContent = existing.name === incoming.name
+                ? `${incoming.name} (${kind}, changed)`
+                : `${existing.name} → ${incoming.name} (${kind})`;
+              description.title = kind === 'playbook'
+                ? incoming.steps.map(step => step.text).join('\n')
+                : incoming.content;
+
+              const select = createResolutionSelect();
+              select.addEventListener('change', () => {
+                resolutions[incoming.id] = select.value;
+              });
+              rowSelects.push(select);
+
+              row.appendChild(description);
+              row.appendChild(select);
+              preview.appendChild(row);
+            });
 
-            // Force re-render to reflect edits while staying in popup
-            const templatesList = document.querySelector('.prompt-templates-list');
-            const favoritesNow = await getFavorites();
-            const recentNow = await getRecentTemplates();
-            const searchInputNow = document.querySelector('input[type="text"][placeholder="Search templates..."]');
-            const activeCategoryBtnNow = document.querySelector('.category-filter-btn.active');
-            const activeCategoryNow = activeCategoryBtnNow ? activeCategoryBtnNow.dataset.category : 'all';
-            this.renderTemplates(
-              templatesList,
-              [...templates, ...updatedCustomPrompts],
-              favoritesNow,
-              recentNow,
-              updatedCustomPrompts,
-              searchInputNow ? searchInputNow.value : '',
-              activeCategoryNow
-            );
+            allSelect.addEventListener('change', () => {
+              rowSelects.forEach(select => {
+                select.value = allSelect.value;
+                select.dispatchEvent(new Event('change'));
+              });
+            });
+          }
 
-            // Select the 'Custom Prompts' category to show the updated prompt
-            const customPromptsButton = document.querySelector('.category-filter-btn[data-category="custom"]');
-            if (customPromptsButton) {
-              customPromptsButton.click();
+          const importButton = document.createElement('button');
+          importButton.type = 'button';
+          importButton.textContent = 'Import';
+          importButton.style.cssText = buttonStyle + 'align-self: flex-end;';
+          importButton.addEventListener('click', async () => {
+            try {
+              // Re-read storage so nothing saved since the preview is lost
+              const latest = await getLibraryData();
+              const latestPlan = bundleUtils.planImport(bundle, latest);
+              const merged = bundleUtils.applyImport(bundle, latestPlan, latest, resolutions);
+              await saveLibraryData(merged);
+
+              const { added, overwritten, duplicated, skipped } = merged.summary;
+              LovableAddons.utils.toast.showToast(
+                `Imported: ${added} added, ${overwritten} overwritten, ${duplicated} duplicated, ${skipped} skipped`,
+                'success'
+              );
+              await restore();
+            } catch (error) {
+              console.error('Error importing prompt library:', error);
+              LovableAddons.utils.toast.showToast('Error importing prompt library', 'error');
             }
-          } catch (error) {
-            console.error('Error updating custom prompt:', error);
-            LovableAddons.utils.toast.showToast('Error updating custom prompt', 'error');
-          }
-        });
+          });
+          preview.appendChild(importButton);
+        }
 
-        popupForm.appendChild(form);
+        importSection.appendChild(importTitle);
+        importSection.appendChild(importText);
+        importSection.appendChild(chooseFileButton);
+        importSection.appendChild(fileInput);
+        importSection.appendChild(preview);
+
+        popupForm.appendChild(exportSection);
+        popupForm.appendChild(importSection);
+      },
+
+      /**
+       * Loads everything that can be inserted from the library, for other
+       * features (such as the slash-command palette) to list. Prompts saved for
+       * other projects are left out; the open project's pins come first and
+       * count as favorites.
+       * @returns {Promise<{templates: Array, playbooks: Array, favorites: Array<string>, recent: Array<string>}>}
+       *   Bundled, pack and custom templates, playbooks, and favorite/recent IDs
+       */
+      getAllPrompts: async function() {
+        const [templates, customPrompts, playbooks, favorites, recent] = await Promise.all([
+          loadTemplates(),
+          getCustomPrompts(),
+          getPlaybooks(),
+          getFavorites(),
+          getRecentTemplates(),
+          getProjectSettings()
+        ]);
+        const { pinned } = getCurrentProjectSettings();
+        return {
+          templates: sortProjectFirst([...templates, ...customPrompts].filter(isVisibleInProject)),
+          playbooks: sortProjectFirst(playbooks),
+          favorites: [...new Set([...pinned, ...favorites])],
+          recent
+        };
+      },
+
+      /**
+       * Opens the create form pre-filled from a chat message: a name from its
+       * first sentence, the best-matching folder and tags, and suggested variables
+       * @param {string} text - Message text
+       * @returns {Promise<void>}
+       */
+      saveMessageAsPrompt: async function(text) {
+        await this.showPopup();
+        const popupForm = document.querySelector('.prompt-library-popup-form');
+        if (!popupForm) return;
+
+        const [templates, customPrompts] = await Promise.all([loadTemplates(), getCustomPrompts()]);
+        const prefill = suggestPromptFields(text.trim(), [...templates, ...customPrompts]);
+        this.showCustomPromptForm(popupForm, popupForm.closest('.prompt-library-popup-overlay'), templates, customPrompts, prefill);
       },
 
       /**
-       * Applies a template to the chat textarea
+       * Opens the library on the harvest view for the open conversation
+       * @returns {Promise<void>}
+       */
+      harvestConversation: async function() {
+        await this.showPopup();
+        const popupForm = document.querySelector('.prompt-library-popup-form');
+        if (!popupForm) return;
+
+        await this.showHarvestView(popupForm, popupForm.closest('.prompt-library-popup-overlay'));
+      },
+
+      /**
+       * Applies a template to the chat textarea. Templates with {{variables}}
+       * show the fill-in form first and are applied once it is submitted.
        * @param {Object} template - The template to apply
-       * @returns {void}
+       * @param {Object} [values] - Variable values; asks for them when omitted
+       * @param {Object} [options]
+       * @param {{start: number, end: number}} [options.range] - Replace only this part of the
+       *   textarea (e.g. the cursor position) instead of its whole value
+       * @returns {Promise<boolean>} Whether the template was applied right away
        */
-      applyTemplate: async function(template) {
+      applyTemplate: async function(template, values, options = {}) {
         const textArea = document.querySelector('textarea');
         if (!textArea) {
           LovableAddons.utils.toast.showToast('Chat textarea not found', 'error');
-          return;
+          return false;
+        }
+
+        const variables = LovableAddons.utils.promptVariables;
+        const definitions = variables.parse(template.content);
+        if (definitions.length > 0 && !values) {
+          const withDefaults = await applyProjectDefaults(definitions);
+          this.showVariablesForm(getFormPopup(), template.name, withDefaults, async filled => {
+            if (await this.applyTemplate(template, filled, options)) {
+              closePopup();
+            }
+          });
+          return false;
+        }
+
+        const content = values ? variables.fill(template.content, values) : template.content;
+        const unfilled = variables.findUnfilled(content);
+        if (unfilled.length > 0) {
+          LovableAddons.utils.toast.showToast(`Unfilled variables: ${unfilled.join(', ')}`, 'error');
+          return false;
         }
 
         // Set the template content to the textarea
-        textArea.value = template.content;
+        if (options.range) {
+          const { start, end } = options.range;
+          textArea.value = textArea.value.slice(0, start) + content + textArea.value.slice(end);
+        } else {
+          textArea.value = content;
+        }
 
         // Trigger input event to update any listeners
         const inputEvent = new Event('input', { bubbles: true });
@@ -1764,14 +5596,20 @@
 
         // Focus the textarea
         textArea.focus();
+        if (options.range) {
+          const caret = options.range.start + content.length;
+          textArea.setSelectionRange(caret, caret);
+        }
 
-        // Add to recently used templates if it has an ID
+        // Add to recently used templates and usage stats if it has an ID
         if (template.id) {
           await addToRecentTemplates(template.id);
+          await recordUsage(template.id);
         }
 
         // Show success toast
         LovableAddons.utils.toast.showToast(`Applied template: ${template.name}`, 'success');
+        return true;
       },
 
       /**
@@ -0,0 +1,359 @@
+/**
+ * @fileoverview Prompt packs feature for Lovable Add-ons Chrome extension.
+ * Subscribes to shared, read-only template packs published as JSON at a URL
+ * or as a file in the connected GitHub repository, and keeps them cached and
+ * refreshed for the prompt library.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  /**
+   * Prompt packs feature
+   * @namespace LovableAddons.features.promptPacks
+   */
+  const promptPacksFeature = (function() {
+    // Storage keys
+    const STORAGE_KEYS = {
+      SUBSCRIPTIONS: 'lovable_prompt_pack_subscriptions',
+      CACHE: 'lovable_prompt_pack_cache'
+    };
+
+    // Refresh interval choices in hours
+    const REFRESH_INTERVALS = [1, 6, 24, 168];
+    const DEFAULT_REFRESH_HOURS = 24;
+
+    // How often the content script checks for stale packs
+    const REFRESH_CHECK_INTERVAL = 60 * 60 * 1000;
+
+    let refreshTimer = null;
+
+    // Tail of the queue of storage updates; each waits for the one before it
+    let storageQueue = Promise.resolve();
+
+    /**
+     * Runs a read-modify-write of the subscriptions and cache after every
+     * update queued before it, so subscribe, unsubscribe and refresh never
+     * overwrite each other's changes
+     * @param {Function} task - Async function doing the update
+     * @returns {Promise<*>} The task's result
+     * @private
+     */
+    function withStorageLock(task) {
+      const run = storageQueue.then(task);
+      storageQueue = run.catch(() => {});
+      return run;
+    }
+
+    /**
+     * Gets pack subscriptions from storage
+     * @returns {Promise<Array>} Array of subscriptions
+     * @private
+     */
+    async function getSubscriptions() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.SUBSCRIPTIONS], result => {
+          resolve(result[STORAGE_KEYS.SUBSCRIPTIONS] || []);
+        });
+      });
+    }
+
+    /**
+     * Saves pack subscriptions to storage
+     * @param {Array} subscriptions - Subscriptions to save
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function saveSubscriptions(subscriptions) {
+      return new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.SUBSCRIPTIONS]: subscriptions }, resolve);
+      });
+    }
+
+    /**
+     * Gets cached pack contents keyed by subscription ID
+     * @returns {Promise<Object>} Cache object
+     * @private
+     */
+    async function getCache() {
+      return new Promise(resolve => {
+        chrome.storage.local.get([STORAGE_KEYS.CACHE], result => {
+          resolve(result[STORAGE_KEYS.CACHE] || {});
+        });
+      });
+    }
+
+    /**
+     * Saves cached pack contents
+     * @param {Object} cache - Cache object
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function saveCache(cache) {
+      return new Promise(resolve => {
+        chrome.storage.local.set({ [STORAGE_KEYS.CACHE]: cache }, resolve);
+      });
+    }
+
+    /**
+     * Describes where a subscription is loaded from
+     * @param {Object} source - Subscription source
+     * @returns {string} A URL or `owner/repo:path@ref`
+     * @private
+     */
+    function describeSource(source) {
+      if (source.type === 'github') {
+        return `${source.repo}:${source.path}${source.ref ? '@' + source.ref : ''}`;
+      }
+      return source.url;
+    }
+
+    /**
+     * Downloads the raw pack JSON for a source
+     * @param {Object} source - `{ type: 'url', url }` or `{ type: 'github', repo, path, ref }`
+     * @returns {Promise<Object>} Parsed JSON
+     * @private
+     */
+    async function fetchPackJson(source) {
+      let text;
+
+      if (source.type === 'github') {
+        const codeContext = LovableAddons.getFeature('codeContext');
+        const { token } = codeContext ? await codeContext.getGithubConnection() : {};
+        if (!token) {
+          throw new Error('Connect GitHub in Code Context to load packs from a repository');
+        }
+        text = await codeContext.fetchFileContent(source.repo, token, source.path, source.ref);
+        if (text === null) {
+          throw new Error(`Could not read ${source.path} from ${source.repo}`);
+        }
+      } else {
+        const response = await fetch(source.url, { cache: 'no-cache' });
+        if (!response.ok) {
+          throw new Error(`Failed to load pack: ${response.status} ${response.statusText}`);
+        }
+        text = await response.text();
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error('Pack file is not valid JSON');
+      }
+    }
+
+    /**
+     * Validates a pack file. Packs use the same shape as config/promptTemplates.json
+     * plus an optional name and description.
+     * @param {Object} data - Parsed pack JSON
+     * @returns {{name: string, description: string, templates: Array}} The pack
+     * @private
+     */
+    function parsePack(data) {
+      if (!data || typeof data !== 'object' || !Array.isArray(data.templates)) {
+        throw new Error('Pack must contain a "templates" list');
+      }
+
+      const templates = data.templates.filter(template =>
+        template && typeof template.id === 'string' && template.id &&
+        typeof template.name === 'string' && template.name &&
+        typeof template.content === 'string' && template.content
+      );
+      if (templates.length === 0) {
+        throw new Error('Pack has no valid templates (each needs id, name and content)');
+      }
+
+      return {
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : '',
+        description: typeof data.description === 'string' ? data.description : '',
+        templates: templates.map(template => ({
+          id: template.id,
+          name: template.name,
+          category: typeof template.category === 'string' && template.category ? template.category : 'General',
+          content: template.content,
+          tags: Array.isArray(template.tags) ? template.tags.filter(tag => typeof tag === 'string') : []
+        }))
+      };
+    }
+
+    /**
+     * Whether a subscription is due for a refresh
+     * @param {Object} subscription - The subscription
+     * @returns {boolean}
+     * @private
+     */
+    function isStale(subscription) {
+      const hours = subscription.refreshHours || DEFAULT_REFRESH_HOURS;
+      return !subscription.lastFetched || Date.now() - subscription.lastFetched >= hours * 60 * 60 * 1000;
+    }
+
+    // Public API
+    return {
+      REFRESH_INTERVALS,
+
+      /**
+       * Lists pack subscriptions with their cached template counts
+       * @returns {Promise<Array>} Subscriptions `{ id, name, source, refreshHours, lastFetched, lastError, templateCount }`
+       */
+      getSubscriptions: async function() {
+        const subscriptions = await getSubscriptions();
+        const cache = await getCache();
+        return subscriptions.map(subscription => Object.assign({}, subscription, {
+          sourceLabel: describeSource(subscription.source),
+          templateCount: cache[subscription.id] ? cache[subscription.id].templates.length : 0
+        }));
+      },
+
+      /**
+       * Subscribes to a pack. The pack is fetched first and the subscription is
+       * only saved if it loads and validates.
+       * @param {Object} source - `{ type: 'url', url }` or `{ type: 'github', repo, path, ref }`
+       * @param {number} [refreshHours] - Refresh interval in hours
+       * @returns {Promise<Object>} The new subscription
+       */
+      subscribe: async function(source, refreshHours = DEFAULT_REFRESH_HOURS) {
+        const pack = parsePack(await fetchPackJson(source));
+
+        const subscription = {
+          id: `pack-${Date.now()}`,
+          name: pack.name || describeSource(source),
+          source,
+          refreshHours,
+          lastFetched: Date.now(),
+          lastError: null
+        };
+
+        await withStorageLock(async () => {
+          const subscriptions = await getSubscriptions();
+          subscriptions.push(subscription);
+          await saveSubscriptions(subscriptions);
+
+          const cache = await getCache();
+          cache[subscription.id] = pack;
+          await saveCache(cache);
+        });
+
+        return subscription;
+      },
+
+      /**
+       * Removes a subscription and its cached templates
+       * @param {string} subscriptionId - Subscription ID
+       * @returns {Promise<void>}
+       */
+      unsubscribe: async function(subscriptionId) {
+        await withStorageLock(async () => {
+          const subscriptions = await getSubscriptions();
+          await saveSubscriptions(subscriptions.filter(subscription => subscription.id !== subscriptionId));
+
+          const cache = await getCache();
+          delete cache[subscriptionId];
+          await saveCache(cache);
+        });
+      },
+
+      /**
+       * Re-fetches packs. A failed refresh keeps the previously cached templates
+       * and records the error on the subscription.
+       * @param {Object} [options]
+       * @param {string} [options.id] - Only refresh this subscription
+       * @param {boolean} [options.force=false] - Refresh even if not stale
+       * @returns {Promise<{refreshed: number, failed: number}>}
+       */
+      refresh: async function({ id, force = false } = {}) {
+        return withStorageLock(async () => {
+          const result = { refreshed: 0, failed: 0 };
+          const updates = {};
+
+          for (const subscription of await getSubscriptions()) {
+            if (id && subscription.id !== id) continue;
+            if (!force && !isStale(subscription)) continue;
+
+            // Failed refreshes also wait a full interval before retrying
+            const update = { lastFetched: Date.now(), lastError: null };
+            try {
+              update.pack = parsePack(await fetchPackJson(subscription.source));
+              result.refreshed++;
+            } catch (error) {
+              console.warn(`Prompt packs: refresh failed for ${describeSource(subscription.source)}:`, error);
+              update.lastError = error.message;
+              result.failed++;
+            }
+            updates[subscription.id] = update;
+          }
+          if (Object.keys(updates).length === 0) return result;
+
+          // Storage may have changed while fetching (another tab or the popup),
+          // so merge into what is there now and skip packs removed meanwhile
+          const subscriptions = await getSubscriptions();
+          const cache = await getCache();
+          subscriptions.forEach(subscription => {
+            const update = updates[subscription.id];
+            if (!update) return;
+            if (update.pack) {
+              cache[subscription.id] = update.pack;
+              subscription.name = update.pack.name || subscription.name;
+            }
+            subscription.lastError = update.lastError;
+            subscription.lastFetched = update.lastFetched;
+          });
+
+          await saveCache(cache);
+          await saveSubscriptions(subscriptions);
+          return result;
+        });
+      },
+
+      /**
+       * Returns cached pack templates for the prompt library. Templates are
+       * read-only and namespaced by subscription so they never collide with
+       * bundled or custom prompts.
+       * @returns {Promise<Array>} Templates `{ id, name, category, content, isPack, packId, packName, packSource }`
+       */
+      getTemplates: async function() {
+        const subscriptions = await getSubscriptions();
+        const cache = await getCache();
+
+        return subscriptions.flatMap(subscription => {
+          const pack = cache[subscription.id];
+          if (!pack) return [];
+          return pack.templates.map(template => Object.assign({}, template, {
+            id: `${subscription.id}:${template.id}`,
+            isPack: true,
+            packId: subscription.id,
+            packName: subscription.name,
+            packSource: describeSource(subscription.source)
+          }));
+        });
+      },
+
+      /**
+       * Initializes the feature: refreshes stale packs now and checks again hourly
+       * @returns {void}
+       */
+      init: function() {
+        if (refreshTimer) return;
+
+        this.refresh().catch(error => console.warn('Prompt packs: refresh failed:', error));
+        refreshTimer = setInterval(() => {
+          this.refresh().catch(error => console.warn('Prompt packs: refresh failed:', error));
+        }, REFRESH_CHECK_INTERVAL);
+      }
+    };
+  })();
+
+  // Register the prompt packs feature with the LovableAddons namespace
+  LovableAddons.registerFeature('promptPacks', promptPacksFeature);
+
+  // Initialize the feature when the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    promptPacksFeature.init();
+  });
+
+})();
@@ -6,8 +6,11 @@
  * - Automatic sequential processing without manual intervention
  * - Smart visibility (only appears when prompts are queued)
  * - Real-time status indicators (next/sending/failed)
- * - Easy management with click-to-remove functionality
+ * - Easy management: inline editing, drag-and-drop reordering, "send next"
+ *   pinning, duplicating and removing, with keyboard equivalents
  * - Graceful error handling with clear visual feedback
+ * - Per-project persistence in chrome.storage.local with resume on reload
+ * - Conditional steps: pause for review, stop on error replies, wait N minutes
  * 
  * Performance optimizations:
  * - Throttled mutation observers for better performance
@@ -47,9 +50,16 @@
   const State = {
     IDLE: 'idle',
     RUNNING: 'running',
-    ERRORED: 'errored'
+    ERRORED: 'errored',
+    PAUSED: 'paused',
+    UNCERTAIN: 'uncertain'
   };
 
+  /**
+   * Storage key prefix for persisted queues; the Lovable project ID is appended
+   */
+  const QUEUE_STORAGE_PREFIX = 'lovable_prompt_queue_';
+
   /**
    * DOM selectors for lovable chat composer/buttons/messages.
    * Updated with cross-browser compatible selectors.
@@ -62,8 +72,56 @@
     nativeSendBtn: 'button[type="submit"]',
     alternativeSendBtn: 'button[aria-label*="Send"], button[title*="Send"]',
     nativeStopBtn: 'button[aria-label*="Stop"], button[title*="Stop"]',
-    // Chat log where assistant messages appear
-    chatLog: 'div[role="log"], .chat-messages, main'
+    // Chat log where assistant messages appear, most specific first
+    chatLog: ['div[role="log"]', '.chat-messages', 'main'],
+    // Markers Lovable puts on a reply while it is still being written
+    streamingIndicator: '[aria-busy="true"], [data-streaming="true"], .animate-pulse, .typing-indicator',
+    // Live regions that carry "Thinking" / "Building" style status text
+    statusRegion: '[role="status"], [aria-live="polite"], [aria-live="assertive"]'
+  };
+
+  /**
+   * Status text that means Lovable is still working on the reply or the preview build
+   */
+  const BUSY_STATUS_PATTERN = /\b(thinking|building|editing|generating|working|applying changes|deploying|updating preview)\b/i;
+
+  /**
+   * Failure banners that stop the queue when a step has `stopOnError` set.
+   * Only matched at the start of a line, so replies that merely talk about
+   * errors ("added error handling", "no errors found") don't count.
+   */
+  const ERROR_REPLY_PATTERN = /^[ \t]*(build failed|failed to (build|compile))\b/im;
+
+  /**
+   * Step options a queue item can carry, applied after its reply completes
+   * - pauseAfter: hold the queue for manual review
+   * - stopOnError: hold the queue if the reply matches ERROR_REPLY_PATTERN
+   * - waitMinutes: wait this long before sending the next step
+   */
+  const DEFAULT_STEP_OPTIONS = {
+    pauseAfter: false,
+    stopOnError: false,
+    waitMinutes: 0
+  };
+
+  /**
+   * Completion detection settings, stored in chrome.storage.sync. Each strategy
+   * reports whether Lovable is still busy; a reply counts as finished only once
+   * every enabled strategy reports idle.
+   * - stopButton: the native Stop button is visible
+   * - streamingIndicator: the chat log has a streaming/busy marker
+   * - finalMessage: no new message node yet, or the chat log is still changing
+   * - buildStatus: a status region reports thinking/building/editing
+   */
+  const COMPLETION_STORAGE_KEY = 'lovable_queue_completion';
+  const COMPLETION_DEFAULTS = {
+    strategies: ['stopButton', 'streamingIndicator', 'finalMessage', 'buildStatus'],
+    // Chat log must be unchanged this long before the final message counts as settled
+    quietMs: 3000,
+    // No sign of activity this long after sending means we can't tell what happened
+    startTimeoutMs: 20000,
+    // Longest we wait for a single reply (long builds included) before giving up
+    timeoutMs: 600000
   };
 
   /**
@@ -97,10 +155,27 @@
     _mainTextArea: null,
     _renderTimeout: null,
     _queueIndicator: null,
+    _projectId: null,
+    // Project whose saved queue is still loading; nothing is sent until it is in
+    _restoringProjectId: null,
+    _pauseMessage: null,
+    _persistUnsubscribe: null,
+    _completionConfig: Object.assign({}, COMPLETION_DEFAULTS),
+    _completionConfigLoaded: false,
+    _uncertainPrompt: null,
+    _editingId: null,
+    _editDraft: null,
+    _focusItemId: null,
+    _dragIndex: null,
+    _gate: null,
+    _gateTimer: null,
+    _gateCountdown: null,
+    _optionsOpenId: null,
 
     get state() { return this._state; },
     get size() { return this._queue.length; },
     get current() { return this._currentPrompt; },
+    get items() { return this._queue.slice(); },
 
     init() {
       console.log('PromptQueue: Starting initialization...');
@@ -112,6 +187,22 @@
       }
       
       console.log('PromptQueue: Project page detected, initializing...');
+
+      if (!this._completionConfigLoaded) {
+        this._loadCompletionConfig();
+      }
+
+      // Persist every queue change for the project it belongs to (subscribe once)
+      if (!this._persistUnsubscribe) {
+        this._persistUnsubscribe = this.on('queueChanged', items => this._persistQueue(this._projectId, items));
+      }
+
+      // Load this project's saved queue the first time we see it
+      const projectId = this._getProjectId();
+      if (projectId && projectId !== this._projectId) {
+        this._switchProject(projectId);
+      }
+
       this._observer = null;
       this._chatObserver = null;
       this._initialized = false;
@@ -130,7 +221,12 @@
 
     on(evt, handler) { return this._emitter.on(evt, handler); },
 
-    enqueue(text) {
+    /**
+     * Add a prompt to the end of the queue
+     * @param {string} text - Prompt text
+     * @param {Object} [options] - Step options: pauseAfter, stopOnError, waitMinutes
+     */
+    enqueue(text, options) {
       const trimmed = (text || '').trim();
       if (!trimmed) {
         console.warn('PromptQueue: Cannot enqueue empty text');
@@ -142,24 +238,26 @@
       // Close any interfering overlays or modals
       this._closeInterferingElements();
       
-      this._queue.push(trimmed);
+      const item = this._createItem(trimmed);
+      if (options) item.options = this._normalizeStepOptions(options);
+      this._queue.push(item);
       
       // Ensure UI is available before rendering
       if (!this._ui) {
         console.log('PromptQueue: UI not ready, ensuring UI first...');
         this._ensureUI(() => {
           this._renderQueue();
-          this._emitter.emit('queueChanged', this._queue.slice());
+          this._emitQueueChanged();
           // Start processing after UI is ready, only if this is the first item
-          if (this._queue.length === 1 && this._state === State.IDLE) {
+          if (this._queue.length === 1 && this._state === State.IDLE && !this._restoringProjectId) {
             this._startProcessingWithDelay();
           }
         });
       } else {
         this._renderQueue();
-        this._emitter.emit('queueChanged', this._queue.slice());
+        this._emitQueueChanged();
         // Start processing only if this is the first item in queue
-        if (this._queue.length === 1 && this._state === State.IDLE) {
+        if (this._queue.length === 1 && this._state === State.IDLE && !this._restoringProjectId) {
           this._startProcessingWithDelay();
         }
       }
@@ -168,7 +266,7 @@
     _startProcessingWithDelay() {
       // Delay processing to ensure everything is ready
       setTimeout(() => {
-        if (this._state === State.IDLE && this._queue.length > 0) {
+        if (this._state === State.IDLE && this._queue.length > 0 && !this._restoringProjectId) {
           this._dequeueAndSend();
         }
       }, 1000); // Longer delay for first prompt to ensure chat is ready
@@ -176,8 +274,20 @@
 
     clearQueue() {
       this._queue = [];
+      this._clearHold();
+      if (this._state === State.PAUSED || this._state === State.UNCERTAIN) {
+        this._setState(State.IDLE);
+      }
       this._renderQueue();
-      this._emitter.emit('queueChanged', []);
+      this._emitQueueChanged();
+    },
+
+    /**
+     * Resumes a paused queue, or continues after an uncertain completion
+     */
+    resume() {
+      if (this._state !== State.PAUSED && this._state !== State.UNCERTAIN) return;
+      this.resetAndContinue();
     },
 
     stop() {
@@ -193,9 +303,12 @@
     },
 
     retryLastError() {
-      if (this._lastError && typeof this._lastError.prompt === 'string') {
-        // Push failed prompt to front (priority retry)
-        this._queue.unshift(this._lastError.prompt);
+      if (this._lastError && this._lastError.item) {
+        // Failed prompts stay at the head of the queue; only re-add it if it was removed
+        if (this._queue[0] !== this._lastError.item) {
+          this._queue.unshift(this._lastError.item);
+          this._emitQueueChanged();
+        }
         this._lastError = null;
         this._setState(State.IDLE);
         this._dequeueAndSend();
@@ -213,13 +326,291 @@
     resetAndContinue() {
       console.log('PromptQueue: Manually resetting and continuing queue');
       this._lastError = null;
+      this._clearHold();
       this._setState(State.IDLE);
       if (this._queue.length > 0) {
         this._dequeueAndSend();
       }
     },
 
+    /**
+     * Re-queue the prompt whose completion couldn't be confirmed and continue
+     */
+    resendUncertain() {
+      if (this._state !== State.UNCERTAIN || !this._uncertainPrompt) return;
+      this._queue.unshift(this._createItem(this._uncertainPrompt.text));
+      this._emitQueueChanged();
+      this.resume();
+    },
+
+    /**
+     * Replace the text of a queued prompt
+     * @param {number} index - Queue position
+     * @param {string} text - New prompt text
+     */
+    updateItem(index, text) {
+      const trimmed = (text || '').trim();
+      if (!trimmed || !this._isEditableIndex(index)) return;
+      this._queue[index] = Object.assign({}, this._queue[index], { text: trimmed });
+      this._queueEdited();
+    },
+
+    /**
+     * Move a queued prompt to another position. The prompt being sent stays put,
+     * and pinned prompts stay ahead of unpinned ones.
+     * @param {number} from - Current position
+     * @param {number} to - Target position
+     */
+    moveItem(from, to) {
+      const first = this._firstEditableIndex();
+      if (!this._isEditableIndex(from)) return;
+      const target = Math.max(first, Math.min(to, this._queue.length - 1));
+      if (target === from) return;
+      const [item] = this._queue.splice(from, 1);
+      this._queue.splice(target, 0, item);
+      this._applyPinOrder();
+      this._queueEdited();
+    },
+
+    /**
+     * Toggle "send next": pinned prompts jump ahead of everything not yet sending
+     * @param {number} index - Queue position
+     */
+    togglePin(index) {
+      if (!this._isEditableIndex(index)) return;
+      const item = this._queue[index];
+      this._queue[index] = Object.assign({}, item, { pinned: !item.pinned });
+      this._applyPinOrder();
+      this._queueEdited();
+    },
+
+    /**
+     * Insert a copy of a queued prompt right after it
+     * @param {number} index - Queue position
+     */
+    duplicateItem(index) {
+      if (index < 0 || index >= this._queue.length) return;
+      const source = this._queue[index];
+      const copy = Object.assign({}, source, this._createItem(source.text));
+      this._queue.splice(Math.max(index + 1, this._firstEditableIndex()), 0, copy);
+      this._applyPinOrder();
+      this._queueEdited();
+    },
+
+    /**
+     * Set step options on a queued prompt
+     * @param {number} index - Queue position
+     * @param {Object} options - Any of pauseAfter, stopOnError, waitMinutes
+     */
+    setItemOptions(index, options) {
+      if (!this._isEditableIndex(index)) return;
+      const current = this._queue[index];
+      this._queue[index] = Object.assign({}, current, {
+        options: this._normalizeStepOptions(Object.assign({}, current.options, options))
+      });
+      this._queueEdited();
+    },
+
+    /**
+     * Update completion detection settings and save them
+     * @param {Object} options - Any of strategies, quietMs, startTimeoutMs, timeoutMs
+     */
+    setCompletionOptions(options) {
+      this._completionConfig = Object.assign({}, this._completionConfig, options);
+      chrome.storage.sync.set({ [COMPLETION_STORAGE_KEY]: this._completionConfig });
+    },
+
     // Internal
+
+    _normalizeStepOptions(options) {
+      const merged = Object.assign({}, DEFAULT_STEP_OPTIONS, options);
+      return {
+        pauseAfter: !!merged.pauseAfter,
+        stopOnError: !!merged.stopOnError,
+        waitMinutes: Math.max(0, Math.min(240, Number(merged.waitMinutes) || 0))
+      };
+    },
+
+    /**
+     * Drop whatever is holding the queue (restore prompt, uncertain reply, step gate)
+     */
+    _clearHold() {
+      this._pauseMessage = null;
+      this._uncertainPrompt = null;
+      this._gate = null;
+      clearTimeout(this._gateTimer);
+      clearInterval(this._gateCountdown);
+      this._gateTimer = null;
+      this._gateCountdown = null;
+    },
+
+    /**
+     * Work out which gate, if any, a finished step puts in front of the next one
+     */
+    _gateAfter(item, outcome) {
+      const options = this._normalizeStepOptions(item.options);
+      const label = item.text.length > 40 ? item.text.substring(0, 40) + '...' : item.text;
+
+      if (options.stopOnError && outcome.failure) {
+        const failure = outcome.failure.length > 60 ? outcome.failure.substring(0, 60) + '...' : outcome.failure;
+        return { type: 'error', message: `Stopped: the reply to "${label}" reports "${failure}". Fix it, then continue.` };
+      }
+      if (options.pauseAfter) {
+        return { type: 'review', message: `Paused for review after "${label}".` };
+      }
+      if (options.waitMinutes > 0) {
+        return {
+          type: 'wait',
+          message: `Waiting ${options.waitMinutes} min after "${label}".`,
+          until: Date.now() + options.waitMinutes * 60000
+        };
+      }
+      return null;
+    },
+
+    _applyGate(gate, item) {
+      this._gate = Object.assign({ item }, gate);
+      this._pauseMessage = gate.message;
+      this._setState(State.PAUSED, { gate: this._gate });
+
+      if (gate.type === 'wait') {
+        this._gateTimer = setTimeout(() => this.resetAndContinue(), gate.until - Date.now());
+        // Tick the countdown in place so focus and inline edits survive
+        this._gateCountdown = setInterval(() => {
+          const el = this._ui?.list.querySelector('.lovable-queue-gate-countdown');
+          if (el) el.textContent = this._gateStatusText();
+        }, 1000);
+      }
+    },
+
+    _gateStatusText() {
+      if (!this._gate) return '[PAUSED]';
+      if (this._gate.type === 'review') return '[REVIEW]';
+      if (this._gate.type === 'error') return '[STOPPED]';
+      const remaining = Math.max(0, Math.ceil((this._gate.until - Date.now()) / 1000));
+      return `[WAIT ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}]`;
+    },
+
+    _loadCompletionConfig() {
+      this._completionConfigLoaded = true;
+      chrome.storage.sync.get([COMPLETION_STORAGE_KEY], result => {
+        this._completionConfig = Object.assign({}, COMPLETION_DEFAULTS, result[COMPLETION_STORAGE_KEY]);
+      });
+      // Pick up changes made from the popup or side panel
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'sync' && changes[COMPLETION_STORAGE_KEY]) {
+          this._completionConfig = Object.assign({}, COMPLETION_DEFAULTS, changes[COMPLETION_STORAGE_KEY].newValue);
+        }
+      });
+    },
+
+    _emitQueueChanged() {
+      this._emitter.emit('queueChanged', this._queue.slice());
+    },
+
+    /**
+     * The head of the queue is locked while it is being sent
+     */
+    _firstEditableIndex() {
+      return this._state === State.RUNNING ? 1 : 0;
+    },
+
+    _isEditableIndex(index) {
+      return index >= this._firstEditableIndex() && index < this._queue.length;
+    },
+
+    /**
+     * Stable reorder so pinned items come first, after any locked head
+     */
+    _applyPinOrder() {
+      const first = this._firstEditableIndex();
+      const rest = this._queue.slice(first);
+      this._queue = this._queue.slice(0, first)
+        .concat(rest.filter(item => item.pinned), rest.filter(item => !item.pinned));
+    },
+
+    _queueEdited() {
+      this._renderQueue();
+      this._updateQueueIndicator();
+      this._emitQueueChanged();
+    },
+
+    /**
+     * Queue items are { id, text, pinned }; ids keep focus, drag and
+     * persistence stable while items move around
+     */
+    _createItem(text) {
+      return {
+        id: `q-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        text,
+        pinned: false
+      };
+    },
+
+    /**
+     * Lovable project ID from /projects/<id>, or null off project pages
+     */
+    _getProjectId() {
+      const match = window.location.pathname.match(/\/projects\/([^/?#]+)/);
+      return match ? match[1] : null;
+    },
+
+    _loadStoredQueue(projectId) {
+      return new Promise(resolve => {
+        const key = QUEUE_STORAGE_PREFIX + projectId;
+        chrome.storage.local.get([key], result => {
+          const stored = result[key];
+          const items = stored && Array.isArray(stored.items) ? stored.items : [];
+          // Queues saved before items became objects hold plain strings
+          resolve(items.map(item => (typeof item === 'string' ? this._createItem(item) : item)));
+        });
+      });
+    },
+
+    _persistQueue(projectId, items) {
+      if (!projectId || !chrome.runtime?.id) return;
+      const key = QUEUE_STORAGE_PREFIX + projectId;
+      if (items.length === 0) {
+        chrome.storage.local.remove(key);
+      } else {
+        chrome.storage.local.set({ [key]: { items, updatedAt: Date.now() } });
+      }
+    },
+
+    /**
+     * Swap the in-memory queue for another project's saved queue. The previous
+     * project's queue is already persisted, so nothing is lost by dropping it here.
+     * A restored queue starts paused until the user chooses to resume it.
+     * Prompts enqueued while it loads are held, then run after the restored ones.
+     */
+    async _switchProject(projectId) {
+      this._projectId = projectId;
+      this._restoringProjectId = projectId;
+      this._queue = [];
+      this._currentPrompt = null;
+      this._lastError = null;
+      this._clearHold();
+      this._state = State.IDLE;
+      this._renderQueue();
+      this._updateQueueIndicator();
+
+      const stored = await this._loadStoredQueue(projectId);
+      if (this._projectId !== projectId) return;
+      this._restoringProjectId = null;
+
+      if (stored.length === 0) {
+        // Nothing to restore: send what was queued while storage was loading
+        if (this._queue.length > 0) this._startProcessingWithDelay();
+        return;
+      }
+
+      // Keep anything queued while storage was loading after the restored items
+      this._queue = stored.concat(this._queue);
+      this._pauseMessage = `Resume paused queue? ${stored.length} prompt${stored.length !== 1 ? 's' : ''} left from your last visit.`;
+      this._setState(State.PAUSED);
+      this._emitQueueChanged();
+      this._renderQueue();
+    },
     
     _isProjectPage() {
       const url = window.location.href;
@@ -493,6 +884,36 @@
           .lovable-queue-remove:active {
             transform: scale(0.95);
           }
+
+          .lovable-queue-action {
+            opacity: 0 !important;
+          }
+
+          .lovable-queue-item:hover .lovable-queue-action,
+          .lovable-queue-item:focus-within .lovable-queue-action {
+            opacity: 0.7 !important;
+          }
+
+          .lovable-queue-action.pinned {
+            opacity: 1 !important;
+            color: #22c55e !important;
+          }
+
+          .lovable-queue-action:hover {
+            opacity: 1 !important;
+            color: rgba(255, 255, 255, 0.9) !important;
+            background: rgba(255, 255, 255, 0.1) !important;
+          }
+
+          .lovable-queue-item:focus {
+            outline: 1px solid rgba(255, 255, 255, 0.3);
+            outline-offset: 1px;
+            border-radius: 3px;
+          }
+
+          .lovable-queue-item.lovable-queue-drag-over {
+            box-shadow: inset 0 2px 0 #8D6FEB;
+          }
           
           /* Global overrides to ensure left alignment */
           .lovable-queue-stack {
@@ -588,9 +1009,18 @@
         document.head.appendChild(minimalStyles);
       }
       
+      // Paused queues get a one-line prompt to resume or discard
+      if ((this._state === State.PAUSED || this._state === State.UNCERTAIN) && this._pauseMessage) {
+        list.appendChild(this._createPauseBanner());
+      }
+
       // Render queue items with minimal styling
-      this._queue.forEach((prompt, idx) => {
+      const firstEditable = this._firstEditableIndex();
+      this._queue.forEach((queueItem, idx) => {
+        const prompt = queueItem.text;
         const isFirst = idx === 0;
+        const isEditable = idx >= firstEditable;
+        const isEditing = isEditable && queueItem.id === this._editingId;
         console.log('PromptQueue: Rendering item', idx, 'isFirst:', isFirst, 'state:', this._state);
         
         const item = document.createElement('div');
@@ -614,6 +1044,16 @@
           line-height: 1.3;
           min-height: 20px;
         `;
+        item.dataset.queueId = queueItem.id;
+        item.tabIndex = 0;
+        item.title = isEditable
+          ? 'Enter: edit · Alt+↑/↓: move · P: send next · O: step options · D: duplicate · Delete: remove'
+          : 'Sending now';
+        if (isEditable && !isEditing) {
+          item.draggable = true;
+          this._attachDragHandlers(item, idx);
+        }
+        item.addEventListener('keydown', (e) => this._handleItemKeydown(e, idx));
         
         // Position number
         const position = document.createElement('span');
@@ -656,6 +1096,9 @@
         const displayText = prompt.length > 60 ? prompt.substring(0, 60) + '...' : prompt;
         text.textContent = displayText;
         text.title = prompt;
+        if (isEditable) {
+          text.ondblclick = () => this._startEditing(queueItem.id);
+        }
         
         // Remove button
         const remove = document.createElement('button');
@@ -731,6 +1174,13 @@
             status.style.color = '#dc3545'; // Red for failed
             status.textContent = '[FAILED]';
             status.className = 'queue-status-shimmer queue-status-error';
+          } else if (this._state === State.PAUSED) {
+            status.style.color = this._gate?.type === 'error' ? '#dc3545' : '#ffc107'; // Amber for paused, red for error stops
+            status.textContent = this._gateStatusText();
+            status.className = 'lovable-queue-gate-countdown';
+          } else if (this._state === State.UNCERTAIN) {
+            status.style.color = '#ffc107'; // Amber while waiting for confirmation
+            status.textContent = '[ON HOLD]';
           } else {
             status.style.color = '#22c55e'; // Green for next
             status.textContent = '[NEXT]';
@@ -746,13 +1196,359 @@
           console.log('PromptQueue: Appending status element');
           item.appendChild(status);
         }
-        item.appendChild(text);
+        item.appendChild(isEditing ? this._createItemEditor(queueItem) : text);
+        this._appendStepBadges(item, queueItem);
+        if (isEditable && !isEditing) {
+          item.appendChild(this._createItemAction('⚙', 'Step options (O)', () => this._toggleOptions(queueItem.id)));
+          const pin = this._createItemAction('⇡', queueItem.pinned ? 'Unpin (P)' : 'Send next (P)', () => this.togglePin(idx));
+          pin.classList.toggle('pinned', !!queueItem.pinned);
+          item.appendChild(this._createItemAction('✎', 'Edit (Enter)', () => this._startEditing(queueItem.id)));
+          item.appendChild(pin);
+        }
+        item.appendChild(this._createItemAction('⧉', 'Duplicate (D)', () => this.duplicateItem(idx)));
         item.appendChild(remove);
         
         list.appendChild(item);
+        if (isEditable && queueItem.id === this._optionsOpenId) {
+          list.appendChild(this._createOptionsPanel(queueItem));
+        }
+      });
+
+      // Keep keyboard focus on the card that was just moved or edited
+      if (this._focusItemId) {
+        const focusTarget = list.querySelector(`[data-queue-id="${this._focusItemId}"]`);
+        this._focusItemId = null;
+        if (focusTarget) focusTarget.focus();
+      }
+    },
+
+    /**
+     * Small markers after the prompt text for the step options it carries
+     */
+    _appendStepBadges(element, queueItem) {
+      const options = this._normalizeStepOptions(queueItem.options);
+      const badges = [];
+      if (options.stopOnError) badges.push(['⛔', 'Stops the queue if the reply reports "Build failed" or "Failed to compile"']);
+      if (options.pauseAfter) badges.push(['⏸', 'Pauses for review after this step']);
+      if (options.waitMinutes > 0) badges.push([`⏱${options.waitMinutes}m`, `Waits ${options.waitMinutes} min before the next step`]);
+
+      badges.forEach(([label, title]) => {
+        const badge = document.createElement('span');
+        badge.className = 'lovable-queue-step-badge';
+        badge.textContent = label;
+        badge.title = title;
+        badge.style.cssText = `
+          font-size: 10px;
+          color: rgba(255, 255, 255, 0.7);
+          margin-right: 6px;
+          flex-shrink: 0;
+          white-space: nowrap;
+        `;
+        element.appendChild(badge);
+      });
+    },
+
+    _toggleOptions(id) {
+      this._optionsOpenId = this._optionsOpenId === id ? null : id;
+      this._focusItemId = id;
+      this._renderQueue();
+    },
+
+    _createOptionsPanel(queueItem) {
+      const options = this._normalizeStepOptions(queueItem.options);
+      const indexOf = () => this._queue.findIndex(item => item.id === queueItem.id);
+
+      const panel = document.createElement('div');
+      panel.className = 'lovable-queue-options';
+      panel.style.cssText = `
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 12px;
+        width: 100%;
+        padding: 2px 0 6px 26px;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.8);
+      `;
+      // Keep Lovable's composer shortcuts out of the panel
+      panel.addEventListener('keydown', (e) => e.stopPropagation());
+
+      const makeCheckbox = (key, label) => {
+        const wrapper = document.createElement('label');
+        wrapper.style.cssText = 'display: inline-flex; align-items: center; gap: 4px; cursor: pointer;';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = options[key];
+        input.onchange = () => this.setItemOptions(indexOf(), { [key]: input.checked });
+        wrapper.appendChild(input);
+        wrapper.appendChild(document.createTextNode(label));
+        return wrapper;
+      };
+
+      panel.appendChild(makeCheckbox('pauseAfter', 'Pause for review after'));
+      panel.appendChild(makeCheckbox('stopOnError', 'Stop if the build fails'));
+
+      const wait = document.createElement('label');
+      wait.style.cssText = 'display: inline-flex; align-items: center; gap: 4px;';
+      wait.appendChild(document.createTextNode('Wait'));
+      const minutes = document.createElement('input');
+      minutes.type = 'number';
+      minutes.min = '0';
+      minutes.max = '240';
+      minutes.value = String(options.waitMinutes);
+      minutes.style.cssText = `
+        width: 48px;
+        padding: 1px 4px;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.95);
+        background: rgba(255, 255, 255, 0.06);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+      `;
+      minutes.onchange = () => this.setItemOptions(indexOf(), { waitMinutes: minutes.value });
+      wait.appendChild(minutes);
+      wait.appendChild(document.createTextNode('min after'));
+      panel.appendChild(wait);
+
+      return panel;
+    },
+
+    _createItemAction(symbol, title, onClick) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'lovable-queue-action';
+      button.textContent = symbol;
+      button.title = title;
+      button.style.cssText = `
+        border: none;
+        background: transparent;
+        color: rgba(255, 255, 255, 0.6);
+        cursor: pointer;
+        font-size: 12px;
+        padding: 2px;
+        width: 18px;
+        height: 18px;
+        flex-shrink: 0;
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        line-height: 1;
+        transition: all 0.2s ease;
+      `;
+      button.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick();
+      };
+      button.onmousedown = (e) => e.stopPropagation();
+      return button;
+    },
+
+    _createItemEditor(queueItem) {
+      const editor = document.createElement('textarea');
+      editor.className = 'lovable-queue-editor';
+      editor.value = this._editDraft !== null ? this._editDraft : queueItem.text;
+      editor.rows = Math.min(6, Math.max(1, editor.value.split('\n').length));
+      editor.style.cssText = `
+        flex: 1 1 auto;
+        min-width: 0;
+        margin-right: 8px;
+        padding: 2px 4px;
+        font: inherit;
+        font-size: 12px;
+        color: rgba(255, 255, 255, 0.95);
+        background: rgba(255, 255, 255, 0.06);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        resize: vertical;
+      `;
+
+      let finished = false;
+      const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        const index = this._queue.findIndex(item => item.id === queueItem.id);
+        this._editingId = null;
+        this._editDraft = null;
+        this._focusItemId = queueItem.id;
+        if (save && index !== -1 && editor.value.trim() && editor.value.trim() !== queueItem.text) {
+          this.updateItem(index, editor.value);
+        } else {
+          this._renderQueue();
+        }
+      };
+
+      editor.addEventListener('input', () => {
+        this._editDraft = editor.value;
+      });
+      editor.addEventListener('keydown', (e) => {
+        // Keep Lovable's composer and the card shortcuts out of the editor
+        e.stopPropagation();
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          finish(true);
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(false);
+        }
+      });
+      editor.addEventListener('blur', () => {
+        // A re-render removes the editor; the draft carries over to the new one
+        if (editor.isConnected) finish(true);
+      });
+      setTimeout(() => {
+        editor.focus();
+        editor.setSelectionRange(editor.value.length, editor.value.length);
+      }, 0);
+      return editor;
+    },
+
+    _startEditing(id) {
+      const index = this._queue.findIndex(item => item.id === id);
+      if (!this._isEditableIndex(index)) return;
+      this._editingId = id;
+      this._editDraft = null;
+      this._renderQueue();
+    },
+
+    _attachDragHandlers(element, index) {
+      element.addEventListener('dragstart', (e) => {
+        this._dragIndex = index;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(index));
+        element.style.opacity = '0.5';
+      });
+      element.addEventListener('dragend', () => {
+        this._dragIndex = null;
+        element.style.opacity = '';
+        element.classList.remove('lovable-queue-drag-over');
+      });
+      element.addEventListener('dragover', (e) => {
+        if (this._dragIndex === null || this._dragIndex === undefined) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        element.classList.add('lovable-queue-drag-over');
+      });
+      element.addEventListener('dragleave', () => {
+        element.classList.remove('lovable-queue-drag-over');
+      });
+      element.addEventListener('drop', (e) => {
+        e.preventDefault();
+        element.classList.remove('lovable-queue-drag-over');
+        const from = this._dragIndex;
+        this._dragIndex = null;
+        if (from === null || from === undefined) return;
+        this._focusItemId = this._queue[from]?.id || null;
+        this.moveItem(from, index);
       });
     },
+
+    _handleItemKeydown(e, index) {
+      if (e.target !== e.currentTarget) return;
+      const item = this._queue[index];
+      if (!item) return;
+      const editable = this._isEditableIndex(index);
+      const focusSibling = (offset) => {
+        const sibling = this._queue[index + offset];
+        if (!sibling) return;
+        const el = this._ui?.list.querySelector(`[data-queue-id="${sibling.id}"]`);
+        if (el) el.focus();
+      };
+
+      let handled = true;
+      if (e.altKey && e.key === 'ArrowUp' && editable) {
+        this._focusItemId = item.id;
+        this.moveItem(index, index - 1);
+      } else if (e.altKey && e.key === 'ArrowDown' && editable) {
+        this._focusItemId = item.id;
+        this.moveItem(index, index + 1);
+      } else if (e.key === 'ArrowUp') {
+        focusSibling(-1);
+      } else if (e.key === 'ArrowDown') {
+        focusSibling(1);
+      } else if ((e.key === 'Enter' || e.key === 'F2') && editable) {
+        this._startEditing(item.id);
+      } else if ((e.key === 'p' || e.key === 'P') && editable) {
+        this._focusItemId = item.id;
+        this.togglePin(index);
+      } else if ((e.key === 'o' || e.key === 'O') && editable) {
+        this._toggleOptions(item.id);
+      } else if (e.key === 'd' || e.key === 'D') {
+        this._focusItemId = item.id;
+        this.duplicateItem(index);
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        const next = this._queue[index + 1] || this._queue[index - 1];
+        this._focusItemId = next ? next.id : null;
+        this._removeQueueItem(index);
+      } else {
+        handled = false;
+      }
+
+      if (handled) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    },
     
+    _createPauseBanner() {
+      const banner = document.createElement('div');
+      banner.className = 'lovable-queue-pause-banner';
+      banner.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        width: 100%;
+        padding: 4px 0;
+        font-size: 12px;
+        color: ${this._gate?.type === 'error' ? '#dc3545' : '#ffc107'};
+        line-height: 1.3;
+      `;
+
+      const message = document.createElement('span');
+      message.style.cssText = `
+        flex: 1 1 auto;
+        min-width: 0;
+      `;
+      message.textContent = this._pauseMessage;
+      banner.appendChild(message);
+
+      const makeButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.style.cssText = `
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          background: transparent;
+          color: rgba(255, 255, 255, 0.9);
+          cursor: pointer;
+          font-size: 11px;
+          padding: 2px 8px;
+          border-radius: 4px;
+          flex-shrink: 0;
+        `;
+        button.onclick = (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          onClick();
+        };
+        return button;
+      };
+
+      if (this._state === State.UNCERTAIN) {
+        banner.appendChild(makeButton('Continue', 'The last reply is done; send the next prompt', () => this.resume()));
+        banner.appendChild(makeButton('Resend', 'Send the last prompt again', () => this.resendUncertain()));
+      } else if (this._gate) {
+        const continueLabel = this._gate.type === 'wait' ? 'Skip wait' : 'Continue';
+        banner.appendChild(makeButton(continueLabel, 'Send the next prompt now', () => this.resetAndContinue()));
+        banner.appendChild(makeButton('Clear', 'Remove all queued prompts', () => this.clearQueue()));
+      } else {
+        banner.appendChild(makeButton('Resume', 'Continue sending the queued prompts', () => this.resume()));
+        banner.appendChild(makeButton('Discard', 'Remove all queued prompts', () => this.clearQueue()));
+      }
+      return banner;
+    },
+
     // No longer needed for integrated UI
     
     _removeQueueItem(index) {
@@ -766,12 +1562,18 @@
       
       // Remove the item
       const removed = this._queue.splice(index, 1);
-      console.log('PromptQueue: Removed item:', removed[0]?.substring(0, 50) + '...');
+      console.log('PromptQueue: Removed item:', removed[0]?.text.substring(0, 50) + '...');
+      
+      // Nothing left to resume
+      if (this._queue.length === 0 && (this._state === State.PAUSED || this._state === State.UNCERTAIN)) {
+        this._clearHold();
+        this._setState(State.IDLE);
+      }
       
       // Update UI
       this._renderQueue();
       this._updateQueueIndicator();
-      this._emitter.emit('queueChanged', this._queue.slice());
+      this._emitQueueChanged();
       
       // If we removed the first item while it was running, we need to handle that
       if (index === 0 && this._state === State.RUNNING) {
@@ -796,24 +1598,58 @@
     },
 
     async _dequeueAndSend() {
-      if (this._state !== State.IDLE) return;
+      // A saved queue that is still loading goes first; _switchProject() starts sending after it
+      if (this._state !== State.IDLE || this._restoringProjectId) return;
       if (!this._queue.length) {
         this._setState(State.IDLE);
         return;
       }
 
       // Don't remove from queue yet - just peek at first item
-      const prompt = this._queue[0];
+      const item = this._queue[0];
+      const prompt = item.text;
+      const projectId = this._projectId;
       this._currentPrompt = prompt;
       
       // Mark as running but keep in queue
       this._setState(State.RUNNING);
 
       try {
-        await this._sendPromptDom(prompt);
-        // Success: NOW remove from queue
-        this._queue.shift();
+        const outcome = await this._sendPromptDom(prompt);
+        this._emitter.emit('promptCompleted', { prompt, item, outcome });
+
+        // The user moved to another project while this prompt was running:
+        // drop it from that project's saved queue and leave the new one alone
+        if (this._projectId !== projectId) {
+          const stored = await this._loadStoredQueue(projectId);
+          if (stored[0] && stored[0].id === item.id) this._persistQueue(projectId, stored.slice(1));
+          return;
+        }
+
+        // Success: NOW remove from queue (it may have been removed while running)
+        if (this._queue[0] === item) this._queue.shift();
+        this._emitQueueChanged();
         this._currentPrompt = null;
+
+        // The prompt was sent but we couldn't tell when the reply finished;
+        // hold the rest of the queue until the user confirms
+        if (outcome.status === 'uncertain' && this._queue.length) {
+          this._uncertainPrompt = item;
+          this._pauseMessage = outcome.reason === 'no-activity'
+            ? 'No reply detected for the last prompt. Continue or resend it?'
+            : "Couldn't confirm the last reply finished. Continue or resend it?";
+          this._setState(State.UNCERTAIN, { outcome });
+          return;
+        }
+
+        // Step options gate the next step: review, error stop or a timed wait
+        const gate = this._queue.length ? this._gateAfter(item, outcome) : null;
+        if (gate) {
+          console.log(`PromptQueue: Step gate "${gate.type}" before next prompt`);
+          this._applyGate(gate, item);
+          return;
+        }
+
         this._setState(State.IDLE);
         this._renderQueue();
         
@@ -827,7 +1663,8 @@
         }
       } catch (err) {
         console.error('Send failed:', err);
-        this._lastError = { error: err, prompt };
+        if (this._projectId !== projectId) return;
+        this._lastError = { error: err, prompt, item };
         this._currentPrompt = null;
         this._setState(State.ERRORED, { error: err });
         
@@ -839,6 +1676,7 @@
 
     /**
      * Send a prompt using DOM: fill textarea, click native send, wait for assistant reply or failure.
+     * Resolves with the completion outcome: { status: 'completed'|'uncertain', reason, reply }.
      */
     _sendPromptDom(prompt) {
       return new Promise((resolve, reject) => {
@@ -951,144 +1789,139 @@
       return null; // Return null if no send button found
     },
 
+    _isStopButtonVisible() {
+      const isVisible = btn => !!btn && btn.offsetParent !== null && !btn.disabled;
+      if (isVisible(document.querySelector(SELECTORS.nativeStopBtn))) return true;
+      const form = document.querySelector(SELECTORS.textArea)?.closest('form');
+      if (!form) return false;
+      return Array.from(form.querySelectorAll('button')).some(btn => {
+        const label = `${btn.textContent || ''} ${btn.getAttribute('aria-label') || ''}`.toLowerCase();
+        return label.includes('stop') && isVisible(btn);
+      });
+    },
+
+    _hasBusyStatus() {
+      return Array.from(document.querySelectorAll(SELECTORS.statusRegion)).some(el => {
+        if (el.closest('.lovable-queue-stack, .toast-notification')) return false;
+        const text = (el.textContent || '').trim();
+        return text.length > 0 && text.length < 120 && BUSY_STATUS_PATTERN.test(text);
+      });
+    },
+
+    /**
+     * Find the element whose children are the chat messages. The selectors are
+     * tried in order, so `main` is only used when there is no real chat log;
+     * layout wrappers around a fallback match are stepped into.
+     */
+    _findChatLog() {
+      for (const selector of SELECTORS.chatLog) {
+        let log = document.querySelector(selector);
+        if (!log) continue;
+        if (selector !== SELECTORS.chatLog[0]) {
+          while (log.children.length === 1 && log.firstElementChild.children.length > 0) {
+            log = log.firstElementChild;
+          }
+        }
+        return log;
+      }
+      return null;
+    },
+
+    /**
+     * Watch the assistant message lifecycle after a send. Each enabled strategy
+     * is polled; the reply is complete once activity has been seen and every
+     * strategy reports idle on two consecutive checks. Timeouts resolve as
+     * 'uncertain' rather than success.
+     */
     _setupCompletionDetection(resolve, reject) {
+      const config = this._completionConfig;
+      const enabled = name => config.strategies.includes(name);
+      const chatLog = this._findChatLog();
+      if (!chatLog) {
+        console.warn('PromptQueue: Chat log not found; completion relies on the stop button and status text');
+      }
+      const baselineCount = chatLog ? chatLog.children.length : 0;
+      const startedAt = Date.now();
+      let lastMutationAt = startedAt;
+      let activitySeen = false;
+      let idleChecks = 0;
       let isCompleted = false;
-      const timeoutMs = 45000; // 45 seconds - more reasonable
-      
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        if (!isCompleted) {
-          isCompleted = true;
-          cleanup();
-          console.log('PromptQueue: Timeout waiting for completion, assuming finished');
-          resolve(); // Treat timeout as completion and continue
-        }
-      }, timeoutMs);
-      
-      // Method to complete successfully
-      const complete = () => {
-        if (!isCompleted) {
-          isCompleted = true;
-          cleanup();
-          console.log('PromptQueue: Prompt completed successfully');
-          resolve();
-        }
+
+      const newMessageCount = () => (chatLog ? chatLog.children.length - baselineCount : 0);
+
+      // Each probe returns true while Lovable is still busy
+      const probes = {
+        stopButton: () => this._isStopButtonVisible(),
+        streamingIndicator: () => !!chatLog && !!chatLog.querySelector(SELECTORS.streamingIndicator),
+        finalMessage: () => newMessageCount() <= 0 || Date.now() - lastMutationAt < config.quietMs,
+        buildStatus: () => this._hasBusyStatus()
       };
-      
-      // Method to complete with error
-      const fail = (error) => {
-        if (!isCompleted) {
-          isCompleted = true;
-          cleanup();
-          console.log('PromptQueue: Prompt failed:', error);
-          reject(error);
-        }
+      const activeProbes = Object.keys(probes).filter(enabled);
+
+      // The user's own prompt is among the new messages; only the assistant's reply counts
+      const replyNodes = () => {
+        if (!chatLog) return [];
+        const nodes = newMessageCount() > 0
+          ? Array.from(chatLog.children).slice(baselineCount)
+          : [chatLog.lastElementChild].filter(Boolean);
+        return nodes.filter(node => LovableAddons.utils.chatLog.getRole(node) === 'assistant');
       };
-      
-      let cleanup;
-      
-      // Strategy 1: Watch for the send button to become enabled again
-      const sendBtn = this._findSendButton();
-      let sendBtnWasDisabled = false;
-      
-      const checkSendButton = () => {
-        if (!sendBtn) return;
-        
-        if (sendBtn.disabled) {
-          sendBtnWasDisabled = true;
-        } else if (sendBtnWasDisabled) {
-          // Button was disabled and now it's enabled again - likely completed
-          console.log('PromptQueue: Send button re-enabled, assuming completion');
-          setTimeout(complete, 500); // Small delay to ensure completion
+
+      // First failure line in the reply, or null. Alert roles and red text
+      // also mark destructive buttons and diff lines, so they don't count.
+      const findFailure = nodes => {
+        for (const node of nodes) {
+          const match = (node.innerText || node.textContent || '').match(ERROR_REPLY_PATTERN);
+          if (match) return match[0].trim();
         }
+        return null;
       };
-      
-      // Strategy 2: Watch for DOM changes that indicate completion
-      const chatContainer = document.querySelector('main') || document.body;
-      let initialChildCount = chatContainer ? chatContainer.querySelectorAll('*').length : 0;
-      let hasSeenChanges = false;
-      
-      const mutationObserver = new MutationObserver((mutations) => {
+
+      const finish = (status, reason) => {
         if (isCompleted) return;
-        
-        // Check if we've seen significant DOM changes
-        const currentChildCount = chatContainer ? chatContainer.querySelectorAll('*').length : 0;
-        if (currentChildCount > initialChildCount + 5) { // Threshold for "significant" change
-          hasSeenChanges = true;
-        }
-        
-        // Check send button state
-        checkSendButton();
-        
-        // If we've seen changes and button is now enabled, likely done
-        if (hasSeenChanges && sendBtn && !sendBtn.disabled) {
-          console.log('PromptQueue: DOM changes detected and send button enabled');
-          setTimeout(complete, 1000); // Longer delay to ensure response is complete
-        }
-      });
-      
-      // Strategy 3: Simple timer-based completion (primary strategy)
-      // Most Lovable responses complete within 15-30 seconds
-      let simpleTimeout = setTimeout(() => {
-        if (!isCompleted) {
-          // If this is the last item in queue, use a shorter timeout
-          const isLastItem = this._queue.length === 1;
-          if (isLastItem) {
-            console.log('PromptQueue: Last item in queue - using shorter timeout (10 seconds)');
-          } else {
-            console.log('PromptQueue: Simple timeout completion (15 seconds)');
-          }
-          complete();
-        }
-      }, this._queue.length === 1 ? 10000 : 15000); // Shorter timeout for last item
-      
-      // Strategy 4: Fallback timeout for longer responses
-      let fallbackTimeout = setTimeout(() => {
-        if (!isCompleted && hasSeenChanges) {
-          console.log('PromptQueue: Fallback completion after DOM changes');
-          complete();
-        }
-      }, 30000); // 30 second fallback
-      
-      // Start observing
-      if (chatContainer) {
-        mutationObserver.observe(chatContainer, {
-          childList: true,
-          subtree: true
+        isCompleted = true;
+        clearInterval(checkInterval);
+        mutationObserver.disconnect();
+        console.log(`PromptQueue: Completion ${status} (${reason})`);
+        const nodes = replyNodes();
+        resolve({
+          status,
+          reason,
+          reply: nodes.map(node => (node.innerText || node.textContent || '').trim()).join('\n\n'),
+          failure: findFailure(nodes)
         });
+      };
+
+      const mutationObserver = new MutationObserver(() => {
+        lastMutationAt = Date.now();
+      });
+      if (chatLog) {
+        mutationObserver.observe(chatLog, { childList: true, subtree: true, characterData: true });
       }
-      
-      // Initial check and periodic checking
-      setTimeout(checkSendButton, 1000);
-      
-      // Check send button state periodically
+
       const checkInterval = setInterval(() => {
-        if (isCompleted) {
-          clearInterval(checkInterval);
-          return;
+        const elapsed = Date.now() - startedAt;
+        const busy = activeProbes.filter(name => probes[name]());
+
+        // finalMessage is "busy" before anything arrives, so it can't prove activity on its own
+        if (busy.some(name => name !== 'finalMessage') || newMessageCount() > 0) {
+          activitySeen = true;
         }
-        
-        // Re-find the send button in case it was recreated
-        const currentSendBtn = this._findSendButton();
-        if (currentSendBtn && !currentSendBtn.disabled && sendBtnWasDisabled) {
-          console.log('PromptQueue: Send button found enabled during periodic check');
-          clearInterval(checkInterval);
-          setTimeout(complete, 500);
+
+        if (!activitySeen) {
+          if (elapsed > config.startTimeoutMs) finish('uncertain', 'no-activity');
+          return;
         }
-      }, 500); // Check every 500ms
-      
-      // Cleanup function
-      cleanup = () => {
-        clearTimeout(timeoutId);
-        clearTimeout(simpleTimeout);
-        clearTimeout(fallbackTimeout);
-        clearInterval(checkInterval);
-        try {
-          mutationObserver.disconnect();
-        } catch (e) {
-          // Ignore disconnect errors
+
+        if (busy.length === 0) {
+          idleChecks++;
+          if (idleChecks >= 2) finish('completed', 'idle');
+        } else {
+          idleChecks = 0;
         }
-      };
+
+        if (elapsed > config.timeoutMs) finish('uncertain', 'timeout');
+      }, 500);
     },
 
     _setupChatCompletionObserver() {
@@ -1148,11 +1981,19 @@
     },
 
     _resetOnNav() {
-      // Clear queue and state on navigation to avoid leaking prompts across projects
-      this._queue = [];
-      this._currentPrompt = null;
-      this._lastError = null;
-      this._setState(State.IDLE);
+      // Queues are persisted per project, so swap to the new project's queue
+      // instead of clearing; leaving project pages just drops the in-memory copy
+      const projectId = this._getProjectId();
+      if (projectId && projectId !== this._projectId) {
+        this._switchProject(projectId);
+      } else if (!projectId) {
+        this._projectId = null;
+        this._queue = [];
+        this._currentPrompt = null;
+        this._lastError = null;
+        this._clearHold();
+        this._setState(State.IDLE);
+      }
       
       // Check if we should show/hide the UI based on new page
       if (this._isProjectPage()) {
@@ -0,0 +1,493 @@
+/**
+ * @fileoverview Slash-command palette for Lovable Add-ons Chrome extension.
+ * Typing `/` in the chat textarea opens an inline palette of templates,
+ * custom prompts, playbooks and feature commands, filtered as you type.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  /**
+   * Slash-command palette feature
+   * @namespace LovableAddons.features.slashCommands
+   */
+  const slashCommandsFeature = (function() {
+    // Maximum rows shown at once
+    const MAX_RESULTS = 8;
+
+    // A `/` at the start of a line or after whitespace, up to the caret
+    const TRIGGER_PATTERN = /(^|\s)\/([^\n/]*)$/;
+
+    /**
+     * Built-in commands that open other features
+     * @type {Array<{id: string, name: string, description: string, run: Function}>}
+     */
+    const COMMANDS = [
+      {
+        id: 'seo',
+        name: 'seo',
+        description: 'Open SEO tools',
+        run: () => LovableAddons.getFeature('seoTools').showPopup()
+      },
+      {
+        id: 'context',
+        name: 'context',
+        description: 'Open Code Context',
+        run: () => LovableAddons.getFeature('codeContext').showPopup()
+      },
+      {
+        id: 'enhance',
+        name: 'enhance',
+        description: 'Enhance the current prompt',
+        run: () => {
+          const enhanceButton = document.querySelector('.enhance-button');
+          if (enhanceButton) {
+            enhanceButton.click();
+          } else {
+            LovableAddons.utils.toast.showToast('Enhance is not available here', 'error');
+          }
+        }
+      },
+      {
+        id: 'library',
+        name: 'library',
+        description: 'Open the Prompt Library',
+        run: () => LovableAddons.getFeature('promptLibrary').showPopup()
+      },
+      {
+        id: 'harvest',
+        name: 'harvest',
+        description: 'Save your messages in this chat as prompts',
+        run: () => LovableAddons.getFeature('chatCapture').harvest()
+      },
+      {
+        id: 'export',
+        name: 'export',
+        description: 'Export this chat as Markdown, JSON or HTML',
+        run: () => LovableAddons.getFeature('chatExport').showPopup()
+      }
+    ];
+
+    // Open palette state: { element, textArea, start, query, results, activeIndex, navigated, data }
+    let palette = null;
+
+    // Incremented on every open so stale library loads are ignored
+    let openCount = 0;
+
+    // Position of a slash token the user dismissed, so typing on doesn't reopen it
+    let dismissedStart = null;
+
+    /**
+     * Finds the slash token ending at the caret
+     * @param {HTMLTextAreaElement} textArea - Chat textarea
+     * @returns {{start: number, query: string}|null} Position of the `/` and the text typed after it
+     * @private
+     */
+    function findTrigger(textArea) {
+      if (textArea.selectionStart !== textArea.selectionEnd) return null;
+
+      const before = textArea.value.slice(0, textArea.selectionStart);
+      const match = before.match(TRIGGER_PATTERN);
+      if (!match) return null;
+
+      return {
+        start: before.length - match[2].length - 1,
+        query: match[2]
+      };
+    }
+
+    /**
+     * Builds the ranked rows for a query: matching commands first, then
+     * templates, custom prompts and playbooks
+     * @param {string} query - Text typed after the slash
+     * @param {Object} data - Library data from promptLibrary.getAllPrompts()
+     * @returns {Array<{kind: string, item: Object, matches: Object|null}>} Rows
+     * @private
+     */
+    function buildResults(query, data) {
+      const term = query.trim().toLowerCase();
+      const commands = COMMANDS
+        .filter(command => !term || command.name.startsWith(term))
+        .map(command => ({ kind: 'command', item: command, matches: null }));
+
+      if (!data) return commands;
+
+      const search = LovableAddons.utils.promptSearch;
+      const context = { favorites: data.favorites, recent: data.recent };
+      const prompts = search.search([...data.templates, ...data.playbooks], query, context);
+
+      // Without a query, lead with favorites and recents
+      if (!term) {
+        const rank = item => (data.recent.includes(item.id) ? 0 : data.favorites.includes(item.id) ? 1 : 2);
+        prompts.sort((a, b) => rank(a.item) - rank(b.item));
+      }
+
+      const rows = prompts.map(result => ({
+        kind: result.item.isPlaybook ? 'playbook' : 'prompt',
+        item: result.item,
+        matches: result.matches
+      }));
+
+      return [...commands, ...rows].slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * Describes a row's source for its badge
+     * @param {Object} row - Palette row
+     * @returns {string} Badge text
+     * @private
+     */
+    function getBadge(row) {
+      if (row.kind === 'command') return 'Command';
+      if (row.kind === 'playbook') return `Playbook · ${row.item.steps.length} steps`;
+      if (row.item.isPack) return row.item.packName;
+      if (row.item.isCustom) return `Custom · ${row.item.category}`;
+      return row.item.category;
+    }
+
+    /**
+     * Places the palette just above the textarea
+     * @param {HTMLElement} element - Palette element
+     * @param {HTMLTextAreaElement} textArea - Chat textarea
+     * @returns {void}
+     * @private
+     */
+    function position(element, textArea) {
+      const rect = textArea.getBoundingClientRect();
+      element.style.left = `${Math.max(8, rect.left)}px`;
+      element.style.bottom = `${window.innerHeight - rect.top + 6}px`;
+      element.style.width = `${Math.min(Math.max(rect.width, 280), 440)}px`;
+    }
+
+    /**
+     * Renders the palette rows
+     * @returns {void}
+     * @private
+     */
+    function render() {
+      const { element, results, activeIndex } = palette;
+      const search = LovableAddons.utils.promptSearch;
+      element.textContent = '';
+
+      if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'slash-command-empty';
+        empty.textContent = palette.data ? 'No matching prompts or commands' : 'Loading prompts...';
+        element.appendChild(empty);
+        return;
+      }
+
+      results.forEach((row, index) => {
+        const option = document.createElement('div');
+        option.className = 'slash-command-option' + (index === activeIndex ? ' active' : '');
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === activeIndex));
+
+        const name = document.createElement('span');
+        name.className = 'slash-command-name';
+        if (row.kind === 'command') {
+          name.textContent = `/${row.item.name}`;
+        } else if (row.matches && row.matches.name.length > 0) {
+          name.appendChild(search.highlight(row.item.name, row.matches.name));
+        } else {
+          name.textContent = row.item.name;
+        }
+
+        const detail = document.createElement('span');
+        detail.className = 'slash-command-detail';
+        detail.textContent = row.kind === 'command' ? row.item.description : getBadge(row);
+
+        option.appendChild(name);
+        option.appendChild(detail);
+
+        // mousedown keeps focus (and the caret) in the textarea
+        option.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          select(index);
+        });
+        option.addEventListener('mousemove', () => {
+          if (palette && palette.activeIndex !== index) {
+            palette.activeIndex = index;
+            render();
+          }
+        });
+
+        element.appendChild(option);
+      });
+
+      const active = element.querySelector('.slash-command-option.active');
+      if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Refreshes the rows for the current query
+     * @param {string} query - Text typed after the slash
+     * @returns {void}
+     * @private
+     */
+    function update(query) {
+      palette.query = query;
+      palette.results = buildResults(query, palette.data);
+      palette.activeIndex = 0;
+      palette.navigated = false;
+
+      // A space after a query that matches nothing means the user is just typing
+      if (palette.data && palette.results.length === 0 && /\s/.test(query)) {
+        dismiss();
+        return;
+      }
+
+      position(palette.element, palette.textArea);
+      render();
+    }
+
+    /**
+     * Gets the textarea range taken by the slash token
+     * @returns {{start: number, end: number}} The range, slash included
+     * @private
+     */
+    function getTokenRange() {
+      return { start: palette.start, end: palette.start + 1 + palette.query.length };
+    }
+
+    /**
+     * Runs the row at an index and closes the palette
+     * @param {number} index - Row index
+     * @returns {Promise<void>}
+     * @private
+     */
+    async function select(index) {
+      if (!palette || !palette.results[index]) return;
+
+      const row = palette.results[index];
+      const textArea = palette.textArea;
+      const range = getTokenRange();
+      close();
+
+      if (row.kind === 'prompt') {
+        // Replace the slash token with the prompt, at the cursor
+        await LovableAddons.getFeature('promptLibrary').applyTemplate(row.item, undefined, { range });
+        return;
+      }
+
+      // Commands and playbooks don't insert text, so just drop the token
+      textArea.value = textArea.value.slice(0, range.start) + textArea.value.slice(range.end);
+      textArea.dispatchEvent(new Event('input', { bubbles: true }));
+      textArea.setSelectionRange(range.start, range.start);
+
+      try {
+        if (row.kind === 'playbook') {
+          await LovableAddons.getFeature('promptLibrary').runPlaybook(row.item);
+        } else {
+          await row.item.run();
+        }
+      } catch (error) {
+        console.error('Slash commands: command failed:', error);
+        LovableAddons.utils.toast.showToast(`Could not run /${row.item.name || 'command'}`, 'error');
+      }
+    }
+
+    /**
+     * Opens the palette for a textarea
+     * @param {HTMLTextAreaElement} textArea - Chat textarea
+     * @param {{start: number, query: string}} trigger - Slash token
+     * @returns {void}
+     * @private
+     */
+    function open(textArea, trigger) {
+      const element = document.createElement('div');
+      element.className = 'slash-command-palette';
+      element.setAttribute('role', 'listbox');
+      document.body.appendChild(element);
+
+      palette = {
+        element,
+        textArea,
+        start: trigger.start,
+        query: trigger.query,
+        results: [],
+        activeIndex: 0,
+        navigated: false,
+        data: null
+      };
+      update(trigger.query);
+
+      const openId = ++openCount;
+      const library = LovableAddons.getFeature('promptLibrary');
+      library.getAllPrompts().then(data => {
+        if (!palette || openId !== openCount) return;
+        palette.data = data;
+        update(palette.query);
+      }).catch(error => {
+        console.error('Slash commands: could not load prompts:', error);
+      });
+    }
+
+    /**
+     * Closes the palette if it is open
+     * @returns {boolean} True if a palette was closed
+     * @private
+     */
+    function close() {
+      if (!palette) return false;
+      palette.element.remove();
+      palette = null;
+      return true;
+    }
+
+    /**
+     * Closes the palette and keeps it closed for the current slash token
+     * @returns {void}
+     * @private
+     */
+    function dismiss() {
+      if (!palette) return;
+      dismissedStart = palette.start;
+      close();
+    }
+
+    /**
+     * Opens, updates or closes the palette as the textarea changes
+     * @param {Event} e - input event
+     * @returns {void}
+     * @private
+     */
+    function onInput(e) {
+      const textArea = e.target;
+      if (!(textArea instanceof HTMLTextAreaElement) || !textArea.closest('form')) return;
+
+      const trigger = findTrigger(textArea);
+      if (!trigger) {
+        dismissedStart = null;
+        close();
+        return;
+      }
+      if (trigger.start === dismissedStart) return;
+
+      if (palette && palette.textArea === textArea && palette.start === trigger.start) {
+        update(trigger.query);
+      } else {
+        close();
+        open(textArea, trigger);
+      }
+    }
+
+    /**
+     * Finds the row whose name is exactly the query, so Enter can pick it
+     * without arrowing to it
+     * @returns {number} Row index, or -1
+     * @private
+     */
+    function findExactMatch() {
+      const query = palette.query.trim().toLowerCase();
+      return palette.results.findIndex(row => (row.item.name || '').toLowerCase() === query);
+    }
+
+    /**
+     * Handles palette navigation before Lovable or the prompt queue see the key.
+     * Routes like `/auth` are common in prompts, so Enter only picks a row the
+     * user arrowed to or one named exactly like the query; otherwise the
+     * message is sent as typed. Tab always picks the highlighted row.
+     * @param {KeyboardEvent} e - keydown event
+     * @returns {void}
+     * @private
+     */
+    function onKeyDown(e) {
+      if (!palette || e.target !== palette.textArea || e.isComposing) return;
+
+      const count = palette.results.length;
+      let handled = true;
+
+      if (e.key === 'ArrowDown' && count > 0) {
+        palette.activeIndex = (palette.activeIndex + 1) % count;
+        palette.navigated = true;
+        render();
+      } else if (e.key === 'ArrowUp' && count > 0) {
+        palette.activeIndex = (palette.activeIndex - 1 + count) % count;
+        palette.navigated = true;
+        render();
+      } else if (e.key === 'Enter' && !e.shiftKey) {
+        const exactIndex = count > 0 ? findExactMatch() : -1;
+        if (palette.navigated && count > 0) {
+          select(palette.activeIndex);
+        } else if (exactIndex !== -1) {
+          select(exactIndex);
+        } else {
+          // Let Lovable send the message
+          dismiss();
+          handled = false;
+        }
+      } else if (e.key === 'Tab' && !e.shiftKey && count > 0) {
+        select(palette.activeIndex);
+      } else if (e.key === 'Escape') {
+        dismiss();
+      } else {
+        handled = false;
+      }
+
+      if (handled) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      }
+    }
+
+    /**
+     * Closes the palette when the caret leaves the slash token
+     * @returns {void}
+     * @private
+     */
+    function onSelectionChange() {
+      if (!palette) return;
+      const trigger = document.activeElement === palette.textArea ? findTrigger(palette.textArea) : null;
+      if (!trigger || trigger.start !== palette.start) {
+        close();
+      }
+    }
+
+    // Public API
+    return {
+      COMMANDS,
+
+      /**
+       * Closes the palette if it is open
+       * @returns {boolean} True if a palette was closed
+       */
+      close: close,
+
+      /**
+       * Initializes the slash-command palette
+       * @returns {void}
+       */
+      init: function() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        // Capture phase so navigation keys never reach the send/queue handlers
+        document.addEventListener('input', onInput, true);
+        document.addEventListener('keydown', onKeyDown, true);
+        document.addEventListener('selectionchange', onSelectionChange);
+        document.addEventListener('mousedown', (e) => {
+          if (palette && !palette.element.contains(e.target) && e.target !== palette.textArea) {
+            close();
+          }
+        }, true);
+        window.addEventListener('resize', () => close());
+      }
+    };
+  })();
+
+  // Register the slash commands feature with the LovableAddons namespace
+  LovableAddons.registerFeature('slashCommands', slashCommandsFeature);
+
+  // Initialize the feature when the DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    slashCommandsFeature.init();
+  });
+
+})();
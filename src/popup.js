@@ -1,11 +1,19 @@
 // Popup window functionality for Lovable Add-ons
 
 document.addEventListener('DOMContentLoaded', () => {
-    const apiKeyInput = document.getElementById('groqApiKey');
-    const modelSelect = document.getElementById('groqModel');
+    const llm = window.LovableAddons.utils.llm;
+    const providerSelect = document.getElementById('llmProvider');
+    const baseUrlGroup = document.getElementById('llmBaseUrlGroup');
+    const baseUrlInput = document.getElementById('llmBaseUrl');
+    const apiKeyInput = document.getElementById('llmApiKey');
+    const modelSelect = document.getElementById('llmModel');
+    const customModelInput = document.getElementById('llmCustomModel');
     const saveButton = document.getElementById('saveSettings');
     const successMessage = document.getElementById('successMessage');
     const apiKeyError = document.getElementById('apiKeyError');
+    const CUSTOM_MODEL_OPTION = '__custom__';
+    let activeProviderId = llm.DEFAULT_PROVIDER;
+    let providerSettings = {};
     let existingApiKey = null;
 
     // SVG icons for the button states
@@ -49,20 +57,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    // Load saved settings
-    chrome.storage.sync.get(['groqApiKey', 'groqModel'], (result) => {
-        if (result.groqApiKey) {
-            existingApiKey = result.groqApiKey;
-            apiKeyInput.value = '••••••••';
-            updateButtonState(true);
-        } else {
-            updateButtonState(false);
-        }
-        if (result.groqModel) {
-            modelSelect.value = result.groqModel;
-        }
-    });
-
     // Function to show success message
     const showSuccessMessage = (message = 'Settings saved successfully') => {
         successMessage.textContent = message;
@@ -76,12 +70,75 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 2000);
     };
 
-    // Function to validate API key
-    const validateApiKey = (key) => {
-        if (!key) return 'Please enter an API key';
-        if (!key.startsWith('gsk_')) return 'Invalid API key format';
-        if (key.length < 8) return 'API key is too short';
-        return null;
+    // Settings saved for the provider currently shown in the form
+    const getSavedProviderSettings = () => providerSettings[activeProviderId] || {};
+
+    // Function to fill the model dropdown for a provider
+    const populateModels = (provider, selectedModel) => {
+        modelSelect.innerHTML = '';
+        Object.keys(provider.models).forEach(modelId => {
+            const option = document.createElement('option');
+            option.value = modelId;
+            option.textContent = provider.models[modelId].label || modelId;
+            modelSelect.appendChild(option);
+        });
+
+        if (provider.allowCustomModel) {
+            const customOption = document.createElement('option');
+            customOption.value = CUSTOM_MODEL_OPTION;
+            customOption.textContent = 'Custom model...';
+            modelSelect.appendChild(customOption);
+        }
+
+        const isCustomModel = provider.allowCustomModel && selectedModel && !provider.models[selectedModel];
+        modelSelect.value = isCustomModel ? CUSTOM_MODEL_OPTION : (provider.models[selectedModel] ? selectedModel : provider.defaultModel);
+        customModelInput.value = isCustomModel ? selectedModel : '';
+        customModelInput.hidden = !isCustomModel;
+    };
+
+    // Function to show the saved settings of the active provider
+    const renderProvider = () => {
+        const provider = llm.getProvider(activeProviderId);
+        const saved = getSavedProviderSettings();
+
+        providerSelect.value = provider.id;
+        existingApiKey = saved.apiKey || null;
+        apiKeyInput.value = existingApiKey ? '••••••••' : '';
+        apiKeyInput.placeholder = provider.requiresKey
+            ? `Enter ${provider.label} API key`
+            : 'Optional for local servers';
+        apiKeyInput.setAttribute('aria-required', provider.requiresKey ? 'true' : 'false');
+
+        baseUrlGroup.hidden = !provider.configurableBaseUrl;
+        baseUrlInput.placeholder = provider.defaultBaseUrl;
+        baseUrlInput.value = saved.baseUrl || provider.defaultBaseUrl;
+
+        populateModels(provider, saved.model || provider.defaultModel);
+        clearError();
+        updateButtonState(!!existingApiKey);
+    };
+
+    // Populate the provider dropdown
+    llm.getProviders().forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+    });
+
+    // Load saved settings
+    llm.loadSettings().then(({ providerId, providerSettings: saved }) => {
+        activeProviderId = providerId;
+        providerSettings = saved;
+        renderProvider();
+    });
+
+    // Function to read the model currently chosen in the form
+    const getSelectedModel = () => {
+        if (modelSelect.value === CUSTOM_MODEL_OPTION) {
+            return customModelInput.value.trim();
+        }
+        return modelSelect.value;
     };
 
     // Function to save settings
@@ -90,16 +147,20 @@ document.addEventListener('DOMContentLoaded', () => {
             clearError();
             const apiKeyToSave = newApiKey || (apiKeyInput.value === '••••••••' ? existingApiKey : apiKeyInput.value);
             
-            const error = validateApiKey(apiKeyToSave);
+            const error = llm.validateApiKey(activeProviderId, apiKeyToSave);
             if (error) {
                 showError(error);
                 return;
             }
 
-            await chrome.storage.sync.set({
-                groqApiKey: apiKeyToSave,
-                groqModel: modelSelect.value
-            });
+            const provider = llm.getProvider(activeProviderId);
+            providerSettings[activeProviderId] = {
+                apiKey: apiKeyToSave || '',
+                model: getSelectedModel() || provider.defaultModel,
+                baseUrl: provider.configurableBaseUrl ? baseUrlInput.value.trim() : ''
+            };
+
+            await llm.saveSettings(activeProviderId, providerSettings);
 
             showSuccessMessage();
 
@@ -118,7 +179,12 @@ document.addEventListener('DOMContentLoaded', () => {
     const removeApiKey = async () => {
         try {
             clearError();
-            await chrome.storage.sync.remove('groqApiKey');
+            providerSettings[activeProviderId] = Object.assign({}, getSavedProviderSettings(), { apiKey: '' });
+            await llm.saveSettings(activeProviderId, providerSettings);
+            if (activeProviderId === 'groq') {
+                // Also drop the key saved before providers existed
+                await chrome.storage.sync.remove('groqApiKey');
+            }
             existingApiKey = null;
             apiKeyInput.value = '';
             updateButtonState(false);
@@ -129,13 +195,35 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // Auto-save whenever a setting other than the key changes
+    const autoSave = () => {
+        if (existingApiKey || !llm.getProvider(activeProviderId).requiresKey) {
+            saveSettings();
+        }
+    };
+
+    // Switch the form to another provider
+    providerSelect.addEventListener('change', () => {
+        activeProviderId = providerSelect.value;
+        renderProvider();
+        llm.saveSettings(activeProviderId, providerSettings).catch(error => {
+            console.error('Error saving provider:', error);
+        });
+    });
+
     // Auto-save when model is changed
     modelSelect.addEventListener('change', () => {
-        if (existingApiKey) {
-            saveSettings();
+        customModelInput.hidden = modelSelect.value !== CUSTOM_MODEL_OPTION;
+        if (!customModelInput.hidden) {
+            customModelInput.focus();
+            return;
         }
+        autoSave();
     });
 
+    customModelInput.addEventListener('change', autoSave);
+    baseUrlInput.addEventListener('change', autoSave);
+
     // Handle save/remove button click
     saveButton.addEventListener('click', () => {
         if (saveButton.classList.contains('remove')) {
@@ -176,6 +264,75 @@ document.addEventListener('DOMContentLoaded', () => {
         updateButtonState(hasValue ? false : !!existingApiKey);
     });
 
+    // Queue completion detection settings (read by the prompt queue on lovable.dev)
+    const COMPLETION_STORAGE_KEY = 'lovable_queue_completion';
+    const DEFAULT_COMPLETION_STRATEGIES = ['stopButton', 'streamingIndicator', 'finalMessage', 'buildStatus'];
+    const DEFAULT_COMPLETION_TIMEOUT_MINUTES = 10;
+    const strategyInputs = document.querySelectorAll('input[name="completionStrategy"]');
+    const completionTimeoutInput = document.getElementById('completionTimeout');
+
+    chrome.storage.sync.get([COMPLETION_STORAGE_KEY], (result) => {
+        const saved = result[COMPLETION_STORAGE_KEY] || {};
+        const strategies = saved.strategies || DEFAULT_COMPLETION_STRATEGIES;
+        strategyInputs.forEach(input => {
+            input.checked = strategies.includes(input.value);
+        });
+        completionTimeoutInput.value = saved.timeoutMs
+            ? Math.round(saved.timeoutMs / 60000)
+            : DEFAULT_COMPLETION_TIMEOUT_MINUTES;
+    });
+
+    const saveCompletionSettings = () => {
+        const minutes = Math.min(60, Math.max(1, parseInt(completionTimeoutInput.value, 10) || DEFAULT_COMPLETION_TIMEOUT_MINUTES));
+        completionTimeoutInput.value = minutes;
+        chrome.storage.sync.get([COMPLETION_STORAGE_KEY], (result) => {
+            const settings = Object.assign({}, result[COMPLETION_STORAGE_KEY], {
+                strategies: Array.from(strategyInputs).filter(input => input.checked).map(input => input.value),
+                timeoutMs: minutes * 60000
+            });
+            chrome.storage.sync.set({ [COMPLETION_STORAGE_KEY]: settings }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error('Error saving queue settings:', chrome.runtime.lastError);
+                    return;
+                }
+                showSuccessMessage('Queue settings saved');
+            });
+        });
+    };
+
+    strategyInputs.forEach(input => input.addEventListener('change', saveCompletionSettings));
+    completionTimeoutInput.addEventListener('change', saveCompletionSettings);
+
+    // Code context export ignore rules (read by the code context feature on lovable.dev)
+    const IGNORE_STORAGE_KEY = 'lovable_code_context_ignore';
+    const ignoreRulesInput = document.getElementById('ignoreRules');
+    const useRepoIgnoreFilesInput = document.getElementById('useRepoIgnoreFiles');
+
+    chrome.storage.sync.get([IGNORE_STORAGE_KEY], (result) => {
+        const saved = result[IGNORE_STORAGE_KEY] || {};
+        ignoreRulesInput.value = typeof saved.rules === 'string'
+            ? saved.rules
+            : LovableAddons.utils.ignoreRules.DEFAULT_USER_RULES;
+        useRepoIgnoreFilesInput.checked = saved.useRepoIgnoreFiles !== false;
+    });
+
+    const saveIgnoreSettings = () => {
+        const settings = {
+            rules: ignoreRulesInput.value,
+            useRepoIgnoreFiles: useRepoIgnoreFilesInput.checked
+        };
+        chrome.storage.sync.set({ [IGNORE_STORAGE_KEY]: settings }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving ignore rules:', chrome.runtime.lastError);
+                return;
+            }
+            showSuccessMessage('Ignore rules saved');
+        });
+    };
+
+    ignoreRulesInput.addEventListener('change', saveIgnoreSettings);
+    useRepoIgnoreFilesInput.addEventListener('change', saveIgnoreSettings);
+
     // Function to filter prompts based on search input
     const filterPrompts = (searchText) => {
         const promptElements = document.querySelectorAll('.prompt-item');
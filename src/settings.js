@@ -95,6 +95,7 @@ class Settings {
 }
 
 const defaultSettings = {
+    llmProvider: 'groq',
     groqModel: 'mixtral-8x7b-32768',
     modelParams: {
         temperature: 0.7,
@@ -105,28 +106,11 @@ const defaultSettings = {
     }
 };
 
-const modelConfigs = {
-    'mixtral-8x7b-32768': {
-        temperature: 0.7,
-        max_completion_tokens: 1024,
-        top_p: 1
-    },
-    'deepseek-r1-distill-llama-70b': {
-        temperature: 0.7,
-        max_completion_tokens: 1024,
-        top_p: 1
-    },
-    'gemma2-9b-it': {
-        temperature: 1.0,
-        max_completion_tokens: 1024,
-        top_p: 1
-    },
-    'llama-3.3-70b-versatile': {
-        temperature: 1.0,
-        max_completion_tokens: 1024,
-        top_p: 1
-    }
-};
+// Model configs keyed by provider ID, then model ID. The provider registry in
+// src/utils/llm-providers.js is the single source of truth for these values.
+const modelConfigs = window.LovableAddons?.utils?.llm
+    ? window.LovableAddons.utils.llm.getModelConfigs()
+    : {};
 
 // Initialize settings
 const settings = new Settings();
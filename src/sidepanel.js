@@ -1,12 +1,19 @@
 // Side panel functionality for Lovable Add-ons
 
 document.addEventListener('DOMContentLoaded', () => {
-    const apiKeyInput = document.getElementById('groqApiKey');
-    const modelSelect = document.getElementById('groqModel');
+    const llm = window.LovableAddons.utils.llm;
+    const providerSelect = document.getElementById('llmProvider');
+    const baseUrlGroup = document.getElementById('llmBaseUrlGroup');
+    const baseUrlInput = document.getElementById('llmBaseUrl');
+    const apiKeyInput = document.getElementById('llmApiKey');
+    const modelSelect = document.getElementById('llmModel');
+    const customModelInput = document.getElementById('llmCustomModel');
     const saveButton = document.getElementById('saveSettings');
     const successMessage = document.getElementById('successMessage');
     const apiKeyError = document.getElementById('apiKeyError');
-
+    const CUSTOM_MODEL_OPTION = '__custom__';
+    let activeProviderId = llm.DEFAULT_PROVIDER;
+    let providerSettings = {};
     let existingApiKey = null;
 
     // SVG icons for the button states
@@ -50,20 +57,6 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
-    // Load saved settings
-    chrome.storage.sync.get(['groqApiKey', 'groqModel'], (result) => {
-        if (result.groqApiKey) {
-            existingApiKey = result.groqApiKey;
-            apiKeyInput.value = '••••••••';
-            updateButtonState(true);
-        } else {
-            updateButtonState(false);
-        }
-        if (result.groqModel) {
-            modelSelect.value = result.groqModel;
-        }
-    });
-
     // Function to show success message
     const showSuccessMessage = (message = 'Settings saved successfully') => {
         successMessage.textContent = message;
@@ -77,12 +70,75 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 2000);
     };
 
-    // Function to validate API key
-    const validateApiKey = (key) => {
-        if (!key) return 'Please enter an API key';
-        if (!key.startsWith('gsk_')) return 'Invalid API key format';
-        if (key.length < 8) return 'API key is too short';
-        return null;
+    // Settings saved for the provider currently shown in the form
+    const getSavedProviderSettings = () => providerSettings[activeProviderId] || {};
+
+    // Function to fill the model dropdown for a provider
+    const populateModels = (provider, selectedModel) => {
+        modelSelect.innerHTML = '';
+        Object.keys(provider.models).forEach(modelId => {
+            const option = document.createElement('option');
+            option.value = modelId;
+            option.textContent = provider.models[modelId].label || modelId;
+            modelSelect.appendChild(option);
+        });
+
+        if (provider.allowCustomModel) {
+            const customOption = document.createElement('option');
+            customOption.value = CUSTOM_MODEL_OPTION;
+            customOption.textContent = 'Custom model...';
+            modelSelect.appendChild(customOption);
+        }
+
+        const isCustomModel = provider.allowCustomModel && selectedModel && !provider.models[selectedModel];
+        modelSelect.value = isCustomModel ? CUSTOM_MODEL_OPTION : (provider.models[selectedModel] ? selectedModel : provider.defaultModel);
+        customModelInput.value = isCustomModel ? selectedModel : '';
+        customModelInput.hidden = !isCustomModel;
+    };
+
+    // Function to show the saved settings of the active provider
+    const renderProvider = () => {
+        const provider = llm.getProvider(activeProviderId);
+        const saved = getSavedProviderSettings();
+
+        providerSelect.value = provider.id;
+        existingApiKey = saved.apiKey || null;
+        apiKeyInput.value = existingApiKey ? '••••••••' : '';
+        apiKeyInput.placeholder = provider.requiresKey
+            ? `Enter ${provider.label} API key`
+            : 'Optional for local servers';
+        apiKeyInput.setAttribute('aria-required', provider.requiresKey ? 'true' : 'false');
+
+        baseUrlGroup.hidden = !provider.configurableBaseUrl;
+        baseUrlInput.placeholder = provider.defaultBaseUrl;
+        baseUrlInput.value = saved.baseUrl || provider.defaultBaseUrl;
+
+        populateModels(provider, saved.model || provider.defaultModel);
+        clearError();
+        updateButtonState(!!existingApiKey);
+    };
+
+    // Populate the provider dropdown
+    llm.getProviders().forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+    });
+
+    // Load saved settings
+    llm.loadSettings().then(({ providerId, providerSettings: saved }) => {
+        activeProviderId = providerId;
+        providerSettings = saved;
+        renderProvider();
+    });
+
+    // Function to read the model currently chosen in the form
+    const getSelectedModel = () => {
+        if (modelSelect.value === CUSTOM_MODEL_OPTION) {
+            return customModelInput.value.trim();
+        }
+        return modelSelect.value;
     };
 
     // Function to save settings
@@ -90,17 +146,21 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             clearError();
             const apiKeyToSave = newApiKey || (apiKeyInput.value === '••••••••' ? existingApiKey : apiKeyInput.value);
-
-            const error = validateApiKey(apiKeyToSave);
+            
+            const error = llm.validateApiKey(activeProviderId, apiKeyToSave);
             if (error) {
                 showError(error);
                 return;
             }
 
-            await chrome.storage.sync.set({
-                groqApiKey: apiKeyToSave,
-                groqModel: modelSelect.value
-            });
+            const provider = llm.getProvider(activeProviderId);
+            providerSettings[activeProviderId] = {
+                apiKey: apiKeyToSave || '',
+                model: getSelectedModel() || provider.defaultModel,
+                baseUrl: provider.configurableBaseUrl ? baseUrlInput.value.trim() : ''
+            };
+
+            await llm.saveSettings(activeProviderId, providerSettings);
 
             showSuccessMessage();
 
@@ -119,7 +179,12 @@ document.addEventListener('DOMContentLoaded', () => {
     const removeApiKey = async () => {
         try {
             clearError();
-            await chrome.storage.sync.remove('groqApiKey');
+            providerSettings[activeProviderId] = Object.assign({}, getSavedProviderSettings(), { apiKey: '' });
+            await llm.saveSettings(activeProviderId, providerSettings);
+            if (activeProviderId === 'groq') {
+                // Also drop the key saved before providers existed
+                await chrome.storage.sync.remove('groqApiKey');
+            }
             existingApiKey = null;
             apiKeyInput.value = '';
             updateButtonState(false);
@@ -130,13 +195,35 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // Auto-save whenever a setting other than the key changes
+    const autoSave = () => {
+        if (existingApiKey || !llm.getProvider(activeProviderId).requiresKey) {
+            saveSettings();
+        }
+    };
+
+    // Switch the form to another provider
+    providerSelect.addEventListener('change', () => {
+        activeProviderId = providerSelect.value;
+        renderProvider();
+        llm.saveSettings(activeProviderId, providerSettings).catch(error => {
+            console.error('Error saving provider:', error);
+        });
+    });
+
     // Auto-save when model is changed
     modelSelect.addEventListener('change', () => {
-        if (existingApiKey) {
-            saveSettings();
+        customModelInput.hidden = modelSelect.value !== CUSTOM_MODEL_OPTION;
+        if (!customModelInput.hidden) {
+            customModelInput.focus();
+            return;
         }
+        autoSave();
     });
 
+    customModelInput.addEventListener('change', autoSave);
+    baseUrlInput.addEventListener('change', autoSave);
+
     // Handle save/remove button click
     saveButton.addEventListener('click', () => {
         if (saveButton.classList.contains('remove')) {
@@ -176,4 +263,199 @@ document.addEventListener('DOMContentLoaded', () => {
         const hasValue = apiKeyInput.value.length > 0 && apiKeyInput.value !== '••••••••';
         updateButtonState(hasValue ? false : !!existingApiKey);
     });
+
+    // Queue completion detection settings (read by the prompt queue on lovable.dev)
+    const COMPLETION_STORAGE_KEY = 'lovable_queue_completion';
+    const DEFAULT_COMPLETION_STRATEGIES = ['stopButton', 'streamingIndicator', 'finalMessage', 'buildStatus'];
+    const DEFAULT_COMPLETION_TIMEOUT_MINUTES = 10;
+    const strategyInputs = document.querySelectorAll('input[name="completionStrategy"]');
+    const completionTimeoutInput = document.getElementById('completionTimeout');
+
+    chrome.storage.sync.get([COMPLETION_STORAGE_KEY], (result) => {
+        const saved = result[COMPLETION_STORAGE_KEY] || {};
+        const strategies = saved.strategies || DEFAULT_COMPLETION_STRATEGIES;
+        strategyInputs.forEach(input => {
+            input.checked = strategies.includes(input.value);
+        });
+        completionTimeoutInput.value = saved.timeoutMs
+            ? Math.round(saved.timeoutMs / 60000)
+            : DEFAULT_COMPLETION_TIMEOUT_MINUTES;
+    });
+
+    const saveCompletionSettings = () => {
+        const minutes = Math.min(60, Math.max(1, parseInt(completionTimeoutInput.value, 10) || DEFAULT_COMPLETION_TIMEOUT_MINUTES));
+        completionTimeoutInput.value = minutes;
+        chrome.storage.sync.get([COMPLETION_STORAGE_KEY], (result) => {
+            const settings = Object.assign({}, result[COMPLETION_STORAGE_KEY], {
+                strategies: Array.from(strategyInputs).filter(input => input.checked).map(input => input.value),
+                timeoutMs: minutes * 60000
+            });
+            chrome.storage.sync.set({ [COMPLETION_STORAGE_KEY]: settings }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error('Error saving queue settings:', chrome.runtime.lastError);
+                    return;
+                }
+                showSuccessMessage('Queue settings saved');
+            });
+        });
+    };
+
+    strategyInputs.forEach(input => input.addEventListener('change', saveCompletionSettings));
+    completionTimeoutInput.addEventListener('change', saveCompletionSettings);
+
+    // Chat search over the messages indexed while browsing lovable.dev
+    const chatIndex = window.LovableAddons.utils.chatIndex;
+    const promptSearch = window.LovableAddons.utils.promptSearch;
+    const CHAT_SEARCH_SETTINGS_KEY = 'lovable_chat_search';
+    const CHAT_SEARCH_TARGET_KEY = 'lovable_chat_search_target';
+    const CHAT_SEARCH_ROLE_LABELS = { user: 'You', assistant: 'Lovable' };
+    const chatSearchInput = document.getElementById('chatSearchInput');
+    const chatSearchProject = document.getElementById('chatSearchProject');
+    const chatSearchResults = document.getElementById('chatSearchResults');
+    const chatSearchStats = document.getElementById('chatSearchStats');
+    const chatSearchClear = document.getElementById('chatSearchClear');
+    const chatSearchEnabled = document.getElementById('chatSearchEnabled');
+    let chatSearchTimer = null;
+    // Incremented per search so a slow earlier search can't overwrite newer results
+    let chatSearchRun = 0;
+
+    // Function to show how much is indexed and refresh the project filter
+    const refreshChatIndexInfo = async () => {
+        const [stats, projects] = await Promise.all([chatIndex.getStats(), chatIndex.getProjects()]);
+        chatSearchStats.textContent = `${stats.messages} message${stats.messages !== 1 ? 's' : ''} from ${stats.projects} project${stats.projects !== 1 ? 's' : ''} indexed`;
+
+        const selected = chatSearchProject.value;
+        chatSearchProject.length = 1;
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.id;
+            option.textContent = project.name;
+            chatSearchProject.appendChild(option);
+        });
+        chatSearchProject.value = projects.some(project => project.id === selected) ? selected : '';
+    };
+
+    // Function to open a result's project and scroll to the message there
+    const openChatSearchResult = async ({ message, project }) => {
+        // The content script on the project page picks this up and scrolls to the message
+        await chrome.storage.local.set({
+            [CHAT_SEARCH_TARGET_KEY]: {
+                projectId: message.projectId,
+                messageId: message.id,
+                text: message.text.slice(0, 200),
+                requestedAt: Date.now()
+            }
+        });
+
+        const [tab] = await chrome.tabs.query({ url: `*://*.lovable.dev/projects/${message.projectId}*` });
+        if (tab) {
+            await chrome.tabs.update(tab.id, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+        } else {
+            const origin = project ? new URL(project.url).origin : 'https://lovable.dev';
+            await chrome.tabs.create({ url: `${origin}/projects/${message.projectId}` });
+        }
+    };
+
+    // Function to render search results with highlighted snippets
+    const renderChatSearchResults = (query, results) => {
+        chatSearchResults.innerHTML = '';
+        if (!query) return;
+
+        if (results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'chat-search-empty';
+            empty.textContent = 'No messages match. Only chats you have opened since installing are indexed.';
+            chatSearchResults.appendChild(empty);
+            return;
+        }
+
+        results.forEach(result => {
+            const { message, project } = result;
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'chat-search-result';
+
+            const date = new Date(message.timestamp || message.capturedAt);
+            const meta = document.createElement('div');
+            meta.className = 'chat-search-meta';
+            meta.textContent = [
+                project ? project.name : message.projectId,
+                CHAT_SEARCH_ROLE_LABELS[message.role] || message.role,
+                isNaN(date.getTime()) ? '' : date.toLocaleDateString()
+            ].filter(Boolean).join(' · ');
+
+            const preview = promptSearch.snippet(message.text, result.ranges, 160);
+            const snippet = document.createElement('div');
+            snippet.className = 'chat-search-snippet';
+            snippet.appendChild(promptSearch.highlight(preview.text, preview.ranges));
+
+            button.appendChild(meta);
+            button.appendChild(snippet);
+            button.addEventListener('click', () => {
+                openChatSearchResult(result).catch(error => {
+                    console.error('Error opening chat search result:', error);
+                });
+            });
+            item.appendChild(button);
+            chatSearchResults.appendChild(item);
+        });
+    };
+
+    // Function to search the index for the current query and project
+    const runChatSearch = async () => {
+        const run = ++chatSearchRun;
+        const query = chatSearchInput.value.trim();
+        try {
+            const results = query
+                ? await chatIndex.search(query, { projectId: chatSearchProject.value || undefined })
+                : [];
+            if (run === chatSearchRun) {
+                renderChatSearchResults(query, results);
+            }
+        } catch (error) {
+            console.error('Error searching chats:', error);
+        }
+    };
+
+    chatSearchInput.addEventListener('input', () => {
+        clearTimeout(chatSearchTimer);
+        chatSearchTimer = setTimeout(runChatSearch, 150);
+    });
+    chatSearchProject.addEventListener('change', runChatSearch);
+
+    chatSearchClear.addEventListener('click', async () => {
+        if (!confirm('Delete all indexed chat messages? Chats are indexed again as you open them.')) return;
+        try {
+            await chatIndex.clear();
+            await refreshChatIndexInfo();
+            renderChatSearchResults(chatSearchInput.value.trim(), []);
+            showSuccessMessage('Chat index cleared');
+        } catch (error) {
+            console.error('Error clearing chat index:', error);
+        }
+    });
+
+    chrome.storage.sync.get([CHAT_SEARCH_SETTINGS_KEY], (result) => {
+        chatSearchEnabled.checked = !result[CHAT_SEARCH_SETTINGS_KEY] || result[CHAT_SEARCH_SETTINGS_KEY].enabled !== false;
+    });
+
+    chatSearchEnabled.addEventListener('change', () => {
+        chrome.storage.sync.set({ [CHAT_SEARCH_SETTINGS_KEY]: { enabled: chatSearchEnabled.checked } }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving chat search settings:', chrome.runtime.lastError);
+                return;
+            }
+            showSuccessMessage(chatSearchEnabled.checked ? 'Chat indexing turned on' : 'Chat indexing turned off');
+        });
+    });
+
+    // The index grows while the panel is open, so refresh whenever it is shown again
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            refreshChatIndexInfo().catch(error => console.error('Error reading chat index:', error));
+        }
+    });
+    refreshChatIndexInfo().catch(error => console.error('Error reading chat index:', error));
 });
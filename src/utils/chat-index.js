@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Chat search index for Lovable Add-ons Chrome extension.
+ * Stores chat messages captured on lovable.dev in IndexedDB with a word
+ * index, and runs ranked full-text searches over them. The database lives
+ * in the extension's origin: the background service worker writes to it and
+ * the side panel searches it. Content scripts only use getMessageId().
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  const DB_NAME = 'lovable-addons-chat-index';
+  // Version 2 added the capturedAt index
+  const DB_VERSION = 2;
+
+  const STORES = {
+    MESSAGES: 'messages',
+    PROJECTS: 'projects'
+  };
+
+  // Word characters, so "row-level" indexes as "row" and "level"
+  const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+  const MIN_TOKEN_LENGTH = 2;
+  const MAX_TOKEN_LENGTH = 40;
+
+  // Candidates loaded and scored per search; the most recently captured are
+  // kept when a term is very common
+  const MAX_CANDIDATES = 1000;
+
+  const DEFAULT_LIMIT = 50;
+
+  let dbPromise = null;
+
+  /**
+   * Wraps an IndexedDB request in a promise
+   * @param {IDBRequest} request - Request
+   * @returns {Promise<*>} The request's result
+   * @private
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Waits for a transaction to commit
+   * @param {IDBTransaction} transaction - Transaction
+   * @returns {Promise<void>}
+   * @private
+   */
+  function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+  }
+
+  /**
+   * Opens the database, creating its stores on first use
+   * @returns {Promise<IDBDatabase>} The database
+   * @private
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            const messages = db.createObjectStore(STORES.MESSAGES, { keyPath: 'id' });
+            messages.createIndex('tokens', 'tokens', { multiEntry: true });
+            messages.createIndex('projectId', 'projectId');
+            db.createObjectStore(STORES.PROJECTS, { keyPath: 'id' });
+          }
+          if (event.oldVersion < 2) {
+            request.transaction.objectStore(STORES.MESSAGES).createIndex('capturedAt', 'capturedAt');
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version of the extension upgrade the database
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Hashes text to 8 hex digits (FNV-1a)
+   * @param {string} text - Text
+   * @param {number} seed - Offset basis
+   * @returns {string} Hash
+   * @private
+   */
+  function hash(text, seed) {
+    let value = seed;
+    for (let i = 0; i < text.length; i++) {
+      value ^= text.charCodeAt(i);
+      value = Math.imul(value, 0x01000193);
+    }
+    return (value >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Gets when a message was written, falling back to when it was captured
+   * @param {Object} message - Stored message
+   * @returns {number} Milliseconds since the epoch
+   * @private
+   */
+  function getMessageTime(message) {
+    const written = Date.parse(message.timestamp);
+    return isNaN(written) ? Date.parse(message.capturedAt) : written;
+  }
+
+  /**
+   * Picks the most recently captured of a set of message keys. Walks the
+   * capturedAt index newest first reading keys only, so no message is loaded.
+   * @param {IDBObjectStore} store - Messages store
+   * @param {Set<string>} keys - Candidate message keys
+   * @param {number} limit - Most keys to keep
+   * @returns {Promise<Array<string>>} Up to limit keys, newest first
+   * @private
+   */
+  function pickRecentKeys(store, keys, limit) {
+    return new Promise((resolve, reject) => {
+      const picked = [];
+      const request = store.index('capturedAt').openKeyCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(picked);
+          return;
+        }
+        if (keys.has(cursor.primaryKey)) picked.push(cursor.primaryKey);
+        if (picked.length >= limit) {
+          resolve(picked);
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Finds where query terms start words in a message
+   * @param {string} text - Message text
+   * @param {Array<string>} terms - Lower-case query terms
+   * @returns {{ranges: Array<Array<number>>, exact: number, counts: Array<number>}} Matched ranges,
+   *   how many terms match a whole word, and the number of hits per term
+   * @private
+   */
+  function matchTerms(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    const counts = terms.map(() => 0);
+    const exactTerms = new Set();
+
+    for (const match of lower.matchAll(WORD_PATTERN)) {
+      terms.forEach((term, index) => {
+        if (!match[0].startsWith(term)) return;
+        ranges.push([match.index, match.index + term.length]);
+        counts[index]++;
+        if (match[0].length === term.length) exactTerms.add(index);
+      });
+    }
+
+    return { ranges, exact: exactTerms.size, counts };
+  }
+
+  /**
+   * Chat search index
+   * @namespace LovableAddons.utils.chatIndex
+   */
+  const chatIndex = {
+    /**
+     * Splits text into unique lower-case index terms
+     * @param {string} text - Text
+     * @returns {Array<string>} Terms
+     */
+    tokenize: function(text) {
+      const tokens = new Set();
+      for (const match of String(text).toLowerCase().matchAll(WORD_PATTERN)) {
+        const token = match[0];
+        if (token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH) {
+          tokens.add(token);
+        }
+      }
+      return Array.from(tokens);
+    },
+
+    /**
+     * Identifies a message within a project by its author and text, so the
+     * same message captured twice is stored once and can be found on the page
+     * @param {string} projectId - Lovable project ID
+     * @param {string} role - 'user' or 'assistant'
+     * @param {string} text - Message text
+     * @returns {string} Message ID
+     */
+    getMessageId: function(projectId, role, text) {
+      const content = `${role}\n${text}`;
+      return `${projectId}:${hash(content, 0x811c9dc5)}${hash(content, 0x050c5d1f)}`;
+    },
+
+    /**
+     * Adds messages to the index, skipping ones that are already stored
+     * @param {{id: string, name: string, url: string}} project - Project from chatLog.getProjectInfo()
+     * @param {Array<{role: string, text: string, timestamp: string|null, replaces?: string}>} messages - Messages;
+     *   `replaces` is the ID of an earlier version of the message to remove, e.g. a reply captured mid-stream
+     * @returns {Promise<number>} Number of new messages
+     */
+    addMessages: async function(project, messages) {
+      const db = await openDatabase();
+      const transaction = db.transaction([STORES.MESSAGES, STORES.PROJECTS], 'readwrite');
+      const store = transaction.objectStore(STORES.MESSAGES);
+      const capturedAt = new Date().toISOString();
+      let added = 0;
+
+      transaction.objectStore(STORES.PROJECTS).put({
+        id: project.id,
+        name: project.name,
+        url: project.url,
+        lastSeen: capturedAt
+      });
+
+      messages.forEach(message => {
+        const id = this.getMessageId(project.id, message.role, message.text);
+        if (message.replaces && message.replaces !== id) {
+          store.delete(message.replaces);
+        }
+
+        store.getKey(id).onsuccess = (event) => {
+          if (event.target.result !== undefined) return;
+          store.put({
+            id,
+            projectId: project.id,
+            role: message.role,
+            text: message.text,
+            timestamp: message.timestamp || null,
+            capturedAt,
+            tokens: this.tokenize(message.text)
+          });
+          added++;
+        };
+      });
+
+      await transactionDone(transaction);
+      return added;
+    },
+
+    /**
+     * Searches the index. Every query word must start a word in the message;
+     * results rank whole-word hits, repeated hits, the exact phrase and recent
+     * messages higher.
+     * @param {string} query - Search text
+     * @param {Object} [options]
+     * @param {string} [options.projectId] - Only search this project
+     * @param {number} [options.limit=50] - Maximum number of results
+     * @returns {Promise<Array<{message: Object, project: Object|null, score: number, ranges: Array<Array<number>>}>>}
+     *   Results, best first; ranges are [start, end) offsets into message.text
+     */
+    search: async function(query, options = {}) {
+      const terms = this.tokenize(query);
+      if (terms.length === 0) return [];
+
+      const db = await openDatabase();
+      const transaction = db.transaction([STORES.MESSAGES, STORES.PROJECTS], 'readonly');
+      const store = transaction.objectStore(STORES.MESSAGES);
+      const tokens = store.index('tokens');
+
+      // Messages containing a word that starts with every term
+      const keySets = await Promise.all(terms.map(term =>
+        promisify(tokens.getAllKeys(IDBKeyRange.bound(term, `${term}\uffff`)))
+      ));
+      keySets.sort((a, b) => a.length - b.length);
+      const others = keySets.slice(1).map(keys => new Set(keys));
+      let candidates = Array.from(new Set(keySets[0]))
+        .filter(key => others.every(keys => keys.has(key)))
+        .filter(key => !options.projectId || key.startsWith(`${options.projectId}:`));
+
+      // Cap before loading, so a very common term doesn't read the whole store
+      if (candidates.length > MAX_CANDIDATES) {
+        candidates = await pickRecentKeys(store, new Set(candidates), MAX_CANDIDATES);
+      }
+
+      const [messages, projects] = await Promise.all([
+        Promise.all(candidates.map(key => promisify(store.get(key)))),
+        promisify(transaction.objectStore(STORES.PROJECTS).getAll())
+      ]);
+      const projectsById = new Map(projects.map(project => [project.id, project]));
+
+      const phrase = query.trim().toLowerCase();
+      const now = Date.now();
+      const results = messages
+        .filter(Boolean)
+        .map(message => {
+          const { ranges, exact, counts } = matchTerms(message.text, terms);
+          const ageDays = (now - getMessageTime(message)) / 86400000;
+          const score = counts.reduce((sum, count) => sum + Math.log2(1 + count), 0)
+            + exact
+            + (terms.length > 1 && message.text.toLowerCase().includes(phrase) ? 2 : 0)
+            + 1 / (1 + Math.max(0, ageDays) / 30);
+          return {
+            message,
+            project: projectsById.get(message.projectId) || null,
+            score,
+            ranges
+          };
+        });
+
+      results.sort((a, b) => b.score - a.score);
+      return results.slice(0, options.limit || DEFAULT_LIMIT);
+    },
+
+    /**
+     * Lists the projects that have indexed messages
+     * @returns {Promise<Array<{id: string, name: string, url: string, lastSeen: string}>>} Projects, most recently seen first
+     */
+    getProjects: async function() {
+      const db = await openDatabase();
+      const projects = await promisify(db.transaction(STORES.PROJECTS, 'readonly').objectStore(STORES.PROJECTS).getAll());
+      return projects.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    },
+
+    /**
+     * Counts what is indexed
+     * @returns {Promise<{messages: number, projects: number}>} Counts
+     */
+    getStats: async function() {
+      const db = await openDatabase();
+      const transaction = db.transaction([STORES.MESSAGES, STORES.PROJECTS], 'readonly');
+      const [messages, projects] = await Promise.all([
+        promisify(transaction.objectStore(STORES.MESSAGES).count()),
+        promisify(transaction.objectStore(STORES.PROJECTS).count())
+      ]);
+      return { messages, projects };
+    },
+
+    /**
+     * Deletes every indexed message and project
+     * @returns {Promise<void>}
+     */
+    clear: async function() {
+      const db = await openDatabase();
+      const transaction = db.transaction([STORES.MESSAGES, STORES.PROJECTS], 'readwrite');
+      transaction.objectStore(STORES.MESSAGES).clear();
+      transaction.objectStore(STORES.PROJECTS).clear();
+      await transactionDone(transaction);
+    }
+  };
+
+  LovableAddons.registerUtility('chatIndex', chatIndex);
+})();
@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Chat log utilities for Lovable Add-ons Chrome extension.
+ * Finds the messages in Lovable's chat history (`div[role="log"]`), tells
+ * the user's messages apart from the assistant's replies, parses them into
+ * text and code blocks, and scrolls the log to load the full history.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  const SELECTORS = {
+    log: 'div[role="log"]',
+    // Explicit author markers, checked on the message and its descendants
+    userMarker: '[data-message-author-role="user"], [data-role="user"], [data-sender="user"], .user-message',
+    assistantMarker: '[data-message-author-role="assistant"], [data-role="assistant"], [data-sender="assistant"], .assistant-message',
+    // Lovable right-aligns the user's bubbles
+    userAlignment: '.justify-end, .ml-auto, .self-end, .items-end',
+    // Controls the extension adds to messages, left out of their text
+    addonControls: '[data-lovable-addon]',
+    // Message parts that are UI rather than content
+    skippedContent: 'button, svg, script, style, time, [data-lovable-addon]'
+  };
+
+  // Elements that start a new line in the parsed text
+  const BLOCK_TAGS = ['P', 'DIV', 'LI', 'UL', 'OL', 'BLOCKQUOTE', 'TABLE', 'TR', 'SECTION', 'ARTICLE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR'];
+
+  // Scrolling to the top until the log stops growing this many times in a row
+  const STABLE_ROUNDS = 2;
+
+  // Upper bound on scroll steps, so a log that never settles can't loop forever
+  const MAX_SCROLL_ROUNDS = 200;
+
+  // How long to wait for Lovable to render older messages after a scroll
+  const LOAD_WAIT_MS = 1500;
+
+  // Quiet time after the last change before a load counts as finished
+  const SETTLE_MS = 300;
+
+  // Stable IDs for message elements, used to merge snapshots of a virtualized log
+  const elementIds = new WeakMap();
+  let nextElementId = 1;
+
+  /**
+   * Gets the language of a code block from its `language-*` class
+   * @param {HTMLElement} code - `<code>` or `<pre>` element
+   * @returns {string} Language, or '' when unknown
+   * @private
+   */
+  function detectLanguage(code) {
+    const match = `${code.className} ${code.parentElement ? code.parentElement.className : ''}`.match(/\b(?:language|lang)-([\w+#-]+)/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Splits a message element into text and code blocks
+   * @param {HTMLElement} root - Message element
+   * @returns {Array<{type: string, text: string, language?: string}>} Blocks in order
+   * @private
+   */
+  function collectBlocks(root) {
+    const blocks = [];
+    let text = '';
+
+    const flush = () => {
+      const value = text.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+      if (value) blocks.push({ type: 'text', text: value });
+      text = '';
+    };
+    const newLine = () => {
+      if (text && !text.endsWith('\n')) text += '\n';
+    };
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.nodeValue.replace(/\s+/g, ' ');
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SELECTORS.skippedContent)) return;
+
+      if (node.tagName === 'PRE') {
+        flush();
+        const code = node.querySelector('code') || node;
+        blocks.push({ type: 'code', language: detectLanguage(code), text: code.textContent.replace(/\n$/, '') });
+        return;
+      }
+      if (node.tagName === 'BR') {
+        text += '\n';
+        return;
+      }
+      if (node.tagName === 'CODE') {
+        text += `\`${node.textContent}\``;
+        return;
+      }
+
+      const isBlock = BLOCK_TAGS.includes(node.tagName);
+      if (isBlock) newLine();
+      if (node.tagName === 'LI') text += '- ';
+      node.childNodes.forEach(walk);
+      if (isBlock) newLine();
+      // Paragraphs and headings are separated by a blank line
+      if (node.tagName === 'P' || /^H\d$/.test(node.tagName)) text += '\n';
+    };
+
+    walk(root);
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Finds the element that scrolls the chat log
+   * @param {HTMLElement} log - Chat log
+   * @returns {HTMLElement} The log, a scrolling ancestor, or the document scroller
+   * @private
+   */
+  function findScroller(log) {
+    for (let element = log; element && element !== document.body; element = element.parentElement) {
+      const overflowY = getComputedStyle(element).overflowY;
+      if (/(auto|scroll)/.test(overflowY) && element.scrollHeight > element.clientHeight) {
+        return element;
+      }
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+
+  /**
+   * Waits until the log changes and then stays quiet, or until the timeout
+   * @param {HTMLElement} log - Chat log
+   * @param {number} timeoutMs - Longest wait
+   * @returns {Promise<boolean>} Whether anything changed
+   * @private
+   */
+  function waitForChanges(log, timeoutMs) {
+    return new Promise(resolve => {
+      let changed = false;
+      let settleTimer = null;
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(timeoutTimer);
+        clearTimeout(settleTimer);
+        resolve(changed);
+      };
+      const observer = new MutationObserver(() => {
+        changed = true;
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(finish, SETTLE_MS);
+      });
+      const timeoutTimer = setTimeout(finish, timeoutMs);
+      observer.observe(log, { childList: true, subtree: true, characterData: true });
+    });
+  }
+
+  /**
+   * Identifies a message across snapshots: an explicit ID when Lovable sets
+   * one, otherwise the element together with its text
+   * @param {HTMLElement} element - Message element
+   * @param {string} text - Message text
+   * @returns {string} Key
+   * @private
+   */
+  function getMessageKey(element, text) {
+    const explicitId = element.dataset.messageId || element.id;
+    if (explicitId) return `id:${explicitId}`;
+    if (!elementIds.has(element)) {
+      elementIds.set(element, nextElementId++);
+    }
+    return `el:${elementIds.get(element)}:${text}`;
+  }
+
+  /**
+   * Chat log utilities
+   * @namespace LovableAddons.utils.chatLog
+   */
+  const chatLog = {
+    SELECTORS,
+
+    /**
+     * Finds the chat history element
+     * @returns {HTMLElement|null} The chat log, or null when no chat is open
+     */
+    findLog: function() {
+      return document.querySelector(SELECTORS.log);
+    },
+
+    /**
+     * Works out who wrote a message
+     * @param {HTMLElement} element - A direct child of the chat log
+     * @returns {'user'|'assistant'} The author
+     */
+    getRole: function(element) {
+      const marked = (selector) => element.matches(selector) || !!element.querySelector(selector);
+      if (marked(SELECTORS.userMarker)) return 'user';
+      if (marked(SELECTORS.assistantMarker)) return 'assistant';
+      return marked(SELECTORS.userAlignment) ? 'user' : 'assistant';
+    },
+
+    /**
+     * Reads the text of a message without any controls the extension added
+     * @param {HTMLElement} element - Message element
+     * @returns {string} Trimmed message text
+     */
+    getText: function(element) {
+      if (!element.querySelector(SELECTORS.addonControls)) {
+        return (element.innerText || element.textContent || '').trim();
+      }
+      // innerText keeps the line breaks between paragraphs, list items and
+      // <br>s but needs layout, so read the live element with the controls hidden
+      const controls = Array.from(element.querySelectorAll(SELECTORS.addonControls));
+      const displays = controls.map(control => control.style.display);
+      controls.forEach(control => { control.style.display = 'none'; });
+      const text = element.innerText;
+      controls.forEach((control, index) => { control.style.display = displays[index]; });
+      if (text) return text.trim();
+
+      // Not rendered (no layout): rebuild the lines from the parsed blocks
+      return collectBlocks(element).map(block => block.text).join('\n\n').trim();
+    },
+
+    /**
+     * Parses a message into its author, text and code blocks and timestamp
+     * @param {HTMLElement} element - A direct child of the chat log
+     * @returns {{role: string, text: string, blocks: Array<Object>, timestamp: string|null}} Parsed message;
+     *   the timestamp is ISO 8601 when the page shows a parseable `<time>`
+     */
+    parseMessage: function(element) {
+      const time = element.querySelector('time');
+      let timestamp = null;
+      if (time) {
+        const raw = time.getAttribute('datetime') || time.textContent.trim();
+        const parsed = new Date(raw);
+        timestamp = isNaN(parsed.getTime()) ? raw || null : parsed.toISOString();
+      }
+
+      return {
+        role: this.getRole(element),
+        text: this.getText(element),
+        blocks: collectBlocks(element),
+        timestamp
+      };
+    },
+
+    /**
+     * Describes the open project for transcript metadata
+     * @returns {{id: string|null, name: string, url: string}} Project ID from the URL and name from the page title
+     */
+    getProjectInfo: function() {
+      const match = window.location.pathname.match(/\/projects\/([^/?#]+)/);
+      const id = match ? match[1] : null;
+      const name = document.title.replace(/\s*[-|–]\s*Lovable\s*$/i, '').trim();
+      return { id, name: name || id || 'Lovable project', url: window.location.href };
+    },
+
+    /**
+     * Loads and parses the whole conversation. Scrolls the log to the top until
+     * Lovable stops loading older messages, then back down collecting every
+     * message, so lists that only render what's on screen are covered too.
+     * The original scroll position is restored afterwards.
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.log] - Chat log; found on the page when omitted
+     * @param {Function} [options.onProgress] - Called with `{ phase: 'loading'|'collecting', count }`
+     * @param {AbortSignal} [options.signal] - Stops loading with an AbortError
+     * @returns {Promise<Array<Object>>} Parsed messages from parseMessage(), oldest first
+     */
+    loadAll: async function(options = {}) {
+      const log = options.log || this.findLog();
+      if (!log) return [];
+
+      const onProgress = options.onProgress || (() => {});
+      const checkAborted = () => {
+        if (options.signal && options.signal.aborted) {
+          throw new DOMException('Chat export cancelled', 'AbortError');
+        }
+      };
+
+      const scroller = findScroller(log);
+      const distanceFromBottom = scroller.scrollHeight - scroller.scrollTop;
+
+      try {
+        // Load older messages until the log stops growing
+        let stableRounds = 0;
+        for (let round = 0; round < MAX_SCROLL_ROUNDS && stableRounds < STABLE_ROUNDS; round++) {
+          checkAborted();
+          const height = scroller.scrollHeight;
+          const first = log.firstElementChild;
+          scroller.scrollTop = 0;
+          await waitForChanges(log, LOAD_WAIT_MS);
+
+          const grew = scroller.scrollHeight !== height || log.firstElementChild !== first;
+          stableRounds = grew ? 0 : stableRounds + 1;
+          onProgress({ phase: 'loading', count: log.children.length });
+        }
+
+        // Walk back down, merging what is rendered at each position
+        const collected = [];
+        const seen = new Map();
+        for (let round = 0; round < MAX_SCROLL_ROUNDS; round++) {
+          checkAborted();
+          let previous = -1;
+          Array.from(log.children).forEach(element => {
+            const message = this.parseMessage(element);
+            if (!message.text) return;
+
+            const key = getMessageKey(element, message.text);
+            if (seen.has(key)) {
+              previous = collected.indexOf(seen.get(key));
+              return;
+            }
+            seen.set(key, message);
+            collected.splice(previous + 1, 0, message);
+            previous++;
+          });
+          onProgress({ phase: 'collecting', count: collected.length });
+
+          if (scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2) break;
+          scroller.scrollTop += Math.max(100, scroller.clientHeight * 0.8);
+          await waitForChanges(log, SETTLE_MS);
+        }
+
+        return collected;
+      } finally {
+        scroller.scrollTop = scroller.scrollHeight - distanceFromBottom;
+      }
+    },
+
+    /**
+     * Finds a message, scrolling up through older history until it is rendered.
+     * The log is left scrolled to where the message was found.
+     * @param {Function} predicate - Called with each message element; return true for the one wanted
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.log] - Chat log; found on the page when omitted
+     * @param {AbortSignal} [options.signal] - Stops searching with an AbortError
+     * @returns {Promise<HTMLElement|null>} The message element, or null when the history has no match
+     */
+    findMessage: async function(predicate, options = {}) {
+      const log = options.log || this.findLog();
+      if (!log) return null;
+
+      const find = () => Array.from(log.children).find(predicate) || null;
+      let element = find();
+      if (element) return element;
+
+      const scroller = findScroller(log);
+      let stableRounds = 0;
+      for (let round = 0; round < MAX_SCROLL_ROUNDS && stableRounds < STABLE_ROUNDS; round++) {
+        if (options.signal && options.signal.aborted) {
+          throw new DOMException('Message search cancelled', 'AbortError');
+        }
+        const height = scroller.scrollHeight;
+        const first = log.firstElementChild;
+        const atTop = scroller.scrollTop === 0;
+        scroller.scrollTop = Math.max(0, scroller.scrollTop - Math.max(100, scroller.clientHeight * 0.8));
+        await waitForChanges(log, scroller.scrollTop === 0 ? LOAD_WAIT_MS : SETTLE_MS);
+
+        element = find();
+        if (element) return element;
+
+        const grew = scroller.scrollHeight !== height || log.firstElementChild !== first;
+        stableRounds = atTop && !grew ? stableRounds + 1 : 0;
+      }
+      return null;
+    },
+
+    /**
+     * Lists the messages currently rendered in the chat log, oldest first
+     * @param {HTMLElement} [log] - Chat log; found on the page when omitted
+     * @returns {Array<{element: HTMLElement, role: string, text: string}>} Messages with text
+     */
+    getMessages: function(log = this.findLog()) {
+      if (!log) return [];
+
+      return Array.from(log.children)
+        .map(element => ({ element, role: this.getRole(element), text: this.getText(element) }))
+        .filter(message => message.text);
+    }
+  };
+
+  LovableAddons.registerUtility('chatLog', chatLog);
+})();
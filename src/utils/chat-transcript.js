@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Chat transcript utilities for Lovable Add-ons Chrome extension.
+ * Builds a versioned transcript from parsed chat messages and renders it as
+ * Markdown, JSON or a self-contained HTML page.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  const TRANSCRIPT_FORMAT = 'lovable-chat-transcript';
+  const TRANSCRIPT_VERSION = 1;
+
+  const ROLE_LABELS = { user: 'User', assistant: 'Lovable' };
+
+  /**
+   * Escapes text for HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   * @private
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Picks a Markdown code fence longer than any backtick run in the code
+   * @param {string} code - Code block text
+   * @returns {string} The fence
+   * @private
+   */
+  function fenceFor(code) {
+    const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longestRun + 1);
+  }
+
+  /**
+   * Formats an ISO timestamp for people, keeping unparseable values as they are
+   * @param {string|null} timestamp - Timestamp
+   * @returns {string} Local date and time, or ''
+   * @private
+   */
+  function formatTimestamp(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? timestamp : date.toLocaleString();
+  }
+
+  /**
+   * Chat transcript utilities
+   * @namespace LovableAddons.utils.chatTranscript
+   */
+  const chatTranscript = {
+    FORMAT: TRANSCRIPT_FORMAT,
+    VERSION: TRANSCRIPT_VERSION,
+
+    /**
+     * Creates a transcript
+     * @param {Array<Object>} messages - Messages from chatLog.parseMessage()
+     * @param {{id: string|null, name: string, url: string}} project - Project from chatLog.getProjectInfo()
+     * @returns {Object} The transcript
+     */
+    createTranscript: function(messages, project) {
+      return {
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        exportedAt: new Date().toISOString(),
+        project,
+        messageCount: messages.length,
+        messages: messages.map(message => ({
+          role: message.role,
+          timestamp: message.timestamp || null,
+          blocks: message.blocks
+        }))
+      };
+    },
+
+    /**
+     * Renders a transcript as JSON
+     * @param {Object} transcript - Transcript from createTranscript()
+     * @returns {string} Pretty-printed JSON
+     */
+    toJson: function(transcript) {
+      return JSON.stringify(transcript, null, 2);
+    },
+
+    /**
+     * Renders a transcript as Markdown
+     * @param {Object} transcript - Transcript from createTranscript()
+     * @returns {string} Markdown text
+     */
+    toMarkdown: function(transcript) {
+      const lines = [
+        `# ${transcript.project.name}`,
+        '',
+        `- Project: [${transcript.project.name}](${transcript.project.url})`,
+        `- Exported: ${formatTimestamp(transcript.exportedAt)}`,
+        `- Messages: ${transcript.messageCount}`,
+        ''
+      ];
+
+      transcript.messages.forEach(message => {
+        const time = formatTimestamp(message.timestamp);
+        lines.push('---', '', `## ${ROLE_LABELS[message.role] || message.role}${time ? ` · ${time}` : ''}`, '');
+        message.blocks.forEach(block => {
+          if (block.type === 'code') {
+            const fence = fenceFor(block.text);
+            lines.push(`${fence}${block.language || ''}`, block.text, fence, '');
+          } else {
+            lines.push(block.text, '');
+          }
+        });
+      });
+
+      return lines.join('\n');
+    },
+
+    /**
+     * Renders a transcript as a standalone HTML page with inline styles
+     * @param {Object} transcript - Transcript from createTranscript()
+     * @returns {string} HTML document
+     */
+    toHtml: function(transcript) {
+      const title = `${transcript.project.name} · Chat transcript`;
+      const messages = transcript.messages.map(message => {
+        const time = formatTimestamp(message.timestamp);
+        const blocks = message.blocks.map(block => block.type === 'code'
+          ? `<pre><code${block.language ? ` class="language-${escapeHtml(block.language)}"` : ''}>${escapeHtml(block.text)}</code></pre>`
+          : `<div class="text">${escapeHtml(block.text)}</div>`
+        ).join('\n');
+
+        return `<article class="message ${escapeHtml(message.role)}">
+<header><span class="role">${escapeHtml(ROLE_LABELS[message.role] || message.role)}</span>${time ? `<time${message.timestamp ? ` datetime="${escapeHtml(message.timestamp)}"` : ''}>${escapeHtml(time)}</time>` : ''}</header>
+${blocks}
+</article>`;
+      }).join('\n');
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="Lovable Add-ons">
+<title>${escapeHtml(title)}</title>
+<style>
+  :root { color-scheme: light dark; --bg: #fff; --fg: #18181b; --muted: #71717a; --border: #e4e4e7; --user: #f4f4f5; --code: #f4f4f5; }
+  @media (prefers-color-scheme: dark) {
+    :root { --bg: #18181b; --fg: #f4f4f5; --muted: #a1a1aa; --border: #3f3f46; --user: #27272a; --code: #0f0f11; }
+  }
+  body { margin: 0 auto; max-width: 860px; padding: 32px 16px; background: var(--bg); color: var(--fg); font: 15px/1.6 system-ui, -apple-system, sans-serif; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  .meta { margin: 0 0 24px; color: var(--muted); font-size: 13px; }
+  .meta a { color: inherit; }
+  .message { margin: 0 0 16px; padding: 12px 16px; border: 1px solid var(--border); border-radius: 10px; }
+  .message.user { background: var(--user); }
+  .message header { display: flex; justify-content: space-between; gap: 12px; margin-bottom: 6px; color: var(--muted); font-size: 12px; }
+  .message .role { font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; }
+  .text { white-space: pre-wrap; word-break: break-word; }
+  .text + .text, .text + pre, pre + .text { margin-top: 10px; }
+  pre { margin: 10px 0 0; padding: 12px; overflow-x: auto; background: var(--code); border: 1px solid var(--border); border-radius: 8px; font-size: 13px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(transcript.project.name)}</h1>
+<p class="meta"><a href="${escapeHtml(transcript.project.url)}">${escapeHtml(transcript.project.url)}</a> · Exported ${escapeHtml(formatTimestamp(transcript.exportedAt))} · ${transcript.messageCount} messages</p>
+${messages}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Suggests a download file name, e.g. `my-app-chat-2025-08-06.md`
+     * @param {Object} transcript - Transcript from createTranscript()
+     * @param {string} extension - File extension without the dot
+     * @returns {string} File name
+     */
+    getFilename: function(transcript, extension) {
+      const slug = transcript.project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'lovable';
+      return `${slug}-chat-${transcript.exportedAt.slice(0, 10)}.${extension}`;
+    }
+  };
+
+  LovableAddons.registerUtility('chatTranscript', chatTranscript);
+})();
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Token budget utilities for Lovable Add-ons Chrome extension.
+ * Estimates how many tokens a code context export takes and plans which
+ * files to keep, trim to their signatures or leave out so it fits a budget.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  // Tokens taken by a file's path and the markup around its content
+  const FILE_OVERHEAD_TOKENS = 12;
+
+  // Files above this size are trimmed to their signatures before any are dropped
+  const LARGE_FILE_TOKENS = 1500;
+
+  // Share of a file expected to remain after trimming, until the real size is known
+  const SIGNATURE_RATIO = 0.2;
+
+  // Test files, specs, fixtures and end-to-end suites
+  const TEST_PATH_PATTERN = /(^|\/)(__tests__|__mocks__|tests?|e2e|cypress|playwright)\/|\.(test|spec|e2e)\.[^/]+$|(^|\/)(test_[^/]+|[^/]+_test)\.py$/i;
+
+  // Files whose declarations can be pulled out line by line
+  const SCRIPT_EXTENSIONS = ['js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs', 'java', 'kt', 'swift', 'go', 'rs', 'php', 'cs', 'scala', 'dart'];
+  const PYTHON_EXTENSIONS = ['py'];
+
+  // Lines that declare something in C-like languages: imports, exports,
+  // functions, classes, types, arrow functions and method heads
+  const SCRIPT_SIGNATURE_PATTERN = new RegExp([
+    '^\\s*(import|export|package|use)\\b',
+    '^\\s*(pub\\s+)?(async\\s+)?(function|func|fn|def)\\b',
+    '^\\s*(public\\s+|private\\s+|protected\\s+|internal\\s+|abstract\\s+|sealed\\s+|data\\s+|open\\s+)*(class|interface|enum|struct|trait|impl|object|type)\\s+\\w',
+    '^\\s*(const|let|var)\\s+\\w+(\\s*:[^=]+)?\\s*=\\s*(async\\s+)?(\\([^)]*\\)|\\w+)\\s*(:\\s*[^=]+)?=>',
+    '^\\s*((public|private|protected|static|async|override|readonly|get|set)\\s+)*[A-Za-z_$][\\w$]*\\s*(<[^>]*>)?\\([^)]*\\)\\s*(:\\s*[^{;]+)?\\{\\s*$'
+  ].join('|'));
+
+  const PYTHON_SIGNATURE_PATTERN = /^\s*(import\b|from\s+\S+\s+import\b|(async\s+)?def\b|class\b|@)/;
+
+  // Control-flow lines that look like method heads
+  const CONTROL_FLOW_PATTERN = /^\s*(if|for|while|switch|catch|with|return|else)\b/;
+
+  /**
+   * Gets a path's lower-case extension
+   * @param {string} path - File path
+   * @returns {string} Extension without the dot, or ''
+   * @private
+   */
+  function getExtension(path) {
+    const name = path.split('/').pop();
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  }
+
+  /**
+   * Context budget utilities
+   * @namespace LovableAddons.utils.contextBudget
+   */
+  const contextBudget = {
+    LARGE_FILE_TOKENS,
+
+    /**
+     * Estimates tokens for text with llm.estimateTokens()
+     * @param {string} text - Text
+     * @returns {number} Estimated token count
+     */
+    estimateTokens: function(text) {
+      return LovableAddons.utils.llm.estimateTokens(text);
+    },
+
+    /**
+     * Estimates a file's tokens in an export from its size, before it is fetched
+     * @param {string} path - File path
+     * @param {number} size - Size in bytes, from the git tree
+     * @param {boolean} [contentIncluded=true] - False for binaries and files exported without content
+     * @returns {number} Estimated token count, including the path and markup
+     */
+    estimateFileTokens: function(path, size, contentIncluded = true) {
+      const content = contentIncluded ? Math.ceil((size || 0) / LovableAddons.utils.llm.CHARS_PER_TOKEN) : 0;
+      return content + this.estimateTokens(path) + FILE_OVERHEAD_TOKENS;
+    },
+
+    /**
+     * Tells whether a path is a test, spec or fixture file
+     * @param {string} path - File path
+     * @returns {boolean}
+     */
+    isTestPath: function(path) {
+      return TEST_PATH_PATTERN.test(path);
+    },
+
+    /**
+     * Tells whether a file can be trimmed to its signatures
+     * @param {string} path - File path
+     * @returns {boolean}
+     */
+    canTrim: function(path) {
+      const extension = getExtension(path);
+      return SCRIPT_EXTENSIONS.includes(extension) || PYTHON_EXTENSIONS.includes(extension);
+    },
+
+    /**
+     * Reduces source code to its imports, exports and declaration lines.
+     * Bodies are left out, and multi-line imports and exports are kept whole.
+     * @param {string} content - File content
+     * @param {string} path - File path, used to pick the language
+     * @returns {string} Signature lines
+     */
+    extractSignatures: function(content, path) {
+      const python = PYTHON_EXTENSIONS.includes(getExtension(path));
+      const pattern = python ? PYTHON_SIGNATURE_PATTERN : SCRIPT_SIGNATURE_PATTERN;
+      const lines = content.split(/\r?\n/);
+      const kept = [];
+
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (!pattern.test(line) || CONTROL_FLOW_PATTERN.test(line)) continue;
+
+        // Keep a multi-line import or export list up to its closing brace
+        if (!python && /^\s*(import\b[^;]*|export\s+(type\s+)?)\{[^}]*$/.test(line)) {
+          kept.push(line);
+          while (i + 1 < lines.length && !lines[i].includes('}')) {
+            kept.push(lines[++i]);
+          }
+          continue;
+        }
+
+        kept.push(!python && line.trimEnd().endsWith('{') ? `${line.trimEnd()} ... }` : line.trimEnd());
+      }
+
+      return kept.join('\n');
+    },
+
+    /**
+     * Plans an export that fits a token budget. While the total is over the
+     * budget it, in order: drops test files (largest first), trims large code
+     * files to their signatures, then drops files from the lowest priority up.
+     * With preferRecent, recently changed files have the highest priority and
+     * are trimmed and dropped last; otherwise the largest files go first.
+     * @param {Array<{path: string, tokens: number, signatureTokens?: number}>} files - Files with
+     *   estimated tokens; signatureTokens is the trimmed size when already known
+     * @param {Object} [options]
+     * @param {number} [options.maxTokens] - Budget; no limit when empty
+     * @param {boolean} [options.dropTests] - Drop test files first
+     * @param {boolean} [options.trimSignatures] - Trim large files to their signatures
+     * @param {boolean} [options.preferRecent] - Keep recently changed files longest
+     * @param {string[]} [options.recentFiles] - Recently changed paths, most recent first
+     * @returns {{files: Array<Object>, totalTokens: number, maxTokens: number, fits: boolean}} Plan; each
+     *   file gets `action` ('full', 'signatures' or 'drop'), `reason` and the `tokens` it will take
+     */
+    plan: function(files, options = {}) {
+      const maxTokens = options.maxTokens > 0 ? options.maxTokens : 0;
+      const recentRanks = new Map((options.recentFiles || []).map((path, index) => [path, index]));
+
+      const entries = files.map(file => ({
+        path: file.path,
+        fullTokens: file.tokens,
+        signatureTokens: file.signatureTokens,
+        tokens: file.tokens,
+        action: 'full',
+        reason: '',
+        recentRank: recentRanks.has(file.path) ? recentRanks.get(file.path) : null
+      }));
+      let totalTokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+      const overBudget = () => maxTokens > 0 && totalTokens > maxTokens;
+
+      // Lowest priority first: older changes before recent ones, then larger before smaller
+      const byPriority = (a, b) => {
+        if (options.preferRecent) {
+          const rankA = a.recentRank === null ? Infinity : a.recentRank;
+          const rankB = b.recentRank === null ? Infinity : b.recentRank;
+          if (rankA !== rankB) return rankB - rankA;
+        }
+        return b.tokens - a.tokens || a.path.localeCompare(b.path);
+      };
+
+      if (options.dropTests && overBudget()) {
+        entries
+          .filter(entry => this.isTestPath(entry.path))
+          .sort((a, b) => b.tokens - a.tokens)
+          .forEach(entry => {
+            if (!overBudget()) return;
+            totalTokens -= entry.tokens;
+            Object.assign(entry, { action: 'drop', reason: 'test', tokens: 0 });
+          });
+      }
+
+      if (options.trimSignatures && overBudget()) {
+        entries
+          .filter(entry => entry.action === 'full' && entry.fullTokens > LARGE_FILE_TOKENS && this.canTrim(entry.path))
+          .sort(byPriority)
+          .forEach(entry => {
+            if (!overBudget()) return;
+            const trimmed = entry.signatureTokens !== undefined
+              ? entry.signatureTokens
+              : Math.ceil(entry.fullTokens * SIGNATURE_RATIO);
+            if (trimmed >= entry.fullTokens) return;
+            totalTokens -= entry.fullTokens - trimmed;
+            Object.assign(entry, { action: 'signatures', reason: 'large file', tokens: trimmed });
+          });
+      }
+
+      if (overBudget()) {
+        entries
+          .filter(entry => entry.action !== 'drop')
+          .sort(byPriority)
+          .forEach(entry => {
+            if (!overBudget()) return;
+            totalTokens -= entry.tokens;
+            Object.assign(entry, { action: 'drop', reason: 'budget', tokens: 0 });
+          });
+      }
+
+      return {
+        files: entries.map(({ path, tokens, fullTokens, action, reason, recentRank }) => ({
+          path,
+          tokens,
+          fullTokens,
+          action,
+          reason,
+          recent: recentRank !== null
+        })),
+        totalTokens,
+        maxTokens,
+        fits: !maxTokens || totalTokens <= maxTokens
+      };
+    }
+  };
+
+  LovableAddons.registerUtility('contextBudget', contextBudget);
+})();
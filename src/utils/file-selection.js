@@ -0,0 +1,258 @@
+/**
+ * @fileoverview File selection utilities for Lovable Add-ons Chrome extension.
+ * Matches repository paths against glob patterns and builds the folder tree
+ * the code context popup uses to pick which files an export covers.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  // Compiled patterns, by pattern text
+  const compiledPatterns = new Map();
+
+  /**
+   * Escapes a character for use in a regular expression
+   * @param {string} char - Character
+   * @returns {string} Escaped character
+   * @private
+   */
+  function escapeRegExp(char) {
+    return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Hashes text to 8 hex digits (FNV-1a)
+   * @param {string} text - Text
+   * @returns {string} Hash
+   * @private
+   */
+  function hash(text) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      value ^= text.charCodeAt(i);
+      value = Math.imul(value, 0x01000193);
+    }
+    return (value >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Compiles a glob pattern, caching the result
+   * @param {string} pattern - Glob pattern
+   * @returns {{regexp: RegExp, directoryOnly: boolean}|null} Compiled pattern, or null when empty
+   * @private
+   */
+  function compile(pattern) {
+    if (compiledPatterns.has(pattern)) return compiledPatterns.get(pattern);
+
+    let glob = pattern.trim().replace(/^\.\//, '');
+    const directoryOnly = glob.endsWith('/');
+    glob = glob.replace(/\/+$/, '');
+    // Patterns with a slash are relative to the repository root; others match a name at any depth
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\/+/, '');
+
+    const compiled = glob ? {
+      regexp: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${fileSelection.globToRegExp(glob).source.slice(1, -1)}$`),
+      directoryOnly
+    } : null;
+    compiledPatterns.set(pattern, compiled);
+    return compiled;
+  }
+
+  /**
+   * File selection utilities
+   * @namespace LovableAddons.utils.fileSelection
+   */
+  const fileSelection = {
+    /**
+     * Converts a glob to a regular expression matching a whole path. This is
+     * the glob engine shared with ignoreRules. Supports `*` and `?` within a
+     * path segment, `**` across folders as a whole segment (`**\/name`,
+     * `dir/**`, `a/**\/b`; elsewhere it is a plain `*`), `[abc]`/`[!abc]`
+     * character classes, `\` escapes and `{a,b}` alternatives.
+     * @param {string} glob - Glob
+     * @param {Object} [options]
+     * @param {boolean} [options.braces=true] - Treat `{a,b}` as alternatives; false matches braces literally
+     * @returns {RegExp} Regular expression
+     */
+    globToRegExp: function(glob, options = {}) {
+      const braces = options.braces !== false;
+      let source = '';
+      let braceDepth = 0;
+
+      for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+          const start = i;
+          while (glob[i + 1] === '*') i++;
+          const wholeSegment = i > start && (start === 0 || glob[start - 1] === '/') &&
+            (i + 1 === glob.length || glob[i + 1] === '/');
+
+          if (!wholeSegment) {
+            source += '[^/]*';
+          } else if (i + 1 === glob.length) {
+            source += '.*';
+          } else {
+            // "**/" matches any number of folders, including none
+            source += '(?:.*/)?';
+            i++;
+          }
+        } else if (char === '?') {
+          source += '[^/]';
+        } else if (char === '[') {
+          // A "]" right after "[", "[!" or "[^" is part of the class
+          let start = i + 1;
+          if (glob[start] === '!' || glob[start] === '^') start++;
+          if (glob[start] === ']') start++;
+          const end = glob.indexOf(']', start);
+          if (end === -1) {
+            source += '\\[';
+            continue;
+          }
+          let members = glob.slice(i + 1, end);
+          const negated = /^[!^]/.test(members);
+          if (negated) members = members.slice(1);
+          source += `[${negated ? '^' : ''}${members.replace(/[[\]^\\]/g, '\\$&')}]`;
+          i = end;
+        } else if (braces && char === '{' && glob.indexOf('}', i) !== -1) {
+          braceDepth++;
+          source += '(?:';
+        } else if (braces && char === ',' && braceDepth > 0) {
+          source += '|';
+        } else if (braces && char === '}' && braceDepth > 0) {
+          braceDepth--;
+          source += ')';
+        } else if (char === '\\' && i + 1 < glob.length) {
+          source += escapeRegExp(glob[++i]);
+        } else {
+          source += escapeRegExp(char);
+        }
+      }
+
+      return new RegExp(`^${source}$`);
+    },
+
+    /**
+     * Tells whether a file path matches a glob pattern. A pattern without a
+     * slash matches a file or folder name at any depth (`*.test.ts`, `docs`);
+     * one with a slash is matched from the repository root (`src/**\/*.tsx`).
+     * Matching a folder matches everything in it, and a trailing slash
+     * (`dist/`) only matches folders.
+     * @param {string} path - File path
+     * @param {string} pattern - Glob pattern
+     * @returns {boolean}
+     */
+    matches: function(path, pattern) {
+      const compiled = compile(pattern);
+      if (!compiled) return false;
+      if (!compiled.directoryOnly && compiled.regexp.test(path)) return true;
+
+      // Folders containing the file
+      const segments = path.split('/');
+      for (let i = segments.length - 1; i > 0; i--) {
+        if (compiled.regexp.test(segments.slice(0, i).join('/'))) return true;
+      }
+      return false;
+    },
+
+    /**
+     * Splits a comma- or newline-separated list of patterns
+     * @param {string} text - Pattern list
+     * @returns {string[]} Patterns
+     */
+    parsePatterns: function(text) {
+      return (text || '').split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+    },
+
+    /**
+     * Tells whether a path passes a selection's include and exclude patterns
+     * @param {string} path - File path
+     * @param {{include?: string[], exclude?: string[]}} selection - Selection
+     * @returns {boolean} True when it matches an include pattern (or there are none) and no exclude pattern
+     */
+    isMatched: function(path, selection) {
+      const include = selection.include || [];
+      const exclude = selection.exclude || [];
+      if (include.length > 0 && !include.some(pattern => this.matches(path, pattern))) return false;
+      return !exclude.some(pattern => this.matches(path, pattern));
+    },
+
+    /**
+     * Applies a selection to a list of files
+     * @param {Array<{path: string}>} files - Files
+     * @param {{include?: string[], exclude?: string[], unchecked?: string[]}} [selection] - Glob patterns and
+     *   the paths unticked in the tree
+     * @returns {Array<{path: string}>} Selected files, in order
+     */
+    apply: function(files, selection) {
+      if (this.isEmpty(selection)) return files;
+      const unchecked = new Set(selection.unchecked || []);
+      return files.filter(file => !unchecked.has(file.path) && this.isMatched(file.path, selection));
+    },
+
+    /**
+     * Tells whether a selection selects every file
+     * @param {Object} [selection] - Selection
+     * @returns {boolean}
+     */
+    isEmpty: function(selection) {
+      return !selection || ['include', 'exclude', 'unchecked'].every(key => !selection[key] || selection[key].length === 0);
+    },
+
+    /**
+     * Builds a short key identifying a selection, for caches
+     * @param {Object} [selection] - Selection
+     * @returns {string} Key, empty when the selection selects every file
+     */
+    getKey: function(selection) {
+      if (this.isEmpty(selection)) return '';
+      const unchecked = [...(selection.unchecked || [])].sort();
+      return hash(JSON.stringify([selection.include || [], selection.exclude || [], unchecked]));
+    },
+
+    /**
+     * Builds a folder tree from file paths. Folders come before files, each sorted by name.
+     * @param {Array<{path: string, size?: number}>} files - Files
+     * @returns {{name: string, path: string, folders: Array<Object>, files: Array<Object>, filePaths: string[]}}
+     *   Root folder; every folder lists the paths of all the files under it in `filePaths`
+     */
+    buildTree: function(files) {
+      const root = { name: '', path: '', folders: [], files: [], filePaths: [] };
+      const folders = new Map([['', root]]);
+
+      files.forEach(file => {
+        const segments = file.path.split('/');
+        let folder = root;
+        folder.filePaths.push(file.path);
+
+        segments.slice(0, -1).forEach((segment, index) => {
+          const path = segments.slice(0, index + 1).join('/');
+          if (!folders.has(path)) {
+            const child = { name: segment, path, folders: [], files: [], filePaths: [] };
+            folders.set(path, child);
+            folder.folders.push(child);
+          }
+          folder = folders.get(path);
+          folder.filePaths.push(file.path);
+        });
+
+        folder.files.push({ name: segments[segments.length - 1], path: file.path, size: file.size || 0 });
+      });
+
+      folders.forEach(folder => {
+        folder.folders.sort((a, b) => a.name.localeCompare(b.name));
+        folder.files.sort((a, b) => a.name.localeCompare(b.name));
+      });
+      return root;
+    }
+  };
+
+  LovableAddons.registerUtility('fileSelection', fileSelection);
+})();
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Ignore rules for Lovable Add-ons Chrome extension.
+ * Parses .gitignore-style files and matches repository paths against them
+ * with git's semantics, so code exports leave out what the repository
+ * ignores. Used for .gitignore, .lovablecontextignore and the user's rules.
+ * Globs are compiled by fileSelection, so file-selection.js must load first.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  /**
+   * Converts a gitignore pattern to a regular expression, using the glob
+   * engine of fileSelection. gitignore has no `{a,b}` alternatives, so braces
+   * match literally.
+   * @param {string} pattern - Pattern without its `!` prefix and trailing slash
+   * @param {boolean} anchored - Whether the pattern is relative to its base folder
+   * @returns {RegExp} Regular expression matching a path relative to the base folder
+   * @private
+   */
+  function compilePattern(pattern, anchored) {
+    const glob = LovableAddons.utils.fileSelection.globToRegExp(pattern, { braces: false });
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${glob.source.slice(1, -1)}$`);
+  }
+
+  /**
+   * Tells whether the rules ignore one path, without looking at its folders
+   * @param {string} path - Path relative to the repository root
+   * @param {boolean} isDirectory - Whether the path is a folder
+   * @param {Array<Object>} rules - Rules, lowest precedence first
+   * @returns {boolean} Whether the last matching rule ignores it
+   * @private
+   */
+  function matchRules(path, isDirectory, rules) {
+    let ignored = false;
+    rules.forEach(rule => {
+      if (rule.directoryOnly && !isDirectory) return;
+      if (rule.base && !path.startsWith(`${rule.base}/`)) return;
+      const relativePath = rule.base ? path.slice(rule.base.length + 1) : path;
+      if (rule.regexp.test(relativePath)) {
+        ignored = !rule.negated;
+      }
+    });
+    return ignored;
+  }
+
+  /**
+   * Ignore rules
+   * @namespace LovableAddons.utils.ignoreRules
+   */
+  const ignoreRules = {
+    /**
+     * Names of the ignore files read from a repository, in order of precedence
+     * within a folder: .lovablecontextignore can re-include what .gitignore ignores
+     * @type {string[]}
+     */
+    FILE_NAMES: ['.gitignore', '.lovablecontextignore'],
+
+    /**
+     * The user's ignore rules until they change them in settings
+     * @type {string}
+     */
+    DEFAULT_USER_RULES: [
+      'bun.lockb',
+      'package-lock.json',
+      'yarn.lock',
+      'pnpm-lock.yaml',
+      '.DS_Store',
+      'Thumbs.db'
+    ].join('\n'),
+
+    /**
+     * Parses the text of an ignore file. Follows gitignore: blank lines and
+     * `#` comments are skipped, `!` re-includes, a trailing `/` only matches
+     * folders, a pattern with a slash elsewhere is relative to the ignore
+     * file's folder and one without matches a name at any depth.
+     * @param {string} text - Ignore file content
+     * @param {string} [base=''] - Folder holding the ignore file, relative to the repository root
+     * @returns {Array<{pattern: string, base: string, negated: boolean, directoryOnly: boolean, regexp: RegExp}>} Rules
+     */
+    parse: function(text, base = '') {
+      const rules = [];
+
+      (text || '').split(/\r?\n/).forEach(line => {
+        // Trailing spaces are ignored unless escaped with a backslash
+        let pattern = line.replace(/(?<!\\)[ \t]+$/, '');
+        if (!pattern || pattern.startsWith('#')) return;
+
+        const negated = pattern.startsWith('!');
+        if (negated) pattern = pattern.slice(1);
+
+        const directoryOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        if (!pattern) return;
+
+        rules.push({
+          pattern: line.trim(),
+          base,
+          negated,
+          directoryOnly,
+          regexp: compilePattern(pattern, anchored)
+        });
+      });
+
+      return rules;
+    },
+
+    /**
+     * Tells whether the rules ignore a path. As in git, a file in an ignored
+     * folder stays ignored even when a later rule re-includes the file.
+     * @param {string} path - Path relative to the repository root
+     * @param {Array<Object>} rules - Rules from parse(), lowest precedence first
+     * @param {boolean} [isDirectory=false] - Whether the path is a folder
+     * @returns {boolean}
+     */
+    isIgnored: function(path, rules, isDirectory = false) {
+      const segments = path.split('/');
+      for (let i = 1; i < segments.length; i++) {
+        if (matchRules(segments.slice(0, i).join('/'), true, rules)) return true;
+      }
+      return matchRules(path, isDirectory, rules);
+    },
+
+    /**
+     * Leaves out the files the rules ignore
+     * @param {Array<{path: string}>} files - Files
+     * @param {Array<Object>} rules - Rules from parse(), lowest precedence first
+     * @returns {Array<{path: string}>} Files that aren't ignored, in order
+     */
+    filter: function(files, rules) {
+      if (rules.length === 0) return files;
+
+      // Folders are shared by many files, so each is only matched once
+      const ignoredFolders = new Map();
+      const isFolderIgnored = (folder) => {
+        if (!folder) return false;
+        if (!ignoredFolders.has(folder)) {
+          const parent = folder.includes('/') ? folder.slice(0, folder.lastIndexOf('/')) : '';
+          ignoredFolders.set(folder, isFolderIgnored(parent) || matchRules(folder, true, rules));
+        }
+        return ignoredFolders.get(folder);
+      };
+
+      return files.filter(file => {
+        const folder = file.path.includes('/') ? file.path.slice(0, file.path.lastIndexOf('/')) : '';
+        return !isFolderIgnored(folder) && !matchRules(file.path, false, rules);
+      });
+    }
+  };
+
+  LovableAddons.registerUtility('ignoreRules', ignoreRules);
+})();
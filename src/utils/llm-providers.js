@@ -0,0 +1,546 @@
+/**
+ * @fileoverview LLM provider layer for Lovable Add-ons Chrome extension.
+ * This file defines adapters for the chat-completion backends the extension
+ * can talk to (Groq, any OpenAI-compatible endpoint, Anthropic, Ollama and
+ * LM Studio) and a single streaming entry point used by the features.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  // Storage keys (chrome.storage.sync)
+  const STORAGE_KEYS = {
+    PROVIDER: 'llmProvider',
+    PROVIDER_SETTINGS: 'llmProviderSettings',
+    // Pre-provider settings, still read so existing Groq users keep working
+    LEGACY_API_KEY: 'groqApiKey',
+    LEGACY_MODEL: 'groqModel'
+  };
+
+  const DEFAULT_PROVIDER = 'groq';
+
+  // Characters per token in rough estimates; tokenizers differ per model
+  const CHARS_PER_TOKEN = 4;
+
+  /**
+   * Generation parameters used when a model does not override them
+   * @type {Object}
+   */
+  const DEFAULT_MODEL_PARAMS = {
+    temperature: 0.6,
+    max_completion_tokens: 4096,
+    top_p: 0.95,
+    contextWindow: 8192
+  };
+
+  /**
+   * Parses one line of an OpenAI-style server-sent event stream
+   * @param {string} line - A single non-empty line from the stream
+   * @returns {Object|null} Parsed event ({ delta }, { done } or { error }) or null to skip
+   * @private
+   */
+  function parseOpenAiLine(line) {
+    if (!line.startsWith('data:')) return null;
+    const jsonStr = line.slice(5).trim();
+    if (jsonStr === '[DONE]') return { done: true };
+
+    const data = JSON.parse(jsonStr);
+    if (data.error) {
+      return { error: data.error.message || 'Unknown streaming error' };
+    }
+    return { delta: data.choices?.[0]?.delta?.content || '' };
+  }
+
+  /**
+   * Creates an adapter for an endpoint that speaks the OpenAI chat-completions API
+   * @param {Object} definition - Provider-specific fields (id, label, models, ...)
+   * @returns {Object} The provider adapter
+   * @private
+   */
+  function createOpenAiCompatibleProvider(definition) {
+    return Object.assign({
+      requiresKey: true,
+      keyPrefix: null,
+      configurableBaseUrl: false,
+      allowCustomModel: false,
+
+      buildRequest: function({ baseUrl, apiKey, model, messages, params }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+          headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        return {
+          url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+          init: {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+              model,
+              messages,
+              temperature: params.temperature,
+              max_completion_tokens: params.max_completion_tokens,
+              top_p: params.top_p,
+              stream: true
+            })
+          }
+        };
+      },
+
+      parseLine: parseOpenAiLine
+    }, definition);
+  }
+
+  /**
+   * Registered provider adapters, keyed by provider ID
+   * @type {Object<string, Object>}
+   */
+  const PROVIDERS = {
+    groq: createOpenAiCompatibleProvider({
+      id: 'groq',
+      label: 'Groq',
+      defaultBaseUrl: 'https://api.groq.com/openai/v1',
+      keyPrefix: 'gsk_',
+      defaultModel: 'deepseek-r1-distill-llama-70b',
+      models: {
+        'deepseek-r1-distill-llama-70b': {
+          label: 'DeepSeek Llama 70B',
+          contextWindow: 131072
+        },
+        'mixtral-8x7b-32768': {
+          label: 'Mixtral 8x7B',
+          contextWindow: 32768
+        },
+        'gemma2-9b-it': {
+          label: 'Gemma2 9B',
+          contextWindow: 8192
+        },
+        'llama-3.3-70b-versatile': {
+          label: 'LLaMA 3.3 70B',
+          contextWindow: 131072
+        }
+      }
+    }),
+
+    openai: createOpenAiCompatibleProvider({
+      id: 'openai',
+      label: 'OpenAI-compatible',
+      defaultBaseUrl: 'https://api.openai.com/v1',
+      configurableBaseUrl: true,
+      allowCustomModel: true,
+      defaultModel: 'gpt-4o-mini',
+      models: {
+        'gpt-4o-mini': {
+          label: 'GPT-4o mini',
+          contextWindow: 128000
+        },
+        'gpt-4o': {
+          label: 'GPT-4o',
+          contextWindow: 128000
+        },
+        'gpt-4.1': {
+          label: 'GPT-4.1',
+          contextWindow: 1047576
+        }
+      }
+    }),
+
+    anthropic: {
+      id: 'anthropic',
+      label: 'Anthropic',
+      defaultBaseUrl: 'https://api.anthropic.com/v1',
+      requiresKey: true,
+      keyPrefix: 'sk-ant-',
+      configurableBaseUrl: false,
+      allowCustomModel: true,
+      defaultModel: 'claude-3-5-haiku-latest',
+      models: {
+        'claude-3-5-haiku-latest': {
+          label: 'Claude 3.5 Haiku',
+          contextWindow: 200000
+        },
+        'claude-3-7-sonnet-latest': {
+          label: 'Claude 3.7 Sonnet',
+          contextWindow: 200000
+        },
+        'claude-sonnet-4-20250514': {
+          label: 'Claude Sonnet 4',
+          contextWindow: 200000
+        }
+      },
+
+      buildRequest: function({ baseUrl, apiKey, model, messages, params }) {
+        // The messages API takes the system prompt as a top-level field
+        const system = messages
+          .filter(message => message.role === 'system')
+          .map(message => message.content)
+          .join('\n\n');
+
+        return {
+          url: `${baseUrl.replace(/\/+$/, '')}/messages`,
+          init: {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'x-api-key': apiKey,
+              'anthropic-version': '2023-06-01',
+              // Required for calls made directly from a browser context
+              'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: JSON.stringify({
+              model,
+              system: system || undefined,
+              messages: messages.filter(message => message.role !== 'system'),
+              temperature: Math.min(params.temperature, 1),
+              max_tokens: params.max_completion_tokens,
+              stream: true
+            })
+          }
+        };
+      },
+
+      parseLine: function(line) {
+        // Event names are repeated in the data payload, so only data lines matter
+        if (!line.startsWith('data:')) return null;
+        const data = JSON.parse(line.slice(5).trim());
+
+        if (data.type === 'content_block_delta') {
+          return { delta: data.delta?.text || '' };
+        }
+        if (data.type === 'message_stop') {
+          return { done: true };
+        }
+        if (data.type === 'error') {
+          return { error: data.error?.message || 'Unknown streaming error' };
+        }
+        return null;
+      }
+    },
+
+    ollama: {
+      id: 'ollama',
+      label: 'Ollama (local)',
+      defaultBaseUrl: 'http://localhost:11434',
+      requiresKey: false,
+      keyPrefix: null,
+      configurableBaseUrl: true,
+      allowCustomModel: true,
+      defaultModel: 'llama3.1',
+      models: {
+        'llama3.1': {
+          label: 'Llama 3.1',
+          contextWindow: 131072
+        },
+        'qwen2.5-coder': {
+          label: 'Qwen2.5 Coder',
+          contextWindow: 32768
+        },
+        'mistral': {
+          label: 'Mistral',
+          contextWindow: 32768
+        }
+      },
+
+      buildRequest: function({ baseUrl, model, messages, params }) {
+        return {
+          url: `${baseUrl.replace(/\/+$/, '')}/api/chat`,
+          init: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              model,
+              messages,
+              stream: true,
+              options: {
+                temperature: params.temperature,
+                top_p: params.top_p,
+                num_predict: params.max_completion_tokens
+              }
+            })
+          }
+        };
+      },
+
+      parseLine: function(line) {
+        // Ollama streams newline-delimited JSON objects
+        const data = JSON.parse(line);
+        if (data.error) {
+          return { error: data.error };
+        }
+        return {
+          delta: data.message?.content || '',
+          done: data.done === true
+        };
+      }
+    },
+
+    lmstudio: createOpenAiCompatibleProvider({
+      id: 'lmstudio',
+      label: 'LM Studio (local)',
+      defaultBaseUrl: 'http://localhost:1234/v1',
+      requiresKey: false,
+      configurableBaseUrl: true,
+      allowCustomModel: true,
+      defaultModel: 'local-model',
+      models: {
+        'local-model': {
+          label: 'Currently loaded model',
+          contextWindow: 8192
+        }
+      }
+    })
+  };
+
+  /**
+   * LLM provider utilities
+   * @namespace LovableAddons.utils.llm
+   */
+  const llmUtils = {
+    STORAGE_KEYS,
+    DEFAULT_PROVIDER,
+    CHARS_PER_TOKEN,
+
+    /**
+     * Gets all registered providers
+     * @returns {Array<Object>} Provider adapters in display order
+     */
+    getProviders: function() {
+      return Object.values(PROVIDERS);
+    },
+
+    /**
+     * Gets a provider adapter by ID, falling back to the default provider
+     * @param {string} providerId - The provider ID
+     * @returns {Object} The provider adapter
+     */
+    getProvider: function(providerId) {
+      return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+    },
+
+    /**
+     * Gets the generation parameters for a model, merged over the defaults
+     * @param {string} providerId - The provider ID
+     * @param {string} model - The model ID
+     * @returns {Object} Model parameters including contextWindow
+     */
+    getModelConfig: function(providerId, model) {
+      const provider = this.getProvider(providerId);
+      return Object.assign({}, DEFAULT_MODEL_PARAMS, provider.models[model] || {});
+    },
+
+    /**
+     * Gets the model configuration table for every provider
+     * @returns {Object<string, Object>} Model configs keyed by provider ID, then model ID
+     */
+    getModelConfigs: function() {
+      const configs = {};
+      this.getProviders().forEach(provider => {
+        configs[provider.id] = {};
+        Object.keys(provider.models).forEach(model => {
+          configs[provider.id][model] = this.getModelConfig(provider.id, model);
+        });
+      });
+      return configs;
+    },
+
+    /**
+     * Roughly estimates how many tokens a text uses. Tokenizers differ per
+     * model, so this uses the common ~4 characters per token rule and rounds up.
+     * @param {string} text - Text to measure
+     * @returns {number} Estimated token count
+     */
+    estimateTokens: function(text) {
+      return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+    },
+
+    /**
+     * Validates an API key against the provider's expectations
+     * @param {string} providerId - The provider ID
+     * @param {string} key - The API key to validate
+     * @returns {string|null} An error message, or null if the key is acceptable
+     */
+    validateApiKey: function(providerId, key) {
+      const provider = this.getProvider(providerId);
+      if (!key) return provider.requiresKey ? 'Please enter an API key' : null;
+      if (provider.keyPrefix && !key.startsWith(provider.keyPrefix)) return 'Invalid API key format';
+      if (key.length < 8) return 'API key is too short';
+      return null;
+    },
+
+    /**
+     * Loads the selected provider and the saved per-provider settings
+     * @returns {Promise<Object>} { providerId, providerSettings }
+     */
+    loadSettings: async function() {
+      const result = await chrome.storage.sync.get([
+        STORAGE_KEYS.PROVIDER,
+        STORAGE_KEYS.PROVIDER_SETTINGS,
+        STORAGE_KEYS.LEGACY_API_KEY,
+        STORAGE_KEYS.LEGACY_MODEL
+      ]);
+
+      const providerSettings = result[STORAGE_KEYS.PROVIDER_SETTINGS] || {};
+
+      // Carry over the Groq key and model saved before providers existed
+      if (!providerSettings.groq && (result[STORAGE_KEYS.LEGACY_API_KEY] || result[STORAGE_KEYS.LEGACY_MODEL])) {
+        providerSettings.groq = {
+          apiKey: result[STORAGE_KEYS.LEGACY_API_KEY] || '',
+          model: result[STORAGE_KEYS.LEGACY_MODEL] || ''
+        };
+      }
+
+      return {
+        providerId: PROVIDERS[result[STORAGE_KEYS.PROVIDER]] ? result[STORAGE_KEYS.PROVIDER] : DEFAULT_PROVIDER,
+        providerSettings
+      };
+    },
+
+    /**
+     * Saves the selected provider and the per-provider settings
+     * @param {string} providerId - The selected provider ID
+     * @param {Object} providerSettings - Settings keyed by provider ID ({ apiKey, model, baseUrl })
+     * @returns {Promise<void>}
+     */
+    saveSettings: async function(providerId, providerSettings) {
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.PROVIDER]: providerId,
+        [STORAGE_KEYS.PROVIDER_SETTINGS]: providerSettings
+      });
+    },
+
+    /**
+     * Resolves everything needed to call the currently selected provider
+     * @returns {Promise<Object>} { provider, apiKey, model, baseUrl, modelConfig }
+     */
+    getActiveConfig: async function() {
+      const { providerId, providerSettings } = await this.loadSettings();
+      const provider = this.getProvider(providerId);
+      const saved = providerSettings[provider.id] || {};
+      const model = saved.model || provider.defaultModel;
+
+      return {
+        provider,
+        apiKey: saved.apiKey || '',
+        model,
+        baseUrl: (provider.configurableBaseUrl && saved.baseUrl) || provider.defaultBaseUrl,
+        modelConfig: this.getModelConfig(provider.id, model)
+      };
+    },
+
+    /**
+     * Sends a chat request to the configured provider and collects the streamed reply
+     * @param {Object} config - The config returned by getActiveConfig
+     * @param {Array<Object>} messages - Chat messages ({ role, content })
+     * @param {Object} [options] - Optional settings
+     * @param {AbortSignal} [options.signal] - Signal used to abort the request
+     * @param {Function} [options.onResponse] - Called once the response headers arrive
+     * @param {Function} [options.onDelta] - Called with (delta, textSoFar) for every streamed chunk
+     * @returns {Promise<string>} The full response text
+     */
+    streamChat: async function(config, messages, options = {}) {
+      const { provider, apiKey, model, baseUrl, modelConfig } = config;
+
+      if (provider.requiresKey && !apiKey) {
+        throw new Error(`${provider.label} API key not found. Please set it in the extension settings.`);
+      }
+
+      const { url, init } = provider.buildRequest({
+        baseUrl,
+        apiKey,
+        model,
+        messages,
+        params: modelConfig
+      });
+
+      const response = await fetch(url, Object.assign({}, init, { signal: options.signal }));
+
+      if (typeof options.onResponse === 'function') {
+        options.onResponse(response);
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        if (response.status === 429) {
+          throw new Error('Rate limit exceeded. Please wait a moment before trying again.');
+        } else if (response.status === 401 || response.status === 403) {
+          throw new Error('Invalid API key. Please check your API key in the extension settings.');
+        } else {
+          const message = errorData.error?.message || errorData.error;
+          throw new Error(typeof message === 'string' && message
+            ? message
+            : `${provider.label} API error: ${response.status} - ${response.statusText}`);
+        }
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+
+      // Handles one complete line; returns true once the provider signals the end
+      const handleLine = (line) => {
+        if (!line.trim()) return false;
+
+        let event;
+        try {
+          event = provider.parseLine(line.trim());
+        } catch (parseError) {
+          console.error('Error parsing stream chunk:', parseError);
+          return false;
+        }
+
+        if (!event) return false;
+        if (event.error) throw new Error(event.error);
+        if (event.delta) {
+          text += event.delta;
+          if (typeof options.onDelta === 'function') {
+            options.onDelta(event.delta, text);
+          }
+        }
+        return event.done === true;
+      };
+
+      let finished = false;
+      while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        // Lines can be split across network chunks, so keep the trailing partial line
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (handleLine(line)) {
+            finished = true;
+            break;
+          }
+        }
+      }
+
+      if (!finished && buffer) {
+        handleLine(buffer);
+      }
+
+      if (finished) {
+        reader.cancel().catch(() => {});
+      }
+
+      if (!text) {
+        throw new Error(`Received empty response from ${provider.label}`);
+      }
+
+      return text;
+    }
+  };
+
+  // Register the LLM utilities with the LovableAddons namespace
+  LovableAddons.registerUtility('llm', llmUtils);
+
+})();
@@ -83,8 +83,10 @@
     }
   };
 
-  // Initialize when DOM is ready
-  document.addEventListener('DOMContentLoaded', function() {
-    LovableAddons.init();
-  });
+  // Initialize when DOM is ready (the background service worker has no DOM)
+  if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+      LovableAddons.init();
+    });
+  }
 })();
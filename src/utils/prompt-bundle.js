@@ -0,0 +1,419 @@
+/**
+ * @fileoverview Prompt library bundle utilities for Lovable Add-ons Chrome extension.
+ * Builds, validates and merges the versioned JSON bundle used to move a prompt
+ * library (custom prompts, playbooks, folders, favorites, recents, categories) between
+ * browsers, and renders it as Markdown.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  const BUNDLE_FORMAT = 'lovable-prompt-library';
+  // Version 2 added folders; version 1 bundles still import, filed by category
+  const BUNDLE_VERSION = 2;
+
+  // Same limit as the library's recent list
+  const MAX_RECENT = 5;
+
+  /**
+   * @param {*} value
+   * @returns {boolean} Whether value is a non-empty string
+   * @private
+   */
+  function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+
+  /**
+   * Validates an array of IDs
+   * @param {*} value - Value to check
+   * @param {string} path - Field name for error messages
+   * @param {Array<string>} errors - Collected errors
+   * @private
+   */
+  function checkIdList(value, path, errors) {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some(id => !isNonEmptyString(id))) {
+      errors.push(`${path} must be a list of IDs`);
+    }
+  }
+
+  /**
+   * Compares the fields that matter for a conflict
+   * @param {Object} a - Existing item
+   * @param {Object} b - Imported item
+   * @returns {boolean} Whether they are the same
+   * @private
+   */
+  function isSameItem(a, b) {
+    if (a.steps || b.steps) {
+      return a.name === b.name && JSON.stringify(a.steps) === JSON.stringify(b.steps);
+    }
+    return a.name === b.name && a.category === b.category && a.content === b.content &&
+      (a.tags || []).join(',') === (b.tags || []).join(',');
+  }
+
+  /**
+   * Merges imported folders into the existing ones. A folder with the same ID,
+   * or the same name under the same parent, is reused and keeps its local
+   * favorite and collapsed state; others are added.
+   * @param {Array} existing - Current folders `{ id, name, parentId, favorite, collapsed }`
+   * @param {Array} incoming - Folders from the bundle
+   * @returns {{folders: Array, idMap: Object<string, string>}} Merged folders and bundle folder ID to local folder ID
+   * @private
+   */
+  function mergeFolders(existing, incoming) {
+    const folders = existing.map(folder => Object.assign({}, folder));
+    const idMap = {};
+    const pending = [...incoming];
+
+    // Parents first, so a child can be matched under its mapped parent
+    while (pending.length > 0) {
+      const index = pending.findIndex(folder => !folder.parentId || idMap[folder.parentId] ||
+        !incoming.some(item => item.id === folder.parentId));
+      // A parent cycle: take the rest as top-level folders
+      const folder = pending.splice(index === -1 ? 0 : index, 1)[0];
+      const parentId = folder.parentId ? (idMap[folder.parentId] || null) : null;
+
+      const match = folders.find(item => item.id === folder.id) ||
+        folders.find(item => item.parentId === parentId && item.name.toLowerCase() === folder.name.toLowerCase());
+      if (match) {
+        idMap[folder.id] = match.id;
+      } else {
+        folders.push({ id: folder.id, name: folder.name, parentId, favorite: folder.favorite, collapsed: folder.collapsed });
+        idMap[folder.id] = folder.id;
+      }
+    }
+
+    return { folders, idMap };
+  }
+
+  /**
+   * Prompt bundle utilities
+   * @namespace LovableAddons.utils.promptBundle
+   */
+  const promptBundle = {
+    FORMAT: BUNDLE_FORMAT,
+    VERSION: BUNDLE_VERSION,
+
+    /**
+     * Creates an export bundle
+     * @param {Object} library - Current library data
+     * @param {Array} library.customPrompts - Custom prompts
+     * @param {Array} library.playbooks - Playbooks
+     * @param {Array<string>} library.favorites - Favorite IDs
+     * @param {Array<string>} library.recent - Recently used IDs
+     * @param {Array<string>} library.categories - Built-in categories
+     * @param {Array} [library.folders] - Folders `{ id, name, parentId, favorite, collapsed }`
+     * @returns {Object} The bundle
+     */
+    createBundle: function(library) {
+      const customPrompts = library.customPrompts || [];
+      const categories = [...(library.categories || [])];
+      customPrompts.forEach(prompt => {
+        if (prompt.category && !categories.includes(prompt.category)) {
+          categories.push(prompt.category);
+        }
+      });
+
+      return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        customPrompts,
+        playbooks: library.playbooks || [],
+        favorites: library.favorites || [],
+        recent: library.recent || [],
+        categories,
+        folders: (library.folders || []).map(folder => ({
+          id: folder.id,
+          name: folder.name,
+          parentId: folder.parentId || null,
+          favorite: !!folder.favorite,
+          collapsed: !!folder.collapsed
+        }))
+      };
+    },
+
+    /**
+     * Renders a bundle as a readable Markdown document
+     * @param {Object} bundle - Bundle from createBundle()
+     * @returns {string} Markdown text
+     */
+    toMarkdown: function(bundle) {
+      const lines = [
+        '# Prompt Library',
+        '',
+        `Exported ${bundle.exportedAt} (format ${bundle.format} v${bundle.version})`,
+        ''
+      ];
+
+      const byCategory = {};
+      bundle.customPrompts.forEach(prompt => {
+        (byCategory[prompt.category] = byCategory[prompt.category] || []).push(prompt);
+      });
+
+      Object.keys(byCategory).forEach(category => {
+        lines.push(`## ${category}`, '');
+        byCategory[category].forEach(prompt => {
+          const favorite = bundle.favorites.includes(prompt.id) ? ' ★' : '';
+          // Fence longer than any backtick run inside the prompt
+          const longestRun = Math.max(2, ...(prompt.content.match(/`+/g) || []).map(run => run.length));
+          const fence = '`'.repeat(longestRun + 1);
+          lines.push(`### ${prompt.name}${favorite}`, '', `<!-- id: ${prompt.id} -->`, '', `${fence}text`, prompt.content, fence, '');
+        });
+      });
+
+      if (bundle.playbooks.length > 0) {
+        lines.push('## Playbooks', '');
+        bundle.playbooks.forEach(playbook => {
+          lines.push(`### ${playbook.name}`, '', `<!-- id: ${playbook.id} -->`, '');
+          playbook.steps.forEach((step, index) => {
+            lines.push(`${index + 1}. ${step.text.replace(/\n/g, '\n   ')}`);
+          });
+          lines.push('');
+        });
+      }
+
+      return lines.join('\n');
+    },
+
+    /**
+     * Validates parsed JSON against the bundle schema
+     * @param {*} data - Parsed JSON
+     * @returns {{valid: boolean, errors: Array<string>, bundle: Object|null}} Result with the normalized bundle
+     */
+    validate: function(data) {
+      const errors = [];
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['File is not a prompt library bundle'], bundle: null };
+      }
+      if (data.format !== BUNDLE_FORMAT) {
+        errors.push(`Unknown format "${data.format}" (expected "${BUNDLE_FORMAT}")`);
+      }
+      if (!Number.isInteger(data.version) || data.version < 1) {
+        errors.push('Missing or invalid version');
+      } else if (data.version > BUNDLE_VERSION) {
+        errors.push(`Bundle version ${data.version} is newer than supported version ${BUNDLE_VERSION}; update the extension`);
+      }
+
+      const customPrompts = data.customPrompts === undefined ? [] : data.customPrompts;
+      if (!Array.isArray(customPrompts)) {
+        errors.push('customPrompts must be a list');
+      } else {
+        customPrompts.forEach((prompt, index) => {
+          const path = `customPrompts[${index}]`;
+          if (!prompt || typeof prompt !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+          }
+          ['id', 'name', 'category', 'content'].forEach(field => {
+            if (!isNonEmptyString(prompt[field])) {
+              errors.push(`${path}.${field} must be a non-empty string`);
+            }
+          });
+        });
+      }
+
+      const playbooks = data.playbooks === undefined ? [] : data.playbooks;
+      if (!Array.isArray(playbooks)) {
+        errors.push('playbooks must be a list');
+      } else {
+        playbooks.forEach((playbook, index) => {
+          const path = `playbooks[${index}]`;
+          if (!playbook || typeof playbook !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+          }
+          ['id', 'name'].forEach(field => {
+            if (!isNonEmptyString(playbook[field])) {
+              errors.push(`${path}.${field} must be a non-empty string`);
+            }
+          });
+          if (!Array.isArray(playbook.steps) || playbook.steps.length === 0 ||
+              playbook.steps.some(step => !step || !isNonEmptyString(step.text))) {
+            errors.push(`${path}.steps must be a non-empty list of { text, options }`);
+          }
+        });
+      }
+
+      checkIdList(data.favorites, 'favorites', errors);
+      checkIdList(data.recent, 'recent', errors);
+      if (data.categories !== undefined &&
+          (!Array.isArray(data.categories) || data.categories.some(category => !isNonEmptyString(category)))) {
+        errors.push('categories must be a list of names');
+      }
+
+      const folders = data.folders === undefined ? [] : data.folders;
+      if (!Array.isArray(folders)) {
+        errors.push('folders must be a list');
+      } else {
+        folders.forEach((folder, index) => {
+          const path = `folders[${index}]`;
+          if (!folder || typeof folder !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+          }
+          ['id', 'name'].forEach(field => {
+            if (!isNonEmptyString(folder[field])) {
+              errors.push(`${path}.${field} must be a non-empty string`);
+            }
+          });
+          if (folder.parentId !== undefined && folder.parentId !== null && !isNonEmptyString(folder.parentId)) {
+            errors.push(`${path}.parentId must be a folder ID or null`);
+          }
+        });
+      }
+
+      if (errors.length > 0) {
+        return { valid: false, errors, bundle: null };
+      }
+
+      return {
+        valid: true,
+        errors: [],
+        bundle: {
+          format: BUNDLE_FORMAT,
+          version: data.version,
+          exportedAt: data.exportedAt || null,
+          customPrompts: customPrompts.map(prompt => {
+            const normalized = {
+              id: prompt.id,
+              name: prompt.name.trim(),
+              category: prompt.category.trim(),
+              content: prompt.content,
+              tags: Array.isArray(prompt.tags) ? prompt.tags.filter(isNonEmptyString) : [],
+              isCustom: true
+            };
+            // Project prompts stay scoped to their project
+            if (isNonEmptyString(prompt.projectId)) {
+              normalized.projectId = prompt.projectId;
+            }
+            if (isNonEmptyString(prompt.folderId)) {
+              normalized.folderId = prompt.folderId;
+            }
+            return normalized;
+          }),
+          playbooks: playbooks.map(playbook => ({
+            id: playbook.id,
+            name: playbook.name.trim(),
+            category: 'Playbooks',
+            steps: playbook.steps.map(step => ({ text: step.text, options: step.options || {} })),
+            isPlaybook: true
+          })),
+          favorites: data.favorites || [],
+          recent: data.recent || [],
+          categories: data.categories || [],
+          folders: folders.map(folder => ({
+            id: folder.id,
+            name: folder.name.trim(),
+            parentId: folder.parentId || null,
+            favorite: !!folder.favorite,
+            collapsed: !!folder.collapsed
+          }))
+        }
+      };
+    },
+
+    /**
+     * Works out what importing a bundle would change
+     * @param {Object} bundle - Validated bundle
+     * @param {Object} library - Current `{ customPrompts, playbooks }`
+     * @returns {{added: Array, unchanged: Array, conflicts: Array<{kind: string, existing: Object, incoming: Object}>}} Import plan
+     */
+    planImport: function(bundle, library) {
+      const plan = { added: [], unchanged: [], conflicts: [] };
+
+      const check = (kind, incomingItems, existingItems) => {
+        incomingItems.forEach(incoming => {
+          const existing = existingItems.find(item => item.id === incoming.id);
+          if (!existing) {
+            plan.added.push({ kind, incoming });
+          } else if (isSameItem(existing, incoming)) {
+            plan.unchanged.push({ kind, incoming });
+          } else {
+            plan.conflicts.push({ kind, existing, incoming });
+          }
+        });
+      };
+
+      check('prompt', bundle.customPrompts, library.customPrompts);
+      check('playbook', bundle.playbooks, library.playbooks);
+      return plan;
+    },
+
+    /**
+     * Applies an import plan to the current library
+     * @param {Object} bundle - Validated bundle
+     * @param {Object} plan - Plan from planImport()
+     * @param {Object} library - Current `{ customPrompts, playbooks, favorites, recent, folders }`
+     * @param {Object<string, string>} resolutions - Conflict ID to 'skip' | 'overwrite' | 'duplicate'
+     * @returns {Object} The merged library (folders included) and a summary `{ added, overwritten, duplicated, skipped }`
+     */
+    applyImport: function(bundle, plan, library, resolutions) {
+      const customPrompts = library.customPrompts.map(prompt => Object.assign({}, prompt));
+      const playbooks = library.playbooks.map(playbook => Object.assign({}, playbook));
+      const summary = { added: 0, overwritten: 0, duplicated: 0, skipped: 0 };
+      const idMap = {};
+      const stamp = Date.now();
+      const merged = mergeFolders(library.folders || [], bundle.folders || []);
+
+      const listFor = kind => kind === 'playbook' ? playbooks : customPrompts;
+
+      // Imported prompts point at the local copy of their folder
+      const copyIncoming = (incoming, overrides) => {
+        const copy = Object.assign({}, incoming, overrides);
+        if (copy.folderId) {
+          if (merged.idMap[copy.folderId]) {
+            copy.folderId = merged.idMap[copy.folderId];
+          } else {
+            delete copy.folderId;
+          }
+        }
+        return copy;
+      };
+
+      plan.added.forEach(({ kind, incoming }) => {
+        listFor(kind).push(copyIncoming(incoming));
+        summary.added++;
+      });
+
+      plan.conflicts.forEach(({ kind, incoming }, index) => {
+        const list = listFor(kind);
+        const resolution = resolutions[incoming.id] || 'skip';
+
+        if (resolution === 'overwrite') {
+          list[list.findIndex(item => item.id === incoming.id)] = copyIncoming(incoming);
+          summary.overwritten++;
+        } else if (resolution === 'duplicate') {
+          const prefix = kind === 'playbook' ? 'playbook' : 'custom';
+          const copy = copyIncoming(incoming, {
+            id: `${prefix}-${stamp}-${index}`,
+            name: `${incoming.name} (imported)`
+          });
+          idMap[incoming.id] = copy.id;
+          list.push(copy);
+          summary.duplicated++;
+        } else {
+          summary.skipped++;
+        }
+      });
+
+      // Favorites/recents of duplicated items follow the copy
+      const mapIds = ids => ids.map(id => idMap[id] || id);
+      const favorites = [...new Set([...library.favorites, ...mapIds(bundle.favorites)])];
+      const recent = [...new Set([...library.recent, ...mapIds(bundle.recent)])].slice(0, MAX_RECENT);
+
+      return { customPrompts, playbooks, favorites, recent, folders: merged.folders, summary };
+    }
+  };
+
+  LovableAddons.registerUtility('promptBundle', promptBundle);
+})();
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Prompt search utilities for Lovable Add-ons Chrome extension.
+ * Fuzzy, ranked search over prompt names, content and tags with
+ * `tag:` / `category:` filters, used by the prompt library.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  // Field weights: a hit in the name counts more than one in the content
+  const FIELD_WEIGHTS = { name: 3, tags: 2, category: 1.5, content: 1 };
+
+  // Ranking boosts added on top of match quality
+  const FAVORITE_BOOST = 0.5;
+  const RECENT_BOOST = 0.4;
+
+  // Query tokens: filter:"quoted value", filter:value, "quoted phrase" or a word
+  const QUERY_PATTERN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+  // Normalized search fields per prompt object, rebuilt when the object changes
+  const indexCache = new WeakMap();
+
+  /**
+   * Gets the indexed fields for a prompt, template or playbook
+   * @param {Object} item - Item to index
+   * @returns {Object} `{ name, content, tags, category }`, all lower case
+   * @private
+   */
+  function getEntry(item) {
+    let entry = indexCache.get(item);
+    if (!entry) {
+      const content = item.content || (item.steps || []).map(step => step.text).join('\n');
+      entry = {
+        name: (item.name || '').toLowerCase(),
+        content: content.toLowerCase(),
+        tags: (item.tags || []).map(tag => tag.toLowerCase()),
+        category: (item.category || '').toLowerCase()
+      };
+      indexCache.set(item, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Whether the character before `index` ends a word
+   * @param {string} text - Text being matched
+   * @param {number} index - Position of the match
+   * @returns {boolean}
+   * @private
+   */
+  function isWordStart(text, index) {
+    return index === 0 || /[\s\-_/.:([{]/.test(text[index - 1]);
+  }
+
+  /**
+   * Scores how well a term matches a text. Substrings score highest (more at a
+   * word start); otherwise, when fuzzy, the term's characters must appear in
+   * order, scoring consecutive and word-start hits.
+   * @param {string} term - Lower-case search term
+   * @param {string} text - Lower-case text
+   * @param {boolean} fuzzy - Allow subsequence matches
+   * @returns {{score: number, ranges: Array<Array<number>>}|null} Score in 0..1 and matched [start, end) ranges
+   * @private
+   */
+  function scoreTerm(term, text, fuzzy) {
+    if (!term || !text) return null;
+
+    const index = text.indexOf(term);
+    if (index !== -1) {
+      let score = isWordStart(text, index) ? 0.9 : 0.7;
+      if (index === 0 && term.length === text.length) score = 1;
+      return { score, ranges: [[index, index + term.length]] };
+    }
+    if (!fuzzy) return null;
+
+    const ranges = [];
+    let points = 0;
+    let position = 0;
+    let previous = -2;
+    for (const char of term) {
+      const found = text.indexOf(char, position);
+      if (found === -1) return null;
+
+      points += 1;
+      if (found === previous + 1) points += 1;
+      if (isWordStart(text, found)) points += 1;
+
+      if (ranges.length && ranges[ranges.length - 1][1] === found) {
+        ranges[ranges.length - 1][1] = found + 1;
+      } else {
+        ranges.push([found, found + 1]);
+      }
+      previous = found;
+      position = found + 1;
+    }
+
+    // Spread-out matches are weak; cap below any substring match
+    const score = Math.min(0.6, points / (term.length * 3) * 0.6);
+    return score >= 0.2 ? { score, ranges } : null;
+  }
+
+  /**
+   * Prompt search utilities
+   * @namespace LovableAddons.utils.promptSearch
+   */
+  const promptSearch = {
+    /**
+     * Splits a query into free-text terms and filters
+     * @param {string} query - e.g. `login tag:auth category:"Code Quality"`
+     * @returns {{terms: Array<string>, tags: Array<string>, categories: Array<string>}} Lower-case parts
+     */
+    parseQuery: function(query) {
+      const parsed = { terms: [], tags: [], categories: [] };
+
+      for (const match of (query || '').matchAll(QUERY_PATTERN)) {
+        const filter = (match[1] || match[3] || '').toLowerCase();
+        const value = (match[2] !== undefined ? match[2] : match[4] || '').toLowerCase();
+
+        if (filter === 'tag' && value) {
+          parsed.tags.push(value);
+        } else if ((filter === 'category' || filter === 'cat') && value) {
+          parsed.categories.push(value);
+        } else {
+          const term = (match[5] !== undefined ? match[5] : match[0]).toLowerCase().trim();
+          if (term) parsed.terms.push(term);
+        }
+      }
+
+      return parsed;
+    },
+
+    /**
+     * Searches and ranks items. Every term must match the name, tags, category
+     * or content; every `tag:` and `category:` filter must match exactly.
+     * Without free-text terms, items keep their order.
+     * @param {Array<Object>} items - Templates, custom prompts or playbooks
+     * @param {string} query - Search query
+     * @param {Object} [context]
+     * @param {Array<string>} [context.favorites] - Favorite IDs, ranked higher
+     * @param {Array<string>} [context.recent] - Recently used IDs, most recent first, ranked higher
+     * @returns {Array<{item: Object, score: number, matches: {name: Array, content: Array}}>} Results, best first
+     */
+    search: function(items, query, context = {}) {
+      const { terms, tags, categories } = this.parseQuery(query);
+      const favorites = context.favorites || [];
+      const recent = context.recent || [];
+      const results = [];
+
+      items.forEach((item, order) => {
+        const entry = getEntry(item);
+
+        if (tags.some(tag => !entry.tags.includes(tag))) return;
+        if (categories.some(category => entry.category !== category)) return;
+
+        const matches = { name: [], content: [] };
+        let score = 0;
+
+        for (const term of terms) {
+          const candidates = [
+            ['name', scoreTerm(term, entry.name, true)],
+            ['content', scoreTerm(term, entry.content, false)],
+            ['category', scoreTerm(term, entry.category, false)],
+            ['tags', entry.tags.map(tag => scoreTerm(term, tag, true)).filter(Boolean)
+              .sort((a, b) => b.score - a.score)[0] || null]
+          ].filter(([, result]) => result);
+
+          if (candidates.length === 0) return;
+
+          const best = Math.max(...candidates.map(([field, result]) => result.score * FIELD_WEIGHTS[field]));
+          score += best;
+          candidates.forEach(([field, result]) => {
+            if (field === 'name' || field === 'content') {
+              matches[field].push(...result.ranges);
+            }
+          });
+        }
+
+        if (terms.length > 0) {
+          score /= terms.length * FIELD_WEIGHTS.name;
+          if (favorites.includes(item.id)) score += FAVORITE_BOOST * score;
+          const recentIndex = recent.indexOf(item.id);
+          if (recentIndex !== -1) score += RECENT_BOOST * score * (1 - recentIndex / recent.length);
+        }
+
+        results.push({ item, score, order, matches });
+      });
+
+      if (terms.length > 0) {
+        results.sort((a, b) => b.score - a.score || a.order - b.order);
+      }
+
+      return results.map(({ item, score, matches }) => ({ item, score, matches }));
+    },
+
+    /**
+     * Renders text with matched ranges wrapped in <mark> elements
+     * @param {string} text - Original text
+     * @param {Array<Array<number>>} ranges - [start, end) ranges into the text
+     * @returns {DocumentFragment} Highlighted text
+     */
+    highlight: function(text, ranges) {
+      const fragment = document.createDocumentFragment();
+      const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+      let position = 0;
+
+      sorted.forEach(([start, end]) => {
+        if (start < position) start = position;
+        if (end <= start) return;
+        fragment.appendChild(document.createTextNode(text.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.className = 'prompt-search-match';
+        mark.textContent = text.slice(start, end);
+        fragment.appendChild(mark);
+        position = end;
+      });
+
+      fragment.appendChild(document.createTextNode(text.slice(position)));
+      return fragment;
+    },
+
+    /**
+     * Cuts a preview window out of long text, centred on the first match
+     * @param {string} text - Full text
+     * @param {Array<Array<number>>} ranges - Matched ranges
+     * @param {number} [length=100] - Preview length
+     * @returns {{text: string, ranges: Array<Array<number>>}} Preview text and ranges shifted into it
+     */
+    snippet: function(text, ranges, length = 100) {
+      if (text.length <= length) {
+        return { text, ranges };
+      }
+
+      const first = ranges.length ? Math.min(...ranges.map(range => range[0])) : 0;
+      const start = Math.max(0, Math.min(first - 30, text.length - length));
+      const end = start + length;
+      const prefix = start > 0 ? '...' : '';
+
+      return {
+        text: prefix + text.slice(start, end) + (end < text.length ? '...' : ''),
+        ranges: ranges
+          .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+          .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, rangeEnd - start + prefix.length])
+      };
+    }
+  };
+
+  LovableAddons.registerUtility('promptSearch', promptSearch);
+})();
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Template variable utilities for Lovable Add-ons Chrome extension.
+ * Parses and fills typed `{{variable}}` placeholders in prompt templates.
+ *
+ * Syntax: `{{name[:type[:options]][=default]}}`
+ *   {{component}}                  - text
+ *   {{component=Button}}           - text with a default
+ *   {{code:textarea}}              - multi-line text
+ *   {{count:number=3}}             - number
+ *   {{route:select:/,/about=/}}    - one of a comma-separated list
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  // Any {{...}} block; the inside is checked by DEFINITION_PATTERN
+  const PLACEHOLDER_PATTERN = /\{\{([^{}]+)\}\}/g;
+
+  // name, optional :type and :options, optional =default
+  const DEFINITION_PATTERN = /^\s*([A-Za-z_][\w-]*)\s*(?::\s*(text|textarea|number|select)\s*(?::([^=]*))?)?\s*(?:=(.*))?$/;
+
+  const VARIABLE_TYPES = ['text', 'textarea', 'number', 'select'];
+
+  // Concrete values in a written-out prompt that are likely to change between
+  // uses, in priority order: where matches overlap the earlier rule wins.
+  // `group` picks the part of the match that becomes the variable.
+  const SUGGESTION_RULES = [
+    { name: 'code', type: 'textarea', pattern: /```[^\n]*\n[\s\S]*?```/g },
+    { name: 'url', pattern: /\bhttps?:\/\/[^\s<>"'`(){}]+[^\s<>"'`(){}.,;:!?]/g },
+    { name: 'file', pattern: /(?:[\w.-]+\/)*[\w-]+\.(?:tsx|ts|jsx|js|mjs|css|scss|json|html|md|sql|toml|ya?ml)\b/g },
+    { name: 'route', pattern: /(?<=^|[\s(`'"])\/[a-z0-9][\w\-/:]*(?=$|[\s)`'".,;!?])/gm },
+    { name: 'component', pattern: /\b[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]*)+\b/g },
+    { name: 'text', pattern: /"([^"\n{}]{2,40})"/g, group: 1 }
+  ];
+
+  // PascalCase product names that are not components
+  const NOT_COMPONENTS = ['JavaScript', 'TypeScript', 'GitHub', 'GitLab', 'PostgreSQL', 'MySQL', 'OpenAI',
+    'YouTube', 'LinkedIn', 'TailwindCSS', 'NextJS', 'NodeJS', 'PayPal', 'WordPress', 'MongoDB', 'GraphQL'];
+
+  /**
+   * Parses the inside of a {{...}} block
+   * @param {string} body - Text between the braces
+   * @returns {Object|null} Variable definition, or null if the block is not a variable
+   * @private
+   */
+  function parseDefinition(body) {
+    const match = body.match(DEFINITION_PATTERN);
+    if (!match) return null;
+
+    const [, name, type = 'text', optionList, defaultValue] = match;
+    const options = type === 'select' && optionList
+      ? optionList.split(',').map(option => option.trim()).filter(Boolean)
+      : [];
+
+    return {
+      name,
+      type,
+      options,
+      defaultValue: defaultValue !== undefined ? defaultValue.trim() : ''
+    };
+  }
+
+  /**
+   * Escapes text for use inside a RegExp
+   * @param {string} text - Literal text
+   * @returns {string} Escaped pattern
+   * @private
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Prompt template variable utilities
+   * @namespace LovableAddons.utils.promptVariables
+   */
+  const promptVariables = {
+    TYPES: VARIABLE_TYPES,
+
+    /**
+     * Collects the variables used in one or more texts. A name used several
+     * times yields one definition; later uses fill in a type, options or
+     * default the first use left out.
+     * @param {string|Array<string>} texts - Text or texts to scan
+     * @returns {Array<Object>} Definitions `{ name, type, options, defaultValue }` in order of first use
+     */
+    parse: function(texts) {
+      const definitions = [];
+      const byName = {};
+
+      [].concat(texts).forEach(text => {
+        for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+          const definition = parseDefinition(match[1]);
+          if (!definition) continue;
+
+          const existing = byName[definition.name];
+          if (!existing) {
+            byName[definition.name] = definition;
+            definitions.push(definition);
+            continue;
+          }
+          if (existing.type === 'text' && definition.type !== 'text') {
+            existing.type = definition.type;
+            existing.options = definition.options;
+          }
+          if (!existing.defaultValue && definition.defaultValue) {
+            existing.defaultValue = definition.defaultValue;
+          }
+        }
+      });
+
+      return definitions;
+    },
+
+    /**
+     * Whether a text contains at least one variable
+     * @param {string} text - Text to check
+     * @returns {boolean}
+     */
+    hasVariables: function(text) {
+      return this.parse(text).length > 0;
+    },
+
+    /**
+     * Replaces variable placeholders with values. Placeholders without a value
+     * are left in place so findUnfilled() can report them.
+     * @param {string} text - Text containing placeholders
+     * @param {Object} values - Map of variable name to value
+     * @returns {string} The filled text
+     */
+    fill: function(text, values) {
+      return (text || '').replace(PLACEHOLDER_PATTERN, (placeholder, body) => {
+        const definition = parseDefinition(body);
+        if (!definition || !Object.prototype.hasOwnProperty.call(values, definition.name)) {
+          return placeholder;
+        }
+        return String(values[definition.name]);
+      });
+    },
+
+    /**
+     * Names of variables still present in a text
+     * @param {string} text - Text to check, usually the output of fill()
+     * @returns {Array<string>} Unfilled variable names
+     */
+    findUnfilled: function(text) {
+      return this.parse(text).map(definition => definition.name);
+    },
+
+    /**
+     * Checks {{...}} blocks for syntax mistakes
+     * @param {string} text - Text to check
+     * @returns {Array<string>} Human-readable problems, empty when the text is valid
+     */
+    validate: function(text) {
+      const problems = [];
+      for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        const definition = parseDefinition(match[1]);
+        if (!definition) {
+          problems.push(`"${match[0]}" is not a valid variable (use {{name}}, {{name:type}} or {{name=default}})`);
+        } else if (definition.type === 'select' && definition.options.length === 0) {
+          problems.push(`"${match[0]}" needs options, e.g. {{${definition.name}:select:a,b}}`);
+        } else if (definition.type === 'select' && definition.defaultValue &&
+                   !definition.options.includes(definition.defaultValue)) {
+          problems.push(`"${match[0]}" has a default that is not one of its options`);
+        }
+      }
+      return problems;
+    },
+
+    /**
+     * Suggests variables for a written-out prompt, such as one captured from
+     * the chat: code blocks, URLs, file paths, routes, component names and
+     * short quoted strings. Existing placeholders are left alone.
+     * @param {string} text - Prompt text
+     * @returns {Array<{name: string, type: string, value: string, placeholder: string}>}
+     *   Suggestions in order of appearance; the placeholder keeps the value as its default
+     */
+    suggest: function(text) {
+      text = text || '';
+      const taken = Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => [match.index, match.index + match[0].length]);
+      const overlaps = (start, end) => taken.some(([takenStart, takenEnd]) => start < takenEnd && end > takenStart);
+      const found = [];
+
+      SUGGESTION_RULES.forEach(rule => {
+        for (const match of text.matchAll(rule.pattern)) {
+          const value = rule.group ? match[rule.group] : match[0];
+          const start = match.index + (rule.group ? match[0].indexOf(value) : 0);
+          const end = start + value.length;
+          if (overlaps(start, end)) continue;
+          if (rule.name === 'component' && NOT_COMPONENTS.includes(value)) continue;
+
+          taken.push([start, end]);
+          if (!found.some(suggestion => suggestion.value === value)) {
+            found.push({ rule, value, start });
+          }
+        }
+      });
+
+      const counts = {};
+      return found
+        .sort((a, b) => a.start - b.start)
+        .map(({ rule, value }) => {
+          counts[rule.name] = (counts[rule.name] || 0) + 1;
+          const name = counts[rule.name] > 1 ? `${rule.name}${counts[rule.name]}` : rule.name;
+          const type = rule.type || 'text';
+          // Defaults can't span lines or contain braces
+          const defaultValue = /[\n{}]/.test(value) ? '' : value;
+          return { name, type, value, placeholder: this.format({ name, type, options: [], defaultValue }) };
+        });
+    },
+
+    /**
+     * Replaces each suggestion's value with its placeholder, everywhere it
+     * appears outside existing placeholders
+     * @param {string} text - Prompt text
+     * @param {Array<Object>} suggestions - Suggestions from suggest()
+     * @returns {string} Text with variables
+     */
+    applySuggestions: function(text, suggestions) {
+      if (!suggestions.length) return text;
+
+      const byValue = {};
+      suggestions.forEach(suggestion => {
+        byValue[suggestion.value] = suggestion.placeholder;
+      });
+      // Word-like values only match whole words, so "Login" leaves "LoginForm" alone
+      const values = Object.keys(byValue)
+        .sort((a, b) => b.length - a.length)
+        .map(value => /^\w(.*\w)?$/s.test(value) ? `\\b${escapeRegExp(value)}\\b` : escapeRegExp(value));
+      const pattern = new RegExp(`\\{\\{[^{}]+\\}\\}|${values.join('|')}`, 'g');
+
+      return text.replace(pattern, match => byValue[match] !== undefined ? byValue[match] : match);
+    },
+
+    /**
+     * Formats a definition back into placeholder syntax
+     * @param {Object} definition - Variable definition
+     * @returns {string} The placeholder, e.g. `{{route:select:/,/about=/}}`
+     */
+    format: function(definition) {
+      let body = definition.name;
+      if (definition.type && definition.type !== 'text') {
+        body += `:${definition.type}`;
+        if (definition.type === 'select') {
+          body += `:${definition.options.join(',')}`;
+        }
+      }
+      if (definition.defaultValue) {
+        body += `=${definition.defaultValue}`;
+      }
+      return `{{${body}}}`;
+    }
+  };
+
+  LovableAddons.registerUtility('promptVariables', promptVariables);
+})();
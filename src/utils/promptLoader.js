@@ -1,29 +1,63 @@
 /**
- * Utility function to load system prompts from the config file
- * @returns {Promise<Object>} The prompts configuration object
+ * @fileoverview System prompt loader for Lovable Add-ons Chrome extension.
+ * Reads `config/prompts.json` once and serves individual prompts by type.
  */
-export async function loadSystemPrompts() {
-  try {
-    const response = await fetch(chrome.runtime.getURL('config/prompts.json'));
-    const prompts = await response.json();
-    return prompts;
-  } catch (error) {
-    console.error('Error loading system prompts:', error);
-    return null;
-  }
-}
 
-/**
- * Get a specific prompt by its type
- * @param {string} type - The type of prompt to retrieve (e.g., 'chatPrompt', 'searchPrompt')
- * @returns {Promise<string|null>} The requested prompt or null if not found
- */
-export async function getPrompt(type) {
-  try {
-    const prompts = await loadSystemPrompts();
-    return prompts?.systemPrompts?.[type] || null;
-  } catch (error) {
-    console.error(`Error getting prompt for type ${type}:`, error);
-    return null;
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
   }
-}
+
+  // Cached load so repeated lookups don't refetch the file
+  let promptsPromise = null;
+
+  /**
+   * Prompt loader utilities
+   * @namespace LovableAddons.utils.promptLoader
+   */
+  const promptLoader = {
+    /**
+     * Utility function to load system prompts from the config file
+     * @returns {Promise<Object|null>} The prompts configuration object
+     */
+    loadSystemPrompts: async function() {
+      if (!promptsPromise) {
+        promptsPromise = (async () => {
+          try {
+            const response = await fetch(chrome.runtime.getURL('config/prompts.json'));
+            if (!response.ok) {
+              throw new Error(`Failed to load prompts: ${response.status} ${response.statusText}`);
+            }
+            return await response.json();
+          } catch (error) {
+            console.error('Error loading system prompts:', error);
+            promptsPromise = null;
+            return null;
+          }
+        })();
+      }
+      return promptsPromise;
+    },
+
+    /**
+     * Get a specific prompt by its type
+     * @param {string} type - The type of prompt to retrieve (e.g., 'enhance', 'enhanceShorten')
+     * @returns {Promise<string|null>} The requested prompt or null if not found
+     */
+    getPrompt: async function(type) {
+      try {
+        const prompts = await this.loadSystemPrompts();
+        return prompts?.systemPrompts?.[type] || null;
+      } catch (error) {
+        console.error(`Error getting prompt for type ${type}:`, error);
+        return null;
+      }
+    }
+  };
+
+  LovableAddons.registerUtility('promptLoader', promptLoader);
+})();
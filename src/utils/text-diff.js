@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Text diff utilities for Lovable Add-ons Chrome extension.
+ * Word-level diffs shared by the enhancement review and prompt history.
+ */
+
+(function() {
+  'use strict';
+
+  // Make sure LovableAddons namespace exists
+  if (!window.LovableAddons) {
+    console.error('LovableAddons namespace not found. Make sure namespace.js is loaded first.');
+    return;
+  }
+
+  /**
+   * Largest token grid the word diff will build before falling back to a
+   * single replace hunk. Keeps very long prompts from stalling the page.
+   * @type {number}
+   */
+  const MAX_DIFF_CELLS = 4000000;
+
+  /**
+   * Splits text into word and whitespace tokens so joining them restores it
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Tokens
+   */
+  function tokenize(text) {
+    return text.match(/\s+|[^\s]+/g) || [];
+  }
+
+  /**
+   * Computes a word-level diff between two texts and groups it into segments.
+   * Unchanged runs become `equal` segments; each run of removed and/or added
+   * words becomes one `change` hunk that can be accepted or rejected on its own.
+   * @param {string} original - The old text
+   * @param {string} enhanced - The new text
+   * @returns {Array<{type: string, text?: string, original?: string, enhanced?: string}>} Segments
+   */
+  function diffWords(original, enhanced) {
+    const a = tokenize(original);
+    const b = tokenize(enhanced);
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+      return [{ type: 'change', original, enhanced }];
+    }
+
+    // Longest common subsequence table, filled from the end
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = a[i] === b[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    const segments = [];
+    let pending = null;
+    const flush = () => {
+      if (pending) {
+        segments.push(pending);
+        pending = null;
+      }
+    };
+    const pushEqual = (token) => {
+      flush();
+      const last = segments[segments.length - 1];
+      if (last && last.type === 'equal') {
+        last.text += token;
+      } else {
+        segments.push({ type: 'equal', text: token });
+      }
+    };
+    const pushChange = (field, token) => {
+      if (!pending) pending = { type: 'change', original: '', enhanced: '' };
+      pending[field] += token;
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        pushEqual(a[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        pushChange('original', a[i++]);
+      } else {
+        pushChange('enhanced', b[j++]);
+      }
+    }
+    while (i < a.length) pushChange('original', a[i++]);
+    while (j < b.length) pushChange('enhanced', b[j++]);
+    flush();
+
+    // Whitespace-only matches between two changes read as noise; fold them in
+    const merged = [];
+    for (const segment of segments) {
+      const prev = merged[merged.length - 1];
+      const beforePrev = merged[merged.length - 2];
+      if (segment.type === 'change' && prev && prev.type === 'equal' && !prev.text.trim() &&
+          beforePrev && beforePrev.type === 'change') {
+        merged.pop();
+        beforePrev.original += prev.text + segment.original;
+        beforePrev.enhanced += prev.text + segment.enhanced;
+      } else {
+        merged.push(segment);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Renders diff segments as text with <del> and <ins> elements
+   * @param {Array<Object>} segments - Output of diffWords
+   * @returns {DocumentFragment} Rendered diff
+   */
+  function toFragment(segments) {
+    const fragment = document.createDocumentFragment();
+    segments.forEach(segment => {
+      if (segment.type === 'equal') {
+        fragment.appendChild(document.createTextNode(segment.text));
+        return;
+      }
+      if (segment.original) {
+        const del = document.createElement('del');
+        del.textContent = segment.original;
+        fragment.appendChild(del);
+      }
+      if (segment.enhanced) {
+        const ins = document.createElement('ins');
+        ins.textContent = segment.enhanced;
+        fragment.appendChild(ins);
+      }
+    });
+    return fragment;
+  }
+
+  /**
+   * Text diff utilities
+   * @namespace LovableAddons.utils.textDiff
+   */
+  const textDiff = {
+    diffWords,
+    toFragment
+  };
+
+  LovableAddons.registerUtility('textDiff', textDiff);
+})();